@@ -16,6 +16,8 @@ android {
         versionName = "0.2.12"
         // Google Cloud Project ID used for authentication and Home API access
         buildConfigField("String", "GOOGLE_CLOUD_PROJECT_ID", "\"449111297489\"")
+        // Smart Kitchen API key (create one with POST /api/auth/api-keys), from -PkitchenApiKey=...
+        buildConfigField("String", "KITCHEN_API_KEY", "\"${project.findProperty("kitchenApiKey") ?: ""}\"")
     }
 
     buildTypes {
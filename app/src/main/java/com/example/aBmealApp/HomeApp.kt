@@ -62,6 +62,11 @@ class HomeApp : Application() {
         // Network configuration
         const val SERVER_BASE_URL = "http://192.168.0.24:3000/"
         const val WEBSOCKET_URL = "ws://192.168.0.24:8080"
+
+        // Headers the Smart Kitchen API and WebSocket need to know who's calling
+        fun kitchenAuthHeaders(): Map<String, String> =
+            if (BuildConfig.KITCHEN_API_KEY.isBlank()) emptyMap()
+            else mapOf("Authorization" to "Bearer ${BuildConfig.KITCHEN_API_KEY}")
     }
 
     override fun onCreate() {
@@ -586,6 +591,11 @@ class SmartKitchenIntegration(private val homeApp: HomeApp) {
 
     init {
         val okHttpClient = OkHttpClient.Builder()
+            .addInterceptor { chain ->
+                val request = chain.request().newBuilder()
+                HomeApp.kitchenAuthHeaders().forEach { (name, value) -> request.header(name, value) }
+                chain.proceed(request.build())
+            }
             .connectTimeout(10, TimeUnit.SECONDS)
             .readTimeout(30, TimeUnit.SECONDS)
             .writeTimeout(30, TimeUnit.SECONDS)
@@ -1138,7 +1138,7 @@ class MainActivity : AppCompatActivity() {
         try {
             val uri = URI.create(HomeApp.WEBSOCKET_URL)
 
-            webSocketClient = object : WebSocketClient(uri) {
+            webSocketClient = object : WebSocketClient(uri, HomeApp.kitchenAuthHeaders()) {
                 override fun onOpen(handshake: ServerHandshake?) {
                     runOnUiThread {
                         showDebug(this@MainActivity, "Connected to Smart Kitchen WebSocket")
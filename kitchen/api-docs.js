@@ -0,0 +1,437 @@
+/**
+ * API Documentation
+ * - OpenAPI 3.0 document for the REST routes, built from the route registry
+ *   and the request schemas each route validates against
+ * - AsyncAPI 2.6 document for the WebSocket: the commands clients send (from
+ *   their params schemas) and the events the server broadcasts
+ * - A plain HTML page rendering both, for reading in a browser
+ * - Each route and command says which permission it needs, and so which roles may use it
+ */
+
+const { rolesWith } = require('./auth');
+const { parsePath, pathVariants } = require('./route-registry');
+
+// Events the server broadcasts, by type: which topics carry them and what they mean.
+// Topics in angle brackets are filled in from the event (`session:<sessionId>`).
+const SOCKET_EVENTS = {
+  cooking_step_start: { topics: ['session:<sessionId>'], summary: 'A cooking step started' },
+  cooking_step_complete: { topics: ['session:<sessionId>'], summary: 'A cooking step finished' },
+  cooking_step_skipped: { topics: ['session:<sessionId>'], summary: 'The cook skipped ahead a step' },
+  cooking_step_previous: { topics: ['session:<sessionId>'], summary: 'The cook went back a step' },
+  cooking_step_extended: { topics: ['session:<sessionId>'], summary: 'Time was added to the current step' },
+  cooking_paused: { topics: ['session:<sessionId>'], summary: 'A cooking session was paused' },
+  cooking_resumed: { topics: ['session:<sessionId>'], summary: 'A cooking session was resumed' },
+  cooking_blocked: { topics: ['session:<sessionId>'], summary: "A step can't go on until an appliance problem is fixed" },
+  cooking_complete: { topics: ['session:<sessionId>'], summary: 'A recipe is done' },
+  cooking_cancelled: { topics: ['session:<sessionId>'], summary: 'A cooking session was cancelled' },
+  cooking_reminder: { topics: ['schedule', 'mealPlan:<mealPlanId>'], summary: 'Scheduled cooking starts soon' },
+  scheduled_cooking_started: { topics: ['schedule', 'mealPlan:<mealPlanId>', 'session:<sessionId>'], summary: 'Scheduled cooking started its session' },
+  scheduled_cooking_failed: { topics: ['schedule', 'mealPlan:<mealPlanId>'], summary: "Scheduled cooking couldn't start" },
+  scheduled_cooking_missed: { topics: ['schedule', 'mealPlan:<mealPlanId>'], summary: 'Scheduled cooking was missed while the server was down' },
+  timer_started: { topics: ['timers'], summary: 'A timer started' },
+  timer_tick: { topics: ['timers'], summary: 'Where a running timer stands, every few seconds' },
+  timer_update: { topics: ['timers', 'session:<sessionId>'], summary: "Where a cooking step's countdown stands" },
+  timer_paused: { topics: ['timers'], summary: 'A timer was paused' },
+  timer_resumed: { topics: ['timers'], summary: 'A timer was resumed' },
+  timer_extended: { topics: ['timers'], summary: 'Time was added to or taken off a timer' },
+  timer_expired: { topics: ['timers'], summary: 'A timer went off' },
+  timer_cancelled: { topics: ['timers'], summary: 'A timer was cancelled' },
+  device_status: { topics: ['appliance:<applianceId>', 'appliance:<applianceKey>'], summary: "An appliance's status changed" },
+  appliance_fault: { topics: ['appliance:<applianceId>', 'appliance:<applianceKey>'], summary: 'An appliance reported a fault' },
+  appliance_fault_cleared: { topics: ['appliance:<applianceId>', 'appliance:<applianceKey>'], summary: "An appliance's fault was cleared" },
+  appliance_overheat: { topics: ['appliance:<applianceId>', 'appliance:<applianceKey>'], summary: 'An appliance got too hot and shut off' },
+  oven_preheated: { topics: ['appliance:<applianceId>', 'appliance:<applianceKey>'], summary: 'The oven reached its temperature' },
+  pressure_cooking_complete: { topics: ['appliance:<applianceId>', 'appliance:<applianceKey>'], summary: 'Pressure cooking finished' },
+  air_fry_complete: { topics: ['appliance:<applianceId>', 'appliance:<applianceKey>'], summary: 'Air frying finished' },
+  kettle_boiled: { topics: ['appliance:<applianceId>', 'appliance:<applianceKey>'], summary: 'The kettle boiled' },
+  sous_vide_ready: { topics: ['appliance:<applianceId>', 'appliance:<applianceKey>'], summary: 'The water bath reached its temperature' },
+  hob_zone_changed: { topics: ['appliance:<applianceId>', 'appliance:<applianceKey>'], summary: 'A hob zone was turned up or down' },
+  scale_reading: { topics: ['appliance:<applianceId>', 'appliance:<applianceKey>'], summary: 'The scale settled on a weight' },
+  scale_tared: { topics: ['appliance:<applianceId>', 'appliance:<applianceKey>'], summary: 'The scale was zeroed' },
+  pantry_deducted: { topics: ['pantry', 'session:<sessionId>'], summary: 'A cooked recipe was taken off the pantry' },
+  pantry_low_stock: { topics: ['pantry'], summary: 'A pantry item is running low or out' },
+  pantry_expiring_soon: { topics: ['pantry'], summary: 'A pantry item expires soon' },
+  android_test: { topics: [], summary: 'Test message from POST /api/test/android' },
+  test_message: { topics: [], summary: 'Test message from GET /api/test/websocket' }
+};
+
+// Error envelope every failed request gets
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['success', 'error', 'code'],
+  properties: {
+    success: { type: 'boolean', enum: [false] },
+    error: { type: 'string', description: 'What went wrong, for people' },
+    code: { type: 'string', description: 'What went wrong, for programs (not_found, invalid_params, ...)' },
+    errors: {
+      type: 'array',
+      description: 'Each problem with the request, when it failed validation',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', example: 'body.steps[2].duration' },
+          code: { type: 'string', example: 'minimum' },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// "Needs the cook permission (member, owner)"
+function describePermission(permission) {
+  return `Needs the ${permission} permission (${rolesWith(permission).join(', ')})`;
+}
+
+// Our schemas are already OpenAPI / AsyncAPI schema objects, less empty `required` lists
+function toSpecSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toSpecSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key, value]) => !(key === 'required' && Array.isArray(value) && value.length === 0))
+    .map(([key, value]) => [key, key === 'enum' || key === 'required' ? value : toSpecSchema(value)]));
+}
+
+// "get /api/timers/{id}" → "getApiTimersId"
+function camelCase(text) {
+  return text.replace(/[^a-zA-Z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''));
+}
+
+// "/api/cooking/history/:userId?" → ["/api/cooking/history/{userId}", "/api/cooking/history"]
+function specPaths(route) {
+  return pathVariants(parsePath(route.path)).map(segments => ({
+    path: `/${segments.map(segment => (segment.param ? `{${segment.param}}` : segment.literal)).join('/')}`,
+    params: segments.filter(segment => segment.param).map(segment => segment.param)
+  }));
+}
+
+function operationFor(route, path, pathParams) {
+  const { params = {}, query = {}, body } = route.schemas;
+  const paramSchemas = params.properties || {};
+  const querySchemas = query.properties || {};
+
+  const parameters = [
+    ...pathParams.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: toSpecSchema(paramSchemas[name] || { type: 'string' })
+    })),
+    ...Object.entries(querySchemas).map(([name, schema]) => ({
+      name,
+      in: 'query',
+      required: (query.required || []).includes(name),
+      schema: toSpecSchema(schema)
+    }))
+  ];
+
+  return {
+    tags: [route.section],
+    summary: route.summary,
+    operationId: camelCase(`${route.method} ${path}`),
+    ...(route.permission && { description: describePermission(route.permission) }),
+    security: route.permission ? [{ bearerAuth: [] }, { apiKey: [] }] : [],
+    ...(parameters.length > 0 && { parameters }),
+    ...(body && {
+      requestBody: {
+        required: (body.required || []).length > 0,
+        content: { 'application/json': { schema: toSpecSchema(body) } }
+      }
+    }),
+    responses: {
+      [route.status]: {
+        description: 'Success',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } }
+      },
+      default: { $ref: '#/components/responses/Error' }
+    }
+  };
+}
+
+// OpenAPI 3.0 document for the routes in `registry`
+function buildOpenApiDocument({ registry, title, version, serverUrl }) {
+  const paths = {};
+  registry.listRoutes().forEach(route => {
+    specPaths(route).forEach(({ path, params }) => {
+      paths[path] = paths[path] || {};
+      paths[path][route.method] = operationFor(route, path, params);
+    });
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title,
+      version,
+      description: 'Every route takes the caller\'s unit preferences as ?units=metric|imperial and ' +
+        '?temperatureUnit=C|F|gas, or the X-Unit-System / X-Temperature-Unit headers. ' +
+        'All but a few routes need a login token (POST /api/auth/login) or an API key, as ' +
+        'Authorization: Bearer <token or key> or X-API-Key. Appliances, sessions, timers, ' +
+        'meal plans, shopping lists and the pantry are shared within the caller\'s household.'
+    },
+    servers: [{ url: serverUrl }],
+    tags: [...new Set(registry.listRoutes().map(route => route.section))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: {
+        Success: {
+          type: 'object',
+          required: ['success'],
+          properties: { success: { type: 'boolean', enum: [true] } }
+        },
+        Error: ERROR_SCHEMA
+      },
+      responses: {
+        Error: {
+          description: 'The request failed',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        }
+      },
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Login token or API key' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  };
+}
+
+// AsyncAPI 2.6 document for the WebSocket: `commandSchemas` maps command names
+// to their params schemas, `commandPermissions` to the permission they need
+function buildAsyncApiDocument({ title, version, serverUrl, commandSchemas, commandPermissions, protocolVersion }) {
+  const messages = {};
+
+  Object.entries(commandSchemas).forEach(([command, params]) => {
+    messages[`${camelCase(command)}Command`] = {
+      name: command,
+      title: `${command} command`,
+      description: describePermission(commandPermissions[command]),
+      payload: {
+        type: 'object',
+        required: ['v', 'type', 'id', 'command'],
+        properties: {
+          v: { type: 'integer', enum: [protocolVersion] },
+          type: { type: 'string', enum: ['command'] },
+          id: { type: 'string', description: 'Request ID, echoed in the reply' },
+          command: { type: 'string', enum: [command] },
+          params: toSpecSchema(params)
+        }
+      }
+    };
+  });
+
+  Object.entries(SOCKET_EVENTS).forEach(([type, { topics, summary }]) => {
+    messages[`${camelCase(type)}Event`] = {
+      name: type,
+      summary,
+      ...(topics.length > 0 && { description: `Topics: ${topics.join(', ')}` }),
+      payload: {
+        type: 'object',
+        properties: {
+          seq: { type: 'integer', description: 'Sequence number, for events.replay' },
+          type: { type: 'string', enum: [type] },
+          data: { type: 'object' },
+          topics: { type: 'array', items: { type: 'string' } },
+          timestamp: { type: 'string', format: 'date-time' },
+          replayed: { type: 'boolean' }
+        }
+      }
+    };
+  });
+
+  messages.Ack = {
+    name: 'ack',
+    summary: 'A command succeeded',
+    payload: {
+      type: 'object',
+      properties: {
+        v: { type: 'integer', enum: [protocolVersion] },
+        type: { type: 'string', enum: ['ack'] },
+        id: { type: 'string' },
+        command: { type: 'string' },
+        data: {},
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    }
+  };
+  messages.CommandError = {
+    name: 'error',
+    summary: 'A command failed',
+    payload: {
+      type: 'object',
+      properties: {
+        v: { type: 'integer', enum: [protocolVersion] },
+        type: { type: 'string', enum: ['error'] },
+        id: { type: 'string' },
+        error: {
+          type: 'object',
+          properties: {
+            code: ERROR_SCHEMA.properties.code,
+            message: { type: 'string' },
+            errors: ERROR_SCHEMA.properties.errors
+          }
+        },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    }
+  };
+  messages.ConnectionEstablished = {
+    name: 'connection_established',
+    summary: 'Sent on connecting, with the latest sequence number and the running timers',
+    payload: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['connection_established'] },
+        data: {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            lastSeq: { type: 'integer' },
+            timers: { type: 'array', items: { type: 'object' } }
+          }
+        }
+      }
+    }
+  };
+
+  const refs = names => names.map(name => ({ $ref: `#/components/messages/${name}` }));
+  const messageNames = Object.keys(messages);
+
+  return {
+    asyncapi: '2.6.0',
+    info: {
+      title: `${title} WebSocket`,
+      version,
+      description: 'Clients with no subscriptions receive every event; events.subscribe narrows ' +
+        'them down to topics. Events carry a sequence number, so a client that reconnects can ' +
+        'ask for what it missed with events.replay. Connections authenticate in the handshake ' +
+        'and only receive events from their own household.'
+    },
+    servers: {
+      kitchen: { url: serverUrl, protocol: 'ws', security: [{ bearerAuth: [] }] }
+    },
+    channels: {
+      '/': {
+        publish: {
+          summary: 'Commands from clients',
+          message: { oneOf: refs(messageNames.filter(name => name.endsWith('Command') && name !== 'CommandError')) }
+        },
+        subscribe: {
+          summary: 'Command replies and broadcast events',
+          message: { oneOf: refs(messageNames.filter(name => !name.endsWith('Command') || name === 'CommandError')) }
+        }
+      }
+    },
+    components: {
+      messages,
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Login token or API key in the Authorization header, or ?token= from browsers'
+        }
+      }
+    }
+  };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Short description of a schema for the docs page ("integer ≥ 1", "one of: a, b")
+function describeSchema(schema = {}) {
+  if (schema.enum) return `one of: ${schema.enum.join(', ')}`;
+  if (schema.anyOf) return schema.description || schema.anyOf.map(describeSchema).join(' or ');
+  const parts = [schema.type === 'array' && schema.items ? `array of ${describeSchema(schema.items)}` : schema.type || 'any'];
+  if (schema.format) parts.push(`(${schema.format})`);
+  if (schema.description) {
+    parts.push(`(${schema.description})`);
+  } else {
+    if (schema.minimum !== undefined) parts.push(`${schema.exclusiveMinimum ? '>' : '≥'} ${schema.minimum}`);
+    if (schema.maximum !== undefined) parts.push(`≤ ${schema.maximum}`);
+  }
+  if (schema.nullable) parts.push('or null');
+  return parts.join(' ');
+}
+
+function fieldRows(schema, where) {
+  if (!schema || !schema.properties) return [];
+  return Object.entries(schema.properties).map(([name, field]) =>
+    `<tr><td><code>${escapeHtml(name)}</code></td><td>${where}</td><td>${escapeHtml(describeSchema(field))}</td>` +
+    `<td>${(schema.required || []).includes(name) ? 'required' : ''}</td></tr>`);
+}
+
+// HTML page listing the routes, WebSocket commands and events
+function renderDocsPage({ openapi, asyncapi }) {
+  const sections = {};
+  Object.entries(openapi.paths).forEach(([path, operations]) => {
+    Object.entries(operations).forEach(([method, operation]) => {
+      (sections[operation.tags[0]] = sections[operation.tags[0]] || []).push({ path, method, operation });
+    });
+  });
+
+  const routeHtml = Object.entries(sections).map(([section, entries]) => `
+    <h2>${escapeHtml(section)}</h2>
+    ${entries.map(({ path, method, operation }) => {
+      const body = operation.requestBody && operation.requestBody.content['application/json'].schema;
+      const rows = [
+        ...(operation.parameters || []).map(parameter =>
+          `<tr><td><code>${escapeHtml(parameter.name)}</code></td><td>${parameter.in}</td>` +
+          `<td>${escapeHtml(describeSchema(parameter.schema))}</td><td>${parameter.required ? 'required' : ''}</td></tr>`),
+        ...fieldRows(body, 'body')
+      ];
+      return `
+    <h3><span class="method">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code></h3>
+    <p>${escapeHtml(operation.summary)}${operation.description ? ` <em>${escapeHtml(operation.description)}</em>` : ''}</p>
+    ${rows.length > 0 ? `<table>${rows.join('')}</table>` : ''}`;
+    }).join('')}`).join('');
+
+  const messages = Object.values(asyncapi.components.messages);
+  const commandHtml = messages.filter(message => message.title).map(message => `
+    <h3><code>${escapeHtml(message.name)}</code></h3>
+    <p><em>${escapeHtml(message.description)}</em></p>
+    <table>${fieldRows(message.payload.properties.params, 'params').join('')}</table>`).join('');
+  const eventHtml = messages.filter(message => message.payload.properties.seq).map(message =>
+    `<tr><td><code>${escapeHtml(message.name)}</code></td><td>${escapeHtml(message.summary)}</td>` +
+    `<td>${escapeHtml((message.description || '').replace('Topics: ', ''))}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(openapi.info.title)}</title>
+  <style>
+    body { font-family: sans-serif; max-width: 960px; margin: 2em auto; color: #222; }
+    h2 { border-bottom: 1px solid #ccc; margin-top: 2em; }
+    h3 { font-size: 1em; margin-bottom: 0.2em; }
+    .method { display: inline-block; min-width: 4em; color: #0b6; }
+    table { border-collapse: collapse; margin: 0.5em 0 1em; }
+    td { border: 1px solid #ddd; padding: 0.2em 0.6em; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(openapi.info.title)} ${escapeHtml(openapi.info.version)}</h1>
+  <p>${escapeHtml(openapi.info.description)}</p>
+  <p>Log in with <code>POST /api/auth/login</code> and send <code>Authorization: Bearer &lt;token&gt;</code>; devices use an API key the same way.</p>
+  <p>Machine-readable: <a href="/api/openapi.json">OpenAPI</a> · <a href="/api/asyncapi.json">AsyncAPI (WebSocket)</a></p>
+  ${routeHtml}
+  <h2>WebSocket commands</h2>
+  <p>${escapeHtml(asyncapi.servers.kitchen.url)}: send <code>{ "v": 1, "type": "command", "id", "command", "params" }</code></p>
+  ${commandHtml}
+  <h2>WebSocket events</h2>
+  <table>${eventHtml}</table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  SOCKET_EVENTS,
+  buildAsyncApiDocument,
+  buildOpenApiDocument,
+  renderDocsPage
+};
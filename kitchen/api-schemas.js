@@ -0,0 +1,516 @@
+/**
+ * API Schemas
+ * - What each REST route and WebSocket command accepts, checked by
+ *   `./validation` before the handler runs
+ * - Shared pieces (cooking steps, planned meals, pantry items) are defined
+ *   once, so a WebSocket command takes exactly what its REST route does
+ */
+
+const { LOCATIONS } = require('./pantry');
+const { ROLES } = require('./auth');
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+
+// =============================================================================
+// BUILDING BLOCKS
+// =============================================================================
+
+const text = { type: 'string', minLength: 1 };
+const optionalText = { type: 'string' };
+const positiveNumber = { type: 'number', minimum: 0, exclusiveMinimum: true };
+const date = { type: 'string', format: 'date-time' };
+
+// Object with these properties, the `required` ones must be there
+function object(properties, required = [], extra = {}) {
+  return { type: 'object', properties, required, ...extra };
+}
+
+// Path parameters, all required text: params('id', 'itemId')
+function params(...names) {
+  return object(Object.fromEntries(names.map(name => [name, text])), names);
+}
+
+function nullable(schema) {
+  return { ...schema, nullable: true };
+}
+
+// Caller's unit preferences in a body or command (`metric` / `imperial`, `C` / `F` / `gas`)
+const unitPreferences = {
+  units: optionalText,
+  temperatureUnit: optionalText
+};
+
+// An ingredient line ("2 cups flour") or a structured ingredient
+const ingredient = {
+  anyOf: [text, { type: 'object' }],
+  description: 'text or an ingredient object'
+};
+
+// =============================================================================
+// ACCOUNTS
+// =============================================================================
+
+const register = object({
+  username: { type: 'string', pattern: '^[A-Za-z0-9_.-]{3,32}$', description: '3-32 letters, digits, _ . or -' },
+  password: { type: 'string', minLength: 8, maxLength: 200 },
+  displayName: { type: 'string', maxLength: 60 },
+  // Join a household with an invite code, or name the new one the account starts
+  inviteCode: text,
+  householdName: { type: 'string', minLength: 1, maxLength: 60 }
+}, ['username', 'password']);
+
+const login = object({
+  username: text,
+  password: text
+}, ['username', 'password']);
+
+// API key for a device; it can't have a higher role than its user
+const newApiKey = object({
+  name: { type: 'string', minLength: 1, maxLength: 60 },
+  role: { enum: ROLES }
+}, ['name']);
+
+const userRole = object({ role: { enum: ROLES } }, ['role']);
+
+// Dietary preferences, applied to recipe searches that don't name a diet
+const preferences = object({
+  diets: { type: 'array', items: text, maxItems: 10 }
+}, [], { additionalProperties: false, minProperties: 1 });
+
+// =============================================================================
+// HOUSEHOLDS
+// =============================================================================
+
+const household = object({
+  name: { type: 'string', minLength: 1, maxLength: 60 }
+}, ['name']);
+
+const newInvite = object({ role: { enum: ROLES } });
+
+const joinHousehold = object({ code: text }, ['code']);
+
+// =============================================================================
+// COOKING
+// =============================================================================
+
+// Appliance action a step runs: { appliance: 'OVEN' | '<appliance id>', command, params }
+const stepAction = object({
+  appliance: text,
+  command: text,
+  params: { type: 'object' }
+}, ['appliance', 'command']);
+
+const step = object({
+  step: { type: 'integer', minimum: 1 },
+  instruction: text,
+  // Minutes; steps are timed in whole seconds, so one shorter than a second is refused
+  duration: { type: 'number', minimum: 1 / 60, description: 'at least one second (1/60 minute)' },
+  mode: { enum: ['passive', 'active'] },
+  actions: { type: 'array', items: stepAction },
+  waitFor: {
+    anyOf: [{ type: 'array', items: text }, { type: 'boolean' }],
+    description: 'a list of event names, or false'
+  }
+}, ['instruction']);
+
+// Start cooking: steps, instructions to parse, or a catalog recipe by ID or name
+const startCooking = object({
+  recipeId: optionalText,
+  recipeName: optionalText,
+  steps: { type: 'array', items: step, minItems: 1 },
+  instructions: optionalText,
+  analyzedInstructions: { type: 'array' },
+  ingredients: { type: 'array', items: ingredient }
+});
+
+const extendStep = object({ minutes: positiveNumber }, ['minutes']);
+
+// =============================================================================
+// RECIPES & UNITS
+// =============================================================================
+
+const parseInstructions = object({
+  instructions: optionalText,
+  analyzedInstructions: { type: 'array' }
+});
+
+const favorite = object({
+  recipeId: text,
+  recipeName: optionalText
+}, ['recipeId']);
+
+const recipeSearch = object({
+  query: optionalText,
+  cuisine: optionalText,
+  diet: optionalText,
+  maxReadyTime: positiveNumber,
+  number: { type: 'integer', minimum: 1, maximum: 100 },
+  offset: { type: 'integer', minimum: 0 },
+  provider: optionalText
+});
+
+const recipeMatch = object({
+  name: text,
+  limit: { type: 'integer', minimum: 1, maximum: 20 },
+  provider: optionalText
+}, ['name']);
+
+const scaleRecipe = object({
+  recipeId: optionalText,
+  ingredients: { type: 'array', items: ingredient },
+  servings: positiveNumber,
+  originalServings: positiveNumber,
+  factor: positiveNumber,
+  ...unitPreferences
+});
+
+const convertUnits = object({
+  quantity: { type: 'number' },
+  from: text,
+  to: text,
+  ingredient: optionalText
+}, ['quantity', 'from', 'to']);
+
+// =============================================================================
+// COOKING HISTORY
+// =============================================================================
+
+const historyQuery = object({
+  recipeId: optionalText,
+  includeCancelled: { type: 'boolean' },
+  limit: { type: 'integer', minimum: 1 }
+});
+
+const statsQuery = object({
+  limit: { type: 'integer', minimum: 1 }
+});
+
+const review = object({
+  rating: nullable({ type: 'integer', minimum: 1, maximum: 5 }),
+  notes: nullable({ type: 'string', maxLength: 2000 }),
+  photos: { type: 'array', items: { type: 'string', format: 'uri' }, maxItems: 20 }
+}, [], { additionalProperties: false, minProperties: 1 });
+
+const photo = object({ url: { type: 'string', format: 'uri' } }, ['url']);
+
+// =============================================================================
+// TIMERS
+// =============================================================================
+
+// { name: "pasta", minutes: 8 } (or seconds)
+const newTimer = object({
+  name: optionalText,
+  seconds: positiveNumber,
+  minutes: positiveNumber
+});
+
+// Negative amounts take time off
+const addTime = object({
+  seconds: { type: 'number' },
+  minutes: { type: 'number' }
+});
+
+const timerQuery = object({
+  active: { type: 'boolean' },
+  userId: optionalText,
+  sessionId: optionalText
+});
+
+// =============================================================================
+// APPLIANCES
+// =============================================================================
+
+const newAppliance = object({
+  id: optionalText,
+  type: text,
+  name: optionalText,
+  brand: optionalText,
+  model: optionalText
+}, ['type']);
+
+// Command parameters depend on the appliance; its driver checks them
+const applianceCommand = { type: 'object' };
+
+// =============================================================================
+// VOICE
+// =============================================================================
+
+// `parameters` is what the Android app sends alongside the spoken text
+const voiceCommand = object({
+  command: text,
+  conversationId: optionalText,
+  parameters: object({
+    recipeName: optionalText,
+    recipeId: optionalText,
+    minutes: { type: 'number' }
+  })
+}, ['command']);
+
+// =============================================================================
+// MEAL PLANNING
+// =============================================================================
+
+// A planned meal: a recipe ID or name, or { recipeId | recipeName | title, servings }
+const mealRef = {
+  anyOf: [
+    text,
+    object({
+      recipeId: text,
+      recipeName: text,
+      title: text,
+      servings: positiveNumber
+    }, [], {
+      anyOf: [{ required: ['recipeId'] }, { required: ['recipeName'] }, { required: ['title'] }]
+    })
+  ],
+  description: 'a recipe name, ID or { recipeId }'
+};
+
+const mealDay = object(Object.fromEntries(MEAL_TYPES.map(type => [type, nullable(mealRef)])));
+
+const meals = { type: 'array', items: mealDay, minItems: 1 };
+
+const newMealPlan = object({
+  name: nullable(optionalText),
+  startDate: date,
+  meals
+}, ['meals']);
+
+const editMealPlan = object({
+  name: nullable(optionalText),
+  startDate: date,
+  meals
+}, [], { minProperties: 1 });
+
+// One day's meals; null clears a meal
+const editMealDay = { ...mealDay, additionalProperties: false, minProperties: 1 };
+
+const copyMealPlan = object({
+  name: optionalText,
+  startDate: date
+});
+
+const scheduleCooking = object({
+  mealPlanId: text,
+  day: { type: 'integer', minimum: 1 },
+  mealType: { enum: MEAL_TYPES },
+  scheduledTime: date,
+  reminderMinutes: { type: 'array', items: positiveNumber }
+}, ['mealPlanId', 'day', 'mealType', 'scheduledTime']);
+
+const scheduledQuery = object({
+  mealPlanId: optionalText,
+  status: optionalText
+});
+
+const reschedule = object({ scheduledTime: date }, ['scheduledTime']);
+
+const mealDayParams = object({
+  id: text,
+  day: { type: 'integer', minimum: 1 }
+}, ['id', 'day']);
+
+// =============================================================================
+// SHOPPING LISTS
+// =============================================================================
+
+// Something already in the house: a name ("salt") or { name, quantity, unit }
+const onHand = {
+  anyOf: [text, object({ name: text, quantity: nullable({ type: 'number' }), unit: nullable(optionalText) }, ['name'])],
+  description: 'a name or { name, quantity, unit }'
+};
+
+const newShoppingList = object({
+  servings: positiveNumber,
+  pantry: { type: 'array', items: onHand },
+  days: { type: 'array', items: { type: 'integer', minimum: 1 } },
+  name: optionalText
+});
+
+const shoppingListQuery = object({ mealPlanId: optionalText });
+
+const exportQuery = object({ format: { enum: ['text', 'json'] } });
+
+// { text: "2 lemons" } or { name, quantity, unit }, optional aisle
+const newListItem = object({
+  text: optionalText,
+  name: optionalText,
+  quantity: positiveNumber,
+  unit: nullable(optionalText),
+  aisle: optionalText
+});
+
+const editListItem = object({
+  name: text,
+  quantity: nullable(positiveNumber),
+  unit: nullable(optionalText),
+  aisle: optionalText,
+  checked: { type: 'boolean' },
+  note: nullable(optionalText)
+}, [], { additionalProperties: false, minProperties: 1 });
+
+// =============================================================================
+// PANTRY & NUTRITION
+// =============================================================================
+
+const pantryQuery = object({
+  location: { enum: LOCATIONS },
+  expiringWithinDays: { type: 'number' },
+  lowStock: { type: 'boolean' }
+});
+
+const pantryFields = {
+  name: text,
+  quantity: nullable({ type: 'number', minimum: 0 }),
+  unit: nullable(optionalText),
+  location: { enum: LOCATIONS },
+  expiresAt: nullable(date),
+  lowStockThreshold: nullable({ type: 'number', minimum: 0 })
+};
+
+const newPantryItem = object(pantryFields, ['name']);
+
+const editPantryItem = object(pantryFields, [], { minProperties: 1 });
+
+const cookableQuery = object({ limit: { type: 'integer', minimum: 1 } });
+
+const analyzeNutrition = object({
+  recipeId: optionalText,
+  ingredients: { type: 'array', items: ingredient },
+  servings: positiveNumber
+});
+
+const parseIngredientLines = object({
+  ingredients: { type: 'array', items: ingredient }
+}, ['ingredients']);
+
+// =============================================================================
+// TESTING & SIMULATION
+// =============================================================================
+
+const injectFault = object({ fault: text }, ['fault']);
+
+const door = object({ open: { type: 'boolean' } }, ['open']);
+
+const simulation = object({
+  ambientTemperature: { type: 'number', minimum: -20, maximum: 50 }
+}, ['ambientTemperature']);
+
+const timeScale = object({
+  timeScale: { type: 'number', minimum: 0, exclusiveMinimum: true, maximum: 3600 }
+}, ['timeScale']);
+
+const advanceClock = object({
+  seconds: { type: 'number', minimum: 0 },
+  minutes: { type: 'number', minimum: 0 }
+});
+
+// The Android app's CookingRequest
+const simulateCooking = object({
+  recipeName: text,
+  instructions: optionalText,
+  estimatedTime: { type: 'number', minimum: 0 },
+  ingredients: { type: 'array', items: optionalText },
+  deviceId: optionalText
+}, ['recipeName']);
+
+// =============================================================================
+// WEBSOCKET COMMANDS
+// =============================================================================
+
+const sessionParams = params('sessionId');
+const timerParams = params('timerId');
+const topics = object({ topics: { type: 'array', items: text, minItems: 1 } }, ['topics']);
+
+// Command name → params schema
+const commandSchemas = {
+  'session.start': startCooking,
+  'session.status': sessionParams,
+  'session.list': object({}),
+  'session.extend': object({ ...sessionParams.properties, ...extendStep.properties }, ['sessionId', 'minutes']),
+  'recipes.match': recipeMatch,
+  'oven.preheat': applianceCommand,
+  'appliance.command': object({
+    applianceId: text,
+    command: text,
+    params: applianceCommand,
+    ...unitPreferences
+  }, ['applianceId', 'command']),
+  'appliances.status': object(unitPreferences),
+  'timers.create': newTimer,
+  'timers.list': timerQuery,
+  'timers.status': timerParams,
+  'timers.add': object({ ...timerParams.properties, ...addTime.properties }, ['timerId']),
+  'timers.remove': timerParams,
+  'voice.command': object({
+    command: text,
+    conversationId: optionalText,
+    ...unitPreferences
+  }, ['command']),
+  'events.subscribe': topics,
+  'events.unsubscribe': topics,
+  'events.replay': object({ lastSeq: { type: 'integer', minimum: 0 } }, ['lastSeq'])
+};
+
+['pause', 'resume', 'next', 'confirm', 'previous', 'cancel'].forEach(action => {
+  commandSchemas[`session.${action}`] = sessionParams;
+});
+['pause', 'resume', 'cancel'].forEach(action => {
+  commandSchemas[`timers.${action}`] = timerParams;
+});
+
+module.exports = {
+  params,
+  register,
+  login,
+  newApiKey,
+  userRole,
+  preferences,
+  household,
+  newInvite,
+  joinHousehold,
+  startCooking,
+  extendStep,
+  parseInstructions,
+  favorite,
+  recipeSearch,
+  recipeMatch,
+  scaleRecipe,
+  convertUnits,
+  historyQuery,
+  statsQuery,
+  review,
+  photo,
+  newTimer,
+  addTime,
+  timerQuery,
+  newAppliance,
+  applianceCommand,
+  voiceCommand,
+  newMealPlan,
+  editMealPlan,
+  editMealDay,
+  copyMealPlan,
+  scheduleCooking,
+  scheduledQuery,
+  reschedule,
+  mealDayParams,
+  newShoppingList,
+  shoppingListQuery,
+  exportQuery,
+  newListItem,
+  editListItem,
+  pantryQuery,
+  newPantryItem,
+  editPantryItem,
+  cookableQuery,
+  analyzeNutrition,
+  parseIngredientLines,
+  injectFault,
+  door,
+  simulation,
+  timeScale,
+  advanceClock,
+  simulateCooking,
+  commandSchemas
+};
@@ -0,0 +1,65 @@
+/**
+ * Air fryer driver
+ * - Heats the basket and fries for a set time
+ */
+
+const { registerDriver } = require('../registry');
+
+registerDriver({
+  type: 'AIR_FRYER',
+  key: 'air_fryer',
+  label: 'Smart Air Fryer',
+  brand: 'Philips',
+  capabilities: ['air_fry', 'roast', 'reheat', 'timer'],
+  simulation: {
+    heatRate: 1.5,
+    coolingRate: 0.004,
+    doorLossFactor: 10, // basket pulled out
+    maxTemperature: 240
+  },
+  initialState: () => ({
+    targetTemperature: 0,
+    doorOpen: false
+  }),
+  commands: {
+    air_fry: {
+      description: 'Heat up, then air fry for a number of minutes',
+      heats: true,
+      completionEvent: 'air_fry_complete',
+      params: {
+        temperature: { type: 'number', min: 80, max: 200, unit: '°C', required: true },
+        duration: { type: 'number', min: 1, max: 60, unit: ' min', required: true }
+      },
+      run(airFryer, { temperature, duration }, ctx) {
+        const { state } = airFryer;
+        ctx.cancelActivity();
+        ctx.setStatus('preheating');
+        state.targetTemperature = temperature;
+
+        ctx.when(() => state.temperature >= temperature - 1, () => {
+          ctx.setStatus('frying');
+
+          ctx.after(duration * 60 * 1000, () => {
+            state.targetTemperature = 0;
+            ctx.setStatus('ready');
+            ctx.emit('air_fry_complete', { message: 'Air frying complete' });
+          });
+        });
+
+        return {
+          message: `Air frying at ${ctx.formatTemperature(temperature)} for ${duration} minutes`,
+          totalTime: duration + ctx.estimateHeatMinutes(temperature)
+        };
+      }
+    },
+    stop: {
+      description: 'Stop air frying',
+      run(airFryer, params, ctx) {
+        ctx.cancelActivity();
+        airFryer.state.targetTemperature = 0;
+        ctx.setStatus('ready');
+        return { message: 'Air fryer stopped' };
+      }
+    }
+  }
+});
@@ -0,0 +1,93 @@
+/**
+ * Pressure cooker (autocooker) driver
+ * - Brings contents to the boil, builds pressure, cooks for a set time,
+ *   then releases pressure naturally or quickly
+ */
+
+const { registerDriver } = require('../registry');
+
+// Water boils about 1.6°C hotter per PSI of pressure
+const cookingTemperature = pressure => Math.round(100 + 1.6 * pressure);
+
+registerDriver({
+  type: 'AUTOCOOKER',
+  key: 'autocooker',
+  label: 'Smart Pressure Cooker',
+  brand: 'Instant Pot',
+  capabilities: ['pressure_cook', 'rice', 'soup', 'timer'],
+  simulation: {
+    heatRate: 0.5,
+    coolingRate: 0.001,
+    maxTemperature: 135,
+    pressure: {
+      buildRate: 0.1,
+      depressurizeSeconds: 30,
+      quickReleaseSeconds: 5
+    }
+  },
+  initialState: () => ({
+    pressure: 0,
+    targetPressure: 0,
+    targetTemperature: 0,
+    releasing: null
+  }),
+  commands: {
+    pressure_cook: {
+      description: 'Pressure cook at a set pressure for a number of minutes',
+      heats: true,
+      completionEvent: 'pressure_cooking_complete',
+      params: {
+        pressure: { type: 'number', min: 5, max: 15, unit: ' PSI', required: true },
+        duration: { type: 'number', min: 1, max: 240, unit: ' min', required: true },
+        release: { type: 'string', enum: ['natural', 'quick'], default: 'natural' }
+      },
+      run(autocooker, { pressure, duration, release }, ctx) {
+        const { state } = autocooker;
+        ctx.cancelActivity();
+        ctx.setStatus('pressurizing');
+        state.releasing = null;
+        state.targetPressure = pressure;
+        state.targetTemperature = cookingTemperature(pressure);
+
+        ctx.when(() => state.pressure >= pressure, () => {
+          ctx.setStatus('pressure_cooking');
+
+          // Start cooking timer
+          ctx.after(duration * 60 * 1000, () => {
+            state.targetTemperature = 0;
+            ctx.startRelease(release);
+            ctx.setStatus('depressurizing');
+
+            ctx.when(() => state.pressure === 0, () => {
+              ctx.setStatus('ready');
+              ctx.emit('pressure_cooking_complete', {
+                message: 'Pressure cooking complete and depressurized'
+              });
+            });
+          });
+        });
+
+        return {
+          message: `Pressure cooking at ${pressure} PSI for ${duration} minutes`,
+          totalTime: duration + ctx.estimateHeatMinutes(100) + 5
+        };
+      }
+    },
+    release: {
+      description: 'Stop cooking and release pressure',
+      params: {
+        mode: { type: 'string', enum: ['natural', 'quick'], default: 'quick' }
+      },
+      run(autocooker, { mode }, ctx) {
+        const { state } = autocooker;
+        ctx.cancelActivity();
+        state.targetTemperature = 0;
+        ctx.startRelease(mode);
+        ctx.setStatus('depressurizing');
+
+        ctx.when(() => state.pressure === 0, () => ctx.setStatus('ready'));
+        return { message: `Releasing pressure (${mode})` };
+      }
+    }
+  }
+});
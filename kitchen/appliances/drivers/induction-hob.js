@@ -0,0 +1,49 @@
+/**
+ * Induction hob driver
+ * - Independent cooking zones with power levels 0-9
+ */
+
+const { ApplianceError, registerDriver } = require('../registry');
+
+const ZONES = 4;
+
+registerDriver({
+  type: 'INDUCTION_HOB',
+  key: 'induction_hob',
+  label: 'Induction Hob',
+  brand: 'Bosch',
+  capabilities: ['zones', 'power_levels', 'boost'],
+  initialState: () => ({
+    zones: Array.from({ length: ZONES }, (_, index) => ({ zone: index + 1, level: 0 }))
+  }),
+  commands: {
+    set_power: {
+      description: 'Set the power level of one cooking zone',
+      heats: true,
+      params: {
+        zone: { type: 'number', min: 1, max: ZONES, required: true },
+        level: { type: 'number', min: 0, max: 9, required: true }
+      },
+      run(hob, { zone, level }, ctx) {
+        if (!Number.isInteger(zone) || !Number.isInteger(level)) {
+          throw new ApplianceError('invalid_params', 'Zone and level must be whole numbers');
+        }
+
+        hob.state.zones[zone - 1].level = level;
+        const activeZones = hob.state.zones.filter(z => z.level > 0).length;
+        ctx.setStatus(activeZones > 0 ? 'cooking' : 'ready');
+        ctx.emit('hob_zone_changed', { zone, level });
+
+        return { message: `Zone ${zone} set to level ${level}`, activeZones };
+      }
+    },
+    off: {
+      description: 'Turn every zone off',
+      run(hob, params, ctx) {
+        hob.state.zones.forEach(z => { z.level = 0; });
+        ctx.setStatus('ready');
+        return { message: 'Hob turned off' };
+      }
+    }
+  }
+});
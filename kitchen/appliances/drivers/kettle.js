@@ -0,0 +1,60 @@
+/**
+ * Kettle driver
+ * - Boils water or heats it to a set temperature
+ */
+
+const { registerDriver } = require('../registry');
+
+registerDriver({
+  type: 'KETTLE',
+  key: 'kettle',
+  label: 'Smart Kettle',
+  brand: 'Fellow',
+  capabilities: ['boil', 'heat_to_temperature'],
+  simulation: {
+    heatRate: 0.8,
+    coolingRate: 0.001,
+    boilingPoint: 100,
+    maxTemperature: 110 // only reachable when boiled dry
+  },
+  initialState: () => ({
+    targetTemperature: 0
+  }),
+  commands: {
+    boil: {
+      description: 'Heat water to a temperature (boiling by default)',
+      heats: true,
+      completionEvent: 'kettle_boiled',
+      params: {
+        temperature: { type: 'number', min: 40, max: 100, unit: '°C', default: 100 }
+      },
+      run(kettle, { temperature }, ctx) {
+        const { state } = kettle;
+        ctx.cancelActivity();
+        ctx.setStatus('heating');
+        // Aim just past boiling so the thermostat doesn't cycle at 100°C
+        state.targetTemperature = temperature === 100 ? 101 : temperature;
+
+        ctx.when(() => state.temperature >= temperature - 1, () => {
+          state.targetTemperature = 0;
+          ctx.setStatus('ready');
+          ctx.emit('kettle_boiled', { temperature: state.temperature });
+        });
+
+        return {
+          message: temperature === 100 ? 'Kettle boiling' : `Kettle heating to ${ctx.formatTemperature(temperature)}`,
+          estimatedTime: ctx.estimateHeatMinutes(temperature)
+        };
+      }
+    },
+    stop: {
+      description: 'Stop heating',
+      run(kettle, params, ctx) {
+        ctx.cancelActivity();
+        kettle.state.targetTemperature = 0;
+        ctx.setStatus('ready');
+        return { message: 'Kettle stopped' };
+      }
+    }
+  }
+});
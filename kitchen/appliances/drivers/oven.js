@@ -0,0 +1,67 @@
+/**
+ * Oven driver
+ * - Preheats to a target temperature in bake, roast, broil or grill mode
+ */
+
+const { registerDriver } = require('../registry');
+
+registerDriver({
+  type: 'OVEN',
+  key: 'oven',
+  label: 'Smart Oven',
+  brand: 'Samsung',
+  capabilities: ['preheat', 'bake', 'roast', 'broil', 'grill'],
+  gasMarks: true,
+  simulation: {
+    heatRate: 0.6,
+    coolingRate: 0.0015,
+    doorLossFactor: 5,
+    maxTemperature: 320
+  },
+  initialState: () => ({
+    targetTemperature: 0,
+    mode: 'off',
+    doorOpen: false
+  }),
+  commands: {
+    preheat: {
+      description: 'Heat the oven to a target temperature',
+      heats: true,
+      completionEvent: 'oven_preheated',
+      params: {
+        temperature: { type: 'number', min: 50, max: 300, unit: '°C', required: true },
+        mode: { type: 'string', enum: ['bake', 'roast', 'broil', 'grill'], default: 'bake' }
+      },
+      run(oven, { temperature, mode }, ctx) {
+        const { state } = oven;
+        ctx.cancelActivity();
+        ctx.setStatus('preheating');
+        state.targetTemperature = temperature;
+        state.mode = mode;
+
+        ctx.when(() => state.temperature >= temperature - 1, () => {
+          ctx.setStatus('ready');
+          ctx.emit('oven_preheated', {
+            temperature: state.temperature,
+            mode: state.mode
+          });
+        });
+
+        return {
+          message: `Oven preheating to ${ctx.formatTemperature(temperature)} in ${mode} mode`,
+          estimatedTime: ctx.estimateHeatMinutes(temperature)
+        };
+      }
+    },
+    off: {
+      description: 'Turn the oven off and let it cool down',
+      run(oven, params, ctx) {
+        ctx.cancelActivity();
+        oven.state.targetTemperature = 0;
+        oven.state.mode = 'off';
+        ctx.setStatus('ready');
+        return { message: 'Oven turned off' };
+      }
+    }
+  }
+});
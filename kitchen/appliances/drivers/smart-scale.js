@@ -0,0 +1,55 @@
+/**
+ * Smart scale driver
+ * - Reports weight, with tare and unit selection
+ */
+
+const { registerDriver } = require('../registry');
+
+registerDriver({
+  type: 'SMART_SCALE',
+  key: 'smart_scale',
+  label: 'Smart Kitchen Scale',
+  brand: 'Etekcity',
+  capabilities: ['weigh', 'tare'],
+  initialState: () => ({
+    weight: 0,
+    tareOffset: 0,
+    unit: 'g'
+  }),
+  commands: {
+    weigh: {
+      description: 'Report the weight on the scale (set `weight` in grams to simulate a reading)',
+      params: {
+        weight: { type: 'number', min: 0, max: 10000, unit: ' g' }
+      },
+      run(scale, { weight }, ctx) {
+        const { state } = scale;
+        if (weight !== undefined) state.weight = weight;
+
+        const net = state.weight - state.tareOffset;
+        const reading = state.unit === 'oz' ? Math.round(net / 28.3495 * 10) / 10 : net;
+        ctx.emit('scale_reading', { weight: reading, unit: state.unit });
+
+        return { weight: reading, unit: state.unit };
+      }
+    },
+    tare: {
+      description: 'Zero the scale with the current load',
+      run(scale, params, ctx) {
+        scale.state.tareOffset = scale.state.weight;
+        ctx.emit('scale_tared', {});
+        return { message: 'Scale tared' };
+      }
+    },
+    set_unit: {
+      description: 'Report weights in grams or ounces',
+      params: {
+        unit: { type: 'string', enum: ['g', 'oz'], required: true }
+      },
+      run(scale, { unit }) {
+        scale.state.unit = unit;
+        return { message: `Scale unit set to ${unit}` };
+      }
+    }
+  }
+});
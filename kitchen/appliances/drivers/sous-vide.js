@@ -0,0 +1,58 @@
+/**
+ * Sous-vide stick driver
+ * - Holds a water bath at a precise temperature
+ */
+
+const { registerDriver } = require('../registry');
+
+registerDriver({
+  type: 'SOUS_VIDE',
+  key: 'sous_vide',
+  label: 'Sous-Vide Stick',
+  brand: 'Anova',
+  capabilities: ['water_bath', 'timer'],
+  simulation: {
+    heatRate: 0.05,
+    coolingRate: 0.0003,
+    boilingPoint: 100,
+    maxTemperature: 99
+  },
+  initialState: () => ({
+    targetTemperature: 0
+  }),
+  commands: {
+    start: {
+      description: 'Heat the water bath and hold it at a temperature',
+      heats: true,
+      completionEvent: 'sous_vide_ready',
+      params: {
+        temperature: { type: 'number', min: 40, max: 95, unit: '°C', required: true }
+      },
+      run(sousVide, { temperature }, ctx) {
+        const { state } = sousVide;
+        ctx.cancelActivity();
+        ctx.setStatus('heating');
+        state.targetTemperature = temperature;
+
+        ctx.when(() => state.temperature >= temperature - 1, () => {
+          ctx.setStatus('holding');
+          ctx.emit('sous_vide_ready', { temperature: state.temperature });
+        });
+
+        return {
+          message: `Water bath heating to ${ctx.formatTemperature(temperature)}`,
+          estimatedTime: ctx.estimateHeatMinutes(temperature)
+        };
+      }
+    },
+    stop: {
+      description: 'Stop heating the water bath',
+      run(sousVide, params, ctx) {
+        ctx.cancelActivity();
+        sousVide.state.targetTemperature = 0;
+        ctx.setStatus('ready');
+        return { message: 'Sous-vide stopped' };
+      }
+    }
+  }
+});
@@ -0,0 +1,15 @@
+/**
+ * Appliances
+ * - Loads every bundled driver so it registers itself
+ * - Re-exports the registry
+ */
+
+require('./drivers/oven');
+require('./drivers/autocooker');
+require('./drivers/air-fryer');
+require('./drivers/sous-vide');
+require('./drivers/kettle');
+require('./drivers/induction-hob');
+require('./drivers/smart-scale');
+
+module.exports = require('./registry');
@@ -0,0 +1,531 @@
+/**
+ * Appliance Registry
+ * - Drivers describe a device type: capabilities, commands, state and events
+ * - Driver modules call `registerDriver` when they are loaded
+ * - The appliance manager holds the appliances in the kitchen and runs their commands
+ * - Each appliance belongs to a household; lookups by type stay within one
+ * - Configured limits narrow a driver's parameter ranges and release times,
+ *   per device type and per device model
+ */
+
+const {
+  FAULT_TYPES,
+  createPhysics,
+  estimateHeatMinutes,
+  startRelease,
+  stepPhysics
+} = require('./simulator');
+const { createClock } = require('../clock');
+const {
+  GAS_MARKS,
+  convertTemperatureFields,
+  formatTemperature,
+  fromCelsius,
+  roundTemperature,
+  toCelsius
+} = require('../units');
+
+const drivers = new Map();
+
+// Raised for unknown appliances, unsupported commands and bad parameters
+class ApplianceError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ApplianceError';
+    this.code = code; // not_found | unknown_type | unsupported_command | invalid_params | offline | fault | busy | conflict
+  }
+}
+
+// Register a device type. A driver looks like:
+// {
+//   type: 'OVEN', key: 'oven', label: 'Smart Oven', brand: 'Samsung',
+//   capabilities: ['preheat', ...],
+//   gasMarks: true,                                // optional, temperatures may be set by gas mark
+//   initialState: () => ({ targetTemperature: 0 }),
+//   simulation: { heatRate, coolingRate, ... },   // optional, see simulator.js
+//   commands: {
+//     preheat: {
+//       description: '...',
+//       completionEvent: 'oven_preheated',   // optional, emitted when the command's work is done
+//       heats: true,                         // turns on heat: only users allowed to cook may run it
+//       params: { temperature: { type: 'number', min: 50, max: 300, unit: '°C', required: true } },
+//       run(appliance, params, ctx) { ... return result; }
+//     }
+//   }
+// }
+function registerDriver(driver) {
+  if (!driver.type || !driver.key || !driver.commands) {
+    throw new Error('Appliance drivers need a type, key and commands');
+  }
+  if (drivers.has(driver.type)) {
+    throw new Error(`Appliance driver already registered: ${driver.type}`);
+  }
+  drivers.set(driver.type, driver);
+}
+
+function getDriver(type) {
+  return drivers.get(type) || null;
+}
+
+function listDrivers() {
+  return Array.from(drivers.values()).map(driver => ({
+    type: driver.type,
+    key: driver.key,
+    label: driver.label,
+    capabilities: driver.capabilities || [],
+    commands: Object.keys(driver.commands),
+    heatingCommands: Object.keys(driver.commands).filter(command => driver.commands[command].heats)
+  }));
+}
+
+// Whether a command turns on heat on an appliance of `type`
+function commandHeats(type, command) {
+  const driver = drivers.get(type);
+  return Boolean(driver && driver.commands[command] && driver.commands[command].heats);
+}
+
+// Temperature unit a caller's preferences ({ temperature, ovenTemperature }) mean for a driver
+function temperatureUnitFor(driver, units = {}) {
+  return (driver.gasMarks ? units.ovenTemperature : units.temperature) || 'C';
+}
+
+// "50-300°C", "122-572°F", "gas mark 0.25-10"
+function describeRange(rule, temperatureUnit) {
+  if (rule.unit !== '°C' || temperatureUnit === 'C') {
+    return `${rule.min}-${rule.max}${rule.unit || ''}`;
+  }
+  const bound = celsius => roundTemperature(fromCelsius(celsius, temperatureUnit), temperatureUnit);
+  if (temperatureUnit === 'gas') {
+    return `gas mark ${bound(rule.min) ?? GAS_MARKS[0].mark}-${bound(rule.max)}`;
+  }
+  return `${bound(rule.min)}-${bound(rule.max)}°${temperatureUnit}`;
+}
+
+// Check command parameters against a driver's parameter spec, applying defaults.
+// °C parameters are read in `temperatureUnit` and converted to °C.
+function validateParams(spec = {}, params = {}, { temperatureUnit = 'C' } = {}) {
+  const values = {};
+
+  Object.entries(spec).forEach(([name, rule]) => {
+    const value = params[name];
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        throw new ApplianceError('invalid_params', `Missing ${name}`);
+      }
+      if (rule.default !== undefined) values[name] = rule.default;
+      return;
+    }
+
+    let checked = value;
+    if (rule.type === 'number') {
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        throw new ApplianceError('invalid_params', `Invalid ${name} (must be a number)`);
+      }
+      // A tenth of a degree keeps 400°F reading back as 400°F
+      if (rule.unit === '°C' && temperatureUnit !== 'C') checked = Math.round(toCelsius(value, temperatureUnit) * 10) / 10;
+      if ((rule.min !== undefined && checked < rule.min) || (rule.max !== undefined && checked > rule.max)) {
+        throw new ApplianceError('invalid_params', `Invalid ${name} (${describeRange(rule, temperatureUnit)})`);
+      }
+    } else if (rule.type === 'string' && typeof value !== 'string') {
+      throw new ApplianceError('invalid_params', `Invalid ${name} (must be a string)`);
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      throw new ApplianceError('invalid_params', `Invalid ${name} (one of: ${rule.enum.join(', ')})`);
+    }
+
+    values[name] = checked;
+  });
+
+  return values;
+}
+
+// A command's parameter spec with an appliance's configured { min, max } ranges applied
+function applyLimits(spec = {}, applianceLimits = {}) {
+  return Object.fromEntries(Object.entries(spec).map(([name, rule]) => {
+    const range = applianceLimits[name];
+    return [name, rule.type === 'number' && range && typeof range === 'object' ? { ...rule, ...range } : rule];
+  }));
+}
+
+// Create the set of appliances in the kitchen; events go out through `broadcast(type, data)`.
+// Virtual appliances are simulated on a single tick loop every `tickMs` of `clock` time.
+// `limits` (by device type) and `modelLimits` (by model) are the configured appliance limits.
+function createApplianceManager({
+  broadcast,
+  ambientTemperature = 20,
+  tickMs = 1000,
+  clock = createClock(),
+  limits = {},
+  modelLimits = {}
+}) {
+  const appliances = new Map();
+  let ambient = ambientTemperature;
+  let tickLoop = null;
+
+  // An appliance's limits: its type's, with its model's on top
+  function limitsFor(appliance) {
+    const merged = { ...(limits[appliance.type] || {}) };
+    Object.entries((appliance.model && modelLimits[appliance.model]) || {}).forEach(([name, value]) => {
+      merged[name] = typeof value === 'object' && typeof merged[name] === 'object' ? { ...merged[name], ...value } : value;
+    });
+    return merged;
+  }
+
+  function announceStatus(appliance) {
+    appliance.lastUpdate = clock.date();
+    broadcast('device_status', {
+      applianceId: appliance.id,
+      applianceKey: appliance.key,
+      deviceName: appliance.name,
+      status: appliance.status
+    });
+  }
+
+  // Helpers handed to driver commands, scoped to one appliance
+  function createContext(appliance, temperatureUnit = 'C') {
+    return {
+      emit(type, data = {}) {
+        broadcast(type, {
+          applianceId: appliance.id,
+          applianceKey: appliance.key,
+          ...data
+        });
+      },
+      setStatus(status) {
+        if (appliance.status === status) return;
+        appliance.status = status;
+        announceStatus(appliance);
+      },
+      // Run `fn` once, after the simulation tick where `condition()` first holds
+      when(condition, fn) {
+        appliance.watchers.push({ condition, fn });
+      },
+      after(delayMs, fn) {
+        const handle = clock.setTimeout(() => {
+          appliance.lastUpdate = clock.date();
+          fn();
+        }, delayMs);
+        appliance.activity.push(() => clock.clearTimeout(handle));
+      },
+      // Minutes to heat up to a temperature under the current conditions
+      estimateHeatMinutes(target) {
+        const model = getDriver(appliance.type).simulation;
+        return model ? estimateHeatMinutes(appliance, model, target, ambient) : 0;
+      },
+      // A °C temperature as the caller asked for it, for command messages
+      formatTemperature(celsius) {
+        return formatTemperature(celsius, temperatureUnit);
+      },
+      startRelease(mode) {
+        const { depressurizeSeconds, quickReleaseSeconds } = limitsFor(appliance);
+        startRelease(appliance, {
+          ...getDriver(appliance.type).simulation.pressure,
+          ...(depressurizeSeconds !== undefined && { depressurizeSeconds }),
+          ...(quickReleaseSeconds !== undefined && { quickReleaseSeconds })
+        }, mode);
+      },
+      // Stop whatever the appliance is currently doing
+      cancelActivity() {
+        appliance.activity.forEach(cancel => cancel());
+        appliance.activity = [];
+        appliance.watchers = [];
+      }
+    };
+  }
+
+  // Advance every simulated appliance by one tick and fire any watchers that are due
+  function tick(dt = tickMs / 1000) {
+    appliances.forEach(appliance => {
+      const model = getDriver(appliance.type).simulation;
+      if (!model) return;
+
+      stepPhysics(appliance, model, dt, ambient);
+
+      // Safety cutoff
+      if (appliance.physics.temperature > model.maxTemperature && appliance.status !== 'error') {
+        createContext(appliance).cancelActivity();
+        appliance.state.targetTemperature = 0;
+        appliance.status = 'error';
+        announceStatus(appliance);
+        broadcast('appliance_overheat', {
+          applianceId: appliance.id,
+          applianceKey: appliance.key,
+          temperature: Math.round(appliance.physics.temperature),
+          maxTemperature: model.maxTemperature
+        });
+      }
+
+      const due = appliance.watchers.filter(watcher => watcher.condition());
+      appliance.watchers = appliance.watchers.filter(watcher => !due.includes(watcher));
+      due.forEach(watcher => watcher.fn());
+    });
+  }
+
+  function start() {
+    if (!tickLoop) tickLoop = clock.setInterval(() => tick(), tickMs);
+  }
+
+  function stop() {
+    clock.clearInterval(tickLoop);
+    tickLoop = null;
+    appliances.forEach(appliance => createContext(appliance).cancelActivity());
+  }
+
+  // `oven_01`, `oven_02`, ... skipping IDs already taken
+  function nextApplianceId(driver) {
+    let number = listAppliances().filter(appliance => appliance.type === driver.type).length + 1;
+    while (appliances.has(`${driver.key}_${String(number).padStart(2, '0')}`)) number++;
+    return `${driver.key}_${String(number).padStart(2, '0')}`;
+  }
+
+  function addAppliance({ id, type, name, brand, model, householdId = null }) {
+    const driver = getDriver(type);
+    if (!driver) {
+      throw new ApplianceError('unknown_type', `Unknown appliance type: ${type}`);
+    }
+
+    const applianceId = id || nextApplianceId(driver);
+    if (appliances.has(applianceId)) {
+      throw new ApplianceError('conflict', `Appliance already exists: ${applianceId}`);
+    }
+
+    const appliance = {
+      id: applianceId,
+      key: driver.key,
+      type: driver.type,
+      name: name || driver.label,
+      brand: brand || driver.brand || 'Generic',
+      model: model || null,
+      householdId,
+      status: 'ready',
+      isConnected: true,
+      lastUpdate: clock.date(),
+      state: driver.initialState ? driver.initialState() : {},
+      physics: createPhysics(ambient),
+      faults: new Set(),
+      statusBeforeFault: null,
+      activity: [],
+      watchers: []
+    };
+    if (driver.simulation) appliance.state.temperature = Math.round(ambient);
+
+    appliances.set(appliance.id, appliance);
+    console.log(`🔌 Appliance added: ${appliance.name} (${appliance.id})`);
+    return appliance;
+  }
+
+  function removeAppliance(applianceId) {
+    const appliance = appliances.get(applianceId);
+    if (!appliance) return false;
+
+    createContext(appliance).cancelActivity();
+    appliances.delete(applianceId);
+    console.log(`🔌 Appliance removed: ${appliance.name} (${appliance.id})`);
+    return true;
+  }
+
+  function getAppliance(applianceId) {
+    return appliances.get(applianceId) || null;
+  }
+
+  // Every appliance, or only one household's
+  function listAppliances({ householdId } = {}) {
+    return Array.from(appliances.values())
+      .filter(appliance => householdId === undefined || appliance.householdId === householdId);
+  }
+
+  // First appliance of a device type (in a household), for routes that address "the oven"
+  function findByType(type, householdId) {
+    return listAppliances({ householdId }).find(appliance => appliance.type === type) || null;
+  }
+
+  // Hand an appliance to a household
+  function assignAppliance(applianceId, householdId) {
+    const appliance = requireAppliance(applianceId);
+    appliance.householdId = householdId;
+    return appliance;
+  }
+
+  // Check a command and its params against an appliance without running it;
+  // returns the params as the command would get them
+  function checkCommand(applianceId, command, params = {}, { units } = {}) {
+    const appliance = requireAppliance(applianceId);
+    const driver = getDriver(appliance.type);
+    const definition = driver.commands[command];
+    if (!definition) {
+      throw new ApplianceError('unsupported_command', `${appliance.name} does not support '${command}'`);
+    }
+    return validateParams(applyLimits(definition.params, limitsFor(appliance)), params, {
+      temperatureUnit: temperatureUnitFor(driver, units)
+    });
+  }
+
+  // Run a driver command against an appliance; `units` are the caller's
+  // unit preferences, used to read and report temperatures
+  function runCommand(applianceId, command, params = {}, { units } = {}) {
+    const values = checkCommand(applianceId, command, params, { units });
+    const appliance = requireAppliance(applianceId);
+    const driver = getDriver(appliance.type);
+    const definition = driver.commands[command];
+    if (!appliance.isConnected) {
+      throw new ApplianceError('offline', `${appliance.name} is offline`);
+    }
+    if (appliance.status === 'error') {
+      throw new ApplianceError('fault', `${appliance.name} has a fault (${[...appliance.faults].join(', ') || 'overheat'})`);
+    }
+
+    const temperatureUnit = temperatureUnitFor(driver, units);
+    const result = definition.run(appliance, values, createContext(appliance, temperatureUnit));
+    appliance.lastUpdate = clock.date();
+
+    console.log(`🔧 ${appliance.name}: ${command}`, values);
+    return result || {};
+  }
+
+  function requireAppliance(applianceId) {
+    const appliance = appliances.get(applianceId);
+    if (!appliance) {
+      throw new ApplianceError('not_found', `Appliance not found: ${applianceId}`);
+    }
+    return appliance;
+  }
+
+  // Simulate a failure: `disconnect`, `sensor_error` or `overheat`
+  function injectFault(applianceId, fault) {
+    const appliance = requireAppliance(applianceId);
+    if (!FAULT_TYPES.includes(fault)) {
+      throw new ApplianceError('invalid_params', `Invalid fault (one of: ${FAULT_TYPES.join(', ')})`);
+    }
+    if (appliance.faults.has(fault)) return appliance;
+
+    if (appliance.faults.size === 0) appliance.statusBeforeFault = appliance.status;
+    appliance.faults.add(fault);
+
+    if (fault === 'disconnect') {
+      appliance.isConnected = false;
+      appliance.status = 'offline';
+    } else if (fault === 'sensor_error') {
+      createContext(appliance).cancelActivity();
+      appliance.status = 'error';
+    }
+
+    console.log(`💥 Fault injected on ${appliance.name}: ${fault}`);
+    announceStatus(appliance);
+    broadcast('appliance_fault', {
+      applianceId: appliance.id,
+      applianceKey: appliance.key,
+      fault,
+      faults: [...appliance.faults]
+    });
+    return appliance;
+  }
+
+  function clearFault(applianceId, fault) {
+    const appliance = requireAppliance(applianceId);
+    if (!appliance.faults.delete(fault)) return appliance;
+
+    if (fault === 'disconnect') appliance.isConnected = true;
+    if (appliance.faults.size === 0) {
+      appliance.status = appliance.status === 'error' ? 'ready' : appliance.statusBeforeFault || 'ready';
+      appliance.statusBeforeFault = null;
+    }
+
+    console.log(`🩹 Fault cleared on ${appliance.name}: ${fault}`);
+    announceStatus(appliance);
+    broadcast('appliance_fault_cleared', {
+      applianceId: appliance.id,
+      applianceKey: appliance.key,
+      fault,
+      faults: [...appliance.faults]
+    });
+    return appliance;
+  }
+
+  // Open or close a door or lid, letting heat out faster while open
+  function setDoor(applianceId, open) {
+    const appliance = requireAppliance(applianceId);
+    const model = getDriver(appliance.type).simulation;
+    if (!model || !model.doorLossFactor) {
+      throw new ApplianceError('unsupported_command', `${appliance.name} has no door`);
+    }
+
+    appliance.state.doorOpen = open;
+    createContext(appliance).emit(open ? 'door_opened' : 'door_closed', {});
+    return appliance;
+  }
+
+  // Minutes an appliance would take to heat up to a °C temperature, from where it
+  // is now or (`cold`) from room temperature, for planning ahead
+  function estimateHeat(applianceId, temperature, { cold = false } = {}) {
+    const appliance = requireAppliance(applianceId);
+    const model = getDriver(appliance.type).simulation;
+    if (!model) return 0;
+    const from = cold ? { physics: createPhysics(ambient) } : appliance;
+    return estimateHeatMinutes(from, model, temperature, ambient);
+  }
+
+  function setAmbientTemperature(temperature) {
+    ambient = temperature;
+  }
+
+  function getAmbientTemperature() {
+    return ambient;
+  }
+
+  return {
+    start,
+    stop,
+    tick,
+    injectFault,
+    clearFault,
+    setDoor,
+    setAmbientTemperature,
+    getAmbientTemperature,
+    addAppliance,
+    removeAppliance,
+    getAppliance,
+    listAppliances,
+    findByType,
+    assignAppliance,
+    estimateHeat,
+    checkCommand,
+    runCommand
+  };
+}
+
+// Public view of an appliance (no activity handles), temperatures in the caller's units
+function describeAppliance(appliance, units) {
+  const driver = getDriver(appliance.type);
+  const temperatureUnit = temperatureUnitFor(driver, units);
+
+  return {
+    id: appliance.id,
+    name: appliance.name,
+    type: appliance.type,
+    brand: appliance.brand,
+    model: appliance.model,
+    householdId: appliance.householdId,
+    status: appliance.status,
+    isConnected: appliance.isConnected,
+    lastUpdate: appliance.lastUpdate,
+    features: driver.capabilities || [],
+    commands: Object.keys(driver.commands),
+    state: convertTemperatureFields(appliance.state, temperatureUnit),
+    temperatureUnit,
+    faults: [...appliance.faults]
+  };
+}
+
+module.exports = {
+  ApplianceError,
+  registerDriver,
+  getDriver,
+  listDrivers,
+  commandHeats,
+  validateParams,
+  temperatureUnitFor,
+  createApplianceManager,
+  describeAppliance
+};
@@ -0,0 +1,115 @@
+/**
+ * Appliance Simulator
+ * - Thermal model: heater power against Newton cooling towards ambient,
+ *   with extra losses while the door is open
+ * - Pressure model: builds once contents boil, natural or quick release
+ * - Fault injection: disconnect, sensor error and overheat
+ *
+ * Drivers describe their physics with a `simulation` block:
+ *   {
+ *     heatRate: 0.6,          // °C per second with the heater on
+ *     coolingRate: 0.0015,    // fraction of (temperature - ambient) lost per second
+ *     doorLossFactor: 8,      // cooling multiplier while the door is open
+ *     maxTemperature: 320,    // safety cutoff
+ *     boilingPoint: 100,      // contents can't get hotter (water)
+ *     pressure: { buildRate: 0.1, depressurizeSeconds: 30, quickReleaseSeconds: 5 }
+ *   }
+ */
+
+const FAULT_TYPES = ['disconnect', 'sensor_error', 'overheat'];
+
+// Water boils about 1.6°C hotter per PSI of pressure
+const BOILING_POINT_PER_PSI = 1.6;
+
+// Hidden physical state the sensors report from
+function createPhysics(ambientTemperature) {
+  return {
+    temperature: ambientTemperature,
+    heaterOn: false
+  };
+}
+
+// Temperature the contents can't exceed right now
+function boilingPoint(model, appliance) {
+  if (appliance.faults.has('overheat')) return Infinity; // boiled dry
+  if (model.pressure) return 100 + BOILING_POINT_PER_PSI * (appliance.state.pressure || 0);
+  return model.boilingPoint || Infinity;
+}
+
+// Advance one appliance's physics by `dt` seconds
+function stepPhysics(appliance, model, dt, ambientTemperature) {
+  const { physics, state, faults } = appliance;
+  const target = state.targetTemperature || 0;
+
+  // Thermostat with 1°C of hysteresis. An appliance in error (sensor fault or
+  // safety cutoff) has its heater off; an overheat fault leaves it stuck on.
+  if (appliance.status === 'error') {
+    physics.heaterOn = false;
+  } else if (faults.has('overheat')) {
+    physics.heaterOn = true;
+  } else if (target <= 0 || state.releasing) {
+    physics.heaterOn = false;
+  } else if (physics.temperature < target - 1) {
+    physics.heaterOn = true;
+  } else if (physics.temperature >= target) {
+    physics.heaterOn = false;
+  }
+
+  const lossFactor = state.doorOpen ? (model.doorLossFactor || 1) : 1;
+  const gain = physics.heaterOn ? model.heatRate : 0;
+  const loss = model.coolingRate * (physics.temperature - ambientTemperature) * lossFactor;
+
+  physics.temperature = Math.min(
+    physics.temperature + (gain - loss) * dt,
+    Math.max(boilingPoint(model, appliance), ambientTemperature)
+  );
+
+  if (model.pressure) stepPressure(appliance, model.pressure, dt);
+
+  // Sensors report whole degrees, or nothing at all with a sensor fault
+  state.temperature = faults.has('sensor_error') ? null : Math.round(physics.temperature);
+}
+
+// Build pressure while boiling towards the target, or bleed it off while releasing
+function stepPressure(appliance, pressureModel, dt) {
+  const { physics, state } = appliance;
+
+  if (state.releasing) {
+    state.pressure = Math.max(state.pressure - state.releaseRate * dt, 0);
+    if (state.pressure === 0) state.releasing = null;
+  } else if (state.targetPressure > 0 && physics.temperature >= 100 + BOILING_POINT_PER_PSI * state.pressure - 0.5) {
+    state.pressure = Math.min(state.pressure + pressureModel.buildRate * dt, state.targetPressure);
+  }
+
+  state.pressure = Math.round(state.pressure * 100) / 100;
+}
+
+// Start letting pressure out: `natural` takes depressurizeSeconds, `quick` quickReleaseSeconds
+function startRelease(appliance, pressureModel, mode = 'natural') {
+  const seconds = mode === 'quick' ? pressureModel.quickReleaseSeconds : pressureModel.depressurizeSeconds;
+  appliance.state.releasing = mode;
+  appliance.state.targetPressure = 0;
+  appliance.state.releaseRate = appliance.state.pressure > 0 ? appliance.state.pressure / seconds : 1;
+}
+
+// Minutes to reach a temperature with the door shut, null if it never gets there
+function estimateHeatMinutes(appliance, model, target, ambientTemperature) {
+  const current = appliance.physics.temperature;
+  if (current >= target) return 0;
+
+  // Newton heating: T(t) = Teq + (T0 - Teq)·e^(-kt)
+  const k = model.coolingRate;
+  const equilibrium = ambientTemperature + model.heatRate / k;
+  if (target >= equilibrium) return null;
+
+  const seconds = Math.log((equilibrium - current) / (equilibrium - target)) / k;
+  return Math.ceil(seconds / 60);
+}
+
+module.exports = {
+  FAULT_TYPES,
+  createPhysics,
+  stepPhysics,
+  startRelease,
+  estimateHeatMinutes
+};
@@ -0,0 +1,368 @@
+/**
+ * Accounts & Authentication
+ * - People register and log in with a username and password (scrypt-hashed);
+ *   logging in issues an opaque bearer token that expires
+ * - API keys for devices (the Android app, a tablet on the wall) act for the
+ *   user who made them, with that user's role or a lower one
+ * - Every account belongs to one household (households.js) and has a role in
+ *   it; roles grant permissions: a guest can `read` status and `use` the
+ *   kitchen without heat (favorites, meal plans and timers, switching things
+ *   off), a member can also `cook` (start recipes, heat appliances), an owner
+ *   can also `manage` (appliances, members, invites, simulation)
+ * - A household always keeps an owner while anyone is in it
+ * - Each person keeps their own dietary preferences
+ * - `authenticateRequests()` and `allow()` are the Express side: the first reads
+ *   the caller's credentials, the second guards a route with a permission
+ */
+
+const crypto = require('crypto');
+const { createClock } = require('./clock');
+
+const ROLES = ['guest', 'member', 'owner'];
+
+const ROLE_PERMISSIONS = {
+  guest: ['read', 'use'],
+  member: ['read', 'use', 'cook'],
+  owner: ['read', 'use', 'cook', 'manage']
+};
+
+const TOKEN_PREFIX = 'kt_';
+const API_KEY_PREFIX = 'kk_';
+const TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Raised for failed logins, missing permissions and bad account requests
+class AuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code; // unauthorized | forbidden | invalid_params | conflict | not_found | invalid_state
+  }
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `scrypt$${salt}$${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [, salt, hash] = String(stored).split('$');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Tokens and keys are stored as hashes, so a copy of the data file can't log in
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret(prefix) {
+  return `${prefix}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// The lower of two roles
+function lowerRole(a, b) {
+  return ROLES[Math.min(ROLES.indexOf(a), ROLES.indexOf(b))];
+}
+
+// Roles that have a permission ("member, owner"), for error messages and docs
+function rolesWith(permission) {
+  return ROLES.filter(role => ROLE_PERMISSIONS[role].includes(permission));
+}
+
+function can(principal, permission) {
+  return Boolean(principal) && (ROLE_PERMISSIONS[principal.role] || []).includes(permission);
+}
+
+// Whether someone may see or change a record that belongs to a user: their own,
+// or, for owners, anyone's in their household
+function canAccess(principal, record) {
+  return Boolean(record) && Boolean(principal) && (record.userId === principal.id ||
+    (can(principal, 'manage') && record.householdId === principal.householdId));
+}
+
+// A user as the API shows them (no password hash)
+function describeUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName,
+    householdId: user.householdId || null,
+    role: user.role,
+    preferences: user.preferences || { diets: [] },
+    createdAt: user.createdAt
+  };
+}
+
+function describeApiKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    role: key.role,
+    prefix: key.prefix,
+    createdAt: key.createdAt
+  };
+}
+
+// Create accounts over `storage` (`users`, `authTokens` and `apiKeys` collections)
+function createAuth({ storage, clock = createClock(), tokenTtlMs = TOKEN_TTL_MS }) {
+  function findByUsername(username) {
+    return storage.list('users', user => user.username === username)[0] || null;
+  }
+
+  function requireUser(userId) {
+    const user = storage.get('users', userId);
+    if (!user) throw new AuthError('not_found', 'User not found');
+    return user;
+  }
+
+  function issueToken(user) {
+    const token = newSecret(TOKEN_PREFIX);
+    const expiresAt = new Date(clock.now() + tokenTtlMs);
+    storage.insert('authTokens', {
+      id: hashSecret(token),
+      userId: user.id,
+      createdAt: clock.date(),
+      expiresAt
+    });
+    return { user: describeUser(user), token, expiresAt };
+  }
+
+  // New account: { username, password, displayName }. It joins a household
+  // (and gets its role there) through `joinHousehold()`.
+  function register({ username, password, displayName }) {
+    const name = username.trim().toLowerCase();
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      throw new AuthError('invalid_params', `Password is too short (at least ${MIN_PASSWORD_LENGTH} characters)`);
+    }
+    if (findByUsername(name)) {
+      throw new AuthError('conflict', `Username ${name} is taken`);
+    }
+
+    const user = storage.insert('users', {
+      id: `user_${crypto.randomBytes(6).toString('hex')}`,
+      username: name,
+      displayName: (displayName || '').trim() || name,
+      householdId: null,
+      role: 'guest',
+      preferences: { diets: [] },
+      passwordHash: hashPassword(password),
+      createdAt: clock.date()
+    });
+    console.log(`👤 Registered ${user.username}`);
+    return issueToken(user);
+  }
+
+  function login({ username, password }) {
+    const user = findByUsername(username.trim().toLowerCase());
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      throw new AuthError('unauthorized', 'Wrong username or password');
+    }
+    return issueToken(user);
+  }
+
+  function logout(token) {
+    return storage.remove('authTokens', hashSecret(token));
+  }
+
+  // Who a token or API key belongs to: the user, with the role they act with
+  // and how they signed in. Throws `unauthorized` for anything unknown or expired.
+  function authenticate(secret) {
+    const hash = hashSecret(String(secret));
+
+    if (String(secret).startsWith(API_KEY_PREFIX)) {
+      const key = storage.list('apiKeys', entry => entry.hash === hash)[0];
+      const user = key && storage.get('users', key.userId);
+      if (!user) throw new AuthError('unauthorized', 'Unknown API key');
+      // A key never outranks its user, even after the user is demoted
+      return { ...describeUser(user), role: lowerRole(key.role, user.role), apiKeyId: key.id };
+    }
+
+    const token = storage.get('authTokens', hash);
+    const user = token && storage.get('users', token.userId);
+    if (!user) throw new AuthError('unauthorized', 'Unknown or revoked token');
+    if (new Date(token.expiresAt).getTime() <= clock.now()) {
+      storage.remove('authTokens', hash);
+      throw new AuthError('unauthorized', 'Token expired, log in again');
+    }
+    return describeUser(user);
+  }
+
+  // Accounts, oldest first; `householdId` narrows them to one household's members
+  function listUsers({ householdId } = {}) {
+    return storage.list('users', user => householdId === undefined || user.householdId === householdId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(describeUser);
+  }
+
+  function getUser(userId) {
+    return describeUser(requireUser(userId));
+  }
+
+  // The only owner of a household others still belong to can't step down
+  function checkOwnerStays(user, message) {
+    if (user.role !== 'owner' || !user.householdId) return;
+    const members = storage.list('users', entry => entry.householdId === user.householdId);
+    const owners = members.filter(entry => entry.role === 'owner');
+    if (owners.length === 1 && members.length > 1) {
+      throw new AuthError('invalid_state', message);
+    }
+  }
+
+  // Give someone a role in their household
+  function setRole(userId, role) {
+    const user = requireUser(userId);
+    if (role !== 'owner') {
+      checkOwnerStays(user, 'The household needs an owner; make someone else owner first');
+    }
+    console.log(`👤 ${user.username} is now ${role}`);
+    return describeUser(storage.update('users', userId, { role }));
+  }
+
+  // Throws unless someone can move out of their household
+  function checkCanLeave(userId) {
+    checkOwnerStays(requireUser(userId), 'The household needs an owner; make someone else owner before leaving');
+  }
+
+  // Move someone into a household with a role. Returns the user and the
+  // household they left (null for a new account).
+  function joinHousehold(userId, { householdId, role }) {
+    const user = requireUser(userId);
+    checkCanLeave(userId);
+    console.log(`🏠 ${user.username} joined household ${householdId} as ${role}`);
+    return {
+      user: describeUser(storage.update('users', userId, { householdId, role })),
+      previousHouseholdId: user.householdId || null
+    };
+  }
+
+  // Dietary preferences: { diets: ['vegetarian', 'gluten free'] }
+  function setPreferences(userId, preferences) {
+    const user = requireUser(userId);
+    return describeUser(storage.update('users', userId, {
+      preferences: { ...(user.preferences || { diets: [] }), ...preferences }
+    }));
+  }
+
+  // API key for a device, acting for `principal` with at most the role they
+  // have now. The key itself is only returned here.
+  function createApiKey(principal, { name, role }) {
+    const userId = requireUser(principal.id).id;
+    const keyRole = role || principal.role;
+    if (ROLES.indexOf(keyRole) > ROLES.indexOf(principal.role)) {
+      throw new AuthError('forbidden', `A ${principal.role} can't make ${keyRole} API keys`);
+    }
+
+    const key = newSecret(API_KEY_PREFIX);
+    const stored = storage.insert('apiKeys', {
+      id: `key_${crypto.randomBytes(6).toString('hex')}`,
+      userId,
+      name,
+      role: keyRole,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      hash: hashSecret(key),
+      createdAt: clock.date()
+    });
+    return { apiKey: describeApiKey(stored), key };
+  }
+
+  function listApiKeys(userId) {
+    return storage.list('apiKeys', key => key.userId === userId).map(describeApiKey);
+  }
+
+  function revokeApiKey(userId, keyId) {
+    const key = storage.get('apiKeys', keyId);
+    if (!key || key.userId !== userId) {
+      throw new AuthError('not_found', 'API key not found');
+    }
+    storage.remove('apiKeys', keyId);
+  }
+
+  return {
+    register,
+    login,
+    logout,
+    authenticate,
+    listUsers,
+    getUser,
+    setRole,
+    checkCanLeave,
+    joinHousehold,
+    setPreferences,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey
+  };
+}
+
+// Credentials a request carries: `Authorization: Bearer <token or key>`, an
+// `X-API-Key` header, or (for WebSocket handshakes, where browsers can't set
+// headers) `?token=` in the URL
+function credentialsFrom(headers = {}, url = '') {
+  const authorization = headers.authorization || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+  if (headers['x-api-key']) return headers['x-api-key'];
+  const query = url.includes('?') ? new URLSearchParams(url.slice(url.indexOf('?') + 1)) : null;
+  return (query && query.get('token')) || null;
+}
+
+// Express middleware reading the caller's credentials into `req.principal`
+// (null when they sent none). Bad credentials are kept in `req.authError`
+// for `allow()` to report, so public routes still work with a stale token.
+function authenticateRequests(auth) {
+  return (req, res, next) => {
+    req.principal = null;
+    req.authError = null;
+    const secret = credentialsFrom(req.headers);
+    if (secret) {
+      try {
+        req.principal = auth.authenticate(secret);
+      } catch (error) {
+        if (!(error instanceof AuthError)) throw error;
+        req.authError = error;
+      }
+    }
+    next();
+  };
+}
+
+// Express middleware letting through callers whose role has `permission`
+function allow(permission) {
+  const middleware = (req, res, next) => {
+    if (!req.principal) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        error: req.authError ? req.authError.message : 'Log in or send an API key',
+        code: 'unauthorized'
+      });
+    }
+    if (!can(req.principal, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `Not allowed for a ${req.principal.role} (needs ${rolesWith(permission).join(' or ')})`,
+        code: 'forbidden'
+      });
+    }
+    next();
+  };
+  // Kept for whoever wants to describe the route (API docs)
+  middleware.permission = permission;
+  return middleware;
+}
+
+module.exports = {
+  AuthError,
+  ROLES,
+  ROLE_PERMISSIONS,
+  allow,
+  authenticateRequests,
+  can,
+  canAccess,
+  createAuth,
+  credentialsFrom,
+  rolesWith
+};
@@ -0,0 +1,159 @@
+/**
+ * Clock
+ * - One timer queue for cooking steps, appliance simulation and scheduling
+ * - `real` mode follows the wall clock, sped up by a time-scale factor (e.g. 60×)
+ * - `virtual` mode only moves when `advance(ms)` is called, so tests are deterministic
+ *
+ * Timers fire in due-time order (ties in creation order) in both modes.
+ */
+
+// Create a clock: { mode: 'real' | 'virtual', timeScale, startTime }
+function createClock({ mode = 'real', timeScale = 1, startTime = Date.now() } = {}) {
+  if (!['real', 'virtual'].includes(mode)) {
+    throw new Error(`Unknown clock mode: ${mode}`);
+  }
+  if (!(timeScale > 0)) {
+    throw new Error('Clock time scale must be a positive number');
+  }
+
+  const timers = new Map(); // id → { due, interval, fn }
+  let nextTimerId = 1;
+  let scale = timeScale;
+
+  // Clock time at the last anchor point, and the wall-clock time it was taken
+  let anchorTime = startTime;
+  let anchorRealTime = Date.now();
+  let pumpHandle = null;
+  let firing = false;
+
+  function now() {
+    if (mode === 'virtual') return anchorTime;
+    return anchorTime + (Date.now() - anchorRealTime) * scale;
+  }
+
+  function reanchor() {
+    anchorTime = now();
+    anchorRealTime = Date.now();
+  }
+
+  function earliestTimer() {
+    let earliest = null;
+    timers.forEach((timer, id) => {
+      if (!earliest || timer.due < earliest.timer.due) earliest = { id, timer };
+    });
+    return earliest;
+  }
+
+  // Fire every timer due at or before `until`, in order
+  function fireDue(until) {
+    firing = true;
+    try {
+      let next = earliestTimer();
+      while (next && next.timer.due <= until) {
+        const { id, timer } = next;
+
+        if (mode === 'virtual') anchorTime = timer.due;
+        if (timer.interval) {
+          timer.due += timer.interval;
+        } else {
+          timers.delete(id);
+        }
+
+        // One failing callback mustn't stop the rest (or, in real mode, the pump)
+        try {
+          timer.fn();
+        } catch (error) {
+          console.error('❌ Clock timer failed:', error);
+        }
+        next = earliestTimer();
+      }
+    } finally {
+      firing = false;
+    }
+  }
+
+  // In real mode, wake up on the wall clock when the next timer is due
+  function schedulePump() {
+    if (mode !== 'real' || firing) return;
+
+    clearTimeout(pumpHandle);
+    pumpHandle = null;
+
+    const next = earliestTimer();
+    if (!next) return;
+
+    const delay = Math.max(0, (next.timer.due - now()) / scale);
+    pumpHandle = setTimeout(() => {
+      pumpHandle = null;
+      fireDue(now());
+      schedulePump();
+    }, Math.min(delay, 2 ** 31 - 1));
+  }
+
+  function addTimer(fn, delayMs, interval) {
+    const id = nextTimerId++;
+    timers.set(id, {
+      due: now() + Math.max(0, delayMs || 0),
+      interval: interval ? Math.max(1, delayMs || 0) : null,
+      fn
+    });
+    schedulePump();
+    return id;
+  }
+
+  function clearTimer(id) {
+    if (timers.delete(id)) schedulePump();
+  }
+
+  // Move time forward, firing everything that falls due on the way
+  function advance(ms) {
+    if (!(ms >= 0)) {
+      throw new Error('Clock can only advance by a non-negative amount');
+    }
+
+    const target = now() + ms;
+    if (mode === 'real') {
+      anchorTime += ms;
+      fireDue(now());
+    } else {
+      fireDue(target);
+      anchorTime = target;
+    }
+    schedulePump();
+  }
+
+  function setTimeScale(factor) {
+    if (!(factor > 0)) {
+      throw new Error('Clock time scale must be a positive number');
+    }
+    reanchor();
+    scale = factor;
+    schedulePump();
+  }
+
+  // Drop every pending timer (used on shutdown)
+  function reset() {
+    timers.clear();
+    clearTimeout(pumpHandle);
+    pumpHandle = null;
+  }
+
+  return {
+    mode,
+    now,
+    date: () => new Date(now()),
+    setTimeout: (fn, delayMs) => addTimer(fn, delayMs, false),
+    setInterval: (fn, intervalMs) => addTimer(fn, intervalMs, true),
+    clearTimeout: clearTimer,
+    clearInterval: clearTimer,
+    advance,
+    setTimeScale,
+    getTimeScale: () => scale,
+    pendingTimers: () => timers.size,
+    reset
+  };
+}
+
+module.exports = {
+  createClock
+};
@@ -0,0 +1,269 @@
+/**
+ * Configuration
+ * - Settings come from the defaults below, then a JSON config file
+ *   (`KITCHEN_CONFIG`, or kitchen.config.json next to the server when there is
+ *   one), then environment variables; each layer overrides the one before
+ * - The result is checked at startup and a bad setting stops the server, with
+ *   every problem listed
+ * - Appliance limits (temperature and pressure ranges, release times) are set
+ *   per device type, and per device model on top of that
+ * - `redactConfig()` hides secrets, for showing the config to people
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { checkSchema } = require('./validation');
+
+const CONFIG_FILE_NAME = 'kitchen.config.json';
+const REDACTED = '[redacted]';
+
+const DEFAULTS = {
+  server: {
+    port: 3000
+  },
+  websocket: {
+    port: 8080,
+    // Serve WebSockets on the HTTP port instead of their own
+    shareHttpPort: false
+  },
+  cors: {
+    // Browsers may call the API from these origins only; the app and devices don't go through CORS
+    origins: []
+  },
+  storage: {
+    dbPath: 'data/kitchen.json',
+    recipeCachePath: 'data/recipe-cache.json'
+  },
+  clock: {
+    timeScale: 1
+  },
+  recipes: {
+    searchTtlMinutes: 60,
+    lookupTtlMinutes: 24 * 60,
+    spoonacular: {
+      apiKey: null,
+      baseUrl: null,
+      dailyPoints: 150
+    },
+    embeddings: {
+      url: null,
+      model: null
+    }
+  },
+  appliances: {
+    // By device type: a { min, max } range for a command parameter of that
+    // name, or a number of seconds for `depressurizeSeconds` / `quickReleaseSeconds`
+    limits: {
+      OVEN: { temperature: { min: 50, max: 300 } },
+      AUTOCOOKER: { pressure: { min: 5, max: 15 }, depressurizeSeconds: 30 }
+    },
+    // By device model, on top of its type's: { "Duo 6qt": { pressure: { max: 12 } } }
+    models: {}
+  }
+};
+
+// Settings people shouldn't see, as paths into the config
+const SECRETS = [
+  ['recipes', 'spoonacular', 'apiKey']
+];
+
+// Environment variable → where it goes in the config; lists are comma-separated
+const ENV_VARS = {
+  KITCHEN_PORT: { path: ['server', 'port'] },
+  KITCHEN_WS_PORT: { path: ['websocket', 'port'] },
+  KITCHEN_WS_SHARE_HTTP_PORT: { path: ['websocket', 'shareHttpPort'] },
+  KITCHEN_CORS_ORIGINS: { path: ['cors', 'origins'], list: true },
+  KITCHEN_DB_PATH: { path: ['storage', 'dbPath'] },
+  RECIPE_CACHE_PATH: { path: ['storage', 'recipeCachePath'] },
+  KITCHEN_TIME_SCALE: { path: ['clock', 'timeScale'] },
+  RECIPE_SEARCH_TTL_MINUTES: { path: ['recipes', 'searchTtlMinutes'] },
+  RECIPE_LOOKUP_TTL_MINUTES: { path: ['recipes', 'lookupTtlMinutes'] },
+  SPOONACULAR_API_KEY: { path: ['recipes', 'spoonacular', 'apiKey'] },
+  SPOONACULAR_BASE_URL: { path: ['recipes', 'spoonacular', 'baseUrl'] },
+  SPOONACULAR_DAILY_POINTS: { path: ['recipes', 'spoonacular', 'dailyPoints'] },
+  RECIPE_EMBEDDINGS_URL: { path: ['recipes', 'embeddings', 'url'] },
+  RECIPE_EMBEDDINGS_MODEL: { path: ['recipes', 'embeddings', 'model'] }
+};
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+function section(properties) {
+  return { type: 'object', properties, additionalProperties: false };
+}
+
+const port = { type: 'integer', minimum: 1, maximum: 65535 };
+const filePath = { type: 'string', minLength: 1 };
+const minutes = { type: 'number', minimum: 0, exclusiveMinimum: true };
+const optionalText = { type: 'string', minLength: 1, nullable: true };
+
+const range = {
+  type: 'object',
+  properties: { min: { type: 'number' }, max: { type: 'number' } },
+  additionalProperties: false,
+  minProperties: 1
+};
+
+// One device type's or model's limits
+const limits = {
+  type: 'object',
+  additionalProperties: {
+    anyOf: [range, { type: 'number', minimum: 0 }],
+    description: 'a { min, max } range or a number of seconds'
+  }
+};
+
+const CONFIG_SCHEMA = section({
+  server: section({ port }),
+  websocket: section({ port, shareHttpPort: { type: 'boolean' } }),
+  cors: section({ origins: { type: 'array', items: { type: 'string', format: 'uri' } } }),
+  storage: section({ dbPath: filePath, recipeCachePath: filePath }),
+  clock: section({ timeScale: { type: 'number', minimum: 0, exclusiveMinimum: true } }),
+  recipes: section({
+    searchTtlMinutes: minutes,
+    lookupTtlMinutes: minutes,
+    spoonacular: section({
+      apiKey: optionalText,
+      baseUrl: { type: 'string', format: 'uri', nullable: true },
+      dailyPoints: { type: 'integer', minimum: 1 }
+    }),
+    embeddings: section({
+      url: { type: 'string', format: 'uri', nullable: true },
+      model: optionalText
+    })
+  }),
+  appliances: section({
+    limits: { type: 'object', additionalProperties: limits },
+    models: { type: 'object', additionalProperties: limits }
+  })
+});
+
+// Raised when the config can't be read or doesn't check out
+class ConfigError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.errors = errors; // [{ path, code, message }]
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Settings from `override` replace those in `base`, section by section; lists are replaced whole
+function merge(base, override) {
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? merge(base[key], value) : value;
+  });
+  return merged;
+}
+
+function setPath(target, [key, ...rest], value) {
+  if (rest.length === 0) {
+    target[key] = value;
+    return target;
+  }
+  target[key] = target[key] || {};
+  setPath(target[key], rest, value);
+  return target;
+}
+
+function readConfigFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Can't read config file ${filePath}: ${error.message}`);
+  }
+}
+
+// Settings from environment variables, still as text
+function fromEnvironment(env) {
+  const settings = {};
+  const names = Object.keys(ENV_VARS).filter(name => env[name] !== undefined && env[name] !== '');
+  names.forEach(name => {
+    const { path: configPath, list } = ENV_VARS[name];
+    const value = list ? env[name].split(',').map(item => item.trim()).filter(Boolean) : env[name];
+    setPath(settings, configPath, value);
+  });
+  return { settings, names };
+}
+
+// Ranges that end below where they start, which the schema can't express
+function checkRanges(config) {
+  const errors = [];
+  ['limits', 'models'].forEach(group => {
+    Object.entries(config.appliances[group]).forEach(([name, entries]) => {
+      Object.entries(entries).forEach(([param, value]) => {
+        if (isPlainObject(value) && value.min !== undefined && value.max !== undefined && value.min > value.max) {
+          errors.push({
+            path: `appliances.${group}.${name}.${param}`,
+            code: 'range',
+            message: `Invalid appliances.${group}.${name}.${param} (min is above max)`
+          });
+        }
+      });
+    });
+  });
+  return errors;
+}
+
+// Load the config: defaults, then the config file, then `env`. Relative file
+// paths are read from `rootDir`. Returns { config, sources }, where `sources`
+// says which layers were applied.
+function loadConfig({ env = process.env, rootDir = process.cwd() } = {}) {
+  let config = DEFAULTS;
+  const sources = ['defaults'];
+
+  const configFile = env.KITCHEN_CONFIG
+    ? path.resolve(rootDir, env.KITCHEN_CONFIG)
+    : path.join(rootDir, CONFIG_FILE_NAME);
+  if (env.KITCHEN_CONFIG || fs.existsSync(configFile)) {
+    const fileSettings = readConfigFile(configFile);
+    if (!isPlainObject(fileSettings)) {
+      throw new ConfigError(`Config file ${configFile} must hold a JSON object`);
+    }
+    config = merge(config, fileSettings);
+    sources.push(configFile);
+  }
+
+  const { settings, names } = fromEnvironment(env);
+  if (names.length > 0) {
+    config = merge(config, settings);
+    sources.push(`environment (${names.join(', ')})`);
+  }
+
+  // Environment values are text; the check reads them as the numbers and booleans asked for
+  const { value, errors } = checkSchema(CONFIG_SCHEMA, config, { coerceStrings: true });
+  errors.push(...(errors.length === 0 ? checkRanges(value) : []));
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid configuration (${sources.join(', ')})`, errors);
+  }
+
+  value.storage = {
+    dbPath: path.resolve(rootDir, value.storage.dbPath),
+    recipeCachePath: path.resolve(rootDir, value.storage.recipeCachePath)
+  };
+  return { config: value, sources };
+}
+
+// A copy of the config with secrets hidden; unset secrets stay null
+function redactConfig(config) {
+  const copy = JSON.parse(JSON.stringify(config));
+  SECRETS.forEach(secretPath => {
+    const parent = secretPath.slice(0, -1).reduce((node, key) => (node ? node[key] : undefined), copy);
+    const key = secretPath[secretPath.length - 1];
+    if (parent && parent[key]) parent[key] = REDACTED;
+  });
+  return copy;
+}
+
+module.exports = {
+  ConfigError,
+  DEFAULTS,
+  ENV_VARS,
+  loadConfig,
+  redactConfig
+};
@@ -0,0 +1,307 @@
+/**
+ * Cooking History
+ * - Keeps every finished cooking session (completed or cancelled) in the
+ *   `sessions` collection: who cooked what, how long each step actually took
+ *   against the recipe's estimate, and where the cook strayed from the recipe
+ *   (skipped steps, going back, extra time, long pauses, blocked appliances)
+ * - Cooks can rate a session, write notes and attach photos (as URLs)
+ * - Per-user statistics: most-cooked and best-rated recipes, actual versus
+ *   estimated time, and cooking streaks in days
+ */
+
+const { createClock } = require('./clock');
+const { describeSession } = require('./cooking-sessions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_NOTES_LENGTH = 2000;
+const MAX_PHOTOS = 20;
+
+// A completed step counts as off the estimate past both of these
+const TIMING_TOLERANCE = 0.25;
+const TIMING_TOLERANCE_SECONDS = 60;
+
+// Pauses shorter than this aren't worth mentioning
+const NOTABLE_PAUSE_SECONDS = 60;
+
+// Raised for bad history requests
+class HistoryError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'HistoryError';
+    this.code = code; // not_found | invalid_params
+  }
+}
+
+// Step log entries as stored (no internal pause markers)
+function stepTimings(stepLog = []) {
+  return stepLog.map(({ pausedAt, ...entry }) => entry);
+}
+
+// Where a session went its own way, from its step log
+function findDeviations(timings) {
+  const deviations = [];
+  timings.forEach(entry => {
+    const { step } = entry;
+    if (entry.outcome === 'skipped') deviations.push({ type: 'skipped', step });
+    if (entry.outcome === 'went_back') deviations.push({ type: 'went_back', step });
+    if (entry.blockedReason) deviations.push({ type: 'blocked', step, reason: entry.blockedReason });
+    if (entry.addedSeconds > 0) deviations.push({ type: 'extended', step, seconds: entry.addedSeconds });
+    if (entry.pausedSeconds >= NOTABLE_PAUSE_SECONDS) deviations.push({ type: 'paused', step, seconds: entry.pausedSeconds });
+
+    // Pauses and added time are reported above, so leave them out here
+    if (entry.outcome === 'completed' && entry.estimatedSeconds) {
+      const difference = entry.actualSeconds - entry.pausedSeconds - entry.addedSeconds - entry.estimatedSeconds;
+      if (Math.abs(difference) > Math.max(entry.estimatedSeconds * TIMING_TOLERANCE, TIMING_TOLERANCE_SECONDS)) {
+        deviations.push({
+          type: difference > 0 ? 'took_longer' : 'took_shorter',
+          step,
+          actualSeconds: entry.actualSeconds - entry.pausedSeconds - entry.addedSeconds,
+          estimatedSeconds: entry.estimatedSeconds
+        });
+      }
+    }
+  });
+  return deviations;
+}
+
+// What the recipe said it would take, in minutes
+function estimatedMinutes(steps = []) {
+  return Math.round(steps.reduce((total, step) => total + (step.duration || 0), 0));
+}
+
+function actualMinutes(entry) {
+  return entry.endTime ? Math.round((new Date(entry.endTime) - new Date(entry.startTime)) / 60000) : 0;
+}
+
+// Calendar day an entry was cooked on ("2026-10-19")
+function cookedOn(entry) {
+  return new Date(entry.endTime || entry.startTime).toISOString().slice(0, 10);
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null;
+}
+
+function round(value, places = 1) {
+  return value === null ? null : Number(value.toFixed(places));
+}
+
+// Longest and current run of consecutive cooking days; the current run
+// still counts when the last cooking was yesterday
+function cookingStreaks(days, today) {
+  const sorted = [...new Set(days)].sort();
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  sorted.forEach(day => {
+    run = previous && Date.parse(day) - Date.parse(previous) === DAY_MS ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  });
+
+  const sinceLast = previous ? Math.round((Date.parse(today) - Date.parse(previous)) / DAY_MS) : null;
+  return {
+    current: sinceLast !== null && sinceLast <= 1 ? run : 0,
+    longest,
+    lastCookedOn: previous
+  };
+}
+
+// Create the history over `storage`
+function createCookingHistory({ storage, clock = createClock() }) {
+  // History list entry: the session without its steps and ingredients
+  function summarize(entry) {
+    return {
+      id: entry.id,
+      userId: entry.userId,
+      recipeId: entry.recipeId || null,
+      recipeName: entry.recipeName || 'Unknown Recipe',
+      status: entry.status,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      totalTime: actualMinutes(entry),
+      estimatedTime: estimatedMinutes(entry.steps),
+      stepsCompleted: new Set((entry.stepTimings || [])
+        .filter(timing => timing.outcome === 'completed')
+        .map(timing => timing.step)).size,
+      totalSteps: (entry.steps || []).length,
+      deviations: (entry.deviations || []).length,
+      rating: entry.rating === undefined ? null : entry.rating,
+      notes: entry.notes || null,
+      photos: entry.photos || []
+    };
+  }
+
+  // Store a finished session with its timings and deviations; `pantryUsage`
+  // is what cooking it took off the pantry
+  function recordSession(session, { pantryUsage = null } = {}) {
+    const timings = stepTimings(session.stepLog);
+    return storage.insert('sessions', {
+      ...describeSession(session),
+      steps: session.steps,
+      ingredients: session.ingredients,
+      pantryUsage,
+      stepTimings: timings,
+      deviations: findDeviations(timings),
+      rating: null,
+      notes: null,
+      photos: [],
+      reviewedAt: null
+    });
+  }
+
+  function getEntry(id) {
+    const entry = storage.get('sessions', id);
+    if (!entry) {
+      throw new HistoryError('not_found', 'Cooking session not found');
+    }
+    return entry;
+  }
+
+  function entriesFor({ userId, recipeId, includeCancelled = false } = {}) {
+    return storage.list('sessions', entry =>
+      (includeCancelled || entry.status === 'completed') &&
+      (userId === undefined || entry.userId === userId) &&
+      (recipeId === undefined || entry.recipeId === recipeId));
+  }
+
+  // Finished sessions, newest first: { userId, recipeId, includeCancelled, limit }
+  function listHistory({ limit = 20, ...filters } = {}) {
+    const entries = entriesFor(filters).sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+    return {
+      total: entries.length,
+      history: entries.slice(0, limit).map(summarize)
+    };
+  }
+
+  function validatePhoto(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      throw new HistoryError('invalid_params', `Invalid photo URL: ${url}`);
+    }
+    return parsed.href;
+  }
+
+  // Rate a session (1–5, null clears it), write notes, or replace its photos
+  function reviewEntry(id, { rating, notes, photos }) {
+    getEntry(id);
+    const changes = {};
+
+    if (rating !== undefined) {
+      if (rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+        throw new HistoryError('invalid_params', 'Invalid rating (must be a whole number from 1 to 5, or null)');
+      }
+      changes.rating = rating;
+    }
+    if (notes !== undefined) {
+      if (notes !== null && typeof notes !== 'string') {
+        throw new HistoryError('invalid_params', 'Invalid notes (must be text, or null)');
+      }
+      if (notes && notes.length > MAX_NOTES_LENGTH) {
+        throw new HistoryError('invalid_params', `Notes are too long (at most ${MAX_NOTES_LENGTH} characters)`);
+      }
+      changes.notes = notes ? notes.trim() : null;
+    }
+    if (photos !== undefined) {
+      if (!Array.isArray(photos) || photos.length > MAX_PHOTOS) {
+        throw new HistoryError('invalid_params', `Invalid photos (must be an array of at most ${MAX_PHOTOS} URLs)`);
+      }
+      changes.photos = photos.map(validatePhoto);
+    }
+    if (Object.keys(changes).length === 0) {
+      throw new HistoryError('invalid_params', 'Nothing to update (send rating, notes or photos)');
+    }
+
+    return storage.update('sessions', id, { ...changes, reviewedAt: clock.date() });
+  }
+
+  function addPhoto(id, url) {
+    const entry = getEntry(id);
+    const photos = entry.photos || [];
+    if (photos.length >= MAX_PHOTOS) {
+      throw new HistoryError('invalid_params', `A session can have at most ${MAX_PHOTOS} photos`);
+    }
+    return storage.update('sessions', id, { photos: [...photos, validatePhoto(url)], reviewedAt: clock.date() });
+  }
+
+  function removeEntry(id) {
+    if (!storage.remove('sessions', id)) {
+      throw new HistoryError('not_found', 'Cooking session not found');
+    }
+  }
+
+  // What a user (or everyone) cooks, how it goes and how they like it
+  function getStats({ userId, limit = 5 } = {}) {
+    const completed = entriesFor({ userId });
+    const cancelled = entriesFor({ userId, includeCancelled: true }).length - completed.length;
+
+    const byRecipe = new Map();
+    completed.forEach(entry => {
+      const key = entry.recipeId || entry.recipeName;
+      const recipe = byRecipe.get(key) || { recipeId: entry.recipeId || null, recipeName: entry.recipeName, entries: [] };
+      recipe.entries.push(entry);
+      byRecipe.set(key, recipe);
+    });
+
+    const recipes = Array.from(byRecipe.values()).map(({ recipeId, recipeName, entries }) => {
+      const ratings = entries.map(entry => entry.rating).filter(rating => typeof rating === 'number');
+      return {
+        recipeId,
+        recipeName,
+        timesCooked: entries.length,
+        averageRating: round(average(ratings)),
+        ratings: ratings.length,
+        averageActualMinutes: round(average(entries.map(actualMinutes))),
+        estimatedMinutes: estimatedMinutes(entries[0].steps),
+        lastCookedAt: entries.map(entry => entry.endTime).sort().pop()
+      };
+    });
+
+    const ratings = completed.map(entry => entry.rating).filter(rating => typeof rating === 'number');
+    const actual = average(completed.map(actualMinutes));
+    const estimated = average(completed.map(entry => estimatedMinutes(entry.steps)));
+
+    return {
+      userId: userId === undefined ? null : userId,
+      totalSessions: completed.length,
+      cancelledSessions: cancelled,
+      totalCookingMinutes: completed.reduce((total, entry) => total + actualMinutes(entry), 0),
+      averageRating: round(average(ratings)),
+      mostCooked: [...recipes]
+        .sort((a, b) => b.timesCooked - a.timesCooked || String(b.lastCookedAt).localeCompare(String(a.lastCookedAt)))
+        .slice(0, limit),
+      topRated: recipes
+        .filter(recipe => recipe.averageRating !== null)
+        .sort((a, b) => b.averageRating - a.averageRating || b.timesCooked - a.timesCooked)
+        .slice(0, limit),
+      timing: {
+        averageActualMinutes: round(actual),
+        averageEstimatedMinutes: round(estimated),
+        averageDifferenceMinutes: actual === null ? null : round(actual - estimated)
+      },
+      streaks: cookingStreaks(completed.map(cookedOn), clock.date().toISOString().slice(0, 10))
+    };
+  }
+
+  return {
+    recordSession,
+    getEntry,
+    listHistory,
+    reviewEntry,
+    addPhoto,
+    removeEntry,
+    getStats
+  };
+}
+
+module.exports = {
+  HistoryError,
+  createCookingHistory
+};
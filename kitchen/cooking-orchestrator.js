@@ -0,0 +1,135 @@
+/**
+ * Cooking Orchestrator
+ * - Carries out a step's appliance actions through the appliance manager
+ * - Works out which appliance events the step waits for before moving on
+ * - Claims appliances for a session so two recipes don't fight over the oven
+ * - A session only drives appliances in its own household. An action for an
+ *   appliance the household doesn't have is left out and the step runs on its
+ *   timer; one the household has that is offline, busy or faulted blocks the session
+ *
+ * Step fields it understands:
+ *   actions: [{ appliance: 'OVEN' | '<appliance id>', command: 'preheat', params: { ... } }]
+ *   waitFor: ['oven_preheated']   // optional; `false` never waits, omitted uses the defaults below
+ */
+
+const { ApplianceError, getDriver } = require('./appliances');
+
+// Statuses in which an appliance can take a new job
+const IDLE_STATUSES = ['ready', 'holding'];
+
+// Raised when a step can't run its actions; the session goes to `blocked`
+class StepBlockedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StepBlockedError';
+  }
+}
+
+function createCookingOrchestrator({ appliances }) {
+  const claims = new Map(); // applianceId → sessionId
+
+  // An action names an appliance by ID or by type; prefer an idle one of the type.
+  // Sessions only use their own household's appliances.
+  function resolveAppliance(target, session) {
+    const byId = appliances.getAppliance(target);
+    if (byId) return byId.householdId === session.householdId ? byId : null;
+
+    const candidates = appliances.listAppliances({ householdId: session.householdId })
+      .filter(appliance => appliance.type === target);
+    return candidates.find(appliance => claims.get(appliance.id) === session.id) ||
+      candidates.find(appliance => appliance.isConnected && IDLE_STATUSES.includes(appliance.status)) ||
+      candidates[0] ||
+      null;
+  }
+
+  function checkAvailable(appliance, sessionId) {
+    if (!appliance.isConnected) {
+      throw new StepBlockedError(`${appliance.name} is offline`);
+    }
+    if (appliance.status === 'error') {
+      throw new StepBlockedError(`${appliance.name} has a fault`);
+    }
+
+    const owner = claims.get(appliance.id);
+    if (!IDLE_STATUSES.includes(appliance.status) && owner !== sessionId) {
+      throw new StepBlockedError(`${appliance.name} is busy (${appliance.status})`);
+    }
+  }
+
+  // Wait for an action's completion event when the appliance does the step's work:
+  // the step has no timer of its own, or the action carries the duration
+  function shouldWait(step, action) {
+    if (step.waitFor === false) return false;
+    return !step.duration || (action.params && action.params.duration !== undefined);
+  }
+
+  // Run a step's actions; returns the events to wait for as [{ event, applianceId }]
+  function runStep(session, step) {
+    const actions = step.actions || [];
+
+    // Check every appliance, command and its params first so a step never half-starts
+    const resolved = [];
+    actions.forEach(action => {
+      const appliance = resolveAppliance(action.appliance, session);
+      if (!appliance) {
+        console.log(`⏭️ [${session.id}] No ${action.appliance} in this kitchen; skipping ${action.command}`);
+        return;
+      }
+      checkAvailable(appliance, session.id);
+      try {
+        appliances.checkCommand(appliance.id, action.command, action.params || {});
+      } catch (error) {
+        if (error instanceof ApplianceError) throw new StepBlockedError(error.message);
+        throw error;
+      }
+      resolved.push({ action, appliance });
+    });
+
+    const waitFor = [];
+    resolved.forEach(({ action, appliance }) => {
+      try {
+        appliances.runCommand(appliance.id, action.command, action.params || {});
+      } catch (error) {
+        if (error instanceof ApplianceError) throw new StepBlockedError(error.message);
+        throw error;
+      }
+      claims.set(appliance.id, session.id);
+
+      const definition = getDriver(appliance.type).commands[action.command];
+      if (definition.completionEvent && shouldWait(step, action)) {
+        waitFor.push({ event: definition.completionEvent, applianceId: appliance.id });
+      }
+    });
+
+    // Explicit waits on events from any appliance
+    if (Array.isArray(step.waitFor)) {
+      step.waitFor
+        .filter(event => !waitFor.some(wait => wait.event === event))
+        .forEach(event => waitFor.push({ event, applianceId: null }));
+    }
+
+    return waitFor;
+  }
+
+  // Let other sessions use this session's appliances
+  function release(session) {
+    claims.forEach((sessionId, applianceId) => {
+      if (sessionId === session.id) claims.delete(applianceId);
+    });
+  }
+
+  function claimedBy(applianceId) {
+    return claims.get(applianceId) || null;
+  }
+
+  return {
+    runStep,
+    release,
+    claimedBy
+  };
+}
+
+module.exports = {
+  StepBlockedError,
+  createCookingOrchestrator
+};
@@ -0,0 +1,549 @@
+/**
+ * Cooking Sessions
+ * - One session per recipe being cooked, each with its own steps and timer
+ *   (a kitchen timer from the timer manager, tagged with the session ID)
+ * - Step runner that broadcasts progress tagged with the session ID
+ * - Pause / resume / skip / go back / cancel / extend controls
+ * - Step log: when each step started and ended, how it ended (completed,
+ *   skipped, went back, ...), and any time paused or added, for the history
+ * - Passive steps count down by themselves; active steps (`mode: 'active'`)
+ *   wait for the cook to confirm them
+ * - Steps with appliance actions run them through the orchestrator and wait
+ *   for the appliance to report back (e.g. `oven_preheated`) before moving on;
+ *   an offline, busy or faulty appliance blocks the session until resumed
+ * - A session cooks in one household, and only that household's appliance
+ *   events move it on
+ * - Finished sessions are handed to `onSessionEnd` (the cooking history) and
+ *   dropped a while later
+ */
+
+const { createClock } = require('./clock');
+const { StepBlockedError } = require('./cooking-orchestrator');
+const { createTimerManager } = require('./timers');
+
+// Finished sessions stay listed for a while so clients can see how they ended
+const KEEP_FINISHED_MS = 10 * 60 * 1000;
+
+// Allowed status changes: idle → cooking → paused/blocked → completed/cancelled
+const SESSION_TRANSITIONS = {
+  idle: ['cooking', 'cancelled'],
+  cooking: ['paused', 'blocked', 'completed', 'cancelled'],
+  paused: ['cooking', 'cancelled'],
+  blocked: ['cooking', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Raised when a control is not valid for the session's current status
+class SessionStateError extends Error {
+  constructor(message, session) {
+    super(message);
+    this.name = 'SessionStateError';
+    this.status = session.status;
+  }
+}
+
+// Move a session to a new status, rejecting moves the state machine forbids
+// and moves to the status it already has (a second cancel or pause)
+function transition(session, nextStatus) {
+  if (session.status === nextStatus) {
+    throw new SessionStateError(`Session is already '${nextStatus}'`, session);
+  }
+
+  const allowed = SESSION_TRANSITIONS[session.status] || [];
+  if (!allowed.includes(nextStatus)) {
+    throw new SessionStateError(
+      `Cannot move session from '${session.status}' to '${nextStatus}'`,
+      session
+    );
+  }
+
+  session.status = nextStatus;
+}
+
+// Ensure a session is in one of the given statuses before running a control
+function requireStatus(session, statuses, action) {
+  if (!statuses.includes(session.status)) {
+    throw new SessionStateError(
+      `Cannot ${action} a session that is '${session.status}'`,
+      session
+    );
+  }
+}
+
+// Create a session manager that reports progress through `broadcast(type, data)`
+// and hands finished (completed or cancelled) sessions to `onSessionEnd`, forgetting
+// them `keepFinishedMs` later.
+// Step countdowns are `timers` (on `clock`, so they follow its time scale). Step
+// appliance actions go through `orchestrator`; without one, steps only run on timers.
+function createSessionManager({
+  broadcast,
+  onSessionEnd = () => {},
+  clock = createClock(),
+  timers = createTimerManager({ broadcast, clock }),
+  orchestrator = { runStep: () => [], release: () => {} },
+  keepFinishedMs = KEEP_FINISHED_MS
+}) {
+  const sessions = new Map();
+  let sequence = 0;
+
+  function nextSessionId() {
+    sequence += 1;
+    return `session_${clock.now()}_${sequence}`;
+  }
+
+  // Drop the current step's timer, if it is still counting
+  function stopTimer(session) {
+    if (session.timerId) {
+      const timer = timers.getTimer(session.timerId);
+      if (timer && ['running', 'paused'].includes(timer.status)) timers.cancelTimer(session.timerId);
+      session.timerId = null;
+    }
+  }
+
+  // Count the current step down on a kitchen timer, moving on when it runs out
+  function runTimer(session) {
+    stopTimer(session);
+
+    // Kitchen timers count whole seconds, so a step shorter than that gets one
+    session.timeRemaining = Math.max(1, session.timeRemaining);
+    const timer = timers.createTimer({
+      name: `${session.recipeName} step ${session.currentStep}`,
+      seconds: session.timeRemaining,
+      userId: session.userId,
+      householdId: session.householdId,
+      sessionId: session.id,
+      step: session.currentStep,
+      onTick: ({ remainingSeconds }) => {
+        session.timeRemaining = remainingSeconds;
+
+        // Send timer updates every 30 seconds
+        if (session.timeRemaining % 30 === 0) {
+          broadcast('timer_update', {
+            sessionId: session.id,
+            timeRemaining: session.timeRemaining,
+            currentStep: session.currentStep
+          });
+        }
+      },
+      // Step completed
+      onExpire: () => {
+        session.timerId = null;
+
+        broadcast('cooking_step_complete', {
+          sessionId: session.id,
+          recipeName: session.recipeName,
+          step: session.currentStep,
+          instruction: session.steps[session.currentStep - 1].instruction
+        });
+
+        // Move to next step
+        startStep(session, session.currentStep);
+      }
+    });
+    session.timerId = timer.id;
+  }
+
+  // Open a step log entry for the step just started
+  function logStepStart(session, step) {
+    session.stepLog.push({
+      step: session.currentStep,
+      instruction: step.instruction,
+      estimatedSeconds: step.duration ? Math.round(step.duration * 60) : null,
+      startedAt: clock.date(),
+      endedAt: null,
+      actualSeconds: null,
+      outcome: null, // completed | skipped | went_back | retried | cancelled
+      pausedSeconds: 0,
+      addedSeconds: 0,
+      blockedReason: null,
+      pausedAt: null
+    });
+  }
+
+  // Close the open step log entry, if any, with how the step ended
+  function logStepEnd(session, outcome) {
+    const entry = session.stepLog[session.stepLog.length - 1];
+    if (!entry || entry.endedAt) return;
+    if (entry.pausedAt) logResume(entry);
+    entry.endedAt = clock.date();
+    entry.actualSeconds = Math.round((entry.endedAt - entry.startedAt) / 1000);
+    entry.outcome = outcome;
+  }
+
+  function logResume(entry) {
+    entry.pausedSeconds += Math.round((clock.now() - entry.pausedAt) / 1000);
+    entry.pausedAt = null;
+  }
+
+  function openLogEntry(session) {
+    const entry = session.stepLog[session.stepLog.length - 1];
+    return entry && !entry.endedAt ? entry : null;
+  }
+
+  // Session ended one way or another: free its appliances and hand it on
+  function endSession(session) {
+    session.waitingFor = [];
+    orchestrator.release(session);
+    onSessionEnd(session);
+    clock.setTimeout(() => sessions.delete(session.id), keepFinishedMs);
+  }
+
+  // Hold the session until the cook resumes it (which retries the step)
+  function blockSession(session, reason) {
+    stopTimer(session);
+    transition(session, 'blocked');
+    session.blockedReason = reason;
+    const entry = openLogEntry(session);
+    if (entry) entry.blockedReason = reason;
+
+    console.log(`⛔ [${session.id}] Step ${session.currentStep} blocked: ${reason}`);
+
+    broadcast('cooking_blocked', {
+      sessionId: session.id,
+      recipeName: session.recipeName,
+      step: session.currentStep,
+      reason
+    });
+  }
+
+  // Every appliance event the step waited for has arrived
+  function finishWaitingStep(session) {
+    session.waitingFor = [];
+
+    broadcast('cooking_step_complete', {
+      sessionId: session.id,
+      recipeName: session.recipeName,
+      step: session.currentStep,
+      instruction: session.steps[session.currentStep - 1].instruction
+    });
+
+    startStep(session, session.currentStep);
+  }
+
+  // Start cooking a specific step of a session; `outcome` is how the step
+  // before it ended, for the step log
+  function startStep(session, stepIndex, outcome = 'completed') {
+    stopTimer(session);
+    logStepEnd(session, outcome);
+    session.waitingFor = [];
+    session.blockedReason = null;
+
+    if (stepIndex >= session.steps.length) {
+      // All steps completed
+      transition(session, 'completed');
+      session.currentStep = session.steps.length;
+      session.timeRemaining = 0;
+      session.endTime = clock.date();
+
+      console.log(`✅ [${session.id}] All cooking steps completed: ${session.recipeName}`);
+
+      broadcast('cooking_complete', {
+        sessionId: session.id,
+        recipeName: session.recipeName,
+        message: `${session.recipeName} is ready!`,
+        status: 'completed'
+      });
+      endSession(session);
+      return;
+    }
+
+    const step = session.steps[stepIndex];
+    if (session.status !== 'cooking') transition(session, 'cooking');
+    session.currentStep = stepIndex + 1;
+    logStepStart(session, step);
+
+    let waits;
+    try {
+      waits = orchestrator.runStep(session, step);
+    } catch (error) {
+      if (!(error instanceof StepBlockedError)) throw error;
+      session.awaitingConfirmation = false;
+      session.timeRemaining = 0;
+      blockSession(session, error.message);
+      return;
+    }
+
+    // A step waiting on an appliance finishes when the appliance says so
+    session.waitingFor = waits.map(wait => ({ ...wait, done: false }));
+    session.awaitingConfirmation = step.mode === 'active' && session.waitingFor.length === 0;
+    session.timeRemaining = session.awaitingConfirmation || session.waitingFor.length > 0
+      ? 0
+      : Math.max(1, Math.round((step.duration || 1) * 60)); // Convert to seconds
+
+    console.log(`➡️ [${session.id}] Starting step ${session.currentStep}: ${step.instruction} (${session.timeRemaining}s)`);
+
+    // Broadcast step start
+    broadcast('cooking_step_start', {
+      sessionId: session.id,
+      recipeName: session.recipeName,
+      stepNumber: session.currentStep,
+      instruction: step.instruction,
+      duration: step.duration,
+      mode: step.mode || 'passive',
+      awaitingConfirmation: session.awaitingConfirmation,
+      waitingFor: session.waitingFor.map(({ event, applianceId }) => ({ event, applianceId })),
+      timeRemaining: session.timeRemaining
+    });
+
+    if (!session.awaitingConfirmation && session.waitingFor.length === 0) runTimer(session);
+  }
+
+  // Create a session and start its first step. `ingredients` (with the recipe's
+  // `recipeId`, when known) go with it so whoever ends it knows what was cooked;
+  // it cooks with the appliances of `householdId`.
+  function createSession({ recipeName, steps, id, userId = null, householdId = null, recipeId = null, ingredients = [] }) {
+    const session = {
+      id: id || nextSessionId(),
+      userId,
+      householdId,
+      recipeId,
+      recipeName: recipeName || 'Recipe',
+      steps,
+      ingredients,
+      status: 'idle', // idle | cooking | paused | blocked | completed | cancelled
+      currentStep: 0,
+      timeRemaining: 0,
+      startTime: clock.date(),
+      endTime: null,
+      awaitingConfirmation: false,
+      waitingFor: [], // [{ event, applianceId, done }]
+      blockedReason: null,
+      timerId: null,
+      stepLog: []
+    };
+
+    sessions.set(session.id, session);
+    startStep(session, 0);
+    return session;
+  }
+
+  function getSession(sessionId) {
+    return sessions.get(sessionId) || null;
+  }
+
+  // Every session, or only one household's
+  function listSessions({ householdId } = {}) {
+    return Array.from(sessions.values())
+      .filter(session => householdId === undefined || session.householdId === householdId);
+  }
+
+  // Freeze the current step's countdown
+  function pauseSession(session) {
+    transition(session, 'paused');
+    if (session.timerId) timers.pauseTimer(session.timerId);
+    const entry = openLogEntry(session);
+    if (entry && !entry.pausedAt) entry.pausedAt = clock.now();
+
+    broadcast('cooking_paused', {
+      sessionId: session.id,
+      currentStep: session.currentStep,
+      timeRemaining: session.timeRemaining
+    });
+    return session;
+  }
+
+  // Continue the current step's countdown where it stopped; a blocked
+  // session retries its current step from the start
+  function resumeSession(session) {
+    requireStatus(session, ['paused', 'blocked'], 'resume');
+
+    if (session.status === 'blocked') {
+      broadcast('cooking_resumed', {
+        sessionId: session.id,
+        currentStep: session.currentStep,
+        timeRemaining: session.timeRemaining
+      });
+      startStep(session, session.currentStep - 1, 'retried');
+      return session;
+    }
+
+    transition(session, 'cooking');
+    const entry = openLogEntry(session);
+    if (entry && entry.pausedAt) logResume(entry);
+
+    broadcast('cooking_resumed', {
+      sessionId: session.id,
+      currentStep: session.currentStep,
+      timeRemaining: session.timeRemaining
+    });
+
+    if (session.waitingFor.length > 0) {
+      // The appliance may have finished while we were paused
+      if (session.waitingFor.every(wait => wait.done)) finishWaitingStep(session);
+    } else if (session.timerId) {
+      timers.resumeTimer(session.timerId);
+    } else if (!session.awaitingConfirmation) {
+      runTimer(session);
+    }
+    return session;
+  }
+
+  // Finish the current step early and start the next one
+  function nextStep(session) {
+    requireStatus(session, ['cooking', 'paused', 'blocked'], 'skip a step of');
+    const skippedStep = session.currentStep;
+
+    broadcast('cooking_step_skipped', {
+      sessionId: session.id,
+      step: skippedStep,
+      instruction: session.steps[skippedStep - 1].instruction
+    });
+
+    if (session.status !== 'cooking') transition(session, 'cooking');
+    startStep(session, skippedStep, 'skipped');
+    return session;
+  }
+
+  // Confirm an active step is done and move on
+  function confirmStep(session) {
+    requireStatus(session, ['cooking'], 'confirm a step of');
+    if (!session.awaitingConfirmation) {
+      throw new SessionStateError(`Step ${session.currentStep} runs on a timer and needs no confirmation`, session);
+    }
+
+    broadcast('cooking_step_complete', {
+      sessionId: session.id,
+      recipeName: session.recipeName,
+      step: session.currentStep,
+      instruction: session.steps[session.currentStep - 1].instruction,
+      confirmed: true
+    });
+
+    startStep(session, session.currentStep);
+    return session;
+  }
+
+  // Go back to the previous step (or restart the first one)
+  function previousStep(session) {
+    requireStatus(session, ['cooking', 'paused', 'blocked'], 'go back in');
+    const targetIndex = Math.max(session.currentStep - 2, 0);
+
+    broadcast('cooking_step_previous', {
+      sessionId: session.id,
+      fromStep: session.currentStep,
+      toStep: targetIndex + 1
+    });
+
+    if (session.status !== 'cooking') transition(session, 'cooking');
+    startStep(session, targetIndex, 'went_back');
+    return session;
+  }
+
+  // Stop the session for good
+  function cancelSession(session) {
+    transition(session, 'cancelled');
+    stopTimer(session);
+    logStepEnd(session, 'cancelled');
+    session.endTime = clock.date();
+
+    broadcast('cooking_cancelled', {
+      sessionId: session.id,
+      recipeName: session.recipeName,
+      currentStep: session.currentStep
+    });
+    endSession(session);
+    return session;
+  }
+
+  // Add minutes to the current step
+  function extendStep(session, minutes) {
+    requireStatus(session, ['cooking', 'paused'], 'extend');
+    if (session.awaitingConfirmation) {
+      throw new SessionStateError(`Step ${session.currentStep} waits for confirmation and has no timer`, session);
+    }
+    if (session.waitingFor.length > 0) {
+      throw new SessionStateError(`Step ${session.currentStep} waits for an appliance and has no timer`, session);
+    }
+    if (session.timerId) {
+      timers.addTime(session.timerId, Math.round(minutes * 60));
+    } else {
+      session.timeRemaining += Math.round(minutes * 60);
+    }
+    const entry = openLogEntry(session);
+    if (entry) entry.addedSeconds += Math.round(minutes * 60);
+
+    broadcast('cooking_step_extended', {
+      sessionId: session.id,
+      currentStep: session.currentStep,
+      addedMinutes: minutes,
+      timeRemaining: session.timeRemaining
+    });
+    return session;
+  }
+
+  // Feed every broadcast event in, with the household it happened in: completes
+  // appliance waits and blocks sessions whose appliance faults mid-step
+  function handleEvent(type, data = {}, { householdId = null } = {}) {
+    sessions.forEach(session => {
+      if (!['cooking', 'paused'].includes(session.status) || session.waitingFor.length === 0) return;
+      if (session.householdId !== householdId) return;
+
+      const pending = session.waitingFor.filter(wait => !wait.done);
+      const faulted = ['appliance_fault', 'appliance_overheat'].includes(type) &&
+        pending.some(wait => wait.applianceId === data.applianceId);
+
+      if (faulted) {
+        if (session.status === 'cooking') {
+          blockSession(session, `${data.applianceId} reported ${data.fault || 'overheating'}`);
+        }
+        return;
+      }
+
+      const matched = pending.filter(wait =>
+        wait.event === type && (wait.applianceId === null || wait.applianceId === data.applianceId));
+      if (matched.length === 0) return;
+
+      matched.forEach(wait => { wait.done = true; });
+      if (session.status === 'cooking' && session.waitingFor.every(wait => wait.done)) {
+        finishWaitingStep(session);
+      }
+    });
+  }
+
+  return {
+    createSession,
+    getSession,
+    listSessions,
+    pauseSession,
+    resumeSession,
+    nextStep,
+    confirmStep,
+    previousStep,
+    cancelSession,
+    extendStep,
+    handleEvent
+  };
+}
+
+// Public view of a session
+function describeSession(session) {
+  const currentStep = session.steps[session.currentStep - 1] || null;
+
+  return {
+    id: session.id,
+    userId: session.userId,
+    householdId: session.householdId || null,
+    recipeId: session.recipeId || null,
+    recipeName: session.recipeName,
+    status: session.status,
+    currentStep: session.currentStep,
+    totalSteps: session.steps.length,
+    timeRemainingSeconds: session.timeRemaining,
+    currentInstruction: currentStep ? currentStep.instruction : null,
+    currentMode: currentStep ? currentStep.mode || 'passive' : null,
+    awaitingConfirmation: session.awaitingConfirmation,
+    waitingFor: (session.waitingFor || []).map(({ event, applianceId, done }) => ({ event, applianceId, done })),
+    blockedReason: session.blockedReason || null,
+    timerId: session.timerId || null,
+    startTime: session.startTime,
+    endTime: session.endTime
+  };
+}
+
+module.exports = {
+  SESSION_TRANSITIONS,
+  SessionStateError,
+  createSessionManager,
+  describeSession
+};
@@ -0,0 +1,161 @@
+/**
+ * Event Hub
+ * - Numbers every broadcast event with a monotonically increasing sequence
+ * - Delivers events to clients subscribed to matching topics
+ *   (`session:<id>`, `appliance:<type key or id>`, `timers`, `schedule`,
+ *   `mealPlan:<id>`, `pantry`, ...); clients with no subscriptions receive everything
+ * - Events that happen in a household only reach that household's clients;
+ *   events without one (server tests) reach every client
+ * - Keeps a bounded ring buffer so reconnecting clients can replay missed events
+ * - Ping/pong heartbeats that drop dead connections
+ */
+
+const { createClock } = require('./clock');
+
+const WILDCARD_TOPIC = '*';
+
+// Work out which topics an event belongs to from its type and payload
+function topicsForEvent(type, data = {}) {
+  const topics = [];
+
+  if (data.sessionId) topics.push(`session:${data.sessionId}`);
+  if (data.applianceKey) topics.push(`appliance:${data.applianceKey}`);
+  if (data.applianceId) topics.push(`appliance:${data.applianceId}`);
+  if (type.includes('timer')) topics.push('timers');
+  if (data.scheduledId) topics.push('schedule');
+  if (data.mealPlanId) topics.push(`mealPlan:${data.mealPlanId}`);
+  if (type.startsWith('pantry_')) topics.push('pantry');
+
+  return [...new Set(topics)];
+}
+
+// Create a hub; `bufferSize` bounds how many events can be replayed.
+// Event timestamps come from `clock`, so they match accelerated or virtual time.
+function createEventHub({ bufferSize = 500, clock = createClock() } = {}) {
+  const clients = new Map(); // ws → { topics: Set, userId, householdId, isAlive }
+  const buffer = [];
+  let lastSeq = 0;
+
+  function send(ws, payload) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+
+  function wantsEvent(client, event) {
+    if (event.householdId && event.householdId !== client.householdId) return false;
+    if (client.topics.size === 0 || client.topics.has(WILDCARD_TOPIC)) return true;
+    return event.topics.some(topic => client.topics.has(topic));
+  }
+
+  // A connected client, for the user and household it connected as
+  function addClient(ws, { userId = null, householdId = null } = {}) {
+    const client = { topics: new Set(), userId, householdId, isAlive: true };
+    clients.set(ws, client);
+
+    ws.on('pong', () => {
+      client.isAlive = true;
+    });
+    ws.on('close', () => {
+      clients.delete(ws);
+    });
+    return client;
+  }
+
+  // Record an event and deliver it to every interested client in its household
+  function publish(type, data, { householdId = null } = {}) {
+    lastSeq += 1;
+    const event = {
+      seq: lastSeq,
+      type,
+      data,
+      topics: topicsForEvent(type, data),
+      householdId,
+      timestamp: clock.date()
+    };
+
+    buffer.push(event);
+    if (buffer.length > bufferSize) buffer.shift();
+
+    clients.forEach((client, ws) => {
+      if (wantsEvent(client, event)) send(ws, event);
+    });
+    return event;
+  }
+
+  // Someone moved household: their open connections follow them
+  function moveUser(userId, householdId) {
+    clients.forEach(client => {
+      if (client.userId === userId) client.householdId = householdId;
+    });
+  }
+
+  function subscribe(ws, topics) {
+    const client = clients.get(ws);
+    if (!client) return [];
+    topics.forEach(topic => client.topics.add(topic));
+    return [...client.topics];
+  }
+
+  function unsubscribe(ws, topics) {
+    const client = clients.get(ws);
+    if (!client) return [];
+    topics.forEach(topic => client.topics.delete(topic));
+    return [...client.topics];
+  }
+
+  // Re-send buffered events after `sinceSeq` that the client would have received.
+  // `gap` is true when some of the missed events have already left the buffer.
+  function replay(ws, sinceSeq) {
+    const client = clients.get(ws);
+    if (!client) return { replayed: 0, lastSeq, gap: false };
+
+    const oldestSeq = buffer.length > 0 ? buffer[0].seq : lastSeq + 1;
+    const missed = buffer.filter(event => event.seq > sinceSeq && wantsEvent(client, event));
+
+    missed.forEach(event => send(ws, { ...event, replayed: true }));
+
+    return {
+      replayed: missed.length,
+      lastSeq,
+      gap: sinceSeq < lastSeq && sinceSeq + 1 < oldestSeq
+    };
+  }
+
+  // Ping every client on an interval, terminating those that never answered.
+  // Heartbeats watch real connections, so they stay on wall-clock time.
+  function startHeartbeat(intervalMs = 30000) {
+    const heartbeat = setInterval(() => {
+      clients.forEach((client, ws) => {
+        if (!client.isAlive) {
+          console.log('💔 Dropping unresponsive WebSocket client');
+          clients.delete(ws);
+          ws.terminate();
+          return;
+        }
+        client.isAlive = false;
+        ws.ping();
+      });
+    }, intervalMs);
+
+    return () => clearInterval(heartbeat);
+  }
+
+  return {
+    addClient,
+    publish,
+    moveUser,
+    subscribe,
+    unsubscribe,
+    replay,
+    startHeartbeat,
+    getLastSeq: () => lastSeq,
+    getClientCount: () => clients.size
+  };
+}
+
+module.exports = {
+  WILDCARD_TOPIC,
+  topicsForEvent,
+  createEventHub
+};
@@ -0,0 +1,162 @@
+/**
+ * Households
+ * - A household shares one kitchen: its appliances, meal plans, shopping lists,
+ *   pantry, timers and cooking sessions belong to the household rather than to
+ *   whoever set them up, and its WebSocket events only reach its own members
+ * - Everyone belongs to exactly one household, with a role in it (the account
+ *   side lives in auth.js); an account made without an invite code starts a
+ *   household of its own
+ * - Owners invite people with a short code that carries the role they join
+ *   with; a code works once and runs out after a week
+ * - Favorites, dietary preferences and cooking history stay with each person
+ */
+
+const crypto = require('crypto');
+const { createClock } = require('./clock');
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// No 0/O or 1/I, so a code read out loud or copied off a screen comes through
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// Raised for unknown households and invites
+class HouseholdError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'HouseholdError';
+    this.code = code; // not_found | invalid_params
+  }
+}
+
+// Whether a record (appliance, meal plan, pantry item, ...) is in the caller's household
+function inHousehold(principal, record) {
+  return Boolean(principal) && Boolean(record) && record.householdId === principal.householdId;
+}
+
+// "k7px-m2qd", "K7PXM2QD" → "K7PXM2QD"
+function normalizeCode(code) {
+  return String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// "K7PXM2QD" → "K7PX-M2QD"
+function formatCode(code) {
+  return `${code.slice(0, CODE_LENGTH / 2)}-${code.slice(CODE_LENGTH / 2)}`;
+}
+
+function describeInvite(invite) {
+  return {
+    code: formatCode(invite.id),
+    role: invite.role,
+    createdBy: invite.createdBy,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt
+  };
+}
+
+// Create households over `storage` (`households` and `householdInvites` collections)
+function createHouseholds({ storage, clock = createClock(), inviteTtlMs = INVITE_TTL_MS }) {
+  function newCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  }
+
+  function isExpired(invite) {
+    return new Date(invite.expiresAt).getTime() <= clock.now();
+  }
+
+  function createHousehold({ name }) {
+    const household = storage.insert('households', {
+      id: `household_${crypto.randomBytes(6).toString('hex')}`,
+      name,
+      createdAt: clock.date()
+    });
+    console.log(`🏠 Household set up: ${household.name}`);
+    return household;
+  }
+
+  function getHousehold(householdId) {
+    const household = storage.get('households', householdId);
+    if (!household) throw new HouseholdError('not_found', 'Household not found');
+    return household;
+  }
+
+  function listHouseholds() {
+    return storage.list('households');
+  }
+
+  function renameHousehold(householdId, name) {
+    getHousehold(householdId);
+    return storage.update('households', householdId, { name });
+  }
+
+  // Drop a household nobody belongs to any more, with its open invites
+  function removeHousehold(householdId) {
+    storage.list('householdInvites', invite => invite.householdId === householdId)
+      .forEach(invite => storage.remove('householdInvites', invite.id));
+    return storage.remove('households', householdId);
+  }
+
+  // Invite code for joining `householdId` as `role`, made by the user `createdBy`
+  function createInvite(householdId, { role, createdBy }) {
+    getHousehold(householdId);
+    const invite = storage.insert('householdInvites', {
+      id: newCode(),
+      householdId,
+      role,
+      createdBy,
+      createdAt: clock.date(),
+      expiresAt: new Date(clock.now() + inviteTtlMs)
+    });
+    return describeInvite(invite);
+  }
+
+  function listInvites(householdId) {
+    return storage.list('householdInvites', invite => invite.householdId === householdId && !isExpired(invite))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(describeInvite);
+  }
+
+  function revokeInvite(householdId, code) {
+    const invite = storage.get('householdInvites', normalizeCode(code));
+    if (!invite || invite.householdId !== householdId) {
+      throw new HouseholdError('not_found', 'Invite not found');
+    }
+    storage.remove('householdInvites', invite.id);
+  }
+
+  // The invite behind a code: { code, householdId, role }. Unknown and
+  // expired codes are `invalid_params`, since they come from what someone typed.
+  function findInvite(code) {
+    const invite = storage.get('householdInvites', normalizeCode(code));
+    if (invite && isExpired(invite)) storage.remove('householdInvites', invite.id);
+    if (!invite || isExpired(invite) || !storage.get('households', invite.householdId)) {
+      throw new HouseholdError('invalid_params', 'Unknown or expired invite code');
+    }
+    return { ...describeInvite(invite), householdId: invite.householdId };
+  }
+
+  // Codes work once
+  function useInvite(code) {
+    return storage.remove('householdInvites', normalizeCode(code));
+  }
+
+  return {
+    createHousehold,
+    getHousehold,
+    listHouseholds,
+    renameHousehold,
+    removeHousehold,
+    createInvite,
+    listInvites,
+    revokeInvite,
+    findInvite,
+    useInvite
+  };
+}
+
+module.exports = {
+  HouseholdError,
+  createHouseholds,
+  inHousehold
+};
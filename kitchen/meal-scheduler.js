@@ -0,0 +1,275 @@
+/**
+ * Meal Scheduler
+ * - Starts the cooking session for a planned meal at its scheduled time
+ * - Starts early by the time the recipe's opening preheat steps need, so the
+ *   oven (or water bath, or kettle) is hot when cooking is due to begin
+ * - Sends `cooking_reminder` events ahead of the start
+ * - Jobs live in the `scheduledCooking` collection and are re-armed when the
+ *   server starts, so a restart doesn't lose them; jobs that fell due while the
+ *   server was down start late within a grace period, and are marked missed after it
+ *
+ * Job statuses: scheduled → started | failed | missed
+ */
+
+const { createClock } = require('./clock');
+
+const MINUTE_MS = 60 * 1000;
+
+// Commands that only bring an appliance up to temperature
+const HEAT_UP_COMMANDS = ['preheat', 'start', 'boil'];
+
+const DEFAULT_REMINDER_MINUTES = [30, 10];
+
+// How late a job may still start after the server was down when it fell due
+const MISSED_GRACE_MS = 30 * MINUTE_MS;
+
+// Raised for bad schedule requests and jobs that can't be changed
+class ScheduleError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.code = code; // not_found | invalid_params | invalid_state
+  }
+}
+
+// Heat-up actions in the steps a recipe opens with ("Preheat the oven to 200°C")
+function openingHeatActions(steps) {
+  const actions = [];
+  for (const step of steps || []) {
+    const stepActions = step.actions || [];
+    if (stepActions.length === 0 || !stepActions.every(action => HEAT_UP_COMMANDS.includes(action.command))) break;
+    actions.push(...stepActions);
+  }
+  return actions;
+}
+
+// Create a scheduler. `loadRecipe(job)` resolves a job's recipe ({ id, title, steps, ingredients });
+// `startSession({ recipeName, steps, userId, householdId, recipeId, ingredients })` starts cooking it.
+function createMealScheduler({
+  storage,
+  appliances,
+  loadRecipe,
+  startSession,
+  broadcast,
+  clock = createClock(),
+  missedGraceMs = MISSED_GRACE_MS
+}) {
+  const timers = new Map(); // job ID → [clock timer handles]
+  let sequence = 0;
+
+  function nextJobId() {
+    sequence += 1;
+    return `scheduled_${clock.now()}_${sequence}`;
+  }
+
+  // Minutes of preheating a recipe needs before its first real step, on a household's appliances
+  function leadMinutes(steps, householdId = null) {
+    const estimates = openingHeatActions(steps).map(action => {
+      const named = appliances.getAppliance(action.appliance);
+      const appliance = named && named.householdId === householdId
+        ? named
+        : appliances.findByType(action.appliance, householdId);
+      if (!appliance) return 0;
+      const temperature = (action.params && action.params.temperature) || 100;
+      return appliances.estimateHeat(appliance.id, temperature, { cold: true }) || 0;
+    });
+    return Math.max(0, ...estimates);
+  }
+
+  function jobEvent(job, extra = {}) {
+    return {
+      scheduledId: job.id,
+      mealPlanId: job.mealPlanId,
+      day: job.day,
+      mealType: job.mealType,
+      recipeName: job.recipeName,
+      scheduledTime: job.scheduledTime,
+      startAt: job.startAt,
+      ...extra
+    };
+  }
+
+  function disarm(jobId) {
+    (timers.get(jobId) || []).forEach(handle => clock.clearTimeout(handle));
+    timers.delete(jobId);
+  }
+
+  function finish(job, changes, event, extra) {
+    disarm(job.id);
+    const updated = storage.update('scheduledCooking', job.id, changes);
+    broadcast(event, jobEvent(updated, extra));
+    return updated;
+  }
+
+  async function startJob(jobId) {
+    timers.delete(jobId);
+    const job = storage.get('scheduledCooking', jobId);
+    if (!job || job.status !== 'scheduled') return;
+
+    const recipe = await loadRecipe(job);
+
+    // Deleted while the recipe was loading
+    if (!storage.get('scheduledCooking', jobId)) return;
+    if (!recipe.steps || recipe.steps.length === 0) {
+      finish(job, { status: 'failed', error: 'Recipe has no steps' }, 'scheduled_cooking_failed', { error: 'Recipe has no steps' });
+      return;
+    }
+
+    const session = startSession({
+      recipeName: recipe.title,
+      steps: recipe.steps,
+      userId: job.userId,
+      householdId: job.householdId || null,
+      recipeId: recipe.id || null,
+      ingredients: recipe.ingredients || []
+    });
+    console.log(`⏰ Scheduled cooking started: ${job.recipeName} (${session.id})`);
+    finish(job, { status: 'started', sessionId: session.id, startedAt: clock.date() },
+      'scheduled_cooking_started', { sessionId: session.id });
+  }
+
+  // Start a job when its time comes. Runs from a clock timer, so whatever goes
+  // wrong (loading the recipe, starting the session, saving) marks the job failed here.
+  function fire(jobId) {
+    return startJob(jobId).catch(error => {
+      console.log(`⚠️ Scheduled cooking ${jobId} failed: ${error.message}`);
+      try {
+        const job = storage.get('scheduledCooking', jobId);
+        if (job && job.status === 'scheduled') {
+          finish(job, { status: 'failed', error: error.message }, 'scheduled_cooking_failed', { error: error.message });
+        }
+      } catch (failure) {
+        console.error(`❌ Couldn't mark scheduled cooking ${jobId} as failed:`, failure);
+      }
+    });
+  }
+
+  function remind(jobId, minutes) {
+    const job = storage.get('scheduledCooking', jobId);
+    if (!job || job.status !== 'scheduled') return;
+
+    storage.update('scheduledCooking', jobId, { remindersSent: [...job.remindersSent, minutes] });
+    broadcast('cooking_reminder', jobEvent(job, {
+      minutesUntilStart: minutes,
+      message: `${job.recipeName} starts cooking in ${minutes} minute${minutes === 1 ? '' : 's'}`
+    }));
+  }
+
+  // Set timers for a job's start and any reminders still to come
+  function arm(job) {
+    disarm(job.id);
+    const now = clock.now();
+    const startAt = new Date(job.startAt).getTime();
+    const handles = [];
+
+    if (startAt < now - missedGraceMs) {
+      console.log(`⚠️ Scheduled cooking ${job.id} was missed`);
+      finish(job, { status: 'missed' }, 'scheduled_cooking_missed');
+      return;
+    }
+
+    job.reminders
+      .filter(minutes => !job.remindersSent.includes(minutes) && startAt - minutes * MINUTE_MS > now)
+      .forEach(minutes => {
+        handles.push(clock.setTimeout(() => remind(job.id, minutes), startAt - minutes * MINUTE_MS - now));
+      });
+    handles.push(clock.setTimeout(() => fire(job.id), startAt - now));
+    timers.set(job.id, handles);
+  }
+
+  // Work out when a job starts, from its recipe's preheat lead time (kept when no steps are given)
+  function plan(job, steps) {
+    const lead = steps ? leadMinutes(steps, job.householdId || null) : job.leadMinutes || 0;
+    return {
+      ...job,
+      leadMinutes: lead,
+      startAt: new Date(new Date(job.scheduledTime).getTime() - lead * MINUTE_MS)
+    };
+  }
+
+  // Schedule a meal: { mealPlanId, day, mealType, scheduledTime, recipeId, recipeName, userId, householdId, reminderMinutes }
+  // with `steps` from its recipe to work out the preheat lead time
+  function schedule({ reminderMinutes = DEFAULT_REMINDER_MINUTES, steps, ...details }) {
+    const scheduledTime = new Date(details.scheduledTime);
+    if (Number.isNaN(scheduledTime.getTime())) {
+      throw new ScheduleError('invalid_params', 'Invalid scheduledTime (must be a date)');
+    }
+    if (scheduledTime.getTime() <= clock.now()) {
+      throw new ScheduleError('invalid_params', 'Invalid scheduledTime (must be in the future)');
+    }
+    if (!Array.isArray(reminderMinutes) || reminderMinutes.some(minutes => !(typeof minutes === 'number' && minutes > 0))) {
+      throw new ScheduleError('invalid_params', 'Invalid reminderMinutes (must be an array of positive numbers)');
+    }
+
+    const job = storage.insert('scheduledCooking', plan({
+      id: nextJobId(),
+      ...details,
+      userId: details.userId || null,
+      householdId: details.householdId || null,
+      scheduledTime,
+      reminders: [...new Set(reminderMinutes)].sort((a, b) => b - a),
+      remindersSent: [],
+      status: 'scheduled',
+      sessionId: null,
+      createdAt: clock.date()
+    }, steps));
+
+    arm(job);
+    console.log(`📅 Cooking scheduled: ${job.recipeName} at ${job.scheduledTime} (${job.leadMinutes} min preheat)`);
+    return job;
+  }
+
+  // Point a pending job at a different recipe (the meal plan changed), or move it
+  function reschedule(jobId, { steps, ...changes }) {
+    const job = storage.get('scheduledCooking', jobId);
+    if (!job) {
+      throw new ScheduleError('not_found', 'Scheduled cooking not found');
+    }
+    if (job.status !== 'scheduled') {
+      throw new ScheduleError('invalid_state', `Cannot change scheduled cooking that is '${job.status}'`);
+    }
+    if (changes.scheduledTime !== undefined) {
+      const scheduledTime = new Date(changes.scheduledTime);
+      if (Number.isNaN(scheduledTime.getTime()) || scheduledTime.getTime() <= clock.now()) {
+        throw new ScheduleError('invalid_params', 'Invalid scheduledTime (must be a future date)');
+      }
+      changes.scheduledTime = scheduledTime;
+      changes.remindersSent = [];
+    }
+
+    const planned = plan({ ...job, ...changes }, steps);
+    const updated = storage.update('scheduledCooking', jobId, planned);
+    arm(updated);
+    return updated;
+  }
+
+  function cancel(jobId) {
+    disarm(jobId);
+    return storage.remove('scheduledCooking', jobId);
+  }
+
+  // Re-arm pending jobs after a restart
+  function start() {
+    const pending = storage.list('scheduledCooking', job => job.status === 'scheduled' && job.startAt);
+    pending.forEach(arm);
+    if (pending.length > 0) console.log(`📅 Restored ${pending.length} scheduled cooking job(s)`);
+  }
+
+  function stop() {
+    Array.from(timers.keys()).forEach(disarm);
+  }
+
+  return {
+    schedule,
+    reschedule,
+    cancel,
+    start,
+    stop,
+    leadMinutes
+  };
+}
+
+module.exports = {
+  ScheduleError,
+  createMealScheduler
+};
@@ -0,0 +1,229 @@
+/**
+ * Nutrition Analyzer
+ * - Parses ingredient lines and resolves them against the bundled nutrient
+ *   database (nutrient-db.json, values per 100 g)
+ * - Converts quantities to grams: mass units directly, volumes through each
+ *   food's density, counts ("2 eggs", "3 cloves") through its portion weights
+ * - Totals per recipe and per serving, dietary flags from the ingredients
+ *   themselves and rule-based recommendations
+ */
+
+const nutrientDb = require('./nutrient-db.json');
+const { parseIngredients } = require('../recipes/ingredient-parser');
+const { scoreTitle, tokenize } = require('../recipes/recipe-matcher');
+const { convert, unitKind } = require('../units');
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'saturatedFat', 'fiber', 'sugar', 'sodium'];
+
+const SIZE_FACTORS = { small: 0.75, medium: 1, large: 1.25, 'extra large': 1.5 };
+
+// Words that describe an ingredient without changing what it is
+const DESCRIPTORS = ['fresh', 'organic', 'boneless', 'skinless', 'lean', 'free-range', 'frozen', 'raw', 'dried', 'ripe'];
+
+// Animal products each diet leaves out
+const DIETS = {
+  vegetarian: ['meat', 'fish'],
+  pescatarian: ['meat'],
+  vegan: ['meat', 'fish', 'dairy', 'egg', 'honey'],
+  dairyFree: ['dairy']
+};
+
+// Tokenized name/alias → food ID
+const FOOD_INDEX = new Map();
+Object.entries(nutrientDb).forEach(([id, food]) => {
+  [id, ...(food.aliases || [])].forEach(name => {
+    const key = tokenize(name).join(' ');
+    if (!FOOD_INDEX.has(key)) FOOD_INDEX.set(key, id);
+  });
+});
+
+// Find a food for an ingredient name: exact, then without leading
+// modifiers ("red bell pepper"), then without trailing words ("salmon fillets"),
+// then typo-tolerant
+function findFood(name) {
+  const tokens = tokenize(name.split(/\s+/).filter(word => !DESCRIPTORS.includes(word)).join(' '));
+  if (tokens.length === 0) return null;
+
+  for (let start = 0; start < tokens.length; start++) {
+    const id = FOOD_INDEX.get(tokens.slice(start).join(' '));
+    if (id) return id;
+  }
+  for (let end = tokens.length - 1; end > 0; end--) {
+    const id = FOOD_INDEX.get(tokens.slice(0, end).join(' '));
+    if (id) return id;
+  }
+
+  let best = null;
+  FOOD_INDEX.forEach((id, key) => {
+    const score = scoreTitle(tokens.join(' '), key);
+    if (score >= 0.8 && (!best || score > best.score)) best = { id, score };
+  });
+  return best ? best.id : null;
+}
+
+// Food for a parsed ingredient line; tinned food differs from fresh ("1 can tomatoes")
+function matchFood(parsed) {
+  const canned = ['can', 'jar'].includes(parsed.unit) && findFood(`canned ${parsed.ingredient}`);
+  const id = canned || (parsed.ingredient ? findFood(parsed.ingredient) : null);
+  return id ? { id, food: nutrientDb[id] } : null;
+}
+
+// Weight in grams of an amount of a food, null when it can't be worked out
+function toGrams(quantity, unit, food) {
+  if (unitKind(unit) !== 'count') return convert(quantity, unit, 'g', { density: food.density || 1 });
+
+  const portions = food.portions || {};
+  const portion = portions[unit || 'each'] || (['piece', 'fillet', null].includes(unit) ? portions.each : undefined);
+  return portion ? quantity * portion : null;
+}
+
+function ingredientGrams(parsed, food) {
+  let quantity = parsed.quantity;
+  if (quantity !== null && parsed.quantityMax !== null) quantity = (quantity + parsed.quantityMax) / 2;
+  if (quantity === null) {
+    if (!['pinch', 'dash'].includes(parsed.unit)) return null;
+    quantity = 1;
+  }
+
+  // "1 (400 g) can": weigh the package, not the can
+  if (parsed.packageSize) {
+    const packageGrams = toGrams(parsed.packageSize.quantity, parsed.packageSize.unit, food);
+    if (packageGrams !== null) return quantity * packageGrams;
+  }
+
+  const grams = toGrams(quantity, parsed.unit, food);
+  return grams === null ? null : grams * (SIZE_FACTORS[parsed.size] || 1);
+}
+
+function round(values) {
+  const rounded = {};
+  NUTRIENTS.forEach(nutrient => {
+    rounded[nutrient] = ['calories', 'sodium'].includes(nutrient)
+      ? Math.round(values[nutrient])
+      : Math.round(values[nutrient] * 10) / 10;
+  });
+  return rounded;
+}
+
+// 0–100, starting at 70: fiber, protein and plants raise it; sodium,
+// saturated fat, sugar and very large portions lower it
+function healthScore(perServing, plantShare) {
+  let score = 70;
+  score += Math.min(perServing.fiber * 1.5, 10);
+  score += Math.min(perServing.protein / 3, 10);
+  score += Math.round(plantShare * 10);
+  score -= Math.min(Math.max(perServing.sodium - 600, 0) / 40, 20);
+  score -= Math.min(Math.max(perServing.saturatedFat - 5, 0) * 2, 20);
+  score -= Math.min(Math.max(perServing.sugar - 15, 0), 15);
+  score -= Math.min(Math.max(perServing.calories - 800, 0) / 40, 10);
+  return Math.max(0, Math.min(100, Math.round(score)));
+}
+
+// Recommendation rules, checked per serving in order
+const RECOMMENDATION_RULES = [
+  {
+    when: ({ perServing }) => perServing.sodium > 800,
+    message: ({ perServing }) => `High in sodium (${perServing.sodium} mg per serving); use less salt or a low-sodium stock`
+  },
+  {
+    when: ({ perServing }) => perServing.saturatedFat > 10,
+    message: ({ perServing }) => `High in saturated fat (${perServing.saturatedFat} g per serving); try swapping some butter or cream for olive oil or yogurt`
+  },
+  {
+    when: ({ perServing }) => perServing.sugar > 25,
+    message: ({ perServing }) => `High in sugar (${perServing.sugar} g per serving)`
+  },
+  {
+    when: ({ perServing }) => perServing.calories > 800,
+    message: ({ perServing }) => `Large portions (${perServing.calories} kcal per serving); consider splitting into more servings`
+  },
+  {
+    when: ({ perServing }) => perServing.protein >= 20,
+    message: ({ perServing }) => `Good source of protein (${perServing.protein} g per serving)`
+  },
+  {
+    when: ({ perServing }) => perServing.fiber >= 5,
+    message: ({ perServing }) => `Good source of fiber (${perServing.fiber} g per serving)`
+  },
+  {
+    when: ({ perServing, plantShare }) => perServing.fiber < 3 && plantShare < 0.2,
+    message: () => 'Consider adding vegetables, beans or whole grains for more fiber'
+  },
+  {
+    when: ({ unresolved }) => unresolved.length > 0,
+    message: ({ unresolved }) => `Totals leave out ${unresolved.length} ingredient(s) we couldn't measure: ${unresolved.join(', ')}`
+  }
+];
+
+// Analyze ingredient lines (or { amount, unit, name } objects) for a number of servings
+function analyzeIngredients(ingredients, { servings = 1 } = {}) {
+  const portions = Math.max(Number(servings) || 1, 1);
+  const totals = Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient, 0]));
+  const found = [];
+  let plantGrams = 0;
+  let totalGrams = 0;
+
+  const analyzed = parseIngredients(ingredients).map(parsed => {
+    const matched = matchFood(parsed);
+    const foodId = matched ? matched.id : null;
+    const food = matched ? matched.food : null;
+    const grams = food ? ingredientGrams(parsed, food) : null;
+
+    if (food) found.push(food);
+    if (food && grams !== null) {
+      NUTRIENTS.forEach(nutrient => {
+        totals[nutrient] += food.per100g[nutrient] * grams / 100;
+      });
+      totalGrams += grams;
+      if (['vegetable', 'fruit', 'legume'].includes(food.category)) plantGrams += grams;
+    }
+
+    let status = 'measured';
+    if (!food) status = 'unknown';
+    else if (grams === null) status = parsed.quantity === null ? 'unquantified' : 'unmeasured';
+
+    return {
+      ...parsed,
+      food: foodId,
+      grams: grams === null ? null : Math.round(grams),
+      status
+    };
+  });
+
+  const perServing = round(Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient, totals[nutrient] / portions])));
+  const plantShare = totalGrams > 0 ? plantGrams / totalGrams : 0;
+
+  const dietaryRestrictions = {};
+  Object.entries(DIETS).forEach(([diet, excluded]) => {
+    dietaryRestrictions[diet] = !found.some(food => excluded.includes(food.animalProduct));
+  });
+  dietaryRestrictions.glutenFree = !found.some(food => food.gluten);
+
+  // Seasoning "to taste" barely counts; anything else we couldn't weigh is worth a mention
+  const unknown = analyzed.filter(ingredient => ingredient.status === 'unknown');
+  const unresolved = analyzed
+    .filter(ingredient => ingredient.status === 'unknown' || ingredient.status === 'unmeasured')
+    .map(ingredient => ingredient.ingredient || ingredient.original);
+
+  const context = { perServing, plantShare, unresolved };
+  return {
+    servings: portions,
+    perServing,
+    total: round(totals),
+    healthScore: healthScore(perServing, plantShare),
+    dietaryRestrictions,
+    // Flags only cover ingredients we recognised
+    dietaryRestrictionsComplete: unknown.length === 0,
+    ingredients: analyzed,
+    recommendations: RECOMMENDATION_RULES
+      .filter(rule => rule.when(context))
+      .map(rule => rule.message(context))
+  };
+}
+
+module.exports = {
+  NUTRIENTS,
+  analyzeIngredients,
+  findFood,
+  matchFood
+};
@@ -0,0 +1,396 @@
+/**
+ * Pantry
+ * - Food in the house: quantity, unit, location and expiry date per item, kept
+ *   in the `pantry` collection
+ * - Takes a cooked recipe's ingredients off the stock, soonest-expiring first,
+ *   converting between weights, volumes and counts where the food allows
+ * - Broadcasts `pantry_low_stock` when an item drops to its threshold and
+ *   `pantry_expiring_soon` as items near (and pass) their expiry date
+ * - Ranks recipes by how much of them can be cooked from what's on hand
+ * - Each household has a pantry of its own: items carry a `householdId`, and
+ *   cooking only uses up the cook's household's food
+ *
+ * An item without a quantity ("salt") is stocked but not counted: it is never
+ * used up and always covers a recipe.
+ */
+
+const { createClock } = require('./clock');
+const { parseIngredientLine, parseIngredients } = require('./recipes/ingredient-parser');
+const { matchFood } = require('./nutrition/analyzer');
+const { convert, normalizeUnit, unitKind } = require('./units');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LOCATIONS = ['pantry', 'fridge', 'freezer', 'other'];
+
+const EXPIRING_WITHIN_DAYS = 3;
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Amounts below this count as used up
+const EPSILON = 1e-6;
+
+// Comes out of the tap, so never needs stocking
+const ALWAYS_ON_HAND = ['water'];
+
+// Raised for bad pantry requests
+class PantryError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PantryError';
+    this.code = code; // not_found | invalid_params
+  }
+}
+
+// What an item or ingredient is, so "2 large eggs" finds the "eggs" on the shelf
+function foodKey(parsed) {
+  const matched = parsed.ingredient ? matchFood(parsed) : null;
+  return matched ? matched.id : String(parsed.ingredient || '').toLowerCase();
+}
+
+// An amount of a food in another unit, through its density or portion weights;
+// null when the two can't be compared ("1 bunch" vs grams)
+function amountIn(quantity, from, to, food) {
+  // "3 eggs" and "3 pieces of egg" count the same thing
+  if ((from === 'piece' ? null : from || null) === (to === 'piece' ? null : to || null)) return quantity;
+
+  const fromCount = unitKind(from) === 'count';
+  const toCount = unitKind(to) === 'count';
+  const portions = (food && food.portions) || {};
+  try {
+    if (fromCount && toCount) return null;
+    if (fromCount) {
+      const grams = portions[from || 'each'];
+      return grams ? convert(quantity * grams, 'g', to, { density: food.density }) : null;
+    }
+    if (toCount) {
+      const grams = portions[to || 'each'];
+      return grams ? convert(quantity, from, 'g', { density: food && food.density }) / grams : null;
+    }
+    return convert(quantity, from, to, { density: food && food.density });
+  } catch (error) {
+    return null;
+  }
+}
+
+// How much of an ingredient a recipe needs: { quantity, unit }, or null for "to taste"
+function neededAmount(parsed, factor) {
+  if (parsed.quantity === null) return null;
+  const quantity = parsed.quantityMax !== null ? parsed.quantityMax : parsed.quantity;
+  // "1 (400 g) can" needs 400 g
+  if (parsed.packageSize && unitKind(parsed.unit) === 'count') {
+    return { quantity: quantity * parsed.packageSize.quantity * factor, unit: parsed.packageSize.unit };
+  }
+  return { quantity: quantity * factor, unit: parsed.unit };
+}
+
+function round(quantity) {
+  return Math.round(quantity * 1000) / 1000;
+}
+
+// Create a pantry on `storage`, reporting stock and expiry through `broadcast(type, data)`
+function createPantry({
+  storage,
+  broadcast,
+  clock = createClock(),
+  expiringWithinDays = EXPIRING_WITHIN_DAYS
+}) {
+  let sequence = 0;
+  let expiryTimer = null;
+
+  function nextItemId() {
+    sequence += 1;
+    return `pantry_${clock.now()}_${sequence}`;
+  }
+
+  function isExpired(item) {
+    return Boolean(item.expiresAt) && new Date(item.expiresAt).getTime() <= clock.now();
+  }
+
+  function daysLeft(item) {
+    return Math.ceil((new Date(item.expiresAt).getTime() - clock.now()) / DAY_MS);
+  }
+
+  function describeItem(item) {
+    return {
+      ...item,
+      expired: isExpired(item),
+      daysLeft: item.expiresAt ? daysLeft(item) : null,
+      lowStock: item.quantity !== null && item.quantity <= (item.lowStockThreshold || 0)
+    };
+  }
+
+  // Check and normalize item fields from a request; `partial` for edits
+  function validate(fields, { partial = false } = {}) {
+    const item = {};
+
+    if (fields.name !== undefined || !partial) {
+      if (typeof fields.name !== 'string' || !fields.name.trim()) {
+        throw new PantryError('invalid_params', 'Missing name');
+      }
+      item.name = fields.name.trim();
+      const parsed = parseIngredientLine(item.name);
+      item.food = parsed.ingredient ? (matchFood(parsed) || { id: null }).id : null;
+    }
+    if (fields.quantity !== undefined) {
+      if (fields.quantity !== null && !(typeof fields.quantity === 'number' && fields.quantity >= 0)) {
+        throw new PantryError('invalid_params', 'Invalid quantity (must be a number of at least 0, or null)');
+      }
+      item.quantity = fields.quantity;
+    } else if (!partial) {
+      item.quantity = null;
+    }
+    if (fields.unit !== undefined || !partial) {
+      try {
+        item.unit = fields.unit ? normalizeUnit(fields.unit) : null;
+      } catch (error) {
+        throw new PantryError('invalid_params', error.message);
+      }
+    }
+    if (fields.location !== undefined || !partial) {
+      const location = fields.location || 'pantry';
+      if (!LOCATIONS.includes(location)) {
+        throw new PantryError('invalid_params', `Invalid location (one of: ${LOCATIONS.join(', ')})`);
+      }
+      item.location = location;
+    }
+    if (fields.expiresAt !== undefined || !partial) {
+      const expiresAt = fields.expiresAt ? new Date(fields.expiresAt) : null;
+      if (expiresAt && Number.isNaN(expiresAt.getTime())) {
+        throw new PantryError('invalid_params', 'Invalid expiresAt (must be a date)');
+      }
+      item.expiresAt = expiresAt;
+      // A new date gets its own alerts
+      item.expiryAlert = null;
+    }
+    if (fields.lowStockThreshold !== undefined || !partial) {
+      const threshold = fields.lowStockThreshold === undefined ? null : fields.lowStockThreshold;
+      if (threshold !== null && !(typeof threshold === 'number' && threshold >= 0)) {
+        throw new PantryError('invalid_params', 'Invalid lowStockThreshold (must be a number of at least 0, or null)');
+      }
+      item.lowStockThreshold = threshold;
+    }
+    return item;
+  }
+
+  function getItem(id) {
+    const item = storage.get('pantry', id);
+    if (!item) {
+      throw new PantryError('not_found', 'Pantry item not found');
+    }
+    return describeItem(item);
+  }
+
+  // Items, optionally only { householdId, location, expiringWithinDays, lowStock }
+  function listItems({ householdId, location, expiringWithinDays: within, lowStock } = {}) {
+    return storage.list('pantry', item => householdId === undefined || item.householdId === householdId)
+      .map(describeItem)
+      .filter(item => !location || item.location === location)
+      .filter(item => within === undefined || (item.expiresAt && item.daysLeft <= within))
+      .filter(item => !lowStock || item.lowStock)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Tell clients once an item is at or below its threshold
+  function checkStock(before, after) {
+    const threshold = after.lowStockThreshold || 0;
+    if (after.quantity === null || after.quantity > threshold) return;
+    if (before && before.quantity !== null && before.quantity <= threshold) return;
+
+    broadcast('pantry_low_stock', {
+      itemId: after.id,
+      name: after.name,
+      quantity: after.quantity,
+      unit: after.unit,
+      threshold,
+      outOfStock: after.quantity <= EPSILON,
+      message: after.quantity <= EPSILON ? `Out of ${after.name}` : `Running low on ${after.name}`
+    });
+  }
+
+  function addItem(fields, { householdId = null } = {}) {
+    const item = storage.insert('pantry', {
+      id: nextItemId(),
+      ...validate(fields),
+      householdId,
+      createdAt: clock.date(),
+      updatedAt: clock.date()
+    });
+    checkStock(null, item);
+    checkExpiry(item);
+    return describeItem(storage.get('pantry', item.id));
+  }
+
+  function updateItem(id, fields) {
+    const before = storage.get('pantry', id);
+    if (!before) {
+      throw new PantryError('not_found', 'Pantry item not found');
+    }
+
+    const item = storage.update('pantry', id, { ...validate(fields, { partial: true }), updatedAt: clock.date() });
+    checkStock(before, item);
+    checkExpiry(item);
+    return describeItem(storage.get('pantry', id));
+  }
+
+  function removeItem(id) {
+    if (!storage.remove('pantry', id)) {
+      throw new PantryError('not_found', 'Pantry item not found');
+    }
+  }
+
+  // Unexpired stock of a food in a household, soonest-expiring first
+  function stockFor(key, householdId) {
+    return storage.list('pantry', item => item.householdId === householdId && !isExpired(item) &&
+      (item.food || item.name.toLowerCase()) === key)
+      .sort((a, b) => (a.expiresAt ? new Date(a.expiresAt).getTime() : Infinity) -
+        (b.expiresAt ? new Date(b.expiresAt).getTime() : Infinity));
+  }
+
+  // Take a recipe's ingredients (scaled by `factor`) off a household's stock. Returns
+  // what was used, what ran short and what wasn't in the pantry at all.
+  function deductIngredients(ingredients, { householdId = null, factor = 1, sessionId = null, recipeName = null } = {}) {
+    const used = [];
+    const short = [];
+    const missing = [];
+
+    parseIngredients(ingredients || []).forEach(parsed => {
+      if (!parsed.ingredient || ALWAYS_ON_HAND.includes(foodKey(parsed))) return;
+      const needed = neededAmount(parsed, factor);
+      const matched = matchFood(parsed);
+      const stocked = stockFor(foodKey(parsed), householdId);
+
+      if (stocked.length === 0) {
+        missing.push(parsed.ingredient);
+        return;
+      }
+      // "Salt to taste", or an item nobody counts: nothing to take off
+      if (!needed || stocked.some(item => item.quantity === null)) return;
+
+      let remaining = needed.quantity;
+      stocked.forEach(item => {
+        if (remaining <= EPSILON || item.quantity <= EPSILON) return;
+        const wanted = amountIn(remaining, needed.unit, item.unit, matched && matched.food);
+        if (wanted === null) return;
+
+        const take = Math.min(item.quantity, wanted);
+        const updated = storage.update('pantry', item.id, {
+          quantity: round(item.quantity - take),
+          lastUsedAt: clock.date(),
+          updatedAt: clock.date()
+        });
+        remaining *= 1 - take / wanted;
+        used.push({ itemId: item.id, name: item.name, used: round(take), unit: item.unit, remaining: updated.quantity });
+        checkStock(item, updated);
+      });
+
+      if (remaining > EPSILON) short.push(parsed.ingredient);
+    });
+
+    if (used.length > 0 || missing.length > 0) {
+      console.log(`🥫 Pantry updated after ${recipeName || 'cooking'}: ${used.length} item(s) used`);
+      broadcast('pantry_deducted', { sessionId, recipeName, used, short, missing });
+    }
+    return { used, short, missing };
+  }
+
+  // How much of each recipe is on hand in a household, best first:
+  // [{ id, title, score, have, short, missing, canCook }]
+  function rankRecipes(recipes, { householdId = null } = {}) {
+    return recipes
+      .map(recipe => {
+        const have = [];
+        const short = [];
+        const missing = [];
+
+        parseIngredients(recipe.ingredients || []).forEach(parsed => {
+          if (!parsed.ingredient || ALWAYS_ON_HAND.includes(foodKey(parsed))) return;
+          const stocked = stockFor(foodKey(parsed), householdId).filter(item => item.quantity === null || item.quantity > EPSILON);
+          const needed = neededAmount(parsed, 1);
+          const matched = matchFood(parsed);
+
+          if (stocked.length === 0) {
+            missing.push(parsed.ingredient);
+            return;
+          }
+          if (!needed || stocked.some(item => item.quantity === null)) {
+            have.push(parsed.ingredient);
+            return;
+          }
+
+          const amounts = stocked.map(item => amountIn(item.quantity, item.unit, needed.unit, matched && matched.food));
+          // Stock we can't measure against the recipe counts as enough
+          const onHand = amounts.includes(null) ? Infinity : amounts.reduce((total, amount) => total + amount, 0);
+          (onHand + EPSILON >= needed.quantity ? have : short).push(parsed.ingredient);
+        });
+
+        const total = have.length + short.length + missing.length;
+        return {
+          id: recipe.id,
+          title: recipe.title,
+          score: total === 0 ? 0 : Math.round((have.length + short.length / 2) / total * 100) / 100,
+          have,
+          short,
+          missing,
+          canCook: total > 0 && short.length === 0 && missing.length === 0
+        };
+      })
+      .sort((a, b) => b.score - a.score || a.missing.length - b.missing.length || a.title.localeCompare(b.title));
+  }
+
+  // Alert once as an item comes within `expiringWithinDays` of its date, and once when it passes
+  function checkExpiry(item) {
+    if (!item.expiresAt || item.quantity === 0) return;
+
+    const expired = isExpired(item);
+    const stage = expired ? 'expired' : daysLeft(item) <= expiringWithinDays ? 'soon' : null;
+    if (!stage || stage === item.expiryAlert) return;
+
+    storage.update('pantry', item.id, { expiryAlert: stage });
+    const days = daysLeft(item);
+    broadcast('pantry_expiring_soon', {
+      itemId: item.id,
+      name: item.name,
+      location: item.location,
+      expiresAt: item.expiresAt,
+      daysLeft: days,
+      expired,
+      message: expired
+        ? `${item.name} has expired`
+        : `${item.name} expires ${days <= 0 ? 'today' : `in ${days} day${days === 1 ? '' : 's'}`}`
+    });
+  }
+
+  function checkExpiring() {
+    storage.list('pantry').forEach(checkExpiry);
+  }
+
+  // Check expiry dates now and every hour
+  function start() {
+    checkExpiring();
+    expiryTimer = clock.setInterval(checkExpiring, EXPIRY_CHECK_INTERVAL_MS);
+  }
+
+  function stop() {
+    if (expiryTimer) clock.clearInterval(expiryTimer);
+    expiryTimer = null;
+  }
+
+  return {
+    addItem,
+    getItem,
+    listItems,
+    updateItem,
+    removeItem,
+    deductIngredients,
+    rankRecipes,
+    checkExpiring,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  LOCATIONS,
+  PantryError,
+  createPantry
+};
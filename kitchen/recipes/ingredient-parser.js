@@ -0,0 +1,201 @@
+/**
+ * Ingredient Line Parser
+ * - Reads free text like "2 1/2 cups diced onion" or "1 (400 g) can chopped tomatoes, drained"
+ * - Quantities: whole numbers, decimals, fractions, mixed numbers, unicode
+ *   fractions (½), ranges ("2-3") and words ("a", "two", "half")
+ * - Units normalized to one spelling ("tablespoons" → "tbsp", "grams" → "g")
+ * - Preparation ("diced", ", finely chopped"), size ("large") and notes
+ *   ("to taste", "(optional)") split off the ingredient name
+ */
+
+const { UNIT_ALIASES } = require('../units');
+
+const UNICODE_FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 0.125, '⅜': 0.375, '⅝': 0.625, '⅞': 0.875 };
+
+const QUANTITY_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, dozen: 12, half: 0.5
+};
+
+const SIZES = ['extra large', 'extra-large', 'large', 'medium', 'small'];
+
+// Words describing how an ingredient is prepared rather than what it is
+const PREPARATION_WORDS = [
+  'chopped', 'diced', 'minced', 'sliced', 'grated', 'shredded', 'crushed', 'melted', 'softened',
+  'beaten', 'peeled', 'cubed', 'julienned', 'toasted', 'cooked', 'drained', 'rinsed', 'halved',
+  'quartered', 'trimmed', 'deseeded', 'seeded', 'pitted', 'zested', 'juiced', 'mashed', 'sifted',
+  'packed', 'divided', 'room-temperature', 'thawed', 'roasted', 'ground', 'crumbled', 'torn'
+];
+const PREPARATION_ADVERBS = ['finely', 'roughly', 'coarsely', 'thinly', 'thickly', 'freshly', 'lightly', 'firmly'];
+
+// Things that look like preparation words but name the ingredient ("ground beef")
+const NAME_PREFIXES = ['ground beef', 'ground pork', 'ground turkey', 'ground chicken', 'ground lamb', 'roasted peppers'];
+
+const NOTE_PATTERNS = [
+  { pattern: /\(?\boptional\b\)?/i, optional: true },
+  { pattern: /,?\s*\bto taste\b/i },
+  { pattern: /,?\s*\bas needed\b/i },
+  { pattern: /,?\s*\bfor (?:serving|garnish|dusting|greasing|frying)\b/i }
+];
+
+const UNIT_LOOKUP = Object.entries(UNIT_ALIASES)
+  .flatMap(([unit, aliases]) => aliases.map(alias => ({ alias, unit })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+// A number in digits: mixed ("2 1/2"), fraction, decimal or unicode fraction.
+// The instruction parser reads times with it too.
+const NUMBER = '(?:\\d+\\s+\\d+\\s*/\\s*\\d+|\\d+\\s*/\\s*\\d+|\\d+(?:[.,]\\d+)?\\s*[½¼¾⅓⅔⅛⅜⅝⅞]?|[½¼¾⅓⅔⅛⅜⅝⅞])';
+const QUANTITY_PATTERN = new RegExp(`^(${NUMBER})(?:\\s*(?:-|–|to|or)\\s*(${NUMBER}))?\\s*`);
+const WORD_QUANTITY_PATTERN = new RegExp(`^(${Object.keys(QUANTITY_WORDS).join('|')})\\b\\s*(?:of\\s+)?`, 'i');
+
+// "2 1/2" → 2.5, "¾" → 0.75, "1,5" → 1.5
+function parseNumber(text) {
+  const value = text.trim();
+
+  const mixed = value.match(/^(\d+)\s+(\d+)\s*\/\s*(\d+)$/);
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+
+  const fraction = value.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (fraction) return Number(fraction[1]) / Number(fraction[2]);
+
+  const withUnicode = value.match(/^(\d+(?:[.,]\d+)?)?\s*([½¼¾⅓⅔⅛⅜⅝⅞])?$/);
+  if (withUnicode) {
+    const whole = withUnicode[1] ? Number(withUnicode[1].replace(',', '.')) : 0;
+    return whole + (withUnicode[2] ? UNICODE_FRACTIONS[withUnicode[2]] : 0);
+  }
+  return null;
+}
+
+// Read a unit off the front of `text`; units must end at a word boundary
+function takeUnit(text) {
+  const lower = text.toLowerCase();
+  const found = UNIT_LOOKUP.find(({ alias }) =>
+    lower.startsWith(alias) && !/[a-z]/.test(lower.charAt(alias.length)));
+  if (!found) return { unit: null, rest: text };
+
+  return {
+    unit: found.unit,
+    rest: text.slice(found.alias.length).replace(/^\.?\s*(?:of\s+)?/i, '')
+  };
+}
+
+// Split preparation words off the name: "finely diced onion" → ("onion", "finely diced")
+function splitPreparation(name) {
+  if (NAME_PREFIXES.some(prefix => name.toLowerCase().startsWith(prefix))) {
+    return { name, preparation: [] };
+  }
+
+  const words = name.split(/\s+/);
+  const preparation = [];
+  while (words.length > 1) {
+    const word = words[0].toLowerCase().replace(/,$/, '');
+    if (!PREPARATION_WORDS.includes(word) && !PREPARATION_ADVERBS.includes(word)) break;
+    preparation.push(words.shift().replace(/,$/, ''));
+  }
+  return { name: words.join(' '), preparation };
+}
+
+// Parse one ingredient line
+function parseIngredientLine(line) {
+  const original = String(line || '').trim();
+  let text = original.replace(/\s+/g, ' ').replace(/^[-•*]\s*/, '');
+  let optional = false;
+  const notes = [];
+
+  NOTE_PATTERNS.forEach(({ pattern, optional: isOptional }) => {
+    const match = text.match(pattern);
+    if (!match) return;
+    if (isOptional) optional = true;
+    notes.push(match[0].replace(/^[,\s(]+|[)\s]+$/g, ''));
+    text = text.replace(pattern, '').trim();
+  });
+
+  // Quantity, as digits or words
+  let quantity = null;
+  let quantityMax = null;
+  const numeric = text.match(QUANTITY_PATTERN);
+  if (numeric) {
+    quantity = parseNumber(numeric[1]);
+    quantityMax = numeric[2] ? parseNumber(numeric[2]) : null;
+    text = text.slice(numeric[0].length);
+  } else {
+    const word = text.match(WORD_QUANTITY_PATTERN);
+    if (word) {
+      quantity = QUANTITY_WORDS[word[1].toLowerCase()];
+      text = text.slice(word[0].length);
+    }
+  }
+
+  // Package size: "1 (400 g) can" or "2 x 400g tins"
+  let packageSize = null;
+  const packaged = text.match(/^(?:\(([^)]*)\)|x\s*([\d.,]+\s*[a-z]+))\s*/i);
+  if (packaged) {
+    const inner = (packaged[1] || packaged[2]).trim();
+    const sizeQuantity = inner.match(QUANTITY_PATTERN);
+    if (sizeQuantity) {
+      const { unit } = takeUnit(inner.slice(sizeQuantity[0].length));
+      if (unit) {
+        packageSize = { quantity: parseNumber(sizeQuantity[1]), unit };
+        text = text.slice(packaged[0].length);
+      }
+    }
+  }
+
+  const unitMatch = takeUnit(text);
+  const unit = unitMatch.unit;
+  text = unitMatch.rest;
+
+  let size = null;
+  const sizeMatch = SIZES.find(candidate => text.toLowerCase().startsWith(`${candidate} `));
+  if (sizeMatch) {
+    size = sizeMatch.replace('-', ' ');
+    text = text.slice(sizeMatch.length).trim();
+  }
+
+  // Everything after a comma (or in trailing brackets) describes preparation
+  const preparation = [];
+  const bracket = text.match(/\s*\(([^)]*)\)\s*$/);
+  if (bracket) {
+    notes.push(bracket[1].trim());
+    text = text.slice(0, bracket.index);
+  }
+  const comma = text.indexOf(',');
+  if (comma !== -1) {
+    preparation.push(text.slice(comma + 1).trim());
+    text = text.slice(0, comma);
+  }
+
+  const split = splitPreparation(text.trim());
+  if (split.preparation.length > 0) preparation.unshift(split.preparation.join(' '));
+
+  return {
+    original,
+    quantity,
+    quantityMax,
+    unit,
+    packageSize,
+    size,
+    ingredient: split.name.replace(/^of\s+/i, '').trim().toLowerCase(),
+    preparation: preparation.filter(Boolean).join(', ') || null,
+    optional,
+    notes: notes.filter(Boolean)
+  };
+}
+
+// Parse a list of lines, or an ingredient list already split into fields
+// ({ amount, unit, name } as recipes carry them)
+function parseIngredients(ingredients) {
+  return (ingredients || []).map(ingredient => {
+    if (typeof ingredient === 'string') return parseIngredientLine(ingredient);
+    if (ingredient.original) return parseIngredientLine(ingredient.original);
+    return parseIngredientLine([ingredient.amount, ingredient.unit, ingredient.name].filter(Boolean).join(' '));
+  });
+}
+
+module.exports = {
+  NUMBER,
+  UNIT_ALIASES,
+  parseIngredientLine,
+  parseIngredients,
+  parseNumber
+};
@@ -0,0 +1,303 @@
+/**
+ * Recipe Instruction Parser
+ * - Accepts plain text, numbered lists, HTML and Spoonacular `analyzedInstructions`
+ * - Splits sentences without breaking on "1.5 cups" or "approx."
+ * - Extracts per-step durations ("simmer for 10–12 minutes"), temperatures
+ *   ("bake at 375°F", "gas mark 6") and appliance actions
+ * - Flags passive steps (timer runs, session moves on by itself) and active
+ *   steps (session waits for the cook to confirm)
+ */
+
+const { toCelsius } = require('../units');
+const { NUMBER: DIGITS, parseNumber: parseDigits } = require('./ingredient-parser');
+
+// Words that end in a period without ending the sentence
+const ABBREVIATIONS = [
+  'approx', 'appr', 'ca', 'e.g', 'i.e', 'etc', 'vs', 'no', 'dr', 'st', 'mr', 'mrs',
+  'oz', 'lb', 'lbs', 'tbsp', 'tbs', 'tsp', 'pt', 'qt', 'gal', 'min', 'mins', 'hr', 'hrs',
+  'sec', 'secs', 'deg', 'temp', 'pkg', 'fl', 'c', 'g', 'kg', 'ml', 'l'
+];
+
+// Of those, times still end a sentence when a capital letter follows ("wait 2 hrs. Set the oven…")
+const TIME_ABBREVIATIONS = ['min', 'mins', 'hr', 'hrs', 'sec', 'secs'];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30,
+  forty: 40, 'forty-five': 45, fifty: 50, sixty: 60, ninety: 90, half: 0.5, 'a half': 0.5
+};
+
+// Numbers in digits as the ingredient parser reads them ("1 1/2", "¾"), or in words
+const NUMBER = `(?:${DIGITS}|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})`;
+const DURATION_PATTERN = new RegExp(
+  `(every\\s+)?(${NUMBER})(?:\\s*(?:-|–|—|to|or)\\s*(${NUMBER}))?\\s*(seconds?|secs?|minutes?|mins?|hours?|hrs?|h)\\b`,
+  'gi'
+);
+const HALF_HOUR_PATTERN = /\bhalf\s+an?\s+hour\b/gi;
+const GAS_MARK_PATTERN = /\bgas(?:\s+mark)?\s+(\d\/\d|\d+(?:\.\d+)?|[½¼])/i;
+const TEMPERATURE_PATTERN = /(\d{2,3})\s*(?:°\s*|º\s*|degrees?\s*|deg\.?\s*)(F|C|Fahrenheit|Celsius|Centigrade)?\b|(\d{2,3})\s?(F|C)\b/gi;
+
+// Hob power levels for heat descriptions
+const HEAT_LEVELS = [
+  { pattern: /\bmedium[- ]high\b/i, level: 7 },
+  { pattern: /\bmedium[- ]low\b/i, level: 4 },
+  { pattern: /\b(?:medium|moderate|med)\b/i, level: 5 },
+  { pattern: /\bhigh\b/i, level: 9 },
+  { pattern: /\blow\b/i, level: 2 }
+];
+
+const PASSIVE_VERBS = /\b(bake|baking|roast|broil|simmer|boil|steam|braise|stew|rest|cool|chill|refrigerate|freeze|marinate|rise|proof|soak|set aside|let|leave|stand|cook|pressure[- ]cook|air[- ]fry|sous[- ]vide|microwave|grill|slow[- ]cook)\b/i;
+const ACTIVE_VERBS = /\b(stir|whisk|mix|knead|chop|dice|slice|mince|fold|beat|flip|toss|add|combine|pour|season|serve|spread|roll|shape|cut|peel|grate|blend|mash|drain|transfer|arrange|garnish|place|sprinkle)\b/i;
+
+function parseNumber(text) {
+  const value = text.trim().toLowerCase();
+  if (NUMBER_WORDS[value] !== undefined) return NUMBER_WORDS[value];
+
+  const number = parseDigits(value);
+  return number === null ? NaN : number;
+}
+
+function toMinutes(value, unit) {
+  const normalized = unit.toLowerCase();
+  if (normalized.startsWith('s')) return value / 60;
+  if (normalized.startsWith('h')) return value * 60;
+  return value;
+}
+
+const roundMinutes = minutes => Math.round(minutes * 100) / 100;
+
+// Total time mentioned in a step, as { min, max } minutes; null when there is none.
+// Repeated intervals ("stir every 5 minutes") don't count.
+function extractDuration(text) {
+  let min = 0;
+  let max = 0;
+  let found = false;
+
+  text.replace(HALF_HOUR_PATTERN, () => {
+    min += 30;
+    max += 30;
+    found = true;
+    return '';
+  }).replace(DURATION_PATTERN, (match, every, from, to, unit) => {
+    if (every) return match;
+
+    const low = toMinutes(parseNumber(from), unit);
+    const high = to ? toMinutes(parseNumber(to), unit) : low;
+    if (Number.isNaN(low) || Number.isNaN(high)) return match;
+
+    min += Math.min(low, high);
+    max += Math.max(low, high);
+    found = true;
+    return match;
+  });
+
+  return found ? { min: roundMinutes(min), max: roundMinutes(max) } : null;
+}
+
+// First temperature in a step, converted to Celsius. Bare "350 degrees" is
+// read as Fahrenheit from 250 up, Celsius below; "180°C / gas mark 4" reads the degrees.
+function extractTemperature(text) {
+  TEMPERATURE_PATTERN.lastIndex = 0;
+  const match = TEMPERATURE_PATTERN.exec(text);
+  if (!match) {
+    const gas = text.match(GAS_MARK_PATTERN);
+    if (!gas) return null;
+    const mark = parseNumber(gas[1]);
+    return { value: mark, unit: 'gas', celsius: toCelsius(mark, 'gas') };
+  }
+
+  const value = Number(match[1] || match[3]);
+  const unitText = (match[2] || match[4] || '').toUpperCase();
+  const unit = unitText ? unitText[0] : (value >= 250 ? 'F' : 'C');
+  const celsius = Math.round(toCelsius(value, unit));
+
+  return { value, unit, celsius };
+}
+
+function extractHeatLevel(text) {
+  if (!/\bheat\b|\bflame\b|\bburner\b/i.test(text)) return null;
+  const match = HEAT_LEVELS.find(({ pattern }) => pattern.test(text));
+  return match ? match.level : null;
+}
+
+// Appliance commands a step implies, in terms of the appliance drivers
+function extractActions(text, { temperature, duration, heatLevel }) {
+  const actions = [];
+  const celsius = temperature ? temperature.celsius : null;
+  const minutes = duration ? Math.ceil(duration.max) : null;
+
+  if (/\bair[- ]?fr(?:y|ied|yer)\b/i.test(text)) {
+    actions.push({
+      appliance: 'AIR_FRYER',
+      command: 'air_fry',
+      params: { temperature: celsius || 180, duration: minutes || 10 }
+    });
+  } else if (/\bpressure[- ]cook|\bpressure cooker\b|\binstant pot\b|\bhigh pressure\b|\blow pressure\b/i.test(text)) {
+    actions.push({
+      appliance: 'AUTOCOOKER',
+      command: 'pressure_cook',
+      params: {
+        pressure: /\blow pressure\b/i.test(text) ? 7 : 12,
+        duration: minutes || 10,
+        release: /\bquick[- ]release\b/i.test(text) ? 'quick' : 'natural'
+      }
+    });
+  } else if (/\bsous[- ]vide\b|\bwater bath\b/i.test(text) && celsius) {
+    actions.push({ appliance: 'SOUS_VIDE', command: 'start', params: { temperature: celsius } });
+  } else if (/\boven\b|\b(?:bake|roast|broil)\b/i.test(text) && celsius) {
+    const mode = (text.match(/\b(roast|broil|grill)\b/i) || [null, 'bake'])[1].toLowerCase();
+    actions.push({ appliance: 'OVEN', command: 'preheat', params: { temperature: celsius, mode } });
+  }
+
+  if (/\bkettle\b/i.test(text)) {
+    actions.push({ appliance: 'KETTLE', command: 'boil', params: {} });
+  }
+
+  if (heatLevel !== null) {
+    actions.push({ appliance: 'INDUCTION_HOB', command: 'set_power', params: { zone: 1, level: heatLevel } });
+  } else if (/\bbring (?:it |the \w+ )?to (?:a|the) boil\b/i.test(text)) {
+    actions.push({ appliance: 'INDUCTION_HOB', command: 'set_power', params: { zone: 1, level: 9 } });
+  }
+
+  if (/\bweigh\b/i.test(text)) {
+    actions.push({ appliance: 'SMART_SCALE', command: 'weigh', params: {} });
+  }
+
+  return actions;
+}
+
+// Turn HTML instructions into plain text with one block per line
+function stripHtml(html) {
+  return html
+    .replace(/<\s*(?:br|\/p|\/li|\/div|\/h\d|\/ol|\/ul)\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&deg;|&#176;/gi, '°')
+    .replace(/&frac12;/gi, '½')
+    .replace(/&frac14;/gi, '¼')
+    .replace(/&frac34;/gi, '¾')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>');
+}
+
+// Split a paragraph into sentences, keeping decimals and abbreviations intact
+function splitSentences(text) {
+  const sentences = [];
+  let start = 0;
+  const boundary = /[.!?]+(?=\s+["'(]?[A-Z0-9])/g;
+  let match;
+
+  while ((match = boundary.exec(text)) !== null) {
+    const before = text.slice(start, match.index);
+    const lastWord = (before.match(/([A-Za-z.]+)$/) || [null, ''])[1].toLowerCase().replace(/\.$/, '');
+    const capitalNext = /^\s+["'(]?[A-Z]/.test(text.slice(match.index + match[0].length));
+    // "C." is cups, but not in "200 C." or "180°C."
+    const endsTemperature = /(?:\d|°)\s?[CF]$/.test(before);
+    const endsSentence = endsTemperature || (TIME_ABBREVIATIONS.includes(lastWord) && capitalNext);
+    if (ABBREVIATIONS.includes(lastWord) && !endsSentence) continue;
+
+    sentences.push(text.slice(start, match.index + match[0].length));
+    start = match.index + match[0].length;
+  }
+  sentences.push(text.slice(start));
+
+  return sentences.map(sentence => sentence.trim()).filter(sentence => /[A-Za-z]/.test(sentence));
+}
+
+// Split numbered instructions ("1. Preheat… 2. Mix…", "Step 1: …") into items.
+// Returns null when the text isn't numbered.
+function splitNumbered(text) {
+  const marker = /(?:^|\s)(?:step\s*)?(\d{1,2})\s*[.):]\s+(?=\S)/gi;
+  const items = [];
+  let expected = 1;
+  let current = null;
+  let match;
+
+  while ((match = marker.exec(text)) !== null) {
+    if (Number(match[1]) !== expected) continue;
+
+    if (current) items.push(text.slice(current, match.index));
+    current = match.index + match[0].length;
+    expected += 1;
+  }
+
+  if (items.length === 0 && expected <= 2) return null;
+  items.push(text.slice(current));
+  return items.map(item => item.replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
+
+// Break free text (plain or HTML) into step instructions
+function splitInstructions(text) {
+  const plain = /<[a-z][^>]*>/i.test(text) ? stripHtml(text) : text;
+
+  const numbered = splitNumbered(plain);
+  if (numbered) return numbered;
+
+  const blocks = plain.split(/\n+/).map(block => block.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  return blocks.flatMap(block => splitSentences(block));
+}
+
+// Describe one step: timing, temperature, appliance actions and whether it runs by itself
+function analyzeStep(instruction, index, knownLength = null) {
+  const duration = knownLength
+    ? { min: knownLength, max: knownLength }
+    : extractDuration(instruction);
+  const temperature = extractTemperature(instruction);
+  const heatLevel = extractHeatLevel(instruction);
+  const actions = extractActions(instruction, { temperature, duration, heatLevel });
+
+  const passive = Boolean(duration) && (PASSIVE_VERBS.test(instruction) || !ACTIVE_VERBS.test(instruction));
+
+  return {
+    step: index + 1,
+    instruction,
+    mode: passive ? 'passive' : 'active',
+    duration: duration ? duration.max : null,
+    durationRange: duration,
+    temperature,
+    heatLevel,
+    actions
+  };
+}
+
+// Steps from Spoonacular's `analyzedInstructions` (every section, in order)
+function parseAnalyzedInstructions(analyzedInstructions) {
+  const rawSteps = analyzedInstructions.flatMap(section => section.steps || []);
+
+  return rawSteps.map((rawStep, index) => {
+    const length = rawStep.length && rawStep.length.number
+      ? roundMinutes(toMinutes(rawStep.length.number, rawStep.length.unit || 'minutes'))
+      : null;
+    return analyzeStep(rawStep.step.trim(), index, length);
+  });
+}
+
+// Parse a recipe into cooking steps. Accepts a string of instructions or a
+// recipe object with `analyzedInstructions` and/or `instructions`.
+function parseInstructions(recipe) {
+  const source = typeof recipe === 'string' ? { instructions: recipe } : recipe || {};
+
+  let steps = [];
+  if (Array.isArray(source.analyzedInstructions) && source.analyzedInstructions.length > 0) {
+    steps = parseAnalyzedInstructions(source.analyzedInstructions);
+  }
+  if (steps.length === 0 && typeof source.instructions === 'string') {
+    steps = splitInstructions(source.instructions).map((instruction, index) => analyzeStep(instruction, index));
+  }
+
+  return {
+    steps,
+    estimatedMinutes: roundMinutes(steps.reduce((total, step) => total + (step.duration || 0), 0))
+  };
+}
+
+module.exports = {
+  parseInstructions,
+  analyzeStep,
+  splitInstructions,
+  extractDuration,
+  extractTemperature
+};
@@ -0,0 +1,100 @@
+/**
+ * Local Recipe Provider
+ * - Serves the bundled catalog (catalog.json), or any catalog passed in
+ * - Works offline and costs nothing, so it needs no caching
+ */
+
+const bundledCatalog = require('../catalog.json');
+
+// "1.5 kg whole chicken", "1 lemon"
+function ingredientLine({ amount, unit, name }) {
+  return [amount, unit, name].filter(part => part !== undefined && part !== null && part !== '').join(' ');
+}
+
+function normalizeRecipe(recipe) {
+  return {
+    id: `local:${recipe.id}`,
+    provider: 'local',
+    title: recipe.title,
+    image: recipe.image || null,
+    readyInMinutes: recipe.readyInMinutes || null,
+    servings: recipe.servings || null,
+    cuisines: recipe.cuisines || [],
+    diets: recipe.diets || [],
+    dishTypes: recipe.dishTypes || [],
+    summary: recipe.summary || '',
+    sourceUrl: null,
+    ingredients: (recipe.ingredients || []).map(ingredient => ({
+      name: ingredient.name,
+      amount: ingredient.amount,
+      unit: ingredient.unit || '',
+      aisle: ingredient.aisle || null,
+      original: ingredientLine(ingredient)
+    })),
+    instructions: recipe.instructions || '',
+    analyzedInstructions: recipe.analyzedInstructions || null
+  };
+}
+
+function summarize(recipe) {
+  return {
+    id: recipe.id,
+    provider: recipe.provider,
+    title: recipe.title,
+    image: recipe.image,
+    readyInMinutes: recipe.readyInMinutes,
+    servings: recipe.servings
+  };
+}
+
+function createLocalProvider({ catalog = bundledCatalog } = {}) {
+  const recipes = catalog.map(normalizeRecipe);
+
+  function matches(recipe, { query, cuisine, diet, maxReadyTime }) {
+    if (query) {
+      const haystack = [recipe.title, recipe.summary, ...recipe.ingredients.map(ingredient => ingredient.name)]
+        .join(' ')
+        .toLowerCase();
+      const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+      if (!words.every(word => haystack.includes(word))) return false;
+    }
+    if (cuisine && !recipe.cuisines.includes(String(cuisine).toLowerCase())) return false;
+    if (diet) {
+      // "vegetarian,gluten free" needs both, as with Spoonacular
+      const diets = String(diet).toLowerCase().split(',').map(name => name.trim()).filter(Boolean);
+      if (!diets.every(name => recipe.diets.includes(name))) return false;
+    }
+    if (maxReadyTime && recipe.readyInMinutes > Number(maxReadyTime)) return false;
+    return true;
+  }
+
+  async function search({ number = 10, offset = 0, ...filters } = {}) {
+    const found = recipes.filter(recipe => matches(recipe, filters));
+    return {
+      results: found.slice(Number(offset), Number(offset) + Number(number)).map(summarize),
+      totalResults: found.length
+    };
+  }
+
+  async function getRecipe(id) {
+    return recipes.find(recipe => recipe.id === `local:${id}`) || null;
+  }
+
+  // The whole catalog, so name matching can score every recipe
+  async function list() {
+    return recipes.map(summarize);
+  }
+
+  return {
+    name: 'local',
+    cacheable: false,
+    search,
+    getRecipe,
+    list,
+    status: () => ({ recipes: recipes.length })
+  };
+}
+
+module.exports = {
+  createLocalProvider
+};
@@ -0,0 +1,158 @@
+/**
+ * Spoonacular Recipe Provider
+ * - complexSearch for searches, /recipes/{id}/information for lookups
+ * - Base URL is configurable so development can point at a local mock
+ * - Tracks the daily point quota (from Spoonacular's X-API-Quota-* headers)
+ *   and refuses requests once the configured daily budget is spent
+ */
+
+const { RecipeProviderError } = require('../recipe-service');
+
+const DEFAULT_BASE_URL = 'https://api.spoonacular.com';
+
+// Spoonacular charges 1 point per request plus 0.01 per search result
+function estimateCost(resultCount = 0) {
+  return 1 + resultCount * 0.01;
+}
+
+function normalizeRecipe(recipe) {
+  return {
+    id: `spoonacular:${recipe.id}`,
+    provider: 'spoonacular',
+    title: recipe.title,
+    image: recipe.image || null,
+    readyInMinutes: recipe.readyInMinutes || null,
+    servings: recipe.servings || null,
+    cuisines: (recipe.cuisines || []).map(cuisine => cuisine.toLowerCase()),
+    diets: recipe.diets || [],
+    dishTypes: recipe.dishTypes || [],
+    summary: recipe.summary || '',
+    sourceUrl: recipe.sourceUrl || null,
+    ingredients: (recipe.extendedIngredients || []).map(ingredient => ({
+      name: ingredient.nameClean || ingredient.name,
+      amount: ingredient.amount,
+      unit: ingredient.unit || '',
+      aisle: ingredient.aisle || null,
+      original: ingredient.original || ingredient.name
+    })),
+    instructions: recipe.instructions || '',
+    analyzedInstructions: recipe.analyzedInstructions || null
+  };
+}
+
+function createSpoonacularProvider({
+  apiKey,
+  baseUrl = DEFAULT_BASE_URL,
+  dailyPoints = 150,
+  usage,
+  timeoutMs = 10000,
+  fetch = global.fetch
+}) {
+  // Make sure today's budget isn't spent before asking
+  function checkQuota() {
+    const today = usage.getUsage('spoonacular');
+    if (today.pointsUsed >= dailyPoints || today.pointsLeft === 0) {
+      throw new RecipeProviderError(
+        'quota_exceeded',
+        `Spoonacular daily quota used up (${today.pointsUsed}/${dailyPoints} points)`
+      );
+    }
+  }
+
+  async function request(endpoint, query = {}, resultCount = 0) {
+    checkQuota();
+
+    const url = new URL(endpoint, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+    Object.keys(query)
+      .filter(key => query[key] !== undefined && query[key] !== '')
+      .forEach(key => url.searchParams.set(key, query[key]));
+    url.searchParams.set('apiKey', apiKey);
+
+    let response;
+    try {
+      response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    } catch (error) {
+      throw new RecipeProviderError('unavailable', `Spoonacular is unreachable: ${error.message}`);
+    }
+
+    const pointsUsed = parseFloat(response.headers.get('x-api-quota-used'));
+    const pointsLeft = parseFloat(response.headers.get('x-api-quota-left'));
+    usage.recordUsage('spoonacular', {
+      cost: estimateCost(resultCount),
+      pointsUsed: Number.isNaN(pointsUsed) ? undefined : pointsUsed,
+      pointsLeft: Number.isNaN(pointsLeft) ? undefined : pointsLeft
+    });
+
+    if (response.status === 404) return null;
+    if (response.status === 402) {
+      throw new RecipeProviderError('quota_exceeded', 'Spoonacular daily quota used up');
+    }
+    if (response.status === 401) {
+      throw new RecipeProviderError('unavailable', 'Spoonacular rejected the API key');
+    }
+    if (!response.ok) {
+      throw new RecipeProviderError('upstream_error', `Spoonacular responded with HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async function search({ query, cuisine, diet, maxReadyTime, number = 10, offset = 0 } = {}) {
+    const body = await request('recipes/complexSearch', {
+      query,
+      cuisine,
+      diet,
+      maxReadyTime,
+      number,
+      offset,
+      addRecipeInformation: true
+    }, Number(number));
+
+    const results = ((body && body.results) || []).map(recipe => {
+      const normalized = normalizeRecipe(recipe);
+      return {
+        id: normalized.id,
+        provider: normalized.provider,
+        title: normalized.title,
+        image: normalized.image,
+        readyInMinutes: normalized.readyInMinutes,
+        servings: normalized.servings
+      };
+    });
+    return { results, totalResults: (body && body.totalResults) || results.length };
+  }
+
+  async function getRecipe(id) {
+    // Spoonacular IDs are numeric; anything else can't be one of theirs
+    if (!/^\d+$/.test(id)) return null;
+
+    const body = await request(`recipes/${id}/information`, { includeNutrition: false });
+    return body ? normalizeRecipe(body) : null;
+  }
+
+  function status() {
+    const today = usage.getUsage('spoonacular');
+    return {
+      baseUrl,
+      quota: {
+        dailyPoints,
+        pointsUsed: today.pointsUsed,
+        pointsLeft: today.pointsLeft !== null ? today.pointsLeft : Math.max(dailyPoints - today.pointsUsed, 0),
+        requests: today.requests,
+        day: today.day
+      }
+    };
+  }
+
+  return {
+    name: 'spoonacular',
+    cacheable: true,
+    search,
+    getRecipe,
+    status
+  };
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  createSpoonacularProvider
+};
@@ -0,0 +1,239 @@
+/**
+ * Recipe Name Matcher
+ * - Normalizes titles: accents, possessives, filler words ("grandma's", "easy")
+ * - Light stemming so "tomatoes"/"tomato" and "roasted"/"roast" meet
+ * - Ingredient synonyms ("aubergine" → "eggplant", "prawns" → "shrimp")
+ * - Typo-tolerant token scoring (Damerau-Levenshtein) blended with character trigrams
+ * - Optional embeddings: pass `embed(text) → number[]` (e.g. a local model) and
+ *   cosine similarity is blended into the score
+ *
+ * Scores are confidences between 0 and 1.
+ */
+
+// Words that say nothing about which dish it is
+const FILLER_WORDS = [
+  'a', 'an', 'the', 'and', 'with', 'in', 'of', 'on', 'for', 'to', 'style', 'recipe', 'recipes',
+  'my', 'our', 'your', 'easy', 'quick', 'simple', 'best', 'classic', 'homemade', 'home', 'made',
+  'authentic', 'traditional', 'perfect', 'ultimate', 'famous', 'favorite', 'favourite', 'delicious',
+  'grandma', 'granny', 'nana', 'mom', 'mum', 'mother', 'dad', 'aunt', 'auntie'
+];
+
+// Regional and alternative ingredient names → one canonical name
+const INGREDIENT_SYNONYMS = {
+  eggplant: ['aubergine', 'brinjal'],
+  zucchini: ['courgette'],
+  cilantro: ['coriander leaves', 'fresh coriander'],
+  shrimp: ['prawns', 'prawn'],
+  scallion: ['spring onions', 'spring onion', 'green onions', 'green onion'],
+  'bell pepper': ['capsicum', 'sweet pepper'],
+  arugula: ['rocket'],
+  chickpea: ['garbanzo beans', 'garbanzo bean', 'garbanzo'],
+  'ground beef': ['minced beef', 'beef mince'],
+  cookie: ['biscuits', 'biscuit'],
+  fries: ['french fries'],
+  'sweet potato': ['kumara'],
+  beet: ['beetroot'],
+  'powdered sugar': ['icing sugar', 'confectioners sugar'],
+  'heavy cream': ['double cream', 'whipping cream'],
+  cornstarch: ['cornflour', 'corn starch'],
+  'all-purpose flour': ['plain flour'],
+  noodle: ['noodles'],
+  spaghetti: ['spag']
+};
+
+const ACCEPT_SIMILARITY = 0.7; // below this two tokens don't count as the same word
+
+// Alternatives sorted longest first so "spring onion" wins over "onion"
+const SYNONYM_PATTERNS = Object.entries(INGREDIENT_SYNONYMS)
+  .flatMap(([canonical, variants]) => variants.map(variant => ({ variant, canonical })))
+  .sort((a, b) => b.variant.length - a.variant.length)
+  .map(({ variant, canonical }) => ({ pattern: new RegExp(`\\b${variant}\\b`, 'g'), canonical }));
+
+// Strip plurals and common verb endings; applied the same way to both sides
+function stem(word) {
+  if (word.length <= 3) return word;
+  let stemmed = word;
+
+  if (/ies$/.test(stemmed) || /ied$/.test(stemmed)) stemmed = `${stemmed.slice(0, -3)}y`;
+  else if (/oes$/.test(stemmed)) stemmed = stemmed.slice(0, -2);
+  else if (/(ch|sh|ss|x)es$/.test(stemmed)) stemmed = stemmed.slice(0, -2);
+  else if (/[^s]s$/.test(stemmed)) stemmed = stemmed.slice(0, -1);
+  else if (/ing$/.test(stemmed) && stemmed.length > 5) stemmed = stemmed.slice(0, -3);
+  else if (/ed$/.test(stemmed) && stemmed.length > 4) stemmed = stemmed.slice(0, -2);
+
+  // "bake"/"baked" and "roast"/"roasted" end up the same
+  if (/e$/.test(stemmed) && stemmed.length > 3) stemmed = stemmed.slice(0, -1);
+  return stemmed;
+}
+
+// Lowercase, no accents or punctuation, synonyms replaced
+function normalizeText(text) {
+  let normalized = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  SYNONYM_PATTERNS.forEach(({ pattern, canonical }) => {
+    normalized = normalized.replace(pattern, canonical);
+  });
+  return normalized;
+}
+
+// Stemmed tokens of a title, filler words dropped (unless that leaves nothing)
+function tokenize(text) {
+  const words = normalizeText(text).split(/[\s-]+/).filter(Boolean);
+  const meaningful = words.filter(word => !FILLER_WORDS.includes(word));
+  return (meaningful.length > 0 ? meaningful : words).map(stem);
+}
+
+// Optimal string alignment distance (Levenshtein plus transpositions)
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[rows - 1][cols - 1];
+}
+
+// How alike two tokens are; short words must match exactly
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 4 || b.length < 4) return 0;
+  if (a.startsWith(b) || b.startsWith(a)) return 0.85;
+
+  const similarity = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  return similarity >= ACCEPT_SIMILARITY ? similarity : 0;
+}
+
+// Best match for each token in `from` among `to`, summed
+function coverage(from, to) {
+  return from.reduce((total, token) =>
+    total + Math.max(0, ...to.map(other => tokenSimilarity(token, other))), 0);
+}
+
+function trigrams(text) {
+  const padded = `  ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
+}
+
+function trigramSimilarity(a, b) {
+  const gramsA = trigrams(a);
+  const gramsB = trigrams(b);
+  let shared = 0;
+  gramsA.forEach(gram => { if (gramsB.has(gram)) shared++; });
+  return shared / (gramsA.size + gramsB.size - shared || 1);
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Lexical confidence that `candidate` is the dish named by `query`.
+// Covering every word the user said matters more than the title's extra words.
+function scoreTitle(query, candidate) {
+  const queryTokens = tokenize(query);
+  const candidateTokens = tokenize(candidate);
+  if (queryTokens.length === 0 || candidateTokens.length === 0) return 0;
+
+  const queryCoverage = coverage(queryTokens, candidateTokens) / queryTokens.length;
+  const candidateCoverage = coverage(candidateTokens, queryTokens) / candidateTokens.length;
+  const tokenScore = 0.7 * queryCoverage + 0.3 * candidateCoverage;
+
+  return 0.85 * tokenScore + 0.15 * trigramSimilarity(queryTokens.join(' '), candidateTokens.join(' '));
+}
+
+// Embeddings from a local Ollama-compatible server (POST /api/embeddings)
+function createHttpEmbedder({ url, model = 'nomic-embed-text', timeoutMs = 5000, fetch = global.fetch }) {
+  return async function embed(text) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, prompt: text }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) throw new Error(`Embedding server responded with HTTP ${response.status}`);
+    const body = await response.json();
+    return body.embedding;
+  };
+}
+
+// `minConfidence` drops candidates that only share a few letters with the query
+function createRecipeMatcher({ embed = null, embeddingWeight = 0.3, minConfidence = 0.2 } = {}) {
+  const embeddings = new Map(); // text → vector, titles repeat a lot
+
+  async function embedding(text) {
+    if (!embeddings.has(text)) embeddings.set(text, await embed(text));
+    return embeddings.get(text);
+  }
+
+  // Semantic similarity per candidate, or null when there's no embedder (or it fails)
+  async function semanticScores(query, candidates) {
+    if (!embed) return null;
+    try {
+      const queryVector = await embedding(normalizeText(query));
+      return await Promise.all(candidates.map(async candidate =>
+        Math.max(cosineSimilarity(queryVector, await embedding(normalizeText(candidate.title))), 0)));
+    } catch (error) {
+      console.log(`⚠️ Recipe embeddings unavailable, matching on words only: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Score and sort candidates ({ title, ... }) for a query, best first
+  async function rank(query, candidates) {
+    const semantic = await semanticScores(query, candidates);
+
+    const scored = candidates.map((candidate, index) => {
+      let confidence = scoreTitle(query, candidate.title);
+      if (semantic) confidence = (1 - embeddingWeight) * confidence + embeddingWeight * semantic[index];
+      return { ...candidate, confidence: Math.round(confidence * 1000) / 1000 };
+    });
+
+    return scored
+      .filter(candidate => candidate.confidence >= minConfidence)
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  return {
+    rank,
+    usesEmbeddings: Boolean(embed)
+  };
+}
+
+module.exports = {
+  FILLER_WORDS,
+  createHttpEmbedder,
+  createRecipeMatcher,
+  normalizeText,
+  tokenize,
+  scoreTitle
+};
@@ -0,0 +1,236 @@
+/**
+ * Recipe Service
+ * - Searches and looks up recipes across pluggable providers
+ *   (Spoonacular, the bundled local catalog, ...)
+ * - Caches provider responses with TTLs so repeat lookups cost no API points
+ * - Recipe IDs carry their provider: `local:roast-chicken`, `spoonacular:716429`
+ * - Fuzzy name matching across providers, so "grandma's chicken adobo" finds
+ *   "Filipino Chicken Adobo" (see recipe-matcher.js)
+ *
+ * A provider looks like:
+ *   {
+ *     name: 'spoonacular',
+ *     cacheable: true,                       // responses go through the cache
+ *     search({ query, cuisine, diet, maxReadyTime, number, offset }) → Promise<{ results, totalResults }>,
+ *     getRecipe(id) → Promise<recipe | null>,
+ *     list() → Promise<results>,            // optional, every recipe (small catalogs)
+ *     status() → { ... }                     // optional, e.g. quota left
+ *   }
+ */
+
+const { parseInstructions } = require('./instruction-parser');
+const { FILLER_WORDS, createRecipeMatcher, normalizeText } = require('./recipe-matcher');
+
+// Raised for unknown recipes and provider failures
+class RecipeProviderError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RecipeProviderError';
+    this.code = code; // not_found | unknown_provider | quota_exceeded | unavailable | upstream_error
+  }
+}
+
+const SEARCH_TTL_MS = 60 * 60 * 1000; // 1 hour
+const RECIPE_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
+
+// Confidence a name match needs before we act on it without asking
+const MATCH_THRESHOLD = 0.6;
+
+// Cache key for a search, independent of parameter order
+function searchKey(providerName, params) {
+  const parts = Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== '')
+    .sort()
+    .map(key => `${key}=${String(params[key]).toLowerCase()}`);
+  return `${providerName}:search?${parts.join('&')}`;
+}
+
+// Split `provider:id`; bare IDs are looked up in every provider
+function parseRecipeId(recipeId) {
+  const separator = String(recipeId).indexOf(':');
+  if (separator === -1) return { providerName: null, id: String(recipeId) };
+  return { providerName: recipeId.slice(0, separator), id: recipeId.slice(separator + 1) };
+}
+
+// Provider search queries for a spoken or suggested name: the name without
+// filler words, then its longest words on their own (typos break whole-name searches)
+function candidateQueries(name) {
+  const words = normalizeText(name).split(' ').filter(word => word && !FILLER_WORDS.includes(word));
+  const queries = [words.join(' ')];
+  if (words.length > 1) {
+    [...words].sort((a, b) => b.length - a.length).slice(0, 2).forEach(word => queries.push(word));
+  }
+  return queries.filter(Boolean);
+}
+
+function createRecipeService({
+  providers,
+  cache,
+  matcher = createRecipeMatcher(),
+  searchTtlMs = SEARCH_TTL_MS,
+  recipeTtlMs = RECIPE_TTL_MS
+}) {
+  function getProvider(name) {
+    const provider = providers.find(candidate => candidate.name === name);
+    if (!provider) {
+      throw new RecipeProviderError('unknown_provider', `Unknown recipe provider: ${name}`);
+    }
+    return provider;
+  }
+
+  // Answer from the cache when we can, otherwise ask the provider and remember it
+  async function cached(provider, key, ttlMs, load) {
+    if (provider.cacheable && cache) {
+      const hit = cache.get(key);
+      if (hit !== undefined) return { value: hit, cached: true };
+    }
+
+    const value = await load();
+    if (provider.cacheable && cache) cache.set(key, value, ttlMs);
+    return { value, cached: false };
+  }
+
+  // Search one provider (`params.provider`) or all of them, in order.
+  // A failing provider doesn't fail the search; its error is reported per source.
+  async function search({ provider: providerName, ...params }) {
+    const selected = providerName ? [getProvider(providerName)] : providers;
+    const results = [];
+    const sources = [];
+
+    for (const provider of selected) {
+      try {
+        const { value, cached: fromCache } = await cached(
+          provider,
+          searchKey(provider.name, params),
+          searchTtlMs,
+          () => provider.search(params)
+        );
+        results.push(...value.results);
+        sources.push({ provider: provider.name, totalResults: value.totalResults, cached: fromCache });
+      } catch (error) {
+        if (!(error instanceof RecipeProviderError) || selected.length === 1) throw error;
+        console.log(`⚠️ Recipe search failed on ${provider.name}: ${error.message}`);
+        sources.push({ provider: provider.name, totalResults: 0, cached: false, error: { code: error.code, message: error.message } });
+      }
+    }
+
+    return {
+      results,
+      totalResults: sources.reduce((total, source) => total + source.totalResults, 0),
+      sources
+    };
+  }
+
+  // Full recipe with its cooking steps parsed from the instructions
+  async function getRecipe(recipeId) {
+    const { providerName, id } = parseRecipeId(recipeId);
+    const candidates = providerName ? [getProvider(providerName)] : providers;
+
+    for (const provider of candidates) {
+      const { value: recipe, cached: fromCache } = await cached(
+        provider,
+        `${provider.name}:recipe/${id}`,
+        recipeTtlMs,
+        () => provider.getRecipe(id)
+      );
+      if (!recipe) continue;
+
+      const { steps, estimatedMinutes } = parseInstructions(recipe);
+      return { ...recipe, steps, estimatedMinutes, cached: fromCache };
+    }
+
+    throw new RecipeProviderError('not_found', `Recipe not found: ${recipeId}`);
+  }
+
+  // Everything a provider might call this name
+  async function gatherCandidates(provider, name) {
+    if (provider.list) return provider.list();
+
+    const found = [];
+    for (const query of candidateQueries(name)) {
+      const { value } = await cached(provider, searchKey(provider.name, { query, number: 20 }), searchTtlMs,
+        () => provider.search({ query, number: 20 }));
+      found.push(...value.results);
+    }
+    return found;
+  }
+
+  // Ranked candidates for a recipe name, with `best` set when one is confident enough
+  async function match(name, { limit = 5, provider: providerName } = {}) {
+    const selected = providerName ? [getProvider(providerName)] : providers;
+    const candidates = new Map();
+
+    for (const provider of selected) {
+      try {
+        (await gatherCandidates(provider, name)).forEach(candidate => candidates.set(candidate.id, candidate));
+      } catch (error) {
+        if (!(error instanceof RecipeProviderError) || selected.length === 1) throw error;
+        console.log(`⚠️ Recipe matching skipped ${provider.name}: ${error.message}`);
+      }
+    }
+
+    const ranked = (await matcher.rank(name, Array.from(candidates.values()))).slice(0, limit);
+    return {
+      query: name,
+      normalized: normalizeText(name),
+      candidates: ranked,
+      best: ranked.length > 0 && ranked[0].confidence >= MATCH_THRESHOLD ? ranked[0] : null
+    };
+  }
+
+  // Recipe by ID, or failing that by name (best confident match)
+  async function resolveRecipe(idOrName) {
+    try {
+      return await getRecipe(idOrName);
+    } catch (error) {
+      // Not an ID we know (or not an ID at all), so treat it as a name
+      if (!(error instanceof RecipeProviderError) || !['not_found', 'unknown_provider'].includes(error.code)) throw error;
+    }
+
+    const { best, candidates } = await match(idOrName);
+    if (!best) {
+      const notFound = new RecipeProviderError('not_found', `No recipe confidently matches "${idOrName}"`);
+      notFound.candidates = candidates;
+      throw notFound;
+    }
+
+    const recipe = await getRecipe(best.id);
+    return { ...recipe, matchedFrom: { query: idOrName, confidence: best.confidence } };
+  }
+
+  // Every recipe of the providers that can list their whole catalog (the local one),
+  // in full; used where searching isn't enough, like ranking by pantry stock
+  async function listRecipes() {
+    const found = [];
+    for (const provider of providers.filter(candidate => candidate.list)) {
+      for (const summary of await provider.list()) {
+        found.push(await getRecipe(summary.id));
+      }
+    }
+    return found;
+  }
+
+  function describeProviders() {
+    return providers.map(provider => ({
+      name: provider.name,
+      cacheable: Boolean(provider.cacheable),
+      ...(provider.status ? provider.status() : {})
+    }));
+  }
+
+  return {
+    search,
+    getRecipe,
+    match,
+    resolveRecipe,
+    listRecipes,
+    describeProviders,
+    listProviders: () => providers.map(provider => provider.name)
+  };
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  RecipeProviderError,
+  createRecipeService
+};
@@ -0,0 +1,108 @@
+/**
+ * Recipe Response Cache
+ * - Provider responses kept on disk with a TTL per entry
+ * - Daily API quota usage per provider, kept alongside so it survives restarts
+ * - In-memory when no file path is given (tests)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClock } = require('../clock');
+
+function createResponseCache({ filePath = null, clock = createClock() } = {}) {
+  let data = load();
+  let hits = 0;
+  let misses = 0;
+
+  function load() {
+    if (!filePath || !fs.existsSync(filePath)) return { entries: {}, usage: {} };
+    try {
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return { entries: stored.entries || {}, usage: stored.usage || {} };
+    } catch (error) {
+      console.log(`⚠️ Ignoring unreadable recipe cache ${filePath}: ${error.message}`);
+      return { entries: {}, usage: {} };
+    }
+  }
+
+  function save() {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function pruneExpired() {
+    const now = clock.now();
+    Object.keys(data.entries).forEach(key => {
+      if (data.entries[key].expiresAt <= now) delete data.entries[key];
+    });
+  }
+
+  // Cached value, or undefined when missing or expired
+  function get(key) {
+    const entry = data.entries[key];
+    if (!entry || entry.expiresAt <= clock.now()) {
+      misses++;
+      return undefined;
+    }
+    hits++;
+    return entry.value;
+  }
+
+  function set(key, value, ttlMs) {
+    pruneExpired();
+    data.entries[key] = { value, expiresAt: clock.now() + ttlMs };
+    save();
+  }
+
+  function clear() {
+    data.entries = {};
+    save();
+  }
+
+  // Today's usage for a provider (UTC day, resets at midnight)
+  function getUsage(provider) {
+    const day = clock.date().toISOString().slice(0, 10);
+    const usage = data.usage[provider];
+    if (!usage || usage.day !== day) {
+      return { day, requests: 0, pointsUsed: 0, pointsLeft: null };
+    }
+    return { ...usage };
+  }
+
+  // Record a request's cost; `pointsUsed`/`pointsLeft` from the provider win over our own count
+  function recordUsage(provider, { cost = 1, pointsUsed, pointsLeft } = {}) {
+    const usage = getUsage(provider);
+    usage.requests += 1;
+    usage.pointsUsed = pointsUsed !== undefined ? pointsUsed : usage.pointsUsed + cost;
+    if (pointsLeft !== undefined) usage.pointsLeft = pointsLeft;
+    data.usage[provider] = usage;
+    save();
+    return usage;
+  }
+
+  function stats() {
+    pruneExpired();
+    return {
+      entries: Object.keys(data.entries).length,
+      hits,
+      misses,
+      persistent: Boolean(filePath)
+    };
+  }
+
+  return {
+    get,
+    set,
+    clear,
+    getUsage,
+    recordUsage,
+    stats
+  };
+}
+
+module.exports = {
+  createResponseCache
+};
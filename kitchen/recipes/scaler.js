@@ -0,0 +1,166 @@
+/**
+ * Recipe Scaler
+ * - Rescales ingredient amounts for a number of servings
+ * - Rewrites amounts in the caller's unit system: metric recipes weigh dry
+ *   ingredients and measure liquids in ml; imperial recipes use cups and spoons
+ *   for flour, sugar, rice, spices and the like, and oz/lb for everything else
+ * - Rounds to amounts a cook can measure ("0.33 cup" → "1/3 cup", "247 g" → "245 g")
+ * - Step temperatures in the caller's unit (appliance actions keep °C, as drivers take them)
+ */
+
+const { parseIngredients } = require('./ingredient-parser');
+const { matchFood } = require('../nutrition/analyzer');
+const {
+  convert,
+  formatQuantity,
+  formatTemperature,
+  fromCelsius,
+  pickUnit,
+  roundTemperature,
+  unitKind,
+  unitLabel
+} = require('../units');
+
+// Food categories imperial recipes measure by volume rather than weight
+const MEASURED_BY_VOLUME = ['grain', 'sweetener', 'baking', 'spice', 'herb', 'nut'];
+
+// Spoon measures read the same in both systems
+const SPOONS = ['tsp', 'tbsp', 'pinch', 'dash'];
+
+// Unit an amount should be written in for a system: { quantity, unit }
+function targetUnit(quantity, unit, food, system) {
+  const kind = unitKind(unit);
+  if (kind === 'count' || SPOONS.includes(unit)) return { quantity, unit };
+
+  const density = food && food.density;
+  if (system === 'metric' && kind === 'volume' && density && !food.liquid) {
+    return pickUnit(convert(quantity, unit, 'g', { density }), 'g', system);
+  }
+  if (system === 'imperial' && kind === 'mass' && density && MEASURED_BY_VOLUME.includes(food.category)) {
+    return pickUnit(convert(quantity, unit, 'ml', { density }), 'ml', system);
+  }
+  return pickUnit(quantity, unit, system);
+}
+
+// "1 1/2 cups all-purpose flour, sifted"
+function ingredientText({ quantityText, unit, quantity, packageText, size, ingredient, preparation }) {
+  const name = [size, ingredient].filter(Boolean).join(' ');
+  const line = [quantityText, packageText, unitLabel(unit, quantity), name].filter(Boolean).join(' ');
+  return preparation ? `${line}, ${preparation}` : line;
+}
+
+// One parsed ingredient multiplied by `factor` and written for `system`
+function localizeIngredient(parsed, { factor = 1, system = 'metric' } = {}) {
+  const matched = parsed.ingredient ? matchFood(parsed) : null;
+  const food = matched ? matched.food : null;
+
+  if (parsed.quantity === null) {
+    return { ...parsed, food: matched ? matched.id : null, text: parsed.original };
+  }
+
+  const target = targetUnit(parsed.quantity * factor, parsed.unit, food, system);
+  const amount = formatQuantity(target.quantity, target.unit);
+  let quantityMax = null;
+  let quantityText = amount.text;
+  if (parsed.quantityMax !== null) {
+    const max = formatQuantity(convertSame(parsed.quantityMax * factor, parsed.unit, target.unit, food), target.unit);
+    quantityMax = max.quantity;
+    quantityText = `${amount.text}-${max.text}`;
+  }
+
+  // "1 (400 g) can" stays one can; only the package size changes units
+  let packageSize = parsed.packageSize;
+  let packageText = null;
+  if (packageSize) {
+    const size = pickUnit(packageSize.quantity, packageSize.unit, system);
+    const rounded = formatQuantity(size.quantity, size.unit);
+    packageSize = { quantity: rounded.quantity, unit: size.unit };
+    packageText = `(${rounded.text} ${size.unit})`;
+  }
+
+  return {
+    ...parsed,
+    quantity: amount.quantity,
+    quantityMax,
+    unit: target.unit,
+    packageSize,
+    food: matched ? matched.id : null,
+    text: ingredientText({ ...parsed, quantityText, unit: target.unit, quantity: quantityMax ?? amount.quantity, packageText })
+  };
+}
+
+// An amount in `from` expressed in `to`, which targetUnit already chose for the same ingredient
+function convertSame(quantity, from, to, food) {
+  if (from === to || unitKind(from) === 'count') return quantity;
+  return convert(quantity, from, to, { density: food && food.density });
+}
+
+// Parse, scale and localize a recipe's ingredients, keeping each one's aisle
+function scaleIngredients(ingredients, { factor = 1, system = 'metric' } = {}) {
+  const list = ingredients || [];
+  return parseIngredients(list).map((parsed, index) => {
+    const source = list[index];
+    const localized = localizeIngredient(parsed, { factor, system });
+    const fields = source && typeof source === 'object' ? source : {};
+    // Keep the { name, amount, unit } shape recipes carry ingredients in
+    return {
+      ...localized,
+      name: fields.name || localized.ingredient,
+      amount: localized.quantity,
+      aisle: fields.aisle || null
+    };
+  });
+}
+
+// Steps with temperatures in the caller's units; ovens may use gas marks
+function localizeSteps(steps, units) {
+  return (steps || []).map(step => {
+    if (!step.temperature) return step;
+
+    const usesOven = (step.actions || []).some(action => action.appliance === 'OVEN');
+    const unit = usesOven ? units.ovenTemperature : units.temperature;
+    const { celsius } = step.temperature;
+    const value = roundTemperature(fromCelsius(celsius, unit), unit);
+    return {
+      ...step,
+      temperature: value === null
+        ? { ...step.temperature, text: formatTemperature(celsius, 'C') }
+        : { value, unit, celsius, text: formatTemperature(celsius, unit) }
+    };
+  });
+}
+
+// A recipe rescaled to `servings` (or by `factor`) and written in the caller's units
+function scaleRecipe(recipe, { servings, factor, units }) {
+  const originalServings = recipe.servings || null;
+  let scale = Number(factor) || 1;
+  if (servings && originalServings) scale = servings / originalServings;
+
+  return {
+    ...recipe,
+    servings: originalServings ? Math.round(originalServings * scale * 100) / 100 : servings || null,
+    originalServings,
+    factor: Math.round(scale * 1000) / 1000,
+    units,
+    ingredients: scaleIngredients(recipe.ingredients, { factor: scale, system: units.system }),
+    ...(recipe.steps && { steps: localizeSteps(recipe.steps, units) })
+  };
+}
+
+// A recipe as is, in the caller's units
+function localizeRecipe(recipe, units) {
+  return {
+    ...recipe,
+    units,
+    ingredients: scaleIngredients(recipe.ingredients, { system: units.system }),
+    ...(recipe.steps && { steps: localizeSteps(recipe.steps, units) })
+  };
+}
+
+module.exports = {
+  localizeIngredient,
+  localizeRecipe,
+  localizeSteps,
+  scaleIngredients,
+  scaleRecipe
+};
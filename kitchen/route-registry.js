@@ -0,0 +1,156 @@
+/**
+ * Route Registry
+ * - REST routes are declared through the registry, each with a summary and
+ *   the part of the API it belongs to, and handed on to Express
+ * - A route registered twice (same method and path, whatever its parameters
+ *   are called), or one an earlier route would always answer instead, stops
+ *   the server at startup rather than going unreachable
+ * - Every route says who may call it: an `allow(permission)` among its
+ *   handlers, or `public: true` in its description
+ * - The root listing, the 404 reply and the OpenAPI document are built from
+ *   what's registered; request schemas come from each route's `validate()`,
+ *   permissions from its `allow()`
+ * - Handlers may be async: a rejected promise goes to `next(error)`, like a
+ *   synchronous throw, instead of going unhandled
+ */
+
+const METHODS = ['get', 'post', 'put', 'delete'];
+
+// Raised when a route clashes with one registered before it
+class RouteConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RouteConflictError';
+    this.code = 'route_conflict';
+  }
+}
+
+// "/api/timers/:id" → [{ literal: 'api' }, { literal: 'timers' }, { param: 'id', optional: false }]
+function parsePath(path) {
+  return path.split('/').filter(Boolean).map(segment => {
+    const match = segment.match(/^:(\w+)(\?)?$/);
+    return match ? { param: match[1], optional: Boolean(match[2]) } : { literal: segment };
+  });
+}
+
+// Segment lists a path matches; an optional last parameter can be left off
+function pathVariants(segments) {
+  const last = segments[segments.length - 1];
+  return last && last.optional ? [segments, segments.slice(0, -1)] : [segments];
+}
+
+// Would `earlier` answer every request for `later`?
+function covers(earlier, later) {
+  return earlier.length === later.length &&
+    earlier.every((segment, index) => segment.param || segment.literal === later[index].literal);
+}
+
+// Same path shape, parameter names aside
+function samePath(a, b) {
+  return a.length === b.length &&
+    a.every((segment, index) => Boolean(segment.param) === Boolean(b[index].param) &&
+      segment.literal === b[index].literal && Boolean(segment.optional) === Boolean(b[index].optional));
+}
+
+// Pass an async handler's rejection on to Express's error handling
+function catchRejections(handler) {
+  return (req, res, next) => {
+    const result = handler(req, res, next);
+    if (result && typeof result.catch === 'function') result.catch(next);
+    return result;
+  };
+}
+
+// Create a registry that puts routes on `app`: `routes.get(path, { summary, public }, ...handlers)`
+function createRouteRegistry(app) {
+  const routes = [];
+  let section = 'general';
+
+  function findConflict(method, segments) {
+    for (const route of routes.filter(existing => existing.method === method)) {
+      if (samePath(route.segments, segments)) return { route, duplicate: true };
+      const hidden = pathVariants(segments).some(later =>
+        pathVariants(route.segments).some(earlier => covers(earlier, later)));
+      if (hidden) return { route, duplicate: false };
+    }
+    return null;
+  }
+
+  function register(method, path, doc, handlers) {
+    const name = `${method.toUpperCase()} ${path}`;
+    if (!doc || typeof doc.summary !== 'string') {
+      throw new TypeError(`${name} needs a summary`);
+    }
+
+    // Permission asked for by allow() middleware
+    const guard = handlers.find(handler => handler.permission);
+    if (!guard && !doc.public) {
+      throw new TypeError(`${name} needs an allow(permission) or public: true`);
+    }
+
+    const segments = parsePath(path);
+    const conflict = findConflict(method, segments);
+    if (conflict) {
+      const existing = `${method.toUpperCase()} ${conflict.route.path}`;
+      throw new RouteConflictError(conflict.duplicate
+        ? `${name} is already registered (as ${existing})`
+        : `${name} can't be reached: ${existing} is registered first and answers it`);
+    }
+
+    // Schemas attached by validate() middleware
+    const schemas = Object.assign({}, ...handlers.filter(handler => handler.schemas).map(handler => handler.schemas));
+
+    routes.push({
+      method,
+      path,
+      segments,
+      section,
+      summary: doc.summary,
+      status: doc.status || 200,
+      permission: guard ? guard.permission : null,
+      schemas
+    });
+    app[method](path, ...handlers.map(catchRejections));
+  }
+
+  const registry = {
+    // Routes registered from here on belong to this part of the API
+    section(name) {
+      section = name;
+    },
+
+    listRoutes() {
+      return routes.map(({ segments, ...route }) => ({ ...route, parameters: segments.filter(segment => segment.param) }));
+    },
+
+    // "METHOD /path" lines grouped by section, in registration order
+    endpointsBySection() {
+      const grouped = {};
+      routes.forEach(route => {
+        (grouped[route.section] = grouped[route.section] || []).push(`${route.method.toUpperCase()} ${route.path}`);
+      });
+      return grouped;
+    },
+
+    // Endpoints worth suggesting for a path nothing answers: those under the
+    // same first two segments ("/api/meal-plan/..."), or every one
+    suggestEndpoints(path) {
+      const prefix = path.split('?')[0].split('/').filter(Boolean).slice(0, 2);
+      const near = routes.filter(route => prefix.length === 2 && route.segments.length >= 2 &&
+        route.segments.slice(0, 2).every((segment, index) => segment.literal === prefix[index]));
+      return (near.length > 0 ? near : routes).map(route => `${route.method.toUpperCase()} ${route.path}`);
+    }
+  };
+
+  METHODS.forEach(method => {
+    registry[method] = (path, doc, ...handlers) => register(method, path, doc, handlers);
+  });
+  return registry;
+}
+
+module.exports = {
+  RouteConflictError,
+  createRouteRegistry,
+  parsePath,
+  pathVariants
+};
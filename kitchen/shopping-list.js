@@ -0,0 +1,309 @@
+/**
+ * Shopping List
+ * - Gathers the ingredients of several recipes into one list
+ * - Merges duplicates across units: weights and volumes of the same food are
+ *   added through its density ("200 g + 1 cup rice" → "390 g rice"); counts
+ *   ("2 lemons", "1 can") are kept per unit
+ * - Leaves out what the pantry already covers, or reduces the amount to buy
+ * - Groups items by store aisle and exports the list as plain text
+ */
+
+const { parseIngredientLine, parseIngredients } = require('./recipes/ingredient-parser');
+const { matchFood } = require('./nutrition/analyzer');
+const { convert, formatQuantity, pickUnit, unitKind, unitLabel } = require('./units');
+
+// Rough walk through a supermarket; anything else comes after
+const AISLE_ORDER = [
+  'Produce', 'Meat', 'Seafood', 'Milk, Eggs, Other Dairy', 'Cheese', 'Bakery/Bread',
+  'Pasta and Rice', 'Canned and Jarred', 'Baking', 'Spices and Seasonings',
+  'Oil, Vinegar, Salad Dressing', 'Condiments', 'Nuts', 'Ethnic Foods', 'Frozen', 'Beverages'
+];
+const OTHER_AISLE = 'Other';
+
+// Aisle for foods whose recipe doesn't name one, by nutrient database category
+const CATEGORY_AISLES = {
+  vegetable: 'Produce',
+  fruit: 'Produce',
+  herb: 'Produce',
+  meat: 'Meat',
+  poultry: 'Meat',
+  fish: 'Seafood',
+  dairy: 'Milk, Eggs, Other Dairy',
+  egg: 'Milk, Eggs, Other Dairy',
+  grain: 'Pasta and Rice',
+  sweetener: 'Baking',
+  baking: 'Baking',
+  sweet: 'Baking',
+  spice: 'Spices and Seasonings',
+  fat: 'Oil, Vinegar, Salad Dressing',
+  condiment: 'Condiments',
+  stock: 'Canned and Jarred',
+  legume: 'Canned and Jarred',
+  'dairy-alternative': 'Canned and Jarred',
+  nut: 'Nuts',
+  beverage: 'Beverages'
+};
+
+// Amounts below this count as used up
+const EPSILON = 1e-6;
+
+// Where an amount is added up: grams, millilitres, or a count of its own unit
+function baseUnit(unit) {
+  const kind = unitKind(unit);
+  if (kind === 'mass') return 'g';
+  if (kind === 'volume') return 'ml';
+  return unit || 'each';
+}
+
+function toBase(quantity, unit) {
+  const base = baseUnit(unit);
+  return { base, quantity: base === 'g' || base === 'ml' ? convert(quantity, unit, base) : quantity };
+}
+
+// Fold weights and volumes of one food together: liquids by volume, everything else by weight
+function foldAmounts(amounts, food) {
+  const folded = { ...amounts };
+  if (!food || !food.density || folded.g === undefined || folded.ml === undefined) return folded;
+
+  if (food.liquid) {
+    folded.ml += folded.g / food.density;
+    delete folded.g;
+  } else {
+    folded.g += folded.ml * food.density;
+    delete folded.ml;
+  }
+  return folded;
+}
+
+// "390 g", "2 1/2 lb", "2 + 1 can"
+function describeAmounts(amounts, food, system) {
+  const parts = Object.entries(amounts)
+    .filter(([, quantity]) => quantity > EPSILON)
+    .map(([base, quantity]) => {
+      // Dry goods are bought by weight
+      const byWeight = base === 'ml' && food && food.density && !food.liquid;
+      const picked = byWeight
+        ? pickUnit(quantity * food.density, 'g', system)
+        : pickUnit(quantity, base === 'each' ? null : base, system);
+      const rounded = formatQuantity(picked.quantity, picked.unit);
+      return { quantity: rounded.quantity, unit: picked.unit, text: amountText(rounded, picked.unit) };
+    });
+
+  if (parts.length === 1) return parts[0];
+  return { quantity: null, unit: null, text: parts.map(part => part.text).join(' + ') || null };
+}
+
+// "1/2 cup", "3 cloves", "2"
+function amountText(rounded, unit) {
+  return [rounded.text, unitLabel(unit, rounded.quantity)].filter(Boolean).join(' ');
+}
+
+// Item text: "390 g rice", "lemon" when there's no amount
+function itemText(item) {
+  return [item.amountText, item.name].filter(Boolean).join(' ');
+}
+
+function describeItem(item, system) {
+  const amount = describeAmounts(item.amounts, item.foodInfo, system);
+  const described = {
+    id: item.id,
+    name: item.name,
+    food: item.food,
+    aisle: item.aisle,
+    quantity: amount.quantity,
+    unit: amount.unit,
+    amountText: amount.text,
+    checked: false,
+    recipes: item.recipes,
+    ...(item.toTaste && { note: 'to taste' })
+  };
+  return { ...described, text: itemText(described) };
+}
+
+// What's on hand: pantry items as names ("salt") or { name, quantity, unit }
+function pantryLookup(pantry) {
+  const stock = new Map();
+  (pantry || []).forEach(entry => {
+    const item = typeof entry === 'string' ? { name: entry } : entry;
+    if (!item || !item.name) return;
+
+    const parsed = parseIngredientLine(item.name);
+    const matched = matchFood(parsed);
+    const key = matched ? matched.id : parsed.ingredient;
+    const quantity = typeof item.quantity === 'number' ? item.quantity : null;
+
+    const current = stock.get(key) || { amounts: {}, unlimited: false, food: matched && matched.food };
+    if (quantity === null) {
+      current.unlimited = true;
+    } else {
+      const { base, quantity: amount } = toBase(quantity, item.unit || null);
+      current.amounts[base] = (current.amounts[base] || 0) + amount;
+    }
+    stock.set(key, current);
+  });
+  return stock;
+}
+
+// Take what the pantry has off an item's amounts; returns what's left to buy
+function subtractPantry(amounts, stocked, food) {
+  const remaining = { ...amounts };
+  const onHand = foldAmounts(stocked.amounts, food);
+
+  Object.keys(remaining).forEach(base => {
+    let have = onHand[base] || 0;
+    // Pantry weighed what the recipe measured by volume, or the other way round
+    if (!have && food && food.density) {
+      if (base === 'g' && onHand.ml) have = onHand.ml * food.density;
+      if (base === 'ml' && onHand.g) have = onHand.g / food.density;
+    }
+    remaining[base] -= have;
+  });
+  return remaining;
+}
+
+// Build a list from planned meals: [{ recipe: { title, ingredients }, factor, day, mealType }].
+// Returns { items, inPantry }, amounts written for `system`.
+function buildShoppingList(meals, { pantry = [], system = 'metric' } = {}) {
+  const items = new Map();
+
+  meals.forEach(({ recipe, factor = 1 }) => {
+    const sources = recipe.ingredients || [];
+    parseIngredients(sources).forEach((parsed, index) => {
+      if (!parsed.ingredient) return;
+
+      const matched = matchFood(parsed);
+      const key = matched ? matched.id : parsed.ingredient;
+      const source = sources[index];
+      const aisle = (source && typeof source === 'object' && source.aisle) ||
+        (matched && CATEGORY_AISLES[matched.food.category]) ||
+        OTHER_AISLE;
+
+      const item = items.get(key) || {
+        key,
+        name: parsed.ingredient,
+        food: matched ? matched.id : null,
+        foodInfo: matched ? matched.food : null,
+        aisle,
+        amounts: {},
+        recipes: [],
+        toTaste: false
+      };
+      // Different spellings of one food go under the food's own name
+      if (item.name !== parsed.ingredient && item.food) item.name = item.food;
+      if (!item.recipes.includes(recipe.title)) item.recipes.push(recipe.title);
+
+      let quantity = parsed.quantity;
+      if (quantity !== null && parsed.quantityMax !== null) quantity = parsed.quantityMax;
+      if (quantity === null) {
+        item.toTaste = true;
+      } else if (parsed.packageSize && unitKind(parsed.unit) === 'count') {
+        // "1 (400 g) can" → 400 g, so it adds up with other tins of the same food
+        const { base, quantity: amount } = toBase(quantity * parsed.packageSize.quantity * factor, parsed.packageSize.unit);
+        item.amounts[base] = (item.amounts[base] || 0) + amount;
+      } else {
+        const { base, quantity: amount } = toBase(quantity * factor, parsed.unit);
+        item.amounts[base] = (item.amounts[base] || 0) + amount;
+      }
+      items.set(key, item);
+    });
+  });
+
+  const stock = pantryLookup(pantry);
+  const toBuy = [];
+  const inPantry = [];
+
+  Array.from(items.values()).forEach(item => {
+    item.amounts = foldAmounts(item.amounts, item.foodInfo);
+    const stocked = stock.get(item.key);
+
+    if (stocked) {
+      if (stocked.unlimited) {
+        inPantry.push({ name: item.name, covered: 'all' });
+        return;
+      }
+      const remaining = subtractPantry(item.amounts, stocked, item.foodInfo);
+      if (Object.values(remaining).every(quantity => quantity <= EPSILON)) {
+        inPantry.push({ name: item.name, covered: 'all' });
+        return;
+      }
+      inPantry.push({ name: item.name, covered: 'some' });
+      item.amounts = remaining;
+    }
+    toBuy.push(item);
+  });
+
+  return {
+    items: toBuy
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((item, index) => describeItem({ ...item, id: `item_${index + 1}` }, system)),
+    inPantry
+  };
+}
+
+// An item added by hand: "2 lemons", "1 kg potatoes", or just "dish soap"
+function parseListItem(text, { aisle } = {}) {
+  const parsed = parseIngredientLine(text);
+  const matched = parsed.ingredient ? matchFood(parsed) : null;
+  const item = {
+    name: parsed.ingredient || String(text).trim(),
+    food: matched ? matched.id : null,
+    aisle: aisle || (matched && CATEGORY_AISLES[matched.food.category]) || OTHER_AISLE,
+    quantity: parsed.quantity,
+    unit: parsed.unit,
+    amountText: parsed.quantity === null ? null : amountText(formatQuantity(parsed.quantity, parsed.unit), parsed.unit),
+    checked: false,
+    recipes: []
+  };
+  return { ...item, text: itemText(item) };
+}
+
+// Item after an edit to its quantity, unit or name
+function updateListItem(item, changes) {
+  const updated = { ...item, ...changes };
+  if (changes.quantity !== undefined || changes.unit !== undefined) {
+    updated.amountText = updated.quantity === null || updated.quantity === undefined
+      ? null
+      : amountText(formatQuantity(updated.quantity, updated.unit), updated.unit);
+  }
+  return { ...updated, text: itemText(updated) };
+}
+
+// Items grouped by aisle, in store order
+function groupByAisle(items) {
+  const groups = new Map();
+  items.forEach(item => {
+    if (!groups.has(item.aisle)) groups.set(item.aisle, []);
+    groups.get(item.aisle).push(item);
+  });
+
+  const rank = aisle => {
+    const index = AISLE_ORDER.indexOf(aisle);
+    return index === -1 ? AISLE_ORDER.length + (aisle === OTHER_AISLE ? 1 : 0) : index;
+  };
+  return Array.from(groups.entries())
+    .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b))
+    .map(([aisle, aisleItems]) => ({ aisle, items: aisleItems }));
+}
+
+// Plain text for sharing: one "[ ] item" line per item under aisle headings
+function formatShoppingListText(list) {
+  const lines = [list.name, ''];
+  groupByAisle(list.items).forEach(({ aisle, items }) => {
+    lines.push(aisle.toUpperCase());
+    items.forEach(item => {
+      const note = item.note ? ` (${item.note})` : '';
+      lines.push(`[${item.checked ? 'x' : ' '}] ${item.text}${note}`);
+    });
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  AISLE_ORDER,
+  buildShoppingList,
+  formatShoppingListText,
+  groupByAisle,
+  parseListItem,
+  updateListItem
+};
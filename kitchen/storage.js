@@ -0,0 +1,222 @@
+/**
+ * Storage
+ * - Collections of JSON records keyed by ID
+ * - File-backed store for the server; in-memory store for test mode
+ *   (`NODE_ENV=test`), where each run starts empty
+ * - Schema migrations applied when a store is opened
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Schema migrations, applied in order to data below their version
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create sessions, favorites, meal plan and scheduled cooking collections',
+    up(data) {
+      ['sessions', 'favorites', 'mealPlans', 'scheduledCooking'].forEach(name => {
+        data.collections[name] = data.collections[name] || {};
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'Give scheduled cooking a start time and reminders for the meal scheduler',
+    up(data) {
+      Object.values(data.collections.scheduledCooking).forEach(job => {
+        job.startAt = job.startAt || job.scheduledTime;
+        job.leadMinutes = job.leadMinutes || 0;
+        job.reminders = job.reminders || [];
+        job.remindersSent = job.remindersSent || [];
+        job.sessionId = job.sessionId || null;
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Create shopping list collection',
+    up(data) {
+      data.collections.shoppingLists = data.collections.shoppingLists || {};
+    }
+  },
+  {
+    version: 4,
+    description: 'Create pantry collection',
+    up(data) {
+      data.collections.pantry = data.collections.pantry || {};
+    }
+  },
+  {
+    version: 5,
+    description: 'Give finished cooking sessions step timings, deviations and a review',
+    up(data) {
+      Object.values(data.collections.sessions).forEach(session => {
+        session.stepTimings = session.stepTimings || [];
+        session.deviations = session.deviations || [];
+        session.rating = session.rating === undefined ? null : session.rating;
+        session.notes = session.notes === undefined ? null : session.notes;
+        session.photos = session.photos || [];
+        session.reviewedAt = session.reviewedAt || null;
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Create user, login token and API key collections; meal plans and shopping lists get an owner',
+    up(data) {
+      ['users', 'authTokens', 'apiKeys'].forEach(name => {
+        data.collections[name] = data.collections[name] || {};
+      });
+      // Claimed by the first account registered
+      ['mealPlans', 'shoppingLists'].forEach(name => {
+        Object.values(data.collections[name]).forEach(record => {
+          record.userId = record.userId || null;
+        });
+      });
+    }
+  },
+  {
+    version: 7,
+    description: 'Create household, invite and appliance collections; existing accounts share one household',
+    up(data) {
+      ['households', 'householdInvites', 'appliances'].forEach(name => {
+        data.collections[name] = data.collections[name] || {};
+      });
+
+      // Everyone so far cooked in the same kitchen. With no accounts yet, the
+      // first household set up claims what's there.
+      const users = Object.values(data.collections.users);
+      const householdId = users.length > 0 ? 'household_home' : null;
+      if (householdId) {
+        data.collections.households[householdId] = { id: householdId, name: 'Home', createdAt: new Date() };
+      }
+      users.forEach(user => {
+        user.householdId = user.householdId || householdId;
+        user.preferences = user.preferences || { diets: [] };
+      });
+      ['mealPlans', 'shoppingLists', 'pantry', 'scheduledCooking', 'sessions'].forEach(name => {
+        Object.values(data.collections[name]).forEach(record => {
+          record.householdId = record.householdId || householdId;
+        });
+      });
+
+      // The oven and autocooker the kitchen always started with
+      [{ id: 'autocooker_01', type: 'AUTOCOOKER' }, { id: 'oven_01', type: 'OVEN' }].forEach(appliance => {
+        data.collections.appliances[appliance.id] = { ...appliance, householdId };
+      });
+    }
+  }
+];
+
+// Bring stored data up to the latest schema version
+function migrate(data) {
+  const migrated = data || { schemaVersion: 0, collections: {} };
+  migrated.collections = migrated.collections || {};
+
+  MIGRATIONS
+    .filter(migration => migration.version > (migrated.schemaVersion || 0))
+    .forEach(migration => {
+      console.log(`🗄️ Applying storage migration ${migration.version}: ${migration.description}`);
+      migration.up(migrated);
+      migrated.schemaVersion = migration.version;
+    });
+
+  return migrated;
+}
+
+// Records are stored and returned as JSON copies so callers can't mutate them
+function copy(record) {
+  return record === undefined ? undefined : JSON.parse(JSON.stringify(record));
+}
+
+// Create a store on top of a `read()` / `write(data)` persistence backend
+function createStore({ read, write }) {
+  const data = migrate(read());
+  write(data);
+
+  function collection(name) {
+    const records = data.collections[name];
+    if (!records) {
+      throw new Error(`Unknown storage collection: ${name}`);
+    }
+    return records;
+  }
+
+  function insert(name, record) {
+    if (!record || !record.id) {
+      throw new Error(`Records in ${name} need an id`);
+    }
+    if (collection(name)[record.id]) {
+      throw new Error(`${name} already has a record ${record.id}`);
+    }
+    collection(name)[record.id] = copy(record);
+    write(data);
+    return copy(record);
+  }
+
+  function get(name, id) {
+    return copy(collection(name)[id]) || null;
+  }
+
+  function list(name, predicate = () => true) {
+    return Object.values(collection(name)).map(copy).filter(predicate);
+  }
+
+  function update(name, id, changes) {
+    const records = collection(name);
+    if (!records[id]) return null;
+
+    records[id] = copy({ ...records[id], ...changes, id });
+    write(data);
+    return copy(records[id]);
+  }
+
+  function remove(name, id) {
+    const records = collection(name);
+    if (!records[id]) return false;
+
+    delete records[id];
+    write(data);
+    return true;
+  }
+
+  return {
+    schemaVersion: data.schemaVersion,
+    insert,
+    get,
+    list,
+    update,
+    remove
+  };
+}
+
+// In-memory store, nothing survives a restart
+function createMemoryStore() {
+  return createStore({
+    read: () => null,
+    write: () => {}
+  });
+}
+
+// JSON file store, written atomically on every change
+function createFileStore(filePath) {
+  return createStore({
+    read() {
+      if (!fs.existsSync(filePath)) return null;
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    },
+    write(data) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, filePath);
+    }
+  });
+}
+
+module.exports = {
+  MIGRATIONS,
+  createMemoryStore,
+  createFileStore
+};
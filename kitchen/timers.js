@@ -0,0 +1,251 @@
+/**
+ * Kitchen Timers
+ * - Any number of named timers running side by side ("pasta", "eggs")
+ * - Pause / resume / add time / cancel controls
+ * - Broadcasts `timer_started`, a `timer_tick` every few seconds, and
+ *   `timer_expired` when one runs out; every event carries the remaining time
+ *   and when it ends, so a client that reconnects mid-countdown picks up from
+ *   the latest event or from `listTimers()`
+ * - Cooking sessions run their step countdowns here too; those timers carry
+ *   the session ID and are controlled through the session
+ */
+
+const { createClock } = require('./clock');
+
+const TICK_EVERY_SECONDS = 10;
+
+// Finished timers stay listed for a while so clients can see what went off
+const KEEP_FINISHED_MS = 10 * 60 * 1000;
+
+const ACTIVE_STATUSES = ['running', 'paused'];
+
+// Raised for bad timer requests
+class TimerError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TimerError';
+    this.code = code; // not_found | invalid_params | invalid_state
+  }
+}
+
+// Public view of a timer (no callbacks or handles)
+function describeTimer(timer, now) {
+  return {
+    id: timer.id,
+    name: timer.name,
+    status: timer.status, // running | paused | expired | cancelled
+    durationSeconds: timer.durationSeconds,
+    remainingSeconds: timer.remainingSeconds,
+    endsAt: timer.status === 'running' ? new Date(now + timer.remainingSeconds * 1000) : null,
+    userId: timer.userId,
+    householdId: timer.householdId,
+    sessionId: timer.sessionId,
+    step: timer.step,
+    createdAt: timer.createdAt,
+    finishedAt: timer.finishedAt
+  };
+}
+
+// Create a timer manager that reports through `broadcast(type, data)`. Timers
+// count down on `clock`, so they follow its time scale.
+function createTimerManager({
+  broadcast,
+  clock = createClock(),
+  tickEverySeconds = TICK_EVERY_SECONDS,
+  keepFinishedMs = KEEP_FINISHED_MS
+}) {
+  const timers = new Map();
+  let sequence = 0;
+
+  function describe(timer) {
+    return describeTimer(timer, clock.now());
+  }
+
+  // Event payload: what the timer is and where its countdown stands
+  function timerEvent(timer, extra = {}) {
+    const { id, name, remainingSeconds, endsAt, sessionId, step } = describe(timer);
+    return {
+      timerId: id,
+      name,
+      remainingSeconds,
+      endsAt,
+      ...(sessionId && { sessionId, step }),
+      ...extra
+    };
+  }
+
+  function requireTimer(timerId) {
+    const timer = timers.get(timerId);
+    if (!timer) throw new TimerError('not_found', 'Timer not found');
+    return timer;
+  }
+
+  function requireActive(timer, action) {
+    if (!ACTIVE_STATUSES.includes(timer.status)) {
+      throw new TimerError('invalid_state', `Cannot ${action} a timer that has ${timer.status}`);
+    }
+  }
+
+  function stopTicking(timer) {
+    if (timer.handle) {
+      clock.clearInterval(timer.handle);
+      timer.handle = null;
+    }
+  }
+
+  // Done one way or another: stop counting and drop it from the list later
+  function finish(timer, status) {
+    stopTicking(timer);
+    timer.status = status;
+    timer.finishedAt = clock.date();
+    clock.setTimeout(() => timers.delete(timer.id), keepFinishedMs);
+  }
+
+  function startTicking(timer) {
+    stopTicking(timer);
+
+    timer.handle = clock.setInterval(() => {
+      timer.remainingSeconds--;
+      timer.onTick(timer);
+
+      if (timer.remainingSeconds <= 0) {
+        finish(timer, 'expired');
+        console.log(`⏰ Timer ${timer.name} is done`);
+        broadcast('timer_expired', timerEvent(timer, { message: `${timer.name} is done` }));
+        timer.onExpire(timer);
+        return;
+      }
+      if (timer.remainingSeconds % tickEverySeconds === 0) {
+        broadcast('timer_tick', timerEvent(timer));
+      }
+    }, 1000);
+  }
+
+  // Start a timer for `seconds` in `householdId`. Session step timers pass
+  // `sessionId` and `step`, with `onTick` / `onExpire` to follow the countdown.
+  function createTimer({
+    name,
+    seconds,
+    userId = null,
+    householdId = null,
+    sessionId = null,
+    step = null,
+    onTick = () => {},
+    onExpire = () => {}
+  }) {
+    if (typeof seconds !== 'number' || !(seconds > 0)) {
+      throw new TimerError('invalid_params', 'Invalid duration (must be a positive number of seconds)');
+    }
+
+    sequence += 1;
+    const timer = {
+      id: `timer_${clock.now()}_${sequence}`,
+      name: (typeof name === 'string' && name.trim()) || `Timer ${sequence}`,
+      status: 'running',
+      durationSeconds: Math.round(seconds),
+      remainingSeconds: Math.round(seconds),
+      userId,
+      householdId,
+      sessionId,
+      step,
+      createdAt: clock.date(),
+      finishedAt: null,
+      handle: null,
+      onTick,
+      onExpire
+    };
+
+    timers.set(timer.id, timer);
+    startTicking(timer);
+    broadcast('timer_started', timerEvent(timer, { durationSeconds: timer.durationSeconds }));
+    return describe(timer);
+  }
+
+  function getTimer(timerId) {
+    const timer = timers.get(timerId);
+    return timer ? describe(timer) : null;
+  }
+
+  // Timers soonest to go off first; `active` leaves out finished ones
+  function listTimers({ householdId, userId, sessionId, active = false } = {}) {
+    return Array.from(timers.values())
+      .filter(timer => !active || ACTIVE_STATUSES.includes(timer.status))
+      .filter(timer => householdId === undefined || timer.householdId === householdId)
+      .filter(timer => userId === undefined || timer.userId === userId)
+      .filter(timer => sessionId === undefined || timer.sessionId === sessionId)
+      .sort((a, b) => ACTIVE_STATUSES.indexOf(b.status) - ACTIVE_STATUSES.indexOf(a.status) ||
+        a.remainingSeconds - b.remainingSeconds)
+      .map(describe);
+  }
+
+  function pauseTimer(timerId) {
+    const timer = requireTimer(timerId);
+    requireActive(timer, 'pause');
+    if (timer.status === 'running') {
+      stopTicking(timer);
+      timer.status = 'paused';
+      broadcast('timer_paused', timerEvent(timer));
+    }
+    return describe(timer);
+  }
+
+  function resumeTimer(timerId) {
+    const timer = requireTimer(timerId);
+    requireActive(timer, 'resume');
+    if (timer.status === 'paused') {
+      timer.status = 'running';
+      startTicking(timer);
+      broadcast('timer_resumed', timerEvent(timer));
+    }
+    return describe(timer);
+  }
+
+  // Add (or, with a negative number, take off) time; never below one second
+  function addTime(timerId, seconds) {
+    const timer = requireTimer(timerId);
+    requireActive(timer, 'change');
+    if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds === 0) {
+      throw new TimerError('invalid_params', 'Invalid seconds (must be a non-zero number)');
+    }
+
+    const before = timer.remainingSeconds;
+    timer.remainingSeconds = Math.max(timer.remainingSeconds + Math.round(seconds), 1);
+    timer.durationSeconds += timer.remainingSeconds - before;
+    timer.onTick(timer);
+    broadcast('timer_extended', timerEvent(timer, { addedSeconds: timer.remainingSeconds - before }));
+    return describe(timer);
+  }
+
+  function cancelTimer(timerId) {
+    const timer = requireTimer(timerId);
+    requireActive(timer, 'cancel');
+    finish(timer, 'cancelled');
+    broadcast('timer_cancelled', timerEvent(timer));
+    return describe(timer);
+  }
+
+  // Cancel if still counting, and forget it
+  function removeTimer(timerId) {
+    const timer = requireTimer(timerId);
+    if (ACTIVE_STATUSES.includes(timer.status)) cancelTimer(timerId);
+    timers.delete(timerId);
+    return describe(timer);
+  }
+
+  return {
+    createTimer,
+    getTimer,
+    listTimers,
+    pauseTimer,
+    resumeTimer,
+    addTime,
+    cancelTimer,
+    removeTimer
+  };
+}
+
+module.exports = {
+  TimerError,
+  createTimerManager,
+  describeTimer
+};
@@ -0,0 +1,292 @@
+/**
+ * Units
+ * - Volume, mass and temperature (°C, °F, gas mark) conversions
+ * - Volume ↔ mass through an ingredient density (g/ml)
+ * - Unit systems (`metric`, `imperial`) and picking a sensibly sized unit in one
+ * - Kitchen-friendly rounding: "0.33 cup" → "1/3 cup", "247.3 g" → "245 g"
+ * - The caller's unit preferences, from `?units=imperial&temperatureUnit=F`
+ *   or the X-Unit-System / X-Temperature-Unit headers
+ *
+ * Internally everything is kept in grams, millilitres and °C.
+ */
+
+// Raised for unknown units and conversions that can't be done
+class UnitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnitError';
+  }
+}
+
+// Canonical unit → spellings found in recipes (matched case-insensitively, longest first)
+const UNIT_ALIASES = {
+  tsp: ['teaspoons', 'teaspoon', 'tsps', 'tsp'],
+  tbsp: ['tablespoons', 'tablespoon', 'tbsps', 'tbsp', 'tbls', 'tbl', 'tbs'],
+  cup: ['cups', 'cup'],
+  'fl oz': ['fluid ounces', 'fluid ounce', 'fl. oz', 'fl oz', 'floz'],
+  oz: ['ounces', 'ounce', 'oz'],
+  lb: ['pounds', 'pound', 'lbs', 'lb'],
+  g: ['grams', 'gram', 'gr', 'g'],
+  kg: ['kilograms', 'kilogram', 'kilos', 'kilo', 'kg'],
+  mg: ['milligrams', 'milligram', 'mg'],
+  ml: ['millilitres', 'milliliters', 'millilitre', 'milliliter', 'mls', 'ml'],
+  l: ['litres', 'liters', 'litre', 'liter', 'l'],
+  pint: ['pints', 'pint', 'pt'],
+  quart: ['quarts', 'quart', 'qt'],
+  gallon: ['gallons', 'gallon', 'gal'],
+  pinch: ['pinches', 'pinch'],
+  dash: ['dashes', 'dash'],
+  clove: ['cloves', 'clove'],
+  can: ['cans', 'can', 'tins', 'tin'],
+  jar: ['jars', 'jar'],
+  package: ['packages', 'package', 'packets', 'packet', 'pkgs', 'pkg'],
+  slice: ['slices', 'slice'],
+  piece: ['pieces', 'piece'],
+  stick: ['sticks', 'stick'],
+  bunch: ['bunches', 'bunch'],
+  head: ['heads', 'head'],
+  handful: ['handfuls', 'handful'],
+  sprig: ['sprigs', 'sprig'],
+  stalk: ['stalks', 'stalk', 'ribs', 'rib'],
+  fillet: ['fillets', 'fillet'],
+  leaf: ['leaves', 'leaf']
+};
+
+// Plurals for units written out in full ("2 cups", "3 cloves"); abbreviations don't change
+const UNIT_PLURALS = {
+  cup: 'cups', pint: 'pints', quart: 'quarts', gallon: 'gallons', pinch: 'pinches', dash: 'dashes',
+  clove: 'cloves', can: 'cans', jar: 'jars', package: 'packages', slice: 'slices', piece: 'pieces',
+  stick: 'sticks', bunch: 'bunches', head: 'heads', handful: 'handfuls', sprig: 'sprigs',
+  stalk: 'stalks', fillet: 'fillets', leaf: 'leaves'
+};
+
+// Grams per unit
+const MASS_UNITS = { mg: 0.001, g: 1, kg: 1000, oz: 28.3495, lb: 453.592 };
+
+// Millilitres per unit (US customary measures)
+const VOLUME_UNITS = {
+  pinch: 0.31, dash: 0.62, tsp: 4.929, tbsp: 14.787, 'fl oz': 29.574, cup: 236.588,
+  ml: 1, l: 1000, pint: 473.176, quart: 946.353, gallon: 3785.41
+};
+
+// Gas mark → °C
+const GAS_MARKS = [
+  { mark: 0.25, celsius: 110 }, { mark: 0.5, celsius: 120 }, { mark: 1, celsius: 140 },
+  { mark: 2, celsius: 150 }, { mark: 3, celsius: 170 }, { mark: 4, celsius: 180 },
+  { mark: 5, celsius: 190 }, { mark: 6, celsius: 200 }, { mark: 7, celsius: 220 },
+  { mark: 8, celsius: 230 }, { mark: 9, celsius: 240 }, { mark: 10, celsius: 260 }
+];
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+const TEMPERATURE_UNITS = ['C', 'F', 'gas'];
+
+// Fractions cooks actually measure with
+const FRACTIONS = [
+  { value: 0, text: '' }, { value: 1 / 8, text: '1/8' }, { value: 1 / 4, text: '1/4' },
+  { value: 1 / 3, text: '1/3' }, { value: 1 / 2, text: '1/2' }, { value: 2 / 3, text: '2/3' },
+  { value: 3 / 4, text: '3/4' }, { value: 1, text: '' }
+];
+
+// Canonical spelling of a unit ("Tablespoons" → "tbsp"); UnitError when unknown
+function normalizeUnit(text) {
+  const lower = String(text || '').trim().toLowerCase();
+  const found = Object.entries(UNIT_ALIASES).find(([unit, aliases]) => unit === lower || aliases.includes(lower));
+  if (!found) throw new UnitError(`Unknown unit: ${text}`);
+  return found[0];
+}
+
+function unitKind(unit) {
+  if (MASS_UNITS[unit]) return 'mass';
+  if (VOLUME_UNITS[unit]) return 'volume';
+  return 'count';
+}
+
+// A unit as written after an amount: "cup" for 1, "cups" for 2
+function unitLabel(unit, quantity) {
+  if (!unit) return '';
+  return quantity > 1 && UNIT_PLURALS[unit] ? UNIT_PLURALS[unit] : unit;
+}
+
+// Convert between mass and volume units; crossing between them needs `density` (g/ml)
+function convert(quantity, from, to, { density } = {}) {
+  if (from === to) return quantity;
+  const fromKind = unitKind(from);
+  const toKind = unitKind(to);
+
+  if (fromKind === 'count' || toKind === 'count') {
+    throw new UnitError(`Cannot convert ${from || 'a count'} to ${to || 'a count'}`);
+  }
+  if (fromKind === toKind) {
+    const table = fromKind === 'mass' ? MASS_UNITS : VOLUME_UNITS;
+    return quantity * table[from] / table[to];
+  }
+  if (!density) {
+    throw new UnitError(`Converting ${from} to ${to} needs the ingredient's density`);
+  }
+  return fromKind === 'volume'
+    ? quantity * VOLUME_UNITS[from] * density / MASS_UNITS[to]
+    : quantity * MASS_UNITS[from] / density / VOLUME_UNITS[to];
+}
+
+function toCelsius(value, unit) {
+  if (unit === 'C') return value;
+  if (unit === 'F') return (value - 32) * 5 / 9;
+  if (unit === 'gas') {
+    const nearest = GAS_MARKS.reduce((best, mark) =>
+      Math.abs(mark.mark - value) < Math.abs(best.mark - value) ? mark : best);
+    return nearest.celsius;
+  }
+  throw new UnitError(`Unknown temperature unit: ${unit}`);
+}
+
+// °C in another unit; gas marks snap to the nearest mark (null below the lowest)
+function fromCelsius(celsius, unit) {
+  if (unit === 'C') return celsius;
+  if (unit === 'F') return celsius * 9 / 5 + 32;
+  if (unit === 'gas') {
+    if (celsius < GAS_MARKS[0].celsius - 10) return null;
+    return GAS_MARKS.reduce((best, mark) =>
+      Math.abs(mark.celsius - celsius) < Math.abs(best.celsius - celsius) ? mark : best).mark;
+  }
+  throw new UnitError(`Unknown temperature unit: ${unit}`);
+}
+
+function convertTemperature(value, from, to) {
+  return fromCelsius(toCelsius(value, from), to);
+}
+
+// Temperatures are shown as whole degrees
+function roundTemperature(value, unit) {
+  if (value === null) return null;
+  return unit === 'gas' ? value : Math.round(value);
+}
+
+// "392°F", "gas mark 6", "200°C"
+function formatTemperature(celsius, unit = 'C') {
+  const value = roundTemperature(fromCelsius(celsius, unit), unit);
+  if (unit !== 'gas') return `${value}°${unit}`;
+  return value === null ? `${Math.round(celsius)}°C` : `gas mark ${formatQuantity(value, 'gas').text}`;
+}
+
+// Copy of `value` with every numeric `...temperature` field converted from °C
+function convertTemperatureFields(value, unit) {
+  if (unit === 'C' || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => convertTemperatureFields(item, unit));
+
+  const converted = {};
+  Object.entries(value).forEach(([key, field]) => {
+    if (/temperature$/i.test(key) && typeof field === 'number') {
+      // 0 means "off" in appliance state, not freezing
+      converted[key] = field === 0 ? 0 : roundTemperature(fromCelsius(field, unit), unit);
+    } else {
+      converted[key] = convertTemperatureFields(field, unit);
+    }
+  });
+  return converted;
+}
+
+// Round to kitchen precision and spell it out: 2.33 cup → { quantity: 2.333, text: '2 1/3' }
+function formatQuantity(quantity, unit) {
+  if (quantity === null || quantity === undefined) return { quantity: null, text: '' };
+
+  // Metric weights and volumes: fewer significant digits as they grow
+  if (['g', 'ml', 'mg'].includes(unit)) {
+    let rounded;
+    if (quantity < 10) rounded = Math.round(quantity * 2) / 2;
+    else if (quantity < 100) rounded = Math.round(quantity);
+    else rounded = Math.round(quantity / 5) * 5;
+    return { quantity: rounded, text: String(rounded) };
+  }
+  if (['kg', 'l'].includes(unit)) {
+    const rounded = Math.round(quantity * 100) / 100;
+    return { quantity: rounded, text: String(rounded) };
+  }
+
+  // Everything else as a whole number and a measurable fraction
+  let whole = Math.floor(quantity);
+  const remainder = quantity - whole;
+  // Measuring cups and spoons come in thirds and eighths; weights and counts in quarters
+  const allowed = unitKind(unit) === 'volume'
+    ? FRACTIONS
+    : FRACTIONS.filter(fraction => [0, 1 / 4, 1 / 2, 3 / 4, 1].includes(fraction.value));
+  const fraction = allowed.reduce((best, candidate) =>
+    Math.abs(candidate.value - remainder) < Math.abs(best.value - remainder) ? candidate : best);
+
+  if (fraction.value === 1) whole += 1;
+  // Never round a real amount down to nothing
+  if (whole === 0 && fraction.value === 0) {
+    const smallest = allowed[1];
+    return { quantity: smallest.value, text: smallest.text };
+  }
+
+  const text = [whole > 0 ? String(whole) : '', fraction.text].filter(Boolean).join(' ');
+  return { quantity: whole + (fraction.value === 1 ? 0 : fraction.value), text };
+}
+
+// A sensibly sized unit for an amount in a unit system: 48 tsp → 1 cup, 1500 g → 1.5 kg
+function pickUnit(quantity, unit, system) {
+  const kind = unitKind(unit);
+  if (kind === 'count' || ['pinch', 'dash'].includes(unit)) return { quantity, unit };
+
+  if (kind === 'mass') {
+    const grams = convert(quantity, unit, 'g');
+    if (system === 'imperial') {
+      return grams >= MASS_UNITS.lb ? { quantity: grams / MASS_UNITS.lb, unit: 'lb' } : { quantity: grams / MASS_UNITS.oz, unit: 'oz' };
+    }
+    return grams >= 1000 ? { quantity: grams / 1000, unit: 'kg' } : { quantity: grams, unit: 'g' };
+  }
+
+  const ml = convert(quantity, unit, 'ml');
+  // Spoons are the same everywhere; keep small amounts in them
+  if (ml < VOLUME_UNITS.tbsp - 0.5) return { quantity: ml / VOLUME_UNITS.tsp, unit: 'tsp' };
+  if (ml < VOLUME_UNITS.cup / 4 - 0.5) return { quantity: ml / VOLUME_UNITS.tbsp, unit: 'tbsp' };
+  if (system === 'imperial') return { quantity: ml / VOLUME_UNITS.cup, unit: 'cup' };
+  return ml >= 1000 ? { quantity: ml / 1000, unit: 'l' } : { quantity: ml, unit: 'ml' };
+}
+
+// Unit preferences from query parameters or headers; oven temperatures may use gas marks
+function resolveUnitPreferences({ units, temperatureUnit } = {}, defaults = {}) {
+  const system = String(units || defaults.system || 'metric').toLowerCase();
+  if (!UNIT_SYSTEMS.includes(system)) {
+    throw new UnitError(`Unknown unit system: ${units} (one of: ${UNIT_SYSTEMS.join(', ')})`);
+  }
+
+  const requested = temperatureUnit || defaults.temperatureUnit;
+  const normalized = requested ? String(requested).replace(/^°/, '') : null;
+  const temperature = normalized
+    ? (normalized.toLowerCase() === 'gas' ? 'gas' : normalized.toUpperCase())
+    : (system === 'imperial' ? 'F' : 'C');
+  if (!TEMPERATURE_UNITS.includes(temperature)) {
+    throw new UnitError(`Unknown temperature unit: ${requested} (one of: ${TEMPERATURE_UNITS.join(', ')})`);
+  }
+
+  return {
+    system,
+    // Gas marks only make sense for ovens; everything else falls back to the system's unit
+    temperature: temperature === 'gas' ? (system === 'imperial' ? 'F' : 'C') : temperature,
+    ovenTemperature: temperature
+  };
+}
+
+module.exports = {
+  GAS_MARKS,
+  MASS_UNITS,
+  TEMPERATURE_UNITS,
+  UNIT_ALIASES,
+  UNIT_SYSTEMS,
+  UnitError,
+  VOLUME_UNITS,
+  convert,
+  convertTemperature,
+  convertTemperatureFields,
+  formatQuantity,
+  formatTemperature,
+  fromCelsius,
+  normalizeUnit,
+  pickUnit,
+  resolveUnitPreferences,
+  roundTemperature,
+  toCelsius,
+  unitKind,
+  unitLabel
+};
@@ -0,0 +1,236 @@
+/**
+ * Request Validation
+ * - Declarative schemas, a subset of JSON Schema / OpenAPI 3.0: `type`,
+ *   `properties`, `required`, `additionalProperties`, `minProperties`, `items`,
+ *   `minItems` / `maxItems`, `enum`, `minimum` / `maximum` (with
+ *   `exclusiveMinimum`), `minLength` / `maxLength`, `pattern`, `format`
+ *   (`date-time`, `uri`), `anyOf` and `nullable`
+ * - `validate({ params, query, body })` checks a route's input before its
+ *   handler runs; path and query strings are read as the numbers and booleans
+ *   their schemas ask for
+ * - Every problem is reported with a machine-readable code and a field path
+ *   ("body.steps[2].duration"), in the API's error envelope:
+ *   { success: false, error, code: 'invalid_params', errors: [{ path, code, message }] }
+ * - `checkSchema()` is the same check for WebSocket command params
+ * - Rules across fields ("recipeId or ingredients") stay in the handlers, which
+ *   report them in the same envelope through `sendValidationError()`
+ */
+
+const TYPE_NAMES = {
+  object: 'an object',
+  array: 'an array',
+  string: 'text',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false'
+};
+
+// "steps[2].duration", "units"
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// Field name for messages: the path without the part of the request it's in
+function fieldName(path) {
+  if (path === 'body') return 'request body';
+  return path.replace(/^(?:params|query|body)(?:\.|(?=\[))/, '') || path;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+// Query and path values arrive as text; read them as the schema's type
+function coerce(schema, value) {
+  if (typeof value !== 'string') return value;
+  if ((schema.type === 'number' || schema.type === 'integer') && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+function checkFormat(format, value) {
+  if (format === 'date-time' || format === 'date') return !Number.isNaN(new Date(value).getTime());
+  if (format === 'uri') {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Check `value` against `schema`, collecting problems into `errors`.
+// Returns the value, with query/path strings coerced when `coerceStrings` is set.
+function check(schema, value, path, errors, coerceStrings) {
+  const label = fieldName(path);
+  const fail = (code, message) => errors.push({ path, code, message });
+
+  if (value === null && schema.nullable) return value;
+  if (coerceStrings) value = coerce(schema, value);
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(option => {
+      const optionErrors = [];
+      const checked = check(option, value, path, optionErrors, coerceStrings);
+      return { checked, optionErrors };
+    });
+    const passed = attempts.find(attempt => attempt.optionErrors.length === 0);
+    if (!passed) {
+      fail('no_match', schema.description ? `Invalid ${label} (must be ${schema.description})` : `Invalid ${label}`);
+      return value;
+    }
+    // The rest of the schema applies on top of whichever option matched
+    value = passed.checked;
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    fail('type', `Invalid ${label} (must be ${TYPE_NAMES[schema.type] || schema.type})`);
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `Invalid ${label} (one of: ${schema.enum.join(', ')})`);
+    return value;
+  }
+
+  if (typeof value === 'number') {
+    // A described bound reads better than its number (e.g. "at least one second" for 1/60)
+    const bound = text => (schema.description ? `must be ${schema.description}` : text);
+    if (schema.minimum !== undefined) {
+      if (schema.exclusiveMinimum && value <= schema.minimum) {
+        fail('minimum', `Invalid ${label} (${bound(`must be greater than ${schema.minimum}`)})`);
+      } else if (value < schema.minimum) {
+        fail('minimum', `Invalid ${label} (${bound(`must be at least ${schema.minimum}`)})`);
+      }
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `Invalid ${label} (${bound(`must be at most ${schema.maximum}`)})`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'required' : 'min_length',
+        schema.minLength === 1 ? `Missing ${label}` : `Invalid ${label} (at least ${schema.minLength} characters)`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('max_length', `Invalid ${label} (at most ${schema.maxLength} characters)`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', schema.description ? `Invalid ${label} (${schema.description})` : `Invalid ${label}`);
+    }
+    if (schema.format && !checkFormat(schema.format, value)) {
+      fail('format', `Invalid ${label} (must be a ${schema.format === 'uri' ? 'web address' : 'date'})`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('min_items', schema.minItems === 1 ? `Invalid ${label} (must not be empty)` : `Invalid ${label} (at least ${schema.minItems} items)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('max_items', `Invalid ${label} (at most ${schema.maxItems} items)`);
+    }
+    if (schema.items) {
+      return value.map((item, index) => check(schema.items, item, joinPath(path, index), errors, coerceStrings));
+    }
+    return value;
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const result = { ...value };
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), code: 'required', message: `Missing ${fieldName(joinPath(path, key))}` });
+      }
+    });
+    Object.entries(value).forEach(([key, item]) => {
+      if (item === undefined) return;
+      if (properties[key]) {
+        result[key] = check(properties[key], item, joinPath(path, key), errors, coerceStrings);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), code: 'unknown_field', message: `Unknown field ${fieldName(joinPath(path, key))}` });
+      } else if (typeOf(schema.additionalProperties) === 'object') {
+        result[key] = check(schema.additionalProperties, item, joinPath(path, key), errors, coerceStrings);
+      }
+    });
+    if (schema.minProperties !== undefined && Object.keys(value).filter(key => value[key] !== undefined).length < schema.minProperties) {
+      fail('min_properties', `Nothing to change (fields: ${Object.keys(properties).join(', ')})`);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+// Check a value against a schema: { value, errors }. `path` prefixes field
+// paths; `coerceStrings` reads text as numbers / booleans (query and path values).
+function checkSchema(schema, value, { path = '', coerceStrings = false } = {}) {
+  const errors = [];
+  const checked = check(schema, value, path, errors, coerceStrings);
+  return { value: checked, errors };
+}
+
+// Error envelope for a list of validation problems
+function validationErrorBody(errors) {
+  return {
+    success: false,
+    error: errors[0].message,
+    code: 'invalid_params',
+    errors
+  };
+}
+
+// Reply with a single problem the schemas can't express (one field or another)
+function sendValidationError(res, path, code, message) {
+  return res.status(400).json(validationErrorBody([{ path, code, message }]));
+}
+
+// Express middleware checking { params, query, body } against their schemas
+// (object schemas over each part of the request). Checked values replace the
+// originals, so handlers see coerced numbers and booleans.
+function validate(schemas) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const checked = {};
+
+    ['params', 'query', 'body'].forEach(part => {
+      if (!schemas[part]) return;
+      const result = checkSchema(schemas[part], req[part] === undefined ? {} : req[part], {
+        path: part,
+        coerceStrings: part !== 'body'
+      });
+      errors.push(...result.errors);
+      checked[part] = result.value;
+    });
+
+    if (errors.length > 0) return res.status(400).json(validationErrorBody(errors));
+    Object.assign(req, checked);
+    next();
+  };
+  // Kept for whoever wants to describe the route (API docs)
+  middleware.schemas = schemas;
+  return middleware;
+}
+
+module.exports = {
+  checkSchema,
+  sendValidationError,
+  validate,
+  validationErrorBody
+};
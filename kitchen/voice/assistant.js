@@ -0,0 +1,562 @@
+/**
+ * Voice Assistant
+ * - Acts on parsed voice intents: starts recipes, moves through their steps,
+ *   says how long is left (on recipes or kitchen timers), sets and cancels
+ *   timers and heats or switches off appliances
+ * - Keeps a short conversation per speaker: when a command is missing something
+ *   ("set a timer") it asks ("How long should the timer be?") and fills the
+ *   gap from the next thing said; it also remembers which recipe it was last
+ *   talking about, so "next step" needs no name while two things cook
+ * - Replies carry a `message` meant to be spoken back
+ * - Speakers who may not cook (guests) can ask and switch things off, but
+ *   nothing that turns on heat
+ * - Everything happens in the speaker's household: its recipes on the go,
+ *   its timers and its appliances
+ */
+
+const { createClock } = require('../clock');
+const { SessionStateError } = require('../cooking-sessions');
+const { ApplianceError, getDriver } = require('../appliances');
+const { UnitError } = require('../units');
+const { TimerError } = require('../timers');
+const { parseSlotAnswer, parseUtterance } = require('./intent-parser');
+
+// How long a follow-up question waits for its answer
+const CONTEXT_TTL_MS = 2 * 60 * 1000;
+
+const ACTIVE_STATUSES = ['cooking', 'paused', 'blocked'];
+
+// Driver command that heats each appliance, and the slots it needs
+const HEAT_COMMANDS = {
+  OVEN: { command: 'preheat', needs: ['temperature'] },
+  AIR_FRYER: { command: 'air_fry', needs: ['temperature', 'duration'] },
+  KETTLE: { command: 'boil', needs: [] },
+  SOUS_VIDE: { command: 'start', needs: ['temperature'] }
+};
+
+const OFF_COMMANDS = {
+  OVEN: 'off',
+  AIR_FRYER: 'stop',
+  KETTLE: 'stop',
+  SOUS_VIDE: 'stop',
+  INDUCTION_HOB: 'off'
+};
+
+// Intents that can turn on heat: starting a recipe, heating, or moving a recipe on
+const COOKING_INTENTS = ['start_cooking', 'heat_appliance', 'next_step', 'previous_step', 'confirm_step', 'resume', 'extend_step'];
+
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth'];
+
+// "1 hour 5 minutes", "4 minutes 30 seconds", "45 seconds"
+function formatDuration(totalSeconds) {
+  const seconds = Math.max(Math.round(totalSeconds), 0);
+  const parts = [
+    [Math.floor(seconds / 3600), 'hour'],
+    [Math.floor((seconds % 3600) / 60), 'minute'],
+    [seconds % 60, 'second']
+  ].filter(([value]) => value > 0);
+  if (parts.length === 0) return '0 seconds';
+  return parts.slice(0, 2).map(([value, unit]) => `${value} ${unit}${value === 1 ? '' : 's'}`).join(' ');
+}
+
+// "A, B or C"
+function listNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+}
+
+function applianceName(type) {
+  return type.toLowerCase().replace(/_/g, ' ');
+}
+
+// Pick one of the options offered in a question: "the second one", "yes", or a name
+function chooseOption(options, utterance) {
+  const text = String(utterance || '').toLowerCase();
+  const ordinal = ORDINALS.findIndex(word => text.includes(word));
+  if (ordinal !== -1) return options[ordinal] || null;
+  const number = text.match(/\b(\d)\b/);
+  if (number) return options[Number(number[1]) - 1] || null;
+  if (/^(?:yes|yeah|yep|sure|ok(?:ay)?|that one)\b/.test(text)) return options[0];
+
+  const words = text.split(/\s+/).filter(word => word.length > 2);
+  return options.find(option => words.some(word => option.title.toLowerCase().includes(word))) || null;
+}
+
+// Create an assistant over the cooking, recipe, timer and appliance layers
+function createVoiceAssistant({ recipes, sessions, appliances, timers, clock = createClock(), contextTtlMs = CONTEXT_TTL_MS }) {
+  const contexts = new Map(); // "household/conversation ID" → { pending, sessionId, householdId, expiresAt }
+
+  function contextKey(conversationId, householdId) {
+    return `${householdId}/${conversationId}`;
+  }
+
+  function getContext(conversationId, householdId) {
+    const context = contexts.get(contextKey(conversationId, householdId));
+    if (context && context.expiresAt > clock.now()) return context;
+    const fresh = { pending: null, sessionId: null, householdId, expiresAt: 0 };
+    contexts.set(contextKey(conversationId, householdId), fresh);
+    return fresh;
+  }
+
+  // Ask for something missing and remember what we were doing
+  function ask(context, { intent, slots }, awaiting, message, options) {
+    context.pending = { intent, slots, awaiting, options: options || null };
+    return {
+      success: true,
+      intent,
+      slots,
+      action: 'follow_up',
+      expecting: awaiting,
+      message,
+      ...(options && { options })
+    };
+  }
+
+  function question(intent, slot, slots) {
+    if (slot === 'recipe') return 'What would you like to cook?';
+    if (slot === 'appliance') return 'Which appliance?';
+    if (slot === 'session') return 'Which recipe?';
+    if (slot === 'recipeId') return 'Which recipe did you mean?';
+    if (slot === 'timer') return 'Which timer?';
+    if (slot === 'temperature') return `What temperature should I set the ${applianceName(slots.appliance)} to?`;
+    if (intent === 'set_timer') return 'How long should the timer be?';
+    if (intent === 'extend_step') return 'How much time should I add?';
+    return 'For how long?';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sessions
+  // ---------------------------------------------------------------------------
+
+  function activeSessions(householdId) {
+    return sessions.listSessions({ householdId }).filter(session => ACTIVE_STATUSES.includes(session.status));
+  }
+
+  // The session a command is about: named in it, the one we last talked about, or the only one.
+  // Without a "for the ..." hint, a recipe word anywhere in the command counts ("pause the pancakes").
+  function findSession(context, hint, text) {
+    const active = activeSessions(context.householdId);
+    if (hint) {
+      const words = hint.toLowerCase().split(/\s+/).filter(word => word.length > 2);
+      const named = active.filter(session => words.some(word => session.recipeName.toLowerCase().includes(word)));
+      if (named.length === 1) return { session: named[0] };
+    } else if (text) {
+      const said = new Set(text.split(/\s+/));
+      const named = active.filter(session => session.recipeName.toLowerCase().split(/\s+/)
+        .some(word => word.length > 3 && said.has(word)));
+      if (named.length === 1) return { session: named[0] };
+    }
+    const remembered = active.find(session => session.id === context.sessionId);
+    if (remembered) return { session: remembered };
+    if (active.length === 1) return { session: active[0] };
+    return { choices: active };
+  }
+
+  function stepMessage(session) {
+    if (session.status === 'completed') return `That was the last step. ${session.recipeName} is ready!`;
+    const step = session.steps[session.currentStep - 1];
+    return `Step ${session.currentStep} of ${session.steps.length}: ${step.instruction}`;
+  }
+
+  // Where a session is and how long it has left
+  function sessionStatus(session) {
+    const later = session.steps.slice(session.currentStep)
+      .reduce((total, step) => total + Math.round((step.duration || 1) * 60), 0);
+    const total = session.timeRemaining + later;
+    const where = `${session.recipeName} is on step ${session.currentStep} of ${session.steps.length}`;
+
+    if (session.status === 'blocked') return `${where} and is stuck: ${session.blockedReason}`;
+    if (session.waitingFor.some(wait => !wait.done)) {
+      const waiting = session.waitingFor.filter(wait => !wait.done).map(wait => wait.applianceId || wait.event);
+      return `${where}, waiting for ${listNames(waiting)}; about ${formatDuration(later)} after that`;
+    }
+    if (session.awaitingConfirmation) return `${where}, waiting for you to finish it; about ${formatDuration(later)} after that`;
+    const paused = session.status === 'paused' ? ' (paused)' : '';
+    return `${where}${paused}: ${formatDuration(session.timeRemaining)} left on this step, about ${formatDuration(total)} in total`;
+  }
+
+  // Session controls voice can run, with what to say afterwards
+  const SESSION_ACTIONS = {
+    next_step: { action: 'step_next', run: session => sessions.nextStep(session), say: stepMessage },
+    previous_step: { action: 'step_previous', run: session => sessions.previousStep(session), say: stepMessage },
+    repeat_step: { action: 'step_repeated', run: session => session, say: stepMessage },
+    confirm_step: { action: 'step_confirmed', run: session => sessions.confirmStep(session), say: stepMessage },
+    pause: {
+      action: 'cooking_paused',
+      run: session => sessions.pauseSession(session),
+      say: session => `Paused ${session.recipeName}`
+    },
+    resume: {
+      action: 'cooking_resumed',
+      run: session => sessions.resumeSession(session),
+      say: session => `Resuming ${session.recipeName}`
+    },
+    stop_cooking: {
+      action: 'cooking_cancelled',
+      run: session => sessions.cancelSession(session),
+      say: session => `Stopped cooking ${session.recipeName}`
+    },
+    extend_step: {
+      action: 'step_extended',
+      needs: 'duration',
+      run: (session, slots) => sessions.extendStep(session, slots.duration / 60),
+      say: (session, slots) => `Added ${formatDuration(slots.duration)}. ${formatDuration(session.timeRemaining)} left on this step`
+    }
+  };
+
+  function controlSession(context, parsed) {
+    const { intent, slots } = parsed;
+    const control = SESSION_ACTIONS[intent];
+    if (control.needs && !slots[control.needs]) return ask(context, parsed, control.needs, question(intent, control.needs, slots));
+
+    const found = findSession(context, slots.recipe, parsed.text);
+    if (!found.session) {
+      if (found.choices.length === 0) {
+        return { success: false, intent, slots, action: 'no_session', message: 'Nothing is cooking right now' };
+      }
+      const options = found.choices.map(session => ({ id: session.id, title: session.recipeName }));
+      return ask(context, parsed, 'session', `Which one: ${listNames(options.map(option => option.title))}?`, options);
+    }
+
+    const session = control.run(found.session, slots);
+    context.sessionId = session.id;
+    return {
+      success: true,
+      intent,
+      slots,
+      action: control.action,
+      message: control.say(session, slots),
+      sessionId: session.id
+    };
+  }
+
+  // Kitchen timers of their own (not recipe steps) a status question is about:
+  // the ones it names, or all of them when it asks about "timers"
+  function askedTimers(householdId, hint, text) {
+    const running = timers.listTimers({ active: true, householdId }).filter(timer => !timer.sessionId);
+    const said = new Set(`${hint || ''} ${text}`.toLowerCase().split(/\s+/));
+    const named = running.filter(timer => timer.name.toLowerCase().split(/\s+/)
+      .some(word => word.length > 2 && word !== 'timer' && said.has(word)));
+    if (named.length > 0) return named;
+    return /\btimers?\b/.test(text) ? running : null;
+  }
+
+  function timerStatus(timer) {
+    const paused = timer.status === 'paused' ? ' (paused)' : '';
+    return `${timer.name}: ${formatDuration(timer.remainingSeconds)} left${paused}`;
+  }
+
+  function timeRemaining(context, { intent, slots, text }) {
+    const asked = askedTimers(context.householdId, slots.recipe, text);
+    if (asked) {
+      return {
+        success: true,
+        intent,
+        slots,
+        action: 'status',
+        message: asked.length > 0 ? asked.map(timerStatus).join('. ') : 'No timers are running',
+        timers: asked
+      };
+    }
+
+    const found = findSession(context, slots.recipe, text);
+    const reported = found.session ? [found.session] : found.choices;
+    if (reported.length === 0) {
+      // Nothing cooking, but maybe something timing
+      const running = askedTimers(context.householdId, null, 'timers');
+      const message = running.length > 0 ? running.map(timerStatus).join('. ') : 'Nothing is cooking right now';
+      return { success: true, intent, slots, action: 'status', message, sessions: [], timers: running };
+    }
+    if (found.session) context.sessionId = found.session.id;
+    return {
+      success: true,
+      intent,
+      slots,
+      action: 'status',
+      message: reported.map(sessionStatus).join('. '),
+      sessions: reported.map(session => ({
+        sessionId: session.id,
+        recipeName: session.recipeName,
+        status: session.status,
+        currentStep: session.currentStep,
+        timeRemainingSeconds: session.timeRemaining
+      }))
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Recipes, timers and appliances
+  // ---------------------------------------------------------------------------
+
+  async function startCooking(context, parsed, userId) {
+    const { intent, slots } = parsed;
+    if (!slots.recipe) return ask(context, parsed, 'recipe', question(intent, 'recipe', slots));
+
+    let recipeId = slots.recipeId;
+    let confidence = null;
+    if (!recipeId) {
+      const found = await recipes.match(slots.recipe);
+      if (!found.best) {
+        const options = found.candidates.slice(0, 3).map(candidate => ({ id: candidate.id, title: candidate.title }));
+        if (options.length === 0) {
+          return { success: false, intent, slots, action: 'recipe_not_found', message: `I couldn't find a recipe for ${slots.recipe}` };
+        }
+        return ask(context, parsed, 'recipeId', `I couldn't find ${slots.recipe}. Did you mean ${listNames(options.map(option => option.title))}?`, options);
+      }
+      recipeId = found.best.id;
+      confidence = found.best.confidence;
+    }
+
+    const recipe = await recipes.getRecipe(recipeId);
+    if (recipe.steps.length === 0) {
+      return { success: false, intent, slots, action: 'recipe_not_cookable', message: `${recipe.title} has no instructions to cook from` };
+    }
+
+    const session = sessions.createSession({
+      recipeName: recipe.title,
+      steps: recipe.steps,
+      userId,
+      householdId: context.householdId,
+      recipeId: recipe.id,
+      ingredients: recipe.ingredients
+    });
+    context.sessionId = session.id;
+    return {
+      success: true,
+      intent,
+      slots,
+      action: 'cooking_started',
+      message: `Starting to cook ${recipe.title}. ${stepMessage(session)}`,
+      sessionId: session.id,
+      recipeId: recipe.id,
+      confidence
+    };
+  }
+
+  function setTimer(context, parsed, userId) {
+    const { intent, slots } = parsed;
+    if (!slots.duration) return ask(context, parsed, 'duration', question(intent, 'duration', slots));
+
+    const timer = timers.createTimer({ name: slots.label, seconds: slots.duration, userId, householdId: context.householdId });
+    const name = slots.label ? `${slots.label.charAt(0).toUpperCase()}${slots.label.slice(1)} timer` : 'Timer';
+    return {
+      success: true,
+      intent,
+      slots,
+      action: 'timer_started',
+      message: `${name} set for ${formatDuration(slots.duration)}`,
+      timer
+    };
+  }
+
+  // Cancel a timer of its own, by name ("cancel the pasta timer") or the only one running
+  function cancelTimer(context, parsed) {
+    const { intent, slots } = parsed;
+    const running = timers.listTimers({ active: true, householdId: context.householdId }).filter(timer => !timer.sessionId);
+    const named = slots.timer
+      ? running.filter(timer => timer.id === slots.timer)
+      : running.filter(timer => !slots.label || timer.name.toLowerCase().includes(slots.label));
+
+    if (named.length === 0) {
+      const message = slots.label && running.length > 0 ? `There's no ${slots.label} timer` : 'No timers are running';
+      return { success: false, intent, slots, action: 'no_timer', message };
+    }
+    if (named.length > 1) {
+      const options = named.map(timer => ({ id: timer.id, title: timer.name }));
+      return ask(context, parsed, 'timer', `Which timer: ${listNames(options.map(option => option.title))}?`, options);
+    }
+
+    const timer = timers.cancelTimer(named[0].id);
+    return {
+      success: true,
+      intent,
+      slots,
+      action: 'timer_cancelled',
+      message: `Cancelled the ${/\btimer\b/i.test(timer.name) ? timer.name : `${timer.name} timer`}`,
+      timer
+    };
+  }
+
+  // Unit a spoken temperature is in: as said, or the caller's. A number too hot to be
+  // °C for the appliance ("preheat to 400 degrees") is taken as °F.
+  function temperatureUnit(temperature, driver, command, units) {
+    if (temperature.unit) return temperature.unit;
+    const preferred = driver.gasMarks ? units.ovenTemperature : units.temperature;
+    if (preferred === 'gas' && temperature.value > 10) return units.temperature === 'gas' ? 'C' : units.temperature;
+    const rule = (driver.commands[command].params || {}).temperature;
+    if (preferred === 'C' && rule && temperature.value > rule.max) return 'F';
+    return preferred;
+  }
+
+  function requireApplianceOfType(type, householdId) {
+    const appliance = appliances.findByType(type, householdId);
+    if (!appliance) throw new ApplianceError('not_found', `There's no ${applianceName(type)} set up`);
+    return appliance;
+  }
+
+  function heatAppliance(context, parsed, units) {
+    const { intent, slots } = parsed;
+    const heat = HEAT_COMMANDS[slots.appliance];
+    if (!heat) {
+      return { success: false, intent, slots, action: 'unsupported', message: `I can't heat the ${applianceName(slots.appliance)} by voice yet` };
+    }
+    const missing = heat.needs.find(slot => !slots[slot]);
+    if (missing) return ask(context, parsed, missing, question(intent, missing, slots));
+
+    const appliance = requireApplianceOfType(slots.appliance, context.householdId);
+    const driver = getDriver(appliance.type);
+    const params = {};
+    let unit = null;
+    if (slots.temperature) {
+      unit = temperatureUnit(slots.temperature, driver, heat.command, units);
+      if (unit === 'gas' && !driver.gasMarks) {
+        return { success: false, intent, slots, action: 'invalid_temperature', message: `The ${applianceName(slots.appliance)} doesn't use gas marks` };
+      }
+      params.temperature = slots.temperature.value;
+    }
+    if (slots.duration && heat.needs.includes('duration')) params.duration = Math.max(Math.round(slots.duration / 60), 1);
+
+    const result = appliances.runCommand(appliance.id, heat.command, params, {
+      units: unit ? { ...units, temperature: unit, ovenTemperature: unit } : units
+    });
+    return {
+      success: true,
+      intent,
+      slots,
+      action: 'appliance_started',
+      message: result.message || `${appliance.name} started`,
+      applianceId: appliance.id,
+      result
+    };
+  }
+
+  function stopAppliance(context, parsed, units) {
+    const { intent, slots } = parsed;
+    if (!slots.appliance) return ask(context, parsed, 'appliance', question(intent, 'appliance', slots));
+    const command = OFF_COMMANDS[slots.appliance];
+    if (!command) {
+      return { success: false, intent, slots, action: 'unsupported', message: `I can't switch off the ${applianceName(slots.appliance)} by voice` };
+    }
+
+    const appliance = requireApplianceOfType(slots.appliance, context.householdId);
+    const result = appliances.runCommand(appliance.id, command, {}, { units });
+    return {
+      success: true,
+      intent,
+      slots,
+      action: 'appliance_stopped',
+      message: result.message || `${appliance.name} switched off`,
+      applianceId: appliance.id,
+      result
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Conversation
+  // ---------------------------------------------------------------------------
+
+  async function perform(context, parsed, { userId, units, canCook }) {
+    if (!canCook && COOKING_INTENTS.includes(parsed.intent)) {
+      return { success: false, intent: parsed.intent, slots: parsed.slots, action: 'not_allowed', message: "Sorry, you're not allowed to cook here" };
+    }
+    switch (parsed.intent) {
+      case 'start_cooking':
+        return startCooking(context, parsed, userId);
+      case 'set_timer':
+        return setTimer(context, parsed, userId);
+      case 'cancel_timer':
+        return cancelTimer(context, parsed);
+      case 'time_remaining':
+        return timeRemaining(context, parsed);
+      case 'heat_appliance':
+        return heatAppliance(context, parsed, units);
+      case 'stop_appliance':
+        return stopAppliance(context, parsed, units);
+      default:
+        if (SESSION_ACTIONS[parsed.intent]) return controlSession(context, parsed);
+        return {
+          success: false,
+          intent: 'unknown',
+          slots: {},
+          action: 'unknown',
+          message: 'Sorry, I didn\'t catch that. Try "next step", "set a timer for 10 minutes" or "preheat the oven to 200 degrees".'
+        };
+    }
+  }
+
+  // Fill what a pending question asked for from the answer; null when it doesn't answer it
+  function answerPending(pending, parsed, utterance) {
+    const sameIntent = parsed.intent === pending.intent;
+    if (parsed.intent !== 'unknown' && !sameIntent) return null;
+
+    const slots = { ...pending.slots, ...(sameIntent ? parsed.slots : {}) };
+    if (!slots[pending.awaiting] || pending.options) {
+      if (pending.options) {
+        const chosen = chooseOption(pending.options, utterance);
+        if (!chosen) return null;
+        // A chosen session is named by its recipe; a chosen recipe by its ID
+        if (pending.awaiting === 'session') slots.recipe = chosen.title;
+        else slots[pending.awaiting] = chosen.id;
+      } else {
+        const value = parseSlotAnswer(pending.awaiting, utterance);
+        if (value === null || value === undefined) return null;
+        slots[pending.awaiting] = value;
+      }
+    }
+    return { intent: pending.intent, slots, text: parsed.text };
+  }
+
+  // Handle one utterance in the speaker's household. `conversationId` ties follow-up
+  // answers to their question; `slots` are values the caller already knows
+  // ({ recipe, duration, ... }); `canCook` is false for speakers who may not turn on heat.
+  async function handle(utterance, {
+    conversationId = 'default',
+    householdId = null,
+    userId = null,
+    units,
+    slots = {},
+    canCook = true
+  } = {}) {
+    const context = getContext(conversationId, householdId);
+    context.expiresAt = clock.now() + contextTtlMs;
+    let parsed = parseUtterance(utterance);
+
+    if (parsed.intent === 'cancel') {
+      const hadQuestion = Boolean(context.pending);
+      context.pending = null;
+      return { success: true, intent: 'cancel', slots: {}, action: 'cancelled', message: hadQuestion ? 'Okay, never mind' : 'Okay' };
+    }
+
+    if (context.pending) {
+      const pending = context.pending;
+      const answered = answerPending(pending, parsed, utterance);
+      if (answered) {
+        parsed = answered;
+      } else if (parsed.intent === 'unknown') {
+        // Still waiting for an answer: ask again
+        return ask(context, pending, pending.awaiting, `Sorry, I didn't get that. ${question(pending.intent, pending.awaiting, pending.slots)}`, pending.options);
+      }
+    }
+    context.pending = null;
+    parsed = { ...parsed, slots: { ...slots, ...parsed.slots } };
+
+    try {
+      return await perform(context, parsed, { userId, units, canCook });
+    } catch (error) {
+      if (error instanceof SessionStateError || error instanceof ApplianceError ||
+      error instanceof UnitError || error instanceof TimerError) {
+        return { success: false, intent: parsed.intent, slots: parsed.slots, action: 'failed', message: error.message };
+      }
+      throw error;
+    }
+  }
+
+  return {
+    handle,
+    clearContext: (conversationId, householdId = null) => contexts.delete(contextKey(conversationId, householdId))
+  };
+}
+
+module.exports = {
+  createVoiceAssistant,
+  formatDuration
+};
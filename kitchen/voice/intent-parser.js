@@ -0,0 +1,280 @@
+/**
+ * Voice Intent Parser
+ * - Turns a spoken command into an intent and its slots:
+ *   "preheat the oven to 400 degrees" → { intent: 'heat_appliance', slots: { appliance: 'OVEN', temperature: { value: 400, unit: null } } }
+ * - Tolerates phrasing variants, filler ("hey kitchen, could you please ...")
+ *   and numbers spoken as words ("twenty five minutes", "half an hour")
+ * - Knows nothing about sessions or appliances; the assistant acts on the result
+ */
+
+// Appliances that can be named in a command, with the words for them
+const APPLIANCE_WORDS = [
+  { type: 'OVEN', words: ['oven'] },
+  { type: 'AIR_FRYER', words: ['air fryer', 'airfryer'] },
+  { type: 'KETTLE', words: ['kettle'] },
+  { type: 'SOUS_VIDE', words: ['sous vide', 'water bath'] },
+  { type: 'AUTOCOOKER', words: ['pressure cooker', 'autocooker'] },
+  { type: 'INDUCTION_HOB', words: ['hob', 'stove', 'cooktop'] }
+];
+
+const SMALL_NUMBERS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+
+const UNIT_SECONDS = { hour: 3600, minute: 60, second: 1 };
+
+// Openers and politeness that don't change what's asked
+const FILLER = /^(?:(?:hey|ok|okay|hi)\s+(?:kitchen|chef)\s*|please\s+|(?:can|could|would|will)\s+you\s+(?:please\s+)?|i(?:'d| would) like (?:you )?to\s+|i want (?:you )?to\s+|(?:let'?s|lets)\s+(?=start|begin|cook|make)|go ahead and\s+)+/;
+
+// "twenty five" → "25", "three hundred and fifty" → "350"
+function wordsToNumbers(text) {
+  const out = [];
+  let current = null;
+  let last = null; // small | tens | hundred
+
+  const flush = () => {
+    if (current !== null) out.push(String(current));
+    current = null;
+    last = null;
+  };
+
+  text.split(' ').forEach(word => {
+    const small = SMALL_NUMBERS.indexOf(word);
+    if (small !== -1) {
+      if (current !== null && (last === 'hundred' || (last === 'tens' && small < 10))) {
+        current += small;
+      } else {
+        flush();
+        current = small;
+      }
+      last = 'small';
+    } else if (TENS[word]) {
+      if (current === null || last !== 'hundred') flush();
+      current = (current || 0) + TENS[word];
+      last = 'tens';
+    } else if (word === 'hundred' && last === 'small' && current < 10) {
+      current *= 100;
+      last = 'hundred';
+    } else if (!(word === 'and' && last === 'hundred')) {
+      flush();
+      out.push(word);
+    }
+  });
+  flush();
+  return out.join(' ');
+}
+
+// Lowercase, drop punctuation and filler, spell numbers as digits
+function normalize(text) {
+  let normalized = String(text || '')
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/[^a-z0-9'°./:\s-]/g, ' ')
+    .replace(/-/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  normalized = wordsToNumbers(normalized)
+    .replace(/\bhalf an? hour\b/g, '30 minutes')
+    .replace(/\ba quarter of an hour\b/g, '15 minutes')
+    .replace(/\b(?:an?|one) (hour|minute|second)\b/g, '1 $1')
+    .replace(/\b(\d+) and a half\b/g, '$1.5')
+    .replace(/\b(\d+) (hours?|minutes?|seconds?) and a half\b/g, (match, value, unit) => `${Number(value) + 0.5} ${unit}`);
+
+  return normalized.replace(FILLER, '').replace(/\s+(?:please|now|thanks|thank you)$/, '').trim();
+}
+
+// Seconds in "1 hour 20 minutes", "90 seconds", "5 mins"; a bare number counts as minutes
+// when `bareMinutes` (answering "how long?"). Null when there's no duration.
+function parseDuration(text, { bareMinutes = false } = {}) {
+  const pattern = /(\d+(?:\.\d+)?)\s*(?:more |extra )?(hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)\b/g;
+  let seconds = 0;
+  let found = false;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const unit = match[2].startsWith('h') ? 'hour' : match[2].startsWith('m') ? 'minute' : 'second';
+    seconds += Number(match[1]) * UNIT_SECONDS[unit];
+    found = true;
+  }
+  if (found) return Math.round(seconds);
+
+  const bare = bareMinutes && text.match(/^(?:for\s+)?(\d+(?:\.\d+)?)$/);
+  return bare ? Math.round(Number(bare[1]) * 60) : null;
+}
+
+// { value, unit } in "200 degrees celsius", "400°f", "gas mark 6"; unit is null when
+// not said. A bare number counts when `bare` (answering "what temperature?").
+function parseTemperature(text, { bare = false } = {}) {
+  const gas = text.match(/\bgas(?: mark)? (\d+(?:\.\d+)?)\b/);
+  if (gas) return { value: Number(gas[1]), unit: 'gas' };
+
+  const match = text.match(/(\d+(?:\.\d+)?)\s*(?:°|degrees?|deg)\s*(celsius|centigrade|c|fahrenheit|f)?\b/) ||
+    text.match(/(\d+(?:\.\d+)?)\s*(celsius|centigrade|c|fahrenheit|f)\b/) ||
+    text.match(/\b(?:to|at)\s+(\d+(?:\.\d+)?)\b(?!\s*(?:hours?|minutes?|mins?|seconds?|secs?))/) ||
+    (bare && text.match(/^(?:to\s+)?(\d+(?:\.\d+)?)$/));
+  if (!match) return null;
+
+  const unitWord = match[2] || null;
+  let unit = null;
+  if (unitWord) unit = unitWord.startsWith('f') ? 'F' : 'C';
+  return { value: Number(match[1]), unit };
+}
+
+function parseAppliance(text) {
+  const found = APPLIANCE_WORDS.find(({ words }) => words.some(word => new RegExp(`\\b${word}\\b`).test(text)));
+  return found ? found.type : null;
+}
+
+// Strip articles and trailing filler from a spoken recipe name
+function cleanRecipe(text) {
+  const recipe = String(text || '')
+    .replace(/^(?:cooking|making|to cook|to make|cook|make)\s+/, '')
+    .replace(/^(?:me\s+)?(?:a|an|some|the|my|our)\s+/, '')
+    .replace(/^(?:recipe for|recipe)\s+/, '')
+    .replace(/\s+(?:recipe|for (?:dinner|lunch|breakfast|tonight|today))$/, '')
+    .trim();
+  // "start cooking", "make something": no recipe named yet
+  return recipe && !/^(?:cooking|making|something|anything|it|dinner|lunch|breakfast)$/.test(recipe) ? recipe : null;
+}
+
+// Which recipe a session command is about: "next step for the pancakes"
+function sessionHint(text) {
+  const match = text.match(/\b(?:for|on|of|in|with) (?:the |my )?([a-z][a-z ]*)$/);
+  if (!match || /\b(step|timer|recipe|it|this|that)\b/.test(match[1]) || parseAppliance(match[1])) return null;
+  return match[1].trim();
+}
+
+// "set a pasta timer for 10 minutes", "timer for the eggs", "10 minute timer called rice"
+function timerLabel(text) {
+  const withoutDuration = text
+    .replace(/(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const named = withoutDuration.match(/\b(?:for|called|named|on) (?:the |my )?([a-z][a-z ]*?)$/) ||
+    withoutDuration.match(/\b(?:set|start) (?:a |an |the |my )?(?:new )?([a-z][a-z ]*?) timer\b/);
+  if (!named) return null;
+  const label = named[1].replace(/\b(?:a|an|the)\b/g, '').trim();
+  return label && !/^(?:timer|new|another|kitchen|\d.*)$/.test(label) ? label : null;
+}
+
+// "cancel the pasta timer" → "pasta"
+function cancelledTimerLabel(text) {
+  const named = text.match(/\b(?:the |my |that |this )?([a-z]+) (?:timer|alarm)\b/);
+  return named && !/^(?:the|my|that|this|cancel|stop|delete|clear|kill|off)$/.test(named[1]) ? named[1] : null;
+}
+
+// Intents, tried in order; the first whose pattern matches wins
+const INTENTS = [
+  { intent: 'cancel', pattern: /^(?:never ?mind|forget (?:it|that|about it)|cancel that|no(?:thing)?|nope)$/ },
+  {
+    intent: 'time_remaining',
+    pattern: /\bhow (?:long|much (?:longer|time))\b|\btime (?:left|remaining)\b|\b(?:check )?status\b|\bwhen (?:will|is) .*\b(?:ready|done)\b|\bhow(?:'s| is) .* (?:going|doing)\b|\bare we (?:there|done)\b/,
+    slots: text => ({ recipe: sessionHint(text) })
+  },
+  {
+    intent: 'cancel_timer',
+    pattern: /\b(?:cancel|stop|delete|clear|kill|turn off|switch off) (?:the |my |that |this )?(?:[a-z]+ )?(?:timer|alarm)\b/,
+    slots: text => ({ label: cancelledTimerLabel(text) })
+  },
+  {
+    intent: 'set_timer',
+    pattern: /\btimer\b|\bremind me in\b|\balarm\b/,
+    slots: text => ({ duration: parseDuration(text), label: timerLabel(text) })
+  },
+  {
+    intent: 'next_step',
+    pattern: /\bnext(?: step)?\b|\bmove on\b|\bskip(?: (?:this|the|that))?(?: step)?\b|\bwhat'?s next\b|\bgo (?:on|ahead|forward)\b/,
+    slots: text => ({ recipe: sessionHint(text) })
+  },
+  {
+    intent: 'previous_step',
+    pattern: /\bprevious(?: step)?\b|\bgo back\b|\bback (?:a|one) step\b|\bstep back\b|\blast step\b/,
+    slots: text => ({ recipe: sessionHint(text) })
+  },
+  {
+    intent: 'repeat_step',
+    pattern: /\brepeat\b|\bsay (?:that|it) again\b|\bwhat (?:was|is) (?:the |this |that )?(?:current )?step\b|\bread (?:the |this )?step\b|\bwhat do i (?:do|need to do)(?: now| next)?\b|\bcome again\b/,
+    slots: text => ({ recipe: sessionHint(text) })
+  },
+  {
+    intent: 'confirm_step',
+    pattern: /^(?:(?:i'?m |i am |it'?s |that'?s |ok(?:ay)? |all )?(?:done|finished|ready)|(?:step )?(?:is )?(?:done|complete|finished)|i did it|got it)$|\b(?:finished|done with|completed) (?:the |this |that )?step\b/
+  },
+  {
+    intent: 'pause',
+    pattern: /\bpause\b|\bhold on\b|\bwait a (?:sec|second|minute|moment)\b|\bhang on\b/,
+    slots: text => ({ recipe: sessionHint(text) })
+  },
+  {
+    intent: 'resume',
+    pattern: /\bresume\b|\bcontinue\b|\bcarry on\b|\bunpause\b|\bkeep going\b|\bstart again\b/,
+    slots: text => ({ recipe: sessionHint(text) })
+  },
+  {
+    intent: 'extend_step',
+    pattern: /\b(?:add|give (?:me|it|us)|extend(?: (?:it|this|the step))?(?: by)?) \d|\b\d+(?:\.\d+)? (?:more|extra) (?:minutes?|mins?|seconds?|hours?)\b/,
+    slots: text => ({ duration: parseDuration(text), recipe: sessionHint(text.replace(/\bby\b.*$/, '')) })
+  },
+  {
+    intent: 'stop_appliance',
+    pattern: /\b(?:turn|switch|shut) off\b|\b(?:turn|switch|shut) (?:the |my )?[a-z ]+ off\b|\bstop (?:the |my )?(?:oven|air ?fryer|kettle|sous vide|water bath|pressure cooker|autocooker|hob|stove|cooktop)\b/,
+    slots: text => ({ appliance: parseAppliance(text) })
+  },
+  {
+    intent: 'stop_cooking',
+    pattern: /\b(?:stop|cancel|quit|end|abort)(?: the)? (?:cooking|recipe|session)\b|\bstop everything\b|\bi'?m giving up\b/,
+    slots: text => ({ recipe: sessionHint(text) })
+  },
+  {
+    intent: 'heat_appliance',
+    pattern: /\bpre ?heat\b|\bheat (?:up )?(?:the )?(?:oven|air ?fryer|sous vide|water bath|kettle)\b|\bwarm up\b|\bboil (?:the )?(?:kettle|water)\b|\b(?:turn|switch) on\b|\bstart (?:the |my )?(?:oven|air ?fryer|sous vide|water bath|kettle)\b|\bair fry\b|\bset (?:the |my )?(?:oven|air ?fryer|sous vide|water bath|kettle) to\b/,
+    slots: text => ({
+      appliance: parseAppliance(text) || (/\bboil\b/.test(text) ? 'KETTLE' : /\bair fry\b/.test(text) ? 'AIR_FRYER' : 'OVEN'),
+      temperature: parseTemperature(text),
+      duration: parseDuration(text.replace(/(\d+(?:\.\d+)?)\s*(?:°|degrees?)\s*(?:celsius|fahrenheit|c|f)?/g, ' '))
+    })
+  },
+  {
+    intent: 'start_cooking',
+    pattern: /\b(?:start|begin)(?: (?:cooking|making))?\b|^(?:cook|make)\b|\b(?:want|like|going) to (?:cook|make)\b|\bhelp me (?:cook|make)\b/,
+    slots: text => {
+      const match = text.match(/\b(?:start|begin)(?: (?:cooking|making))?\s+(.+)$/) ||
+        text.match(/\b(?:cook|make)\s+(.+)$/);
+      return { recipe: match ? cleanRecipe(match[1]) : null };
+    }
+  }
+];
+
+// Understand one utterance: { intent, slots, text }; intent is 'unknown' when nothing fits
+function parseUtterance(utterance) {
+  const text = normalize(utterance);
+  const found = INTENTS.find(({ pattern }) => pattern.test(text));
+  if (!found) return { intent: 'unknown', slots: {}, text };
+
+  const slots = found.slots ? found.slots(text) : {};
+  Object.keys(slots).forEach(slot => {
+    if (slots[slot] === null || slots[slot] === undefined) delete slots[slot];
+  });
+  return { intent: found.intent, slots, text };
+}
+
+// Read one slot out of an answer to a follow-up question ("10 minutes", "200 degrees", "pancakes")
+function parseSlotAnswer(slot, utterance) {
+  const text = normalize(utterance);
+  if (slot === 'duration') return parseDuration(text, { bareMinutes: true });
+  if (slot === 'temperature') return parseTemperature(text, { bare: true });
+  if (slot === 'appliance') return parseAppliance(text);
+  if (slot === 'recipe' || slot === 'session') return cleanRecipe(text.replace(/^(?:the )?(?:one (?:for|with) )?/, ''));
+  return text || null;
+}
+
+module.exports = {
+  APPLIANCE_WORDS,
+  normalize,
+  parseDuration,
+  parseSlotAnswer,
+  parseTemperature,
+  parseUtterance
+};
@@ -0,0 +1,109 @@
+/**
+ * WebSocket Command Protocol (v1)
+ *
+ * Client → server:
+ *   { "v": 1, "type": "command", "id": "<request id>", "command": "session.pause", "params": { ... } }
+ *
+ * Server → client:
+ *   { "v": 1, "type": "ack",   "id": "<request id>", "command": "...", "data": { ... } }
+ *   { "v": 1, "type": "error", "id": "<request id>", "error": { "code": "...", "message": "..." } }
+ *
+ * Params that don't match the command's schema get an `invalid_params` error
+ * listing each problem: "error": { ..., "errors": [{ "path": "params.topics", "code", "message" }] }
+ *
+ * Every command needs a permission (`read`, `use`, `cook`, ...); a connection whose
+ * user doesn't have it gets a `forbidden` error.
+ *
+ * Broadcast events keep their existing `{ type, data, timestamp }` shape.
+ */
+
+const { checkSchema } = require('./validation');
+
+const PROTOCOL_VERSION = 1;
+
+// Raised by command handlers to reply with a specific error code
+class CommandError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CommandError';
+    this.code = code;
+  }
+}
+
+function ack(id, command, data) {
+  return { v: PROTOCOL_VERSION, type: 'ack', id, command, data, timestamp: new Date() };
+}
+
+function errorReply(id, code, message, errors) {
+  return { v: PROTOCOL_VERSION, type: 'error', id, error: { code, message, ...(errors && { errors }) }, timestamp: new Date() };
+}
+
+// Create a handler that turns raw socket messages into replies.
+// `commands` maps command names to `(params, context) => data` (may return a promise);
+// `schemas` maps command names to the schema their params must match;
+// `permissions` maps command names to the permission they need, which
+// `authorize(permission, context)` checks for the connection;
+// `mapError` can turn other error types into CommandErrors.
+function createCommandHandler({ commands, schemas = {}, permissions, authorize, mapError = error => error }) {
+  const unguarded = Object.keys(commands).filter(command => !permissions[command]);
+  if (unguarded.length > 0) {
+    throw new TypeError(`WebSocket commands need a permission: ${unguarded.join(', ')}`);
+  }
+
+  return async function handleMessage(rawMessage, context = {}) {
+    let message;
+    try {
+      message = JSON.parse(rawMessage);
+    } catch (error) {
+      return errorReply(null, 'invalid_json', 'Message is not valid JSON');
+    }
+
+    const id = message && message.id !== undefined ? message.id : null;
+
+    if (!message || typeof message !== 'object' || message.type !== 'command') {
+      return errorReply(id, 'invalid_message', "Expected a message with type 'command'");
+    }
+    if (message.v !== PROTOCOL_VERSION) {
+      return errorReply(id, 'unsupported_version', `Protocol version ${PROTOCOL_VERSION} is required`);
+    }
+    if (id === null || id === '') {
+      return errorReply(null, 'invalid_message', 'Commands need a request id');
+    }
+
+    const handler = commands[message.command];
+    if (!handler) {
+      return errorReply(id, 'unknown_command', `Unknown command: ${message.command}`);
+    }
+    if (!authorize(permissions[message.command], context)) {
+      return errorReply(id, 'forbidden', `${message.command} needs the ${permissions[message.command]} permission`);
+    }
+
+    let params = message.params || {};
+    if (schemas[message.command]) {
+      const checked = checkSchema(schemas[message.command], params, { path: 'params' });
+      if (checked.errors.length > 0) {
+        return errorReply(id, 'invalid_params', checked.errors[0].message, checked.errors);
+      }
+      params = checked.value;
+    }
+
+    try {
+      const data = await handler(params, context);
+      return ack(id, message.command, data);
+    } catch (error) {
+      const mapped = mapError(error);
+      if (mapped instanceof CommandError) {
+        return errorReply(id, mapped.code, mapped.message);
+      }
+      console.error(`WebSocket command ${message.command} failed:`, error);
+      return errorReply(id, 'internal_error', 'Something went wrong');
+    }
+  };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  CommandError,
+  createCommandHandler,
+  errorReply
+};
@@ -5,101 +5,302 @@
  * - Real-time WebSocket updates
  * - Voice commands and automation
  * - Nutrition analysis and meal planning
+ * - User accounts with roles; tokens and API keys on every request and socket
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const cors = require('cors');
+const {
+  SessionStateError,
+  createSessionManager,
+  describeSession
+} = require('./kitchen/cooking-sessions');
+const { CommandError, PROTOCOL_VERSION, createCommandHandler, errorReply } = require('./kitchen/ws-protocol');
+const { createEventHub } = require('./kitchen/event-hub');
+const { createClock } = require('./kitchen/clock');
+const { ConfigError, loadConfig, redactConfig } = require('./kitchen/config');
+const {
+  ApplianceError,
+  commandHeats,
+  createApplianceManager,
+  describeAppliance,
+  listDrivers
+} = require('./kitchen/appliances');
+const { parseInstructions } = require('./kitchen/recipes/instruction-parser');
+const { createCookingOrchestrator } = require('./kitchen/cooking-orchestrator');
+const { ScheduleError, createMealScheduler } = require('./kitchen/meal-scheduler');
+const { createVoiceAssistant } = require('./kitchen/voice/assistant');
+const { PantryError, createPantry } = require('./kitchen/pantry');
+const { TimerError, createTimerManager } = require('./kitchen/timers');
+const { HistoryError, createCookingHistory } = require('./kitchen/cooking-history');
+const {
+  AuthError,
+  ROLE_PERMISSIONS,
+  allow,
+  authenticateRequests,
+  can,
+  canAccess,
+  createAuth,
+  credentialsFrom,
+  rolesWith
+} = require('./kitchen/auth');
+const { HouseholdError, createHouseholds, inHousehold } = require('./kitchen/households');
+const { createFileStore, createMemoryStore } = require('./kitchen/storage');
+const { sendValidationError, validate, validationErrorBody } = require('./kitchen/validation');
+const schemas = require('./kitchen/api-schemas');
+const { createRouteRegistry } = require('./kitchen/route-registry');
+const { buildAsyncApiDocument, buildOpenApiDocument, renderDocsPage } = require('./kitchen/api-docs');
+const { RecipeProviderError, createRecipeService } = require('./kitchen/recipes/recipe-service');
+const { createResponseCache } = require('./kitchen/recipes/response-cache');
+const { createHttpEmbedder, createRecipeMatcher } = require('./kitchen/recipes/recipe-matcher');
+const { parseIngredients } = require('./kitchen/recipes/ingredient-parser');
+const { analyzeIngredients, matchFood } = require('./kitchen/nutrition/analyzer');
+const { createLocalProvider } = require('./kitchen/recipes/providers/local');
+const { createSpoonacularProvider } = require('./kitchen/recipes/providers/spoonacular');
+const { localizeRecipe, localizeSteps, scaleRecipe } = require('./kitchen/recipes/scaler');
+const {
+  buildShoppingList,
+  formatShoppingListText,
+  groupByAisle,
+  parseListItem,
+  updateListItem
+} = require('./kitchen/shopping-list');
+const {
+  TEMPERATURE_UNITS,
+  UnitError,
+  convert,
+  convertTemperature,
+  formatQuantity,
+  formatTemperature,
+  normalizeUnit,
+  resolveUnitPreferences,
+  roundTemperature,
+  toCelsius
+} = require('./kitchen/units');
 
 // =============================================================================
 // APP INITIALIZATION
 // =============================================================================
 
+// Settings from the defaults, kitchen.config.json (or KITCHEN_CONFIG) and the
+// environment; a bad setting stops the server here
+let config;
+let configSources;
+try {
+  ({ config, sources: configSources } = loadConfig({ rootDir: __dirname }));
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(`❌ ${error.message}`);
+  error.errors.forEach(problem => console.error(`   ${problem.message}`));
+  process.exit(1);
+}
+
 const app = express();
-const PORT = 3000;
-const WEBSOCKET_PORT = 8080;
+const PORT = config.server.port;
+const WEBSOCKET_PORT = config.websocket.shareHttpPort ? PORT : config.websocket.port;
+const API_VERSION = '2.0';
 
-// Middleware
+// Every route goes through the registry, which refuses duplicates and feeds the API docs
+const routes = createRouteRegistry(app);
+
+// Middleware; browsers may only call from the configured origins
 app.use(express.json());
 app.use(cors({
-  origin: '*',
+  origin: config.cors.origins.length > 0 ? config.cors.origins : false,
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Unit-System', 'X-Temperature-Unit']
 }));
 
-// Create HTTP server and WebSocket server
+// Caller's unit preferences: ?units=imperial&temperatureUnit=F (or gas, for ovens),
+// or the X-Unit-System / X-Temperature-Unit headers
+app.use((req, res, next) => {
+  try {
+    req.units = resolveUnitPreferences({
+      units: req.query.units || req.get('X-Unit-System'),
+      temperatureUnit: req.query.temperatureUnit || req.get('X-Temperature-Unit')
+    });
+  } catch (error) {
+    if (!(error instanceof UnitError)) throw error;
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      code: 'invalid_params'
+    });
+  }
+  next();
+});
+
+// Create HTTP server and WebSocket server, on its own port or sharing the HTTP one
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ port: WEBSOCKET_PORT, host: '0.0.0.0' });
+const wss = config.websocket.shareHttpPort
+  ? new WebSocket.Server({ server, verifyClient: authenticateSocket })
+  : new WebSocket.Server({ port: WEBSOCKET_PORT, host: '0.0.0.0', verifyClient: authenticateSocket });
 
 // =============================================================================
-// DATA STORES (In production, use a proper database)
+// DATA STORES
 // =============================================================================
 
-// Cooking status tracker
-let cookingStatus = {
-  status: 'idle', // idle | cooking | completed
-  currentStep: 0, 
-  steps: [],
-  timeRemaining: 0,
-  timer: null
-};
+// Clock for cooking steps, appliance simulation and events: virtual in test mode,
+// optionally sped up (KITCHEN_TIME_SCALE=60) for demos
+const clock = createClock({
+  mode: process.env.NODE_ENV === 'test' ? 'virtual' : 'real',
+  timeScale: config.clock.timeScale
+});
 
-// Cooking sessions storage
-const cookingSessions = [];
-
-// Cooking simulations storage
-const cookingSimulations = {};
-
-// Smart appliances state
-const appliances = {
-  autocooker: {
-    id: 'autocooker_01',
-    name: 'Smart Pressure Cooker',
-    type: 'AUTOCOOKER',
-    brand: 'Instant Pot',
-    status: 'ready',
-    isConnected: true,
-    pressure: 0,
-    temperature: 20,
-    lastUpdate: new Date(),
-    features: ['pressure_cook', 'rice', 'soup', 'timer']
-  },
-  oven: {
-    id: 'oven_01',
-    name: 'Smart Oven',
-    type: 'OVEN',
-    brand: 'Samsung',
-    status: 'ready',
-    isConnected: true,
-    temperature: 20,
-    targetTemperature: 0,
-    mode: 'off',
-    lastUpdate: new Date()
-  }
-};
+// Persistent storage (in-memory in test mode, so each run starts empty)
+const storage = process.env.NODE_ENV === 'test'
+  ? createMemoryStore()
+  : createFileStore(config.storage.dbPath);
+
+// User accounts, login tokens and device API keys
+const auth = createAuth({ storage, clock });
+
+// Households sharing a kitchen, and the invite codes for joining one
+const households = createHouseholds({ storage, clock });
+
+// Who's calling (req.principal), from their token or API key; routes say who may call them
+app.use(authenticateRequests(auth));
+
+// Recipe search and lookup: Spoonacular when an API key is set (SPOONACULAR_BASE_URL
+// can point at a local mock), always backed by the bundled catalog
+const recipeCache = createResponseCache({
+  filePath: process.env.NODE_ENV === 'test' ? null : config.storage.recipeCachePath,
+  clock
+});
+const recipeProviders = [createLocalProvider()];
+const { spoonacular, embeddings } = config.recipes;
+if (spoonacular.apiKey) {
+  recipeProviders.unshift(createSpoonacularProvider({
+    apiKey: spoonacular.apiKey,
+    baseUrl: spoonacular.baseUrl || undefined,
+    dailyPoints: spoonacular.dailyPoints,
+    usage: recipeCache
+  }));
+}
+const recipes = createRecipeService({
+  providers: recipeProviders,
+  cache: recipeCache,
+  // Blend in embeddings from a local model server when one is configured
+  matcher: createRecipeMatcher({
+    embed: embeddings.url
+      ? createHttpEmbedder({ url: embeddings.url, model: embeddings.model || undefined })
+      : null
+  }),
+  searchTtlMs: config.recipes.searchTtlMinutes * 60 * 1000,
+  recipeTtlMs: config.recipes.lookupTtlMinutes * 60 * 1000
+});
+
+// Smart appliances, driven by the registered appliance drivers within the
+// configured limits; which appliances each household has is kept in storage
+const appliances = createApplianceManager({
+  broadcast: broadcastUpdate,
+  clock,
+  limits: config.appliances.limits,
+  modelLimits: config.appliances.models
+});
+storage.list('appliances').forEach(({ id, type, name, brand, model, householdId }) => {
+  appliances.addAppliance({ id, type, name, brand, model, householdId });
+});
+appliances.start();
+
+// Finished cooking sessions with their timings, ratings and notes
+const cookingHistory = createCookingHistory({ storage, clock });
+
+// Food in the house, used up as recipes are cooked
+const pantry = createPantry({ storage, broadcast: broadcastUpdate, clock });
+
+// Kitchen timers, named and side by side; cooking steps count down on them too
+const timers = createTimerManager({ broadcast: broadcastUpdate, clock });
+
+// Cooking sessions, one per recipe being cooked; step actions drive the appliances
+const cookingSessions = createSessionManager({
+  broadcast: broadcastUpdate,
+  onSessionEnd: recordFinishedSession,
+  clock,
+  timers,
+  orchestrator: createCookingOrchestrator({ appliances })
+});
+
+// Cooking scheduled from meal plans; pending jobs are restored from storage
+const mealScheduler = createMealScheduler({
+  storage,
+  appliances,
+  loadRecipe: job => loadScheduledRecipe(job),
+  startSession: details => cookingSessions.createSession(details),
+  broadcast: broadcastUpdate,
+  clock
+});
 
 // =============================================================================
 // WEBSOCKET MANAGEMENT
 // =============================================================================
 
+// Sequenced, topic-filtered event delivery with replay for reconnecting clients
+const eventHub = createEventHub({ bufferSize: 500, clock });
+const stopHeartbeat = eventHub.startHeartbeat(30000);
+
+// Sockets authenticate in the handshake, like requests: `Authorization: Bearer`,
+// `X-API-Key`, or `?token=` from browsers. Who connected rides along on the request.
+function authenticateSocket({ req }, done) {
+  const secret = credentialsFrom(req.headers, req.url);
+  if (!secret) return done(false, 401, 'Log in or send an API key');
+
+  try {
+    req.principal = auth.authenticate(secret);
+    req.credentials = secret;
+    done(true);
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      console.error('WebSocket authentication failed:', error);
+      return done(false, 500, 'Something went wrong');
+    }
+    console.log(`🔒 WebSocket connection refused: ${error.message}`);
+    done(false, 401, error.message);
+  }
+}
+
 wss.on('connection', (ws, req) => {
-  console.log('🔌 New WebSocket connection established');
+  const { principal, credentials } = req;
+  console.log(`🔌 New WebSocket connection established for ${principal.username}`);
+  // Only this household's events reach the socket
+  eventHub.addClient(ws, { userId: principal.id, householdId: principal.householdId });
   
-  // Send welcome message
+  // Send welcome message, with the running timers so a reconnecting client starts in step
   ws.send(JSON.stringify({
     type: 'connection_established',
-    data: { message: 'Connected to Smart Kitchen API' },
+    data: {
+      message: 'Connected to Smart Kitchen API',
+      user: principal,
+      householdId: principal.householdId,
+      lastSeq: eventHub.getLastSeq(),
+      timers: timers.listTimers({ active: true, householdId: principal.householdId })
+    },
     timestamp: new Date()
   }));
   
-  ws.on('message', (message) => {
+  ws.on('message', async (message) => {
+    // Who's connected is looked up again for every command, so a new role or
+    // household applies at once and a revoked token stops working
+    let current;
     try {
-      const data = JSON.parse(message);
-      console.log('📨 WebSocket message received:', data);
-      // Handle incoming WebSocket messages here
+      current = auth.authenticate(credentials);
     } catch (error) {
-      console.error('WebSocket parse error:', error);
+      if (!(error instanceof AuthError)) {
+        console.error('WebSocket authentication failed:', error);
+        return ws.send(JSON.stringify(errorReply(null, 'internal_error', 'Something went wrong')));
+      }
+      ws.send(JSON.stringify(errorReply(null, 'unauthorized', error.message)));
+      return ws.close(4401, 'Unauthorized');
+    }
+
+    const reply = await handleCommand(message.toString(), { ws, principal: current });
+    console.log(`📨 WebSocket command ${reply.type}:`, reply.id);
+
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(reply));
     }
   });
   
@@ -108,471 +309,2424 @@ wss.on('connection', (ws, req) => {
   });
 });
 
-// Broadcast updates to all connected WebSocket clients
+// The household an event happened in, from what it's about: a session, timer,
+// appliance, scheduled job or pantry item. Null when it's none of them.
+function eventHousehold(data = {}) {
+  if (data.householdId) return data.householdId;
+
+  const session = data.sessionId && cookingSessions.getSession(data.sessionId);
+  if (session) return session.householdId || null;
+  const timer = data.timerId && timers.getTimer(data.timerId);
+  if (timer) return timer.householdId || null;
+  const appliance = data.applianceId && appliances.getAppliance(data.applianceId);
+  if (appliance) return appliance.householdId || null;
+  const job = data.scheduledId && storage.get('scheduledCooking', data.scheduledId);
+  if (job) return job.householdId || null;
+  const item = data.itemId && storage.get('pantry', data.itemId);
+  if (item) return item.householdId || null;
+  return null;
+}
+
+// Broadcast updates to the household's WebSocket clients subscribed to the event's topics
 function broadcastUpdate(type, data) {
-  const message = JSON.stringify({ 
-    type, 
-    data, 
-    timestamp: new Date() 
-  });
+  const householdId = eventHousehold(data);
+  const event = eventHub.publish(type, data, { householdId });
   
-  wss.clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
+  console.log(`📡 WebSocket broadcast #${event.seq}: ${type}`, data);
+
+  // Appliance events can finish (or block) the cooking step waiting on them
+  cookingSessions.handleEvent(type, data, { householdId });
+}
+
+// Record IDs like "plan_3f9a1c2b7d4e"; random, so two in the same millisecond don't collide
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// =============================================================================
+// CORE COOKING FUNCTIONS
+// =============================================================================
+
+// Keep finished sessions in the cooking history; a completed recipe's
+// ingredients come out of the pantry
+function recordFinishedSession(session) {
+  const pantryUsage = session.status === 'completed'
+    ? pantry.deductIngredients(session.ingredients, {
+      householdId: session.householdId,
+      sessionId: session.id,
+      recipeName: session.recipeName
+    })
+    : null;
+
+  cookingHistory.recordSession(session, { pantryUsage });
+}
+
+// Cooking steps for a recipe: explicit `steps`, or parsed from raw `instructions`
+// (plain text, numbered list or HTML) or Spoonacular `analyzedInstructions`
+function generateCookingSteps({ steps, instructions, analyzedInstructions }) {
+  if (Array.isArray(steps)) return steps;
+  return parseInstructions({ instructions, analyzedInstructions }).steps;
+}
+
+// =============================================================================
+// ACCOUNTS
+// =============================================================================
+
+const AUTH_ERROR_STATUS = {
+  unauthorized: 401,
+  forbidden: 403,
+  invalid_params: 400,
+  not_found: 404,
+  conflict: 409,
+  invalid_state: 409
+};
+
+// Account errors become JSON responses; anything else goes to Express
+function sendAuthError(res, next, error) {
+  if (!(error instanceof AuthError)) return next(error);
+  res.status(AUTH_ERROR_STATUS[error.code] || 400).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+}
+
+function sendForbidden(res, message) {
+  return res.status(403).json({
+    success: false,
+    error: message,
+    code: 'forbidden'
+  });
+}
+
+// Favorites, meal plans, appliances and the rest from before accounts belong
+// to the first account and its household
+function claimUnownedRecords(householdId, userId) {
+  ['favorites', 'mealPlans', 'shoppingLists', 'scheduledCooking'].forEach(name => {
+    storage.list(name, record => !record.userId).forEach(record => storage.update(name, record.id, { userId }));
+  });
+  ['mealPlans', 'shoppingLists', 'scheduledCooking', 'pantry', 'sessions', 'appliances'].forEach(name => {
+    storage.list(name, record => !record.householdId).forEach(record => storage.update(name, record.id, { householdId }));
+  });
+  appliances.listAppliances({ householdId: null }).forEach(appliance => appliances.assignAppliance(appliance.id, householdId));
+}
+
+routes.section('accounts');
+
+// Create an account. With an invite code it joins that household with the
+// invite's role; without one it starts a household of its own, as its owner.
+routes.post('/api/auth/register', {
+  summary: 'Create an account and log in',
+  status: 201,
+  public: true
+}, validate({ body: schemas.register }), (req, res, next) => {
+  const { inviteCode, householdName, ...account } = req.body;
+
+  try {
+    // A bad code is turned down before the account exists
+    const invite = inviteCode ? households.findInvite(inviteCode) : null;
+    const session = auth.register(account);
+
+    const household = invite
+      ? households.getHousehold(invite.householdId)
+      : households.createHousehold({ name: householdName || `${session.user.displayName}'s kitchen` });
+    const { user } = auth.joinHousehold(session.user.id, {
+      householdId: household.id,
+      role: invite ? invite.role : 'owner'
+    });
+
+    if (invite) {
+      households.useInvite(inviteCode);
+    } else if (households.listHouseholds().length === 1) {
+      claimUnownedRecords(household.id, user.id);
     }
+
+    res.status(201).json({
+      success: true,
+      message: `Welcome, ${user.displayName}`,
+      ...session,
+      user,
+      household
+    });
+  } catch (error) {
+    sendHouseholdError(res, next, error);
+  }
+});
+
+routes.post('/api/auth/login', {
+  summary: 'Log in: a bearer token for the Authorization header',
+  public: true
+}, validate({ body: schemas.login }), (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      ...auth.login(req.body)
+    });
+  } catch (error) {
+    sendAuthError(res, next, error);
+  }
+});
+
+routes.post('/api/auth/logout', { summary: 'Revoke the token this request was sent with' }, allow('read'), (req, res) => {
+  if (req.principal.apiKeyId) {
+    return sendValidationError(res, 'headers.authorization', 'api_key', 'API keys are revoked with DELETE /api/auth/api-keys/:id');
+  }
+
+  auth.logout(credentialsFrom(req.headers));
+  res.json({
+    success: true,
+    message: 'Logged out'
   });
-  
-  console.log(`📡 WebSocket broadcast: ${type}`, data);
+});
+
+routes.get('/api/auth/me', { summary: 'Who this request is from, and what they may do' }, allow('read'), (req, res) => {
+  res.json({
+    success: true,
+    user: req.principal,
+    permissions: ROLE_PERMISSIONS[req.principal.role]
+  });
+});
+
+// API key for a device, with the caller's role or a lower one; the key is only shown once
+routes.post('/api/auth/api-keys', {
+  summary: 'Create an API key for a device',
+  status: 201
+}, allow('read'), validate({ body: schemas.newApiKey }), (req, res, next) => {
+  try {
+    res.status(201).json({
+      success: true,
+      message: "Keep the key somewhere safe, it won't be shown again",
+      ...auth.createApiKey(req.principal, req.body)
+    });
+  } catch (error) {
+    sendAuthError(res, next, error);
+  }
+});
+
+routes.get('/api/auth/api-keys', { summary: 'List your API keys' }, allow('read'), (req, res) => {
+  res.json({
+    success: true,
+    apiKeys: auth.listApiKeys(req.principal.id)
+  });
+});
+
+routes.delete('/api/auth/api-keys/:id', {
+  summary: 'Revoke an API key'
+}, allow('read'), validate({ params: schemas.params('id') }), (req, res, next) => {
+  try {
+    auth.revokeApiKey(req.principal.id, req.params.id);
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    sendAuthError(res, next, error);
+  }
+});
+
+// Dietary preferences: { diets: ['vegetarian'] }. Recipe searches without a
+// `diet` use them.
+routes.put('/api/auth/me/preferences', {
+  summary: 'Set your dietary preferences'
+}, allow('read'), validate({ body: schemas.preferences }), (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      user: auth.setPreferences(req.principal.id, req.body)
+    });
+  } catch (error) {
+    sendAuthError(res, next, error);
+  }
+});
+
+// =============================================================================
+// HOUSEHOLDS
+// =============================================================================
+
+const HOUSEHOLD_ERROR_STATUS = {
+  not_found: 404,
+  invalid_params: 400
+};
+
+// Household and account errors become JSON responses; anything else goes to Express
+function sendHouseholdError(res, next, error) {
+  if (!(error instanceof HouseholdError)) return sendAuthError(res, next, error);
+  res.status(HOUSEHOLD_ERROR_STATUS[error.code] || 400).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+}
+
+// Someone in the caller's household, or not_found
+function requireMember(principal, userId) {
+  const user = auth.getUser(userId);
+  if (user.householdId !== principal.householdId) {
+    throw new AuthError('not_found', 'User not found');
+  }
+  return user;
+}
+
+// A household nobody is left in: what's cooking or counting down stops, and
+// its appliances, plans, lists and pantry go with it
+function closeHousehold(householdId) {
+  cookingSessions.listSessions({ householdId })
+    .filter(session => ['cooking', 'paused', 'blocked'].includes(session.status))
+    .forEach(session => cookingSessions.cancelSession(session));
+  timers.listTimers({ householdId, active: true })
+    .filter(timer => !timer.sessionId)
+    .forEach(timer => timers.cancelTimer(timer.id));
+  storage.list('scheduledCooking', job => job.householdId === householdId)
+    .forEach(job => mealScheduler.cancel(job.id));
+
+  appliances.listAppliances({ householdId }).forEach(appliance => appliances.removeAppliance(appliance.id));
+  ['appliances', 'mealPlans', 'shoppingLists', 'pantry'].forEach(name => {
+    storage.list(name, record => record.householdId === householdId).forEach(record => storage.remove(name, record.id));
+  });
+
+  households.removeHousehold(householdId);
+  console.log(`🏠 Household ${householdId} closed, nobody is left in it`);
+}
+
+// Move someone into a household with a role; their open connections follow,
+// and the household they left closes if it's now empty
+function moveMember(userId, { householdId, role }) {
+  const { user, previousHouseholdId } = auth.joinHousehold(userId, { householdId, role });
+  eventHub.moveUser(userId, householdId);
+
+  if (previousHouseholdId && previousHouseholdId !== householdId &&
+      auth.listUsers({ householdId: previousHouseholdId }).length === 0) {
+    closeHousehold(previousHouseholdId);
+  }
+  return user;
 }
 
+routes.section('households');
+
+routes.get('/api/household', { summary: 'Your household and who is in it' }, allow('read'), (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      household: households.getHousehold(req.principal.householdId),
+      members: auth.listUsers({ householdId: req.principal.householdId })
+    });
+  } catch (error) {
+    sendHouseholdError(res, next, error);
+  }
+});
+
+routes.put('/api/household', {
+  summary: 'Rename your household'
+}, allow('manage'), validate({ body: schemas.household }), (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      household: households.renameHousehold(req.principal.householdId, req.body.name)
+    });
+  } catch (error) {
+    sendHouseholdError(res, next, error);
+  }
+});
+
+routes.get('/api/household/members', { summary: 'List the people in your household' }, allow('read'), (req, res) => {
+  res.json({
+    success: true,
+    members: auth.listUsers({ householdId: req.principal.householdId })
+  });
+});
+
+routes.put('/api/household/members/:userId/role', {
+  summary: 'Give a member a role: owner, member or guest'
+}, allow('manage'), validate({ params: schemas.params('userId'), body: schemas.userRole }), (req, res, next) => {
+  try {
+    requireMember(req.principal, req.params.userId);
+    res.json({
+      success: true,
+      user: auth.setRole(req.params.userId, req.body.role)
+    });
+  } catch (error) {
+    sendHouseholdError(res, next, error);
+  }
+});
+
+// Removed members keep their account, in a new household of their own
+routes.delete('/api/household/members/:userId', {
+  summary: 'Remove someone from your household'
+}, allow('manage'), validate({ params: schemas.params('userId') }), (req, res, next) => {
+  if (req.params.userId === req.principal.id) {
+    return sendValidationError(res, 'params.userId', 'self', 'To leave the household use POST /api/household/leave');
+  }
+
+  try {
+    const member = requireMember(req.principal, req.params.userId);
+    const household = households.createHousehold({ name: `${member.displayName}'s kitchen` });
+    res.json({
+      success: true,
+      message: `${member.displayName} was removed from the household`,
+      user: moveMember(member.id, { householdId: household.id, role: 'owner' })
+    });
+  } catch (error) {
+    sendHouseholdError(res, next, error);
+  }
+});
+
+// Invite code for someone to join with: { role } (guest unless given)
+routes.post('/api/household/invites', {
+  summary: 'Create an invite code for your household',
+  status: 201
+}, allow('manage'), validate({ body: schemas.newInvite }), (req, res, next) => {
+  try {
+    res.status(201).json({
+      success: true,
+      invite: households.createInvite(req.principal.householdId, {
+        role: req.body.role || 'guest',
+        createdBy: req.principal.id
+      })
+    });
+  } catch (error) {
+    sendHouseholdError(res, next, error);
+  }
+});
+
+routes.get('/api/household/invites', { summary: "List your household's open invite codes" }, allow('manage'), (req, res) => {
+  res.json({
+    success: true,
+    invites: households.listInvites(req.principal.householdId)
+  });
+});
+
+routes.delete('/api/household/invites/:code', {
+  summary: 'Revoke an invite code'
+}, allow('manage'), validate({ params: schemas.params('code') }), (req, res, next) => {
+  try {
+    households.revokeInvite(req.principal.householdId, req.params.code);
+    res.json({
+      success: true,
+      message: 'Invite revoked'
+    });
+  } catch (error) {
+    sendHouseholdError(res, next, error);
+  }
+});
+
+// Move to another household with an invite code; a household left empty closes
+routes.post('/api/household/join', {
+  summary: 'Join another household with an invite code'
+}, allow('read'), validate({ body: schemas.joinHousehold }), (req, res, next) => {
+  try {
+    const invite = households.findInvite(req.body.code);
+    if (invite.householdId === req.principal.householdId) {
+      throw new HouseholdError('invalid_params', "You're already in this household");
+    }
+
+    const user = moveMember(req.principal.id, { householdId: invite.householdId, role: invite.role });
+    households.useInvite(req.body.code);
+    res.json({
+      success: true,
+      user,
+      household: households.getHousehold(invite.householdId)
+    });
+  } catch (error) {
+    sendHouseholdError(res, next, error);
+  }
+});
+
+// Leave for a new household of your own
+routes.post('/api/household/leave', { summary: 'Leave your household' }, allow('read'), (req, res, next) => {
+  try {
+    if (auth.listUsers({ householdId: req.principal.householdId }).length === 1) {
+      throw new AuthError('invalid_state', "You're the only one in this household");
+    }
+    auth.checkCanLeave(req.principal.id);
+    const household = households.createHousehold({ name: `${req.principal.displayName}'s kitchen` });
+    res.json({
+      success: true,
+      user: moveMember(req.principal.id, { householdId: household.id, role: 'owner' }),
+      household
+    });
+  } catch (error) {
+    sendHouseholdError(res, next, error);
+  }
+});
+
 // =============================================================================
-// CORE COOKING FUNCTIONS
+// RECIPE & COOKING ENDPOINTS
 // =============================================================================
 
-// Start cooking a specific step
-function startStep(stepIndex) {
-  if (stepIndex >= cookingStatus.steps.length) {
-    // All steps completed
-    cookingStatus.status = 'completed';
-    cookingStatus.currentStep = cookingStatus.steps.length;
-    cookingStatus.timeRemaining = 0;
-    
-    console.log('✅ All cooking steps completed!');
-    
-    broadcastUpdate('cooking_complete', {
-      message: 'Cooking completed!',
-      status: 'completed'
+routes.section('cooking');
+
+// Start cooking with recipe steps, or a catalog recipe by `recipeId` or (fuzzy) `recipeName`.
+// Steps sent directly may come with the recipe's `ingredients`, to take off the pantry when done.
+routes.post('/kitchen/recipe', {
+  summary: 'Start cooking a recipe'
+}, allow('cook'), validate({ body: schemas.startCooking }), async (req, res, next) => {
+  const { recipeId } = req.body;
+  let { recipeName } = req.body;
+  let steps = generateCookingSteps(req.body);
+  let ingredients = req.body.ingredients || [];
+  let recipe = null;
+
+  if (steps.length === 0 && (recipeId || recipeName)) {
+    try {
+      recipe = await recipes.resolveRecipe(recipeId || recipeName);
+    } catch (error) {
+      return sendRecipeError(res, next, error);
+    }
+    recipeName = recipe.title;
+    steps = recipe.steps;
+    ingredients = recipe.ingredients;
+  }
+
+  if (steps.length === 0) {
+    return sendValidationError(res, 'body.steps', 'required', 'Missing steps array (or instructions to parse, or a recipeId)');
+  }
+
+  // Start a new cooking session alongside any already running
+  const session = cookingSessions.createSession({
+    recipeName,
+    steps,
+    userId: req.principal.id,
+    householdId: req.principal.householdId,
+    recipeId: recipe ? recipe.id : null,
+    ingredients
+  });
+
+  res.json({
+    success: true,
+    message: '✅ Cooking started!',
+    sessionId: session.id,
+    totalSteps: steps.length,
+    currentStep: session.currentStep,
+    currentInstruction: steps[0].instruction,
+    steps: localizeSteps(steps, req.units),
+    ...(recipe && { recipeId: recipe.id, matchedFrom: recipe.matchedFrom || null })
+  });
+});
+
+routes.post('/api/recipes/parse-instructions', {
+  summary: 'Preview how recipe instructions are split into cooking steps'
+}, allow('read'), validate({ body: schemas.parseInstructions }), (req, res) => {
+  const { instructions, analyzedInstructions } = req.body;
+
+  if (instructions === undefined && analyzedInstructions === undefined) {
+    return sendValidationError(res, 'body.instructions', 'required', 'Missing instructions text or analyzedInstructions array');
+  }
+
+  const { steps, estimatedMinutes } = parseInstructions({ instructions, analyzedInstructions });
+  res.json({
+    success: true,
+    steps: localizeSteps(steps, req.units),
+    estimatedMinutes
+  });
+});
+
+// A cooking session in the caller's household, or null
+function householdSession(principal, sessionId) {
+  const session = cookingSessions.getSession(sessionId);
+  return inHousehold(principal, session) ? session : null;
+}
+
+routes.get('/kitchen/sessions', { summary: "List your household's cooking sessions" }, allow('read'), (req, res) => {
+  const sessions = cookingSessions.listSessions({ householdId: req.principal.householdId }).map(describeSession);
+
+  res.json({
+    success: true,
+    sessions,
+    activeSessions: sessions.filter(session => session.status === 'cooking').length
+  });
+});
+
+// The single-session status older clients poll: the household's most recently
+// started session that hasn't finished, or an idle status when there is none
+routes.get('/kitchen/status', {
+  summary: 'Get cooking status of the most recent active session'
+}, allow('read'), (req, res) => {
+  const active = cookingSessions.listSessions({ householdId: req.principal.householdId })
+    .filter(session => !['completed', 'cancelled'].includes(session.status));
+  const latest = active[active.length - 1];
+
+  if (!latest) {
+    return res.json({
+      success: true,
+      id: null,
+      status: 'idle',
+      currentStep: 0,
+      totalSteps: 0,
+      timeRemainingSeconds: 0,
+      currentInstruction: null
     });
-    return;
   }
 
-  const step = cookingStatus.steps[stepIndex];
-  cookingStatus.status = 'cooking';
-  cookingStatus.currentStep = stepIndex + 1;
-  cookingStatus.timeRemaining = (step.duration || 1) * 60; // Convert to seconds
+  res.json({
+    success: true,
+    ...describeSession(latest)
+  });
+});
+
+routes.get('/kitchen/status/:sessionId', {
+  summary: 'Get cooking status of one session'
+}, allow('read'), validate({ params: schemas.params('sessionId') }), (req, res) => {
+  const session = householdSession(req.principal, req.params.sessionId);
 
-  console.log(`➡️ Starting step ${cookingStatus.currentStep}: ${step.instruction} (${cookingStatus.timeRemaining}s)`);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      error: 'Cooking session not found',
+      code: 'not_found'
+    });
+  }
 
-  // Broadcast step start
-  broadcastUpdate('cooking_step_start', {
-    stepNumber: cookingStatus.currentStep,
-    instruction: step.instruction,
-    timeRemaining: cookingStatus.timeRemaining
+  res.json({
+    success: true,
+    ...describeSession(session)
   });
+});
+
+// Session controls: pause, resume, skip, go back and cancel
+const sessionControls = {
+  pause: cookingSessions.pauseSession,
+  resume: cookingSessions.resumeSession,
+  next: cookingSessions.nextStep,
+  confirm: cookingSessions.confirmStep,
+  previous: cookingSessions.previousStep,
+  cancel: cookingSessions.cancelSession
+};
+
+const SESSION_CONTROL_SUMMARIES = {
+  pause: 'Pause a cooking session',
+  resume: 'Resume a paused or blocked cooking session',
+  next: 'Skip to the next step',
+  confirm: 'Confirm an active step is done',
+  previous: 'Go back a step',
+  cancel: 'Cancel a cooking session'
+};
+
+// Pausing and cancelling never turn on heat, so anyone who uses the kitchen may;
+// the rest can start a step's appliance actions
+const SESSION_CONTROL_PERMISSIONS = {
+  pause: 'use',
+  resume: 'cook',
+  next: 'cook',
+  confirm: 'cook',
+  previous: 'cook',
+  cancel: 'use'
+};
+
+// Run a session control and reply with the updated session
+function runSessionControl(req, res, control) {
+  const session = householdSession(req.principal, req.params.id);
 
-  // Clear existing timer
-  if (cookingStatus.timer) {
-    clearInterval(cookingStatus.timer);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      error: 'Cooking session not found',
+      code: 'not_found'
+    });
+  }
+
+  try {
+    control(session);
+  } catch (error) {
+    if (error instanceof SessionStateError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        code: 'invalid_state',
+        status: error.status
+      });
+    }
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    session: describeSession(session)
+  });
+}
+
+Object.entries(sessionControls).forEach(([action, control]) => {
+  routes.post(`/kitchen/sessions/:id/${action}`, {
+    summary: SESSION_CONTROL_SUMMARIES[action]
+  }, allow(SESSION_CONTROL_PERMISSIONS[action]), validate({ params: schemas.params('id') }), (req, res) => {
+    runSessionControl(req, res, control);
+  });
+});
+
+routes.post('/kitchen/sessions/:id/extend', {
+  summary: 'Add minutes to the current step'
+}, allow('cook'), validate({ params: schemas.params('id'), body: schemas.extendStep }), (req, res) => {
+  const { minutes } = req.body;
+
+  runSessionControl(req, res, session => cookingSessions.extendStep(session, minutes));
+});
+
+routes.section('recipes');
+
+routes.post('/api/recipes/favorites', {
+  summary: 'Save recipe to favorites'
+}, allow('use'), validate({ body: schemas.favorite }), (req, res) => {
+  const { recipeId, recipeName } = req.body;
+  const userId = req.principal.id;
+
+  const existing = storage.list('favorites', favorite =>
+    favorite.recipeId === recipeId && favorite.userId === userId)[0];
+
+  if (existing) {
+    return res.json({
+      success: true,
+      message: 'Recipe already in favorites',
+      recipe: existing
+    });
+  }
+
+  const favoriteRecipe = storage.insert('favorites', {
+    id: newId('favorite'),
+    recipeId,
+    name: recipeName,
+    userId: userId,
+    savedAt: new Date(),
+    cookCount: 0
+  });
+  
+  res.json({
+    success: true,
+    message: 'Recipe saved to favorites',
+    recipe: favoriteRecipe
+  });
+});
+
+routes.get('/api/recipes/favorites', { summary: 'List your favorite recipes' }, allow('read'), (req, res) => {
+  const favorites = storage.list('favorites', favorite => favorite.userId === req.principal.id)
+    .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+
+  res.json({
+    success: true,
+    favorites,
+    totalFavorites: favorites.length
+  });
+});
+
+routes.delete('/api/recipes/favorites/:id', {
+  summary: 'Remove a recipe from favorites'
+}, allow('use'), validate({ params: schemas.params('id') }), (req, res) => {
+  if (!canAccess(req.principal, storage.get('favorites', req.params.id))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Favorite not found',
+      code: 'not_found'
+    });
+  }
+
+  storage.remove('favorites', req.params.id);
+  res.json({
+    success: true,
+    message: 'Recipe removed from favorites'
+  });
+});
+
+// =============================================================================
+// RECIPE SEARCH & LOOKUP
+// =============================================================================
+
+const RECIPE_ERROR_STATUS = {
+  not_found: 404,
+  unknown_provider: 400,
+  quota_exceeded: 429,
+  unavailable: 503,
+  upstream_error: 502
+};
+
+// Provider errors become JSON responses; anything else goes to Express
+function sendRecipeError(res, next, error) {
+  if (!(error instanceof RecipeProviderError)) return next(error);
+  res.status(RECIPE_ERROR_STATUS[error.code] || 500).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    ...(error.candidates && { candidates: error.candidates })
+  });
+}
+
+// Without a `diet`, the caller's dietary preferences apply (all of them);
+// `?diet=` searches without any
+routes.get('/api/recipes/search', {
+  summary: 'Search recipes'
+}, allow('read'), validate({ query: schemas.recipeSearch }), async (req, res, next) => {
+  const { query, cuisine, maxReadyTime, number = 10, offset = 0, provider } = req.query;
+  const diet = req.query.diet === undefined
+    ? req.principal.preferences.diets.join(',')
+    : req.query.diet;
+
+  try {
+    const found = await recipes.search({ query, cuisine, diet: diet || undefined, maxReadyTime, number, offset, provider });
+    res.json({
+      success: true,
+      query: query || '',
+      diet: diet || null,
+      ...found
+    });
+  } catch (error) {
+    sendRecipeError(res, next, error);
+  }
+});
+
+routes.get('/api/recipes/providers', {
+  summary: 'Recipe providers with their quota, and cache statistics'
+}, allow('read'), (req, res) => {
+  res.json({
+    success: true,
+    providers: recipes.describeProviders(),
+    cache: recipeCache.stats()
+  });
+});
+
+routes.get('/api/recipes/match', {
+  summary: 'Ranked recipes for a name that may not match any title exactly'
+}, allow('read'), validate({ query: schemas.recipeMatch }), async (req, res, next) => {
+  const { name, limit = 5, provider } = req.query;
+
+  try {
+    res.json({
+      success: true,
+      ...await recipes.match(name, { limit, provider })
+    });
+  } catch (error) {
+    sendRecipeError(res, next, error);
+  }
+});
+
+// Rescale a recipe's ingredients to a number of servings (or by a factor), in the caller's
+// units (`units` / `temperatureUnit` in the body override the query): { recipeId, servings }
+// or { ingredients, originalServings, servings } or { ingredients, factor }
+routes.post('/api/recipes/scale', {
+  summary: "Rescale a recipe's ingredients to a number of servings (or by a factor)"
+}, allow('read'), validate({ body: schemas.scaleRecipe }), async (req, res, next) => {
+  const { recipeId, ingredients, servings, originalServings, factor } = req.body;
+
+  if (!recipeId && !ingredients) {
+    return sendValidationError(res, 'body.recipeId', 'required', 'Missing recipeId or ingredients array');
+  }
+  if (servings === undefined && factor === undefined) {
+    return sendValidationError(res, 'body.servings', 'required', 'Missing servings or factor');
+  }
+  if (!recipeId && servings !== undefined && factor === undefined && originalServings === undefined) {
+    return sendValidationError(res, 'body.originalServings', 'required', 'Missing originalServings (needed to scale ingredients to servings)');
+  }
+
+  let units = req.units;
+  if (req.body.units || req.body.temperatureUnit) {
+    try {
+      units = resolveUnitPreferences({ units: req.body.units, temperatureUnit: req.body.temperatureUnit });
+    } catch (error) {
+      if (!(error instanceof UnitError)) throw error;
+      return sendValidationError(res, req.body.units ? 'body.units' : 'body.temperatureUnit', 'enum', error.message);
+    }
+  }
+
+  let recipe = { servings: originalServings || null, ingredients };
+  if (recipeId) {
+    try {
+      recipe = await recipes.resolveRecipe(recipeId);
+    } catch (error) {
+      return sendRecipeError(res, next, error);
+    }
+  }
+  if (servings !== undefined && factor === undefined && !recipe.servings) {
+    return sendValidationError(res, 'body.factor', 'required', `${recipe.title || 'Recipe'} doesn't say how many it serves; send a factor instead`);
+  }
+
+  res.json({
+    success: true,
+    recipe: scaleRecipe(recipe, { servings, factor, units })
+  });
+});
+
+// Convert an amount between units: { quantity, from, to, ingredient }. Volume ↔ mass
+// uses the ingredient's density; temperatures take C, F or gas
+routes.post('/api/units/convert', {
+  summary: 'Convert an amount between units'
+}, allow('read'), validate({ body: schemas.convertUnits }), (req, res) => {
+  const { quantity, from, to, ingredient } = req.body;
+
+  try {
+    if (TEMPERATURE_UNITS.includes(from) && TEMPERATURE_UNITS.includes(to)) {
+      return res.json({
+        success: true,
+        quantity: roundTemperature(convertTemperature(quantity, from, to), to),
+        unit: to,
+        text: formatTemperature(toCelsius(quantity, from), to)
+      });
+    }
+
+    const fromUnit = normalizeUnit(from);
+    const toUnit = normalizeUnit(to);
+    const matched = ingredient ? matchFood({ ingredient: ingredient.toLowerCase(), unit: fromUnit }) : null;
+    const converted = convert(quantity, fromUnit, toUnit, { density: matched && matched.food.density });
+    const rounded = formatQuantity(converted, toUnit);
+
+    res.json({
+      success: true,
+      quantity: Math.round(converted * 1000) / 1000,
+      unit: toUnit,
+      text: `${rounded.text} ${toUnit}`,
+      food: matched ? matched.id : null
+    });
+  } catch (error) {
+    if (!(error instanceof UnitError)) throw error;
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      code: 'invalid_params'
+    });
+  }
+});
+
+// Full recipe by ID (`local:roast-chicken`, `spoonacular:716429`) with parsed cooking
+// steps, in the caller's units; anything that isn't a known ID is matched by name
+routes.get('/api/recipes/:id', {
+  summary: 'Full recipe by ID, with parsed cooking steps'
+}, allow('read'), validate({ params: schemas.params('id') }), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      recipe: localizeRecipe(await recipes.resolveRecipe(req.params.id), req.units)
+    });
+  } catch (error) {
+    sendRecipeError(res, next, error);
+  }
+});
+
+// =============================================================================
+// COOKING HISTORY
+// =============================================================================
+
+routes.section('history');
+
+const HISTORY_ERROR_STATUS = {
+  not_found: 404,
+  invalid_params: 400
+};
+
+// History errors become JSON responses; anything else goes to Express
+function sendHistoryError(res, next, error) {
+  if (!(error instanceof HistoryError)) return next(error);
+  res.status(HISTORY_ERROR_STATUS[error.code] || 400).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+}
+
+// A finished session the caller may see: their own, or for owners anyone's
+// cooked in their household
+function accessibleEntry(principal, sessionId) {
+  const entry = cookingHistory.getEntry(sessionId);
+  if (!canAccess(principal, entry)) {
+    throw new HistoryError('not_found', 'Cooking session not found');
+  }
+  return entry;
+}
+
+// Whose history is asked for, with the household they're in, for `canAccess()`
+function historySubject(userId) {
+  const user = storage.get('users', userId);
+  return { userId, householdId: user ? user.householdId : null };
+}
+
+// Your cooking history, newest first; owners can ask for a member's
+routes.get('/api/cooking/history/:userId?', {
+  summary: 'Get cooking history, newest first'
+}, allow('read'), validate({ query: schemas.historyQuery }), (req, res) => {
+  const userId = req.params.userId || req.principal.id;
+  if (!canAccess(req.principal, historySubject(userId))) {
+    return sendForbidden(res, "Only owners can see someone else's cooking history, and only in their household");
+  }
+
+  const { recipeId, includeCancelled = false, limit = 20 } = req.query;
+  const { history, total } = cookingHistory.listHistory({
+    userId,
+    recipeId,
+    includeCancelled,
+    limit
+  });
+
+  res.json({
+    success: true,
+    history,
+    totalSessions: total
+  });
+});
+
+// Your cooking statistics (owners can ask for a member's): most-cooked and
+// best-rated recipes (?limit=5), actual versus estimated time, and streaks
+routes.get('/api/cooking/stats/:userId?', {
+  summary: 'Cooking statistics'
+}, allow('read'), validate({ query: schemas.statsQuery }), (req, res) => {
+  const userId = req.params.userId || req.principal.id;
+  if (!canAccess(req.principal, historySubject(userId))) {
+    return sendForbidden(res, "Only owners can see someone else's cooking statistics, and only in their household");
+  }
+
+  res.json({
+    success: true,
+    stats: cookingHistory.getStats({
+      userId,
+      limit: req.query.limit || 5
+    })
+  });
+});
+
+routes.get('/api/cooking/sessions/:sessionId', {
+  summary: 'Get a finished cooking session with its step timings and deviations'
+}, allow('read'), validate({ params: schemas.params('sessionId') }), (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      session: accessibleEntry(req.principal, req.params.sessionId)
+    });
+  } catch (error) {
+    sendHistoryError(res, next, error);
+  }
+});
+
+routes.put('/api/cooking/sessions/:sessionId/review', {
+  summary: 'Review a finished session: rating, notes and photos'
+}, allow('use'), validate({ params: schemas.params('sessionId'), body: schemas.review }), (req, res, next) => {
+  try {
+    accessibleEntry(req.principal, req.params.sessionId);
+    res.json({
+      success: true,
+      session: cookingHistory.reviewEntry(req.params.sessionId, req.body)
+    });
+  } catch (error) {
+    sendHistoryError(res, next, error);
+  }
+});
+
+routes.post('/api/cooking/sessions/:sessionId/photos', {
+  summary: 'Attach a photo to a finished session',
+  status: 201
+}, allow('use'), validate({ params: schemas.params('sessionId'), body: schemas.photo }), (req, res, next) => {
+  try {
+    accessibleEntry(req.principal, req.params.sessionId);
+    res.status(201).json({
+      success: true,
+      session: cookingHistory.addPhoto(req.params.sessionId, req.body.url)
+    });
+  } catch (error) {
+    sendHistoryError(res, next, error);
+  }
+});
+
+routes.delete('/api/cooking/sessions/:sessionId', {
+  summary: 'Delete a finished cooking session from the history'
+}, allow('use'), validate({ params: schemas.params('sessionId') }), (req, res, next) => {
+  try {
+    accessibleEntry(req.principal, req.params.sessionId);
+    cookingHistory.removeEntry(req.params.sessionId);
+    res.json({
+      success: true,
+      message: 'Cooking session deleted'
+    });
+  } catch (error) {
+    sendHistoryError(res, next, error);
+  }
+});
+
+// =============================================================================
+// KITCHEN TIMERS
+// =============================================================================
+
+const TIMER_ERROR_STATUS = {
+  not_found: 404,
+  invalid_params: 400,
+  invalid_state: 409
+};
+
+// Timer errors become JSON responses; anything else goes to Express
+function sendTimerError(res, next, error) {
+  if (!(error instanceof TimerError)) return next(error);
+  res.status(TIMER_ERROR_STATUS[error.code] || 400).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+}
+
+// Seconds from a request: { seconds } or { minutes }
+function requestSeconds({ seconds, minutes }) {
+  if (typeof seconds === 'number') return seconds;
+  if (typeof minutes === 'number') return minutes * 60;
+  return undefined;
+}
+
+// A timer in the caller's household, or null
+function householdTimer(principal, timerId) {
+  const timer = timers.getTimer(timerId);
+  return inHousehold(principal, timer) ? timer : null;
+}
+
+// A timer that can be controlled directly; a recipe step's timer follows its session
+function requireStandaloneTimer(principal, timerId) {
+  const timer = householdTimer(principal, timerId);
+  if (!timer) throw new TimerError('not_found', 'Timer not found');
+  if (timer.sessionId) {
+    throw new TimerError(
+      'invalid_state',
+      `Timer counts down step ${timer.step} of cooking session ${timer.sessionId}; control it through the session`
+    );
+  }
+  return timer;
+}
+
+// Timer controls: pause, resume and cancel
+const timerControls = {
+  pause: timers.pauseTimer,
+  resume: timers.resumeTimer,
+  cancel: timers.cancelTimer
+};
+
+routes.section('timers');
+
+// Start a named timer: { name: "pasta", minutes: 8 } (or seconds)
+routes.post('/api/timers', {
+  summary: 'Start a named timer',
+  status: 201
+}, allow('use'), validate({ body: schemas.newTimer }), (req, res, next) => {
+  const { name } = req.body;
+  try {
+    res.status(201).json({
+      success: true,
+      timer: timers.createTimer({
+        name,
+        seconds: requestSeconds(req.body),
+        userId: req.principal.id,
+        householdId: req.principal.householdId
+      })
+    });
+  } catch (error) {
+    sendTimerError(res, next, error);
+  }
+});
+
+// List your household's timers, soonest to go off first: ?active=true leaves
+// out finished ones, ?userId= and ?sessionId= narrow them down
+routes.get('/api/timers', {
+  summary: 'List timers, soonest to go off first'
+}, allow('read'), validate({ query: schemas.timerQuery }), (req, res) => {
+  const { active = false, userId, sessionId } = req.query;
+  res.json({
+    success: true,
+    timers: timers.listTimers({ active, householdId: req.principal.householdId, userId, sessionId })
+  });
+});
+
+routes.get('/api/timers/:id', { summary: 'Get a timer' }, allow('read'), validate({ params: schemas.params('id') }), (req, res) => {
+  const timer = householdTimer(req.principal, req.params.id);
+
+  if (!timer) {
+    return res.status(404).json({
+      success: false,
+      error: 'Timer not found',
+      code: 'not_found'
+    });
+  }
+
+  res.json({
+    success: true,
+    timer
+  });
+});
+
+Object.entries(timerControls).forEach(([action, control]) => {
+  routes.post(`/api/timers/:id/${action}`, {
+    summary: `${action[0].toUpperCase()}${action.slice(1)} a timer`
+  }, allow('use'), validate({ params: schemas.params('id') }), (req, res, next) => {
+    try {
+      requireStandaloneTimer(req.principal, req.params.id);
+      res.json({
+        success: true,
+        timer: control(req.params.id)
+      });
+    } catch (error) {
+      sendTimerError(res, next, error);
+    }
+  });
+});
+
+routes.post('/api/timers/:id/add', {
+  summary: 'Add time to a timer (negative takes time off)'
+}, allow('use'), validate({ params: schemas.params('id'), body: schemas.addTime }), (req, res, next) => {
+  try {
+    requireStandaloneTimer(req.principal, req.params.id);
+    res.json({
+      success: true,
+      timer: timers.addTime(req.params.id, requestSeconds(req.body))
+    });
+  } catch (error) {
+    sendTimerError(res, next, error);
+  }
+});
+
+routes.delete('/api/timers/:id', {
+  summary: 'Delete a timer, cancelling it if it is still counting'
+}, allow('use'), validate({ params: schemas.params('id') }), (req, res, next) => {
+  try {
+    requireStandaloneTimer(req.principal, req.params.id);
+    timers.removeTimer(req.params.id);
+    res.json({
+      success: true,
+      message: 'Timer deleted'
+    });
+  } catch (error) {
+    sendTimerError(res, next, error);
+  }
+});
+
+// =============================================================================
+// SMART APPLIANCE CONTROL
+// =============================================================================
+
+// HTTP status for each appliance error code
+const APPLIANCE_ERROR_STATUS = {
+  not_found: 404,
+  unknown_type: 400,
+  unsupported_command: 400,
+  invalid_params: 400,
+  offline: 503,
+  fault: 503,
+  busy: 409,
+  conflict: 409
+};
+
+// Reply with an appliance error, or rethrow anything else
+function sendApplianceError(res, error) {
+  if (!(error instanceof ApplianceError)) throw error;
+
+  res.status(APPLIANCE_ERROR_STATUS[error.code] || 400).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+}
+
+// Heating needs the cook permission; switching off, weighing and the like don't
+function mayRunCommand(principal, appliance, command) {
+  return !commandHeats(appliance.type, command) || can(principal, 'cook');
+}
+
+function heatNotAllowedMessage(principal, command) {
+  return `${command} turns on heat, which a ${principal.role} can't do (needs ${rolesWith('cook').join(' or ')})`;
+}
+
+// An appliance in the caller's household, or null
+function householdAppliance(principal, applianceId) {
+  const appliance = appliances.getAppliance(applianceId);
+  return inHousehold(principal, appliance) ? appliance : null;
+}
+
+function sendApplianceNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Appliance not found',
+    code: 'not_found'
+  });
+}
+
+// Run a command on the household's first appliance of a type (used by the legacy routes)
+function runApplianceTypeCommand(req, res, type, command) {
+  const appliance = appliances.findByType(type, req.principal.householdId);
+
+  if (!appliance) {
+    return res.status(404).json({
+      success: false,
+      error: `No ${type} appliance registered`,
+      code: 'not_found'
+    });
+  }
+
+  try {
+    const result = appliances.runCommand(appliance.id, command, req.body, { units: req.units });
+    res.json({ success: true, applianceId: appliance.id, ...result });
+  } catch (error) {
+    sendApplianceError(res, error);
+  }
+}
+
+routes.section('appliances');
+
+routes.get('/api/appliances/discover', { summary: "Discover your household's appliances" }, allow('read'), (req, res) => {
+  const availableAppliances = appliances.listAppliances({ householdId: req.principal.householdId })
+    .map(appliance => describeAppliance(appliance, req.units));
+  
+  res.json({
+    success: true,
+    message: 'Appliances discovered',
+    appliances: availableAppliances
+  });
+});
+
+routes.get('/api/appliances/drivers', { summary: 'List the appliance types that can be added' }, allow('read'), (req, res) => {
+  res.json({
+    success: true,
+    drivers: listDrivers()
+  });
+});
+
+// New appliances join the caller's household, and are kept across restarts
+routes.post('/api/appliances', {
+  summary: 'Add an appliance of a registered type',
+  status: 201
+}, allow('manage'), validate({ body: schemas.newAppliance }), (req, res) => {
+  const { id, type, name, brand, model } = req.body;
+  const { householdId } = req.principal;
+
+  try {
+    const appliance = appliances.addAppliance({ id, type, name, brand, model, householdId });
+    storage.insert('appliances', {
+      id: appliance.id,
+      type: appliance.type,
+      name: appliance.name,
+      brand: appliance.brand,
+      model: appliance.model,
+      householdId
+    });
+    res.status(201).json({
+      success: true,
+      message: `${appliance.name} added`,
+      appliance: describeAppliance(appliance, req.units)
+    });
+  } catch (error) {
+    sendApplianceError(res, error);
+  }
+});
+
+routes.get('/api/appliances/:id', {
+  summary: 'Get one appliance'
+}, allow('read'), validate({ params: schemas.params('id') }), (req, res) => {
+  const appliance = householdAppliance(req.principal, req.params.id);
+  if (!appliance) return sendApplianceNotFound(res);
+
+  res.json({
+    success: true,
+    appliance: describeAppliance(appliance, req.units)
+  });
+});
+
+routes.delete('/api/appliances/:id', {
+  summary: 'Remove an appliance'
+}, allow('manage'), validate({ params: schemas.params('id') }), (req, res) => {
+  if (!householdAppliance(req.principal, req.params.id)) return sendApplianceNotFound(res);
+
+  appliances.removeAppliance(req.params.id);
+  storage.remove('appliances', req.params.id);
+  res.json({
+    success: true,
+    message: 'Appliance removed'
+  });
+});
+
+// Anyone who uses the kitchen can run a command, except those that turn on heat
+routes.post('/api/appliances/:id/commands/:command', { summary: 'Run a command on an appliance' }, allow('use'), validate({
+  params: schemas.params('id', 'command'),
+  body: schemas.applianceCommand
+}), (req, res) => {
+  const { id, command } = req.params;
+  const appliance = householdAppliance(req.principal, id);
+
+  if (!appliance) return sendApplianceNotFound(res);
+  if (!mayRunCommand(req.principal, appliance, command)) {
+    return sendForbidden(res, heatNotAllowedMessage(req.principal, command));
+  }
+
+  try {
+    const result = appliances.runCommand(id, command, req.body, { units: req.units });
+    res.json({
+      success: true,
+      ...result,
+      appliance: describeAppliance(appliances.getAppliance(id), req.units)
+    });
+  } catch (error) {
+    sendApplianceError(res, error);
+  }
+});
+
+routes.post('/api/appliances/oven/preheat', {
+  summary: 'Preheat the oven'
+}, allow('cook'), validate({ body: schemas.applianceCommand }), (req, res) => {
+  runApplianceTypeCommand(req, res, 'OVEN', 'preheat');
+});
+
+routes.post('/api/appliances/autocooker/pressure', {
+  summary: 'Start pressure cooking'
+}, allow('cook'), validate({ body: schemas.applianceCommand }), (req, res) => {
+  runApplianceTypeCommand(req, res, 'AUTOCOOKER', 'pressure_cook');
+});
+
+// =============================================================================
+// WEBSOCKET COMMANDS
+// =============================================================================
+
+// Look up a live session in the caller's household for a command, or reply with not_found
+function requireCommandSession(params, principal) {
+  const session = householdSession(principal, params.sessionId);
+  if (!session) {
+    throw new CommandError('not_found', 'Cooking session not found');
+  }
+  return session;
+}
+
+// Unit preferences sent with a command (`units`, `temperatureUnit`), as the REST query parameters
+function commandUnits(params) {
+  return resolveUnitPreferences({ units: params.units, temperatureUnit: params.temperatureUnit });
+}
+
+// Command name → handler, mirroring the REST endpoints
+const socketCommands = {
+  'session.start': async (params, { principal }) => {
+    let { recipeId = null, recipeName } = params;
+    let steps = generateCookingSteps(params);
+    let ingredients = params.ingredients || [];
+
+    // No steps given: cook a catalog recipe by ID or (fuzzy) name
+    if (steps.length === 0 && (recipeId || recipeName)) {
+      const recipe = await recipes.resolveRecipe(recipeId || recipeName);
+      recipeId = recipe.id;
+      recipeName = recipe.title;
+      steps = recipe.steps;
+      ingredients = recipe.ingredients;
+    }
+    if (steps.length === 0) {
+      throw new CommandError('invalid_params', 'Invalid or missing steps array (or instructions to parse)');
+    }
+    return describeSession(cookingSessions.createSession({
+      recipeName,
+      steps,
+      userId: principal.id,
+      householdId: principal.householdId,
+      recipeId,
+      ingredients
+    }));
+  },
+  'recipes.match': ({ name, limit, provider }) => recipes.match(name, { limit, provider }),
+  'session.status': (params, { principal }) => describeSession(requireCommandSession(params, principal)),
+  'session.list': (params, { principal }) =>
+    cookingSessions.listSessions({ householdId: principal.householdId }).map(describeSession),
+  'session.extend': (params, { principal }) =>
+    describeSession(cookingSessions.extendStep(requireCommandSession(params, principal), params.minutes)),
+  'oven.preheat': (params, { principal }) => {
+    const oven = appliances.findByType('OVEN', principal.householdId);
+    if (!oven) {
+      throw new CommandError('not_found', 'No OVEN appliance registered');
+    }
+    return appliances.runCommand(oven.id, 'preheat', params, { units: commandUnits(params) });
+  },
+  'appliance.command': ({ applianceId, command, params = {}, ...options }, { principal }) => {
+    const appliance = householdAppliance(principal, applianceId);
+    if (!appliance) {
+      throw new CommandError('not_found', 'Appliance not found');
+    }
+    if (!mayRunCommand(principal, appliance, command)) {
+      throw new CommandError('forbidden', heatNotAllowedMessage(principal, command));
+    }
+    return appliances.runCommand(applianceId, command, params, { units: commandUnits(options) });
+  },
+  'appliances.status': (params, { principal }) => {
+    const units = commandUnits(params);
+    return appliances.listAppliances({ householdId: principal.householdId })
+      .map(appliance => describeAppliance(appliance, units));
+  },
+  'timers.create': ({ name, ...params }, { principal }) => timers.createTimer({
+    name,
+    seconds: requestSeconds(params),
+    userId: principal.id,
+    householdId: principal.householdId
+  }),
+  'timers.list': ({ active = false, userId, sessionId }, { principal }) =>
+    timers.listTimers({ active, householdId: principal.householdId, userId, sessionId }),
+  'timers.status': ({ timerId }, { principal }) => {
+    const timer = householdTimer(principal, timerId);
+    if (!timer) {
+      throw new CommandError('not_found', 'Timer not found');
+    }
+    return timer;
+  },
+  'timers.add': (params, { principal }) => {
+    requireStandaloneTimer(principal, params.timerId);
+    return timers.addTime(params.timerId, requestSeconds(params));
+  },
+  'timers.remove': ({ timerId }, { principal }) => {
+    requireStandaloneTimer(principal, timerId);
+    return timers.removeTimer(timerId);
+  },
+  'voice.command': ({ command, conversationId, ...options }, { principal }) =>
+    voiceAssistant.handle(command, {
+      conversationId: conversationId || principal.id,
+      householdId: principal.householdId,
+      userId: principal.id,
+      units: commandUnits(options),
+      canCook: can(principal, 'cook')
+    }),
+  'events.subscribe': ({ topics }, { ws }) => ({ topics: eventHub.subscribe(ws, topics) }),
+  'events.unsubscribe': ({ topics }, { ws }) => ({ topics: eventHub.unsubscribe(ws, topics) }),
+  'events.replay': ({ lastSeq }, { ws }) => eventHub.replay(ws, lastSeq)
+};
+
+Object.entries(sessionControls).forEach(([action, control]) => {
+  socketCommands[`session.${action}`] = (params, { principal }) =>
+    describeSession(control(requireCommandSession(params, principal)));
+});
+
+Object.entries(timerControls).forEach(([action, control]) => {
+  socketCommands[`timers.${action}`] = ({ timerId }, { principal }) => {
+    requireStandaloneTimer(principal, timerId);
+    return control(timerId);
+  };
+});
+
+// Who may run each command, as for the matching REST route
+const socketCommandPermissions = {
+  'session.start': 'cook',
+  'recipes.match': 'read',
+  'session.status': 'read',
+  'session.list': 'read',
+  'session.extend': 'cook',
+  'oven.preheat': 'cook',
+  'appliance.command': 'use',
+  'appliances.status': 'read',
+  'timers.create': 'use',
+  'timers.list': 'read',
+  'timers.status': 'read',
+  'timers.add': 'use',
+  'timers.remove': 'use',
+  'voice.command': 'use',
+  'events.subscribe': 'read',
+  'events.unsubscribe': 'read',
+  'events.replay': 'read'
+};
+
+Object.keys(sessionControls).forEach(action => {
+  socketCommandPermissions[`session.${action}`] = SESSION_CONTROL_PERMISSIONS[action];
+});
+Object.keys(timerControls).forEach(action => {
+  socketCommandPermissions[`timers.${action}`] = 'use';
+});
+
+// Params are checked against the same schemas as the REST routes
+const handleCommand = createCommandHandler({
+  commands: socketCommands,
+  schemas: schemas.commandSchemas,
+  permissions: socketCommandPermissions,
+  authorize: (permission, { principal }) => can(principal, permission),
+  mapError: error => {
+    if (error instanceof SessionStateError) return new CommandError('invalid_state', error.message);
+    if (error instanceof ApplianceError) return new CommandError(error.code, error.message);
+    if (error instanceof RecipeProviderError) return new CommandError(error.code, error.message);
+    if (error instanceof UnitError) return new CommandError('invalid_params', error.message);
+    if (error instanceof TimerError) return new CommandError(error.code, error.message);
+    return error;
+  }
+});
+
+// =============================================================================
+// VOICE COMMANDS & AUTOMATION
+// =============================================================================
+
+// Understands spoken commands and acts on them through the cooking, timer and appliance layers
+const voiceAssistant = createVoiceAssistant({
+  recipes,
+  sessions: cookingSessions,
+  appliances,
+  timers,
+  clock
+});
+
+// Slots a caller already knows, from the legacy `parameters` object
+function voiceSlots({ recipeName, recipeId, minutes } = {}) {
+  return {
+    ...(recipeName && { recipe: recipeName }),
+    ...(recipeId && { recipe: recipeId, recipeId }),
+    ...(typeof minutes === 'number' && minutes > 0 && { duration: Math.round(minutes * 60) })
+  };
+}
+
+routes.section('voice');
+
+// Handle a voice command: { command: "preheat the oven to 200 degrees", conversationId }.
+// A reply with `expecting` asked a follow-up question; send the answer with the
+// same conversationId (defaults to the caller's). Guests can't start anything that heats.
+routes.post('/api/voice/command', {
+  summary: 'Handle a voice command'
+}, allow('use'), validate({ body: schemas.voiceCommand }), async (req, res, next) => {
+  const { command, parameters = {} } = req.body;
+
+  try {
+    res.json(await voiceAssistant.handle(command, {
+      conversationId: req.body.conversationId || req.principal.id,
+      householdId: req.principal.householdId,
+      userId: req.principal.id,
+      units: req.units,
+      slots: voiceSlots(parameters),
+      canCook: can(req.principal, 'cook')
+    }));
+  } catch (error) {
+    sendRecipeError(res, next, error);
+  }
+});
+
+// =============================================================================
+// MEAL PLANNING & NUTRITION
+// =============================================================================
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+
+const SCHEDULE_ERROR_STATUS = {
+  not_found: 404,
+  invalid_params: 400,
+  invalid_state: 409
+};
+
+// Schedule errors become JSON responses; anything else goes to Express
+function sendScheduleError(res, next, error) {
+  if (!(error instanceof ScheduleError)) return next(error);
+  res.status(SCHEDULE_ERROR_STATUS[error.code] || 400).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+}
+
+// What a planned meal refers to: a recipe ID or name, or { recipeId | recipeName | title }
+function mealRecipeRef(meal) {
+  if (!meal) return null;
+  if (typeof meal === 'string') return meal.trim() || null;
+  return meal.recipeId || meal.recipeName || meal.title || null;
+}
+
+function mealDay(meal, index, cookingScheduled = false) {
+  return {
+    day: index + 1,
+    breakfast: meal.breakfast || null,
+    lunch: meal.lunch || null,
+    dinner: meal.dinner || null,
+    cookingScheduled
+  };
+}
+
+// Recipe a scheduled job cooks: the one it was scheduled with, or whatever the plan now says
+async function loadScheduledRecipe(job) {
+  if (job.recipeId) return recipes.getRecipe(job.recipeId);
+
+  const plan = storage.get('mealPlans', job.mealPlanId);
+  const ref = plan && plan.meals[job.day - 1] && mealRecipeRef(plan.meals[job.day - 1][job.mealType]);
+  if (!ref) throw new Error(`Nothing planned for ${job.mealType} on day ${job.day}`);
+  return recipes.resolveRecipe(ref);
+}
+
+// Recipe details a job stores; an unknown recipe is left to fail when the job runs
+async function scheduledRecipe(ref) {
+  try {
+    const recipe = await recipes.resolveRecipe(ref);
+    return { recipeRef: ref, recipeId: recipe.id, recipeName: recipe.title, steps: recipe.steps };
+  } catch (error) {
+    if (!(error instanceof RecipeProviderError)) throw error;
+    return { recipeRef: ref, recipeId: null, recipeName: ref, steps: [] };
+  }
+}
+
+// Keep a plan's pending cooking in step with its meals: follow changed recipes,
+// drop jobs whose meal was removed
+async function refreshPlanSchedule(plan) {
+  const pending = storage.list('scheduledCooking', job => job.mealPlanId === plan.id && job.status === 'scheduled');
+  const changed = [];
+
+  for (const job of pending) {
+    const day = plan.meals[job.day - 1];
+    const ref = day ? mealRecipeRef(day[job.mealType]) : null;
+
+    if (!ref) {
+      mealScheduler.cancel(job.id);
+      changed.push({ id: job.id, status: 'cancelled' });
+    } else if (ref !== job.recipeRef) {
+      const updated = mealScheduler.reschedule(job.id, await scheduledRecipe(ref));
+      changed.push({ id: job.id, status: updated.status, recipeName: updated.recipeName, startAt: updated.startAt });
+    }
+  }
+  return changed;
+}
+
+// A meal plan in the caller's household, or null
+function accessibleMealPlan(principal, id) {
+  const plan = storage.get('mealPlans', id);
+  return inHousehold(principal, plan) ? plan : null;
+}
+
+// Mark which days have cooking scheduled
+function syncCookingScheduled(planId) {
+  const plan = storage.get('mealPlans', planId);
+  if (!plan) return null;
+
+  const scheduledDays = new Set(storage.list('scheduledCooking', job => job.mealPlanId === planId && job.status === 'scheduled')
+    .map(job => job.day));
+  return storage.update('mealPlans', planId, {
+    meals: plan.meals.map(day => ({ ...day, cookingScheduled: scheduledDays.has(day.day) }))
+  });
+}
+
+routes.section('mealPlanning');
+
+routes.post('/api/meal-plan/week', {
+  summary: 'Create weekly meal plan'
+}, allow('use'), validate({ body: schemas.newMealPlan }), (req, res) => {
+  const { meals, startDate, name } = req.body;
+
+  const mealPlan = storage.insert('mealPlans', {
+    id: newId('plan'),
+    userId: req.principal.id,
+    householdId: req.principal.householdId,
+    name: name || null,
+    startDate: startDate || null,
+    meals: meals.map((meal, index) => mealDay(meal, index)),
+    createdAt: new Date(),
+    updatedAt: new Date()
+  });
+
+  res.json({
+    success: true,
+    message: 'Meal plan created successfully',
+    mealPlan
+  });
+});
+
+// Schedule cooking from meal plan: the session starts at `scheduledTime`, early
+// enough to preheat, with reminders `reminderMinutes` (default 30 and 10) before
+routes.post('/api/meal-plan/schedule-cooking', {
+  summary: 'Schedule cooking from meal plan'
+}, allow('cook'), validate({ body: schemas.scheduleCooking }), async (req, res, next) => {
+  const { mealPlanId, day, mealType, scheduledTime, reminderMinutes } = req.body;
+
+  const mealPlan = accessibleMealPlan(req.principal, mealPlanId);
+  if (!mealPlan) {
+    return res.status(404).json({
+      success: false,
+      error: 'Meal plan not found',
+      code: 'not_found'
+    });
+  }
+  if (day > mealPlan.meals.length) {
+    return sendValidationError(res, 'body.day', 'maximum', `Invalid day (1-${mealPlan.meals.length})`);
+  }
+
+  const ref = mealRecipeRef(mealPlan.meals[day - 1][mealType]);
+  if (!ref) {
+    return sendValidationError(res, 'body.mealType', 'not_planned', `Nothing planned for ${mealType} on day ${day}`);
+  }
+
+  let recipe;
+  try {
+    recipe = await recipes.resolveRecipe(ref);
+  } catch (error) {
+    return sendRecipeError(res, next, error);
+  }
+
+  let scheduledCooking;
+  try {
+    scheduledCooking = mealScheduler.schedule({
+      mealPlanId,
+      day,
+      mealType,
+      scheduledTime,
+      reminderMinutes,
+      userId: req.principal.id,
+      householdId: req.principal.householdId,
+      recipeRef: ref,
+      recipeId: recipe.id,
+      recipeName: recipe.title,
+      steps: recipe.steps
+    });
+  } catch (error) {
+    return sendScheduleError(res, next, error);
+  }
+  syncCookingScheduled(mealPlanId);
+
+  res.json({
+    success: true,
+    message: `Cooking scheduled for ${mealType} on day ${day}`,
+    scheduled: scheduledCooking
+  });
+});
+
+routes.get('/api/meal-plan/scheduled', {
+  summary: "List your household's scheduled cooking, optionally for one meal plan or status"
+}, allow('read'), validate({ query: schemas.scheduledQuery }), (req, res) => {
+  const { mealPlanId, status } = req.query;
+
+  const scheduled = storage.list('scheduledCooking', item => inHousehold(req.principal, item) &&
+    (!mealPlanId || item.mealPlanId === mealPlanId) && (!status || item.status === status))
+    .sort((a, b) => new Date(a.scheduledTime) - new Date(b.scheduledTime));
+
+  res.json({
+    success: true,
+    scheduled
+  });
+});
+
+routes.put('/api/meal-plan/scheduled/:id', {
+  summary: 'Move scheduled cooking to another time'
+}, allow('cook'), validate({ params: schemas.params('id'), body: schemas.reschedule }), (req, res, next) => {
+  const { scheduledTime } = req.body;
+
+  if (!inHousehold(req.principal, storage.get('scheduledCooking', req.params.id))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Scheduled cooking not found',
+      code: 'not_found'
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      scheduled: mealScheduler.reschedule(req.params.id, { scheduledTime })
+    });
+  } catch (error) {
+    sendScheduleError(res, next, error);
+  }
+});
+
+routes.delete('/api/meal-plan/scheduled/:id', {
+  summary: 'Remove scheduled cooking'
+}, allow('use'), validate({ params: schemas.params('id') }), (req, res) => {
+  const job = storage.get('scheduledCooking', req.params.id);
+
+  if (!inHousehold(req.principal, job) || !mealScheduler.cancel(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Scheduled cooking not found',
+      code: 'not_found'
+    });
+  }
+  syncCookingScheduled(job.mealPlanId);
+
+  res.json({
+    success: true,
+    message: 'Scheduled cooking removed'
+  });
+});
+
+routes.get('/api/meal-plan', { summary: "List your household's meal plans" }, allow('read'), (req, res) => {
+  const mealPlans = storage.list('mealPlans', plan => inHousehold(req.principal, plan))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  res.json({
+    success: true,
+    mealPlans
+  });
+});
+
+routes.get('/api/meal-plan/:id', {
+  summary: 'Get a meal plan'
+}, allow('read'), validate({ params: schemas.params('id') }), (req, res) => {
+  const mealPlan = accessibleMealPlan(req.principal, req.params.id);
+
+  if (!mealPlan) {
+    return res.status(404).json({
+      success: false,
+      error: 'Meal plan not found',
+      code: 'not_found'
+    });
+  }
+
+  res.json({
+    success: true,
+    mealPlan
+  });
+});
+
+// Edit a meal plan: any of { name, startDate, meals }. Pending cooking follows
+// the new meals, and is dropped for meals that were removed.
+routes.put('/api/meal-plan/:id', {
+  summary: 'Edit a meal plan'
+}, allow('use'), validate({ params: schemas.params('id'), body: schemas.editMealPlan }), async (req, res, next) => {
+  const { name, startDate, meals } = req.body;
+  const mealPlan = accessibleMealPlan(req.principal, req.params.id);
+
+  if (!mealPlan) {
+    return res.status(404).json({
+      success: false,
+      error: 'Meal plan not found',
+      code: 'not_found'
+    });
+  }
+
+  const updated = storage.update('mealPlans', mealPlan.id, {
+    ...(name !== undefined && { name }),
+    ...(startDate !== undefined && { startDate }),
+    ...(meals !== undefined && { meals: meals.map((meal, index) => mealDay(meal, index)) }),
+    updatedAt: new Date()
+  });
+
+  try {
+    const rescheduled = await refreshPlanSchedule(updated);
+    res.json({
+      success: true,
+      message: 'Meal plan updated',
+      mealPlan: syncCookingScheduled(mealPlan.id),
+      rescheduled
+    });
+  } catch (error) {
+    sendScheduleError(res, next, error);
+  }
+});
+
+routes.put('/api/meal-plan/:id/days/:day', {
+  summary: 'Edit one day of a meal plan (null clears a meal)'
+}, allow('use'), validate({ params: schemas.mealDayParams, body: schemas.editMealDay }), async (req, res, next) => {
+  const mealPlan = accessibleMealPlan(req.principal, req.params.id);
+  const { day } = req.params;
+
+  if (!mealPlan) {
+    return res.status(404).json({
+      success: false,
+      error: 'Meal plan not found',
+      code: 'not_found'
+    });
+  }
+  if (day > mealPlan.meals.length) {
+    return res.status(404).json({
+      success: false,
+      error: `Invalid day (1-${mealPlan.meals.length})`,
+      code: 'not_found'
+    });
+  }
+
+  const changes = req.body;
+
+  const meals = mealPlan.meals.map(existing => (existing.day === day ? { ...existing, ...changes } : existing));
+  const updated = storage.update('mealPlans', mealPlan.id, { meals, updatedAt: new Date() });
+
+  try {
+    const rescheduled = await refreshPlanSchedule(updated);
+    res.json({
+      success: true,
+      message: `Day ${day} updated`,
+      mealPlan: syncCookingScheduled(mealPlan.id),
+      rescheduled
+    });
+  } catch (error) {
+    sendScheduleError(res, next, error);
+  }
+});
+
+routes.post('/api/meal-plan/:id/copy', {
+  summary: "Copy a meal plan's meals into a new plan (nothing is scheduled on the copy)",
+  status: 201
+}, allow('use'), validate({ params: schemas.params('id'), body: schemas.copyMealPlan }), (req, res) => {
+  const { startDate, name } = req.body;
+  const mealPlan = accessibleMealPlan(req.principal, req.params.id);
+
+  if (!mealPlan) {
+    return res.status(404).json({
+      success: false,
+      error: 'Meal plan not found',
+      code: 'not_found'
+    });
+  }
+
+  const copy = storage.insert('mealPlans', {
+    id: newId('plan'),
+    userId: req.principal.id,
+    householdId: req.principal.householdId,
+    name: name || (mealPlan.name ? `${mealPlan.name} (copy)` : null),
+    startDate: startDate || mealPlan.startDate,
+    meals: mealPlan.meals.map((meal, index) => mealDay(meal, index)),
+    copiedFrom: mealPlan.id,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Meal plan copied',
+    mealPlan: copy
+  });
+});
+
+routes.delete('/api/meal-plan/:id', {
+  summary: 'Delete a meal plan and anything scheduled from it'
+}, allow('use'), validate({ params: schemas.params('id') }), (req, res) => {
+  const { id } = req.params;
+
+  if (!accessibleMealPlan(req.principal, id) || !storage.remove('mealPlans', id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Meal plan not found',
+      code: 'not_found'
+    });
+  }
+
+  storage.list('scheduledCooking', item => item.mealPlanId === id)
+    .forEach(item => mealScheduler.cancel(item.id));
+
+  res.json({
+    success: true,
+    message: 'Meal plan deleted'
+  });
+});
+
+// =============================================================================
+// SHOPPING LISTS
+// =============================================================================
+
+function shoppingListResponse(list) {
+  return { ...list, aisles: groupByAisle(list.items) };
+}
+
+// A shopping list in the caller's household, or null
+function accessibleShoppingList(principal, id) {
+  const list = storage.get('shoppingLists', id);
+  return inHousehold(principal, list) ? list : null;
+}
+
+function nextListItemId(list) {
+  const highest = Math.max(0, ...list.items.map(item => Number(String(item.id).replace('item_', '')) || 0));
+  return `item_${highest + 1}`;
+}
+
+// Unknown unit in an item from a request, as a validation problem, or null
+function invalidListItemUnit(unit, path) {
+  if (!unit) return null;
+  try {
+    normalizeUnit(unit);
+    return null;
+  } catch (error) {
+    if (!(error instanceof UnitError)) throw error;
+    return { path, code: 'unknown_unit', message: error.message };
+  }
+}
+
+routes.section('shoppingLists');
+
+// Build a shopping list from a meal plan's meals: { servings, pantry, days, name }.
+// Each meal is scaled to its own `servings` (or the body's). What's in the pantry
+// is left off or reduced: the stored pantry unless the body sends its own, as
+// names ("salt") or { name, quantity, unit }.
+routes.post('/api/meal-plan/:id/shopping-list', {
+  summary: "Build a shopping list from a meal plan's meals",
+  status: 201
+}, allow('use'), validate({ params: schemas.params('id'), body: schemas.newShoppingList }), async (req, res, next) => {
+  const { servings, days, name } = req.body;
+  const onHand = req.body.pantry !== undefined
+    ? req.body.pantry
+    : pantry.listItems({ householdId: req.principal.householdId }).filter(item => !item.expired && item.quantity !== 0);
+  const mealPlan = accessibleMealPlan(req.principal, req.params.id);
+
+  if (!mealPlan) {
+    return res.status(404).json({
+      success: false,
+      error: 'Meal plan not found',
+      code: 'not_found'
+    });
+  }
+  const missingDay = (days || []).findIndex(day => day > mealPlan.meals.length);
+  if (missingDay !== -1) {
+    return sendValidationError(res, `body.days[${missingDay}]`, 'maximum', `Invalid days (array of day numbers 1-${mealPlan.meals.length})`);
+  }
+
+  const planned = [];
+  mealPlan.meals
+    .filter(day => !days || days.includes(day.day))
+    .forEach(day => MEAL_TYPES.forEach(mealType => {
+      const ref = mealRecipeRef(day[mealType]);
+      if (ref) planned.push({ day: day.day, mealType, ref, servings: day[mealType].servings || servings });
+    }));
+
+  const meals = [];
+  for (const meal of planned) {
+    let recipe;
+    try {
+      recipe = await recipes.resolveRecipe(meal.ref);
+    } catch (error) {
+      return sendRecipeError(res, next, error);
+    }
+    const factor = meal.servings && recipe.servings ? meal.servings / recipe.servings : 1;
+    meals.push({ recipe, factor, day: meal.day, mealType: meal.mealType });
+  }
+
+  const { items, inPantry } = buildShoppingList(meals, { pantry: onHand, system: req.units.system });
+  const shoppingList = storage.insert('shoppingLists', {
+    id: newId('list'),
+    userId: req.principal.id,
+    householdId: req.principal.householdId,
+    mealPlanId: mealPlan.id,
+    name: name || `Shopping for ${mealPlan.name || mealPlan.id}`,
+    units: req.units.system,
+    items,
+    inPantry,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Shopping list with ${items.length} item(s) from ${meals.length} meal(s)`,
+    shoppingList: shoppingListResponse(shoppingList)
+  });
+});
+
+routes.get('/api/shopping-lists', {
+  summary: "List your household's shopping lists, optionally for one meal plan"
+}, allow('read'), validate({ query: schemas.shoppingListQuery }), (req, res) => {
+  const { mealPlanId } = req.query;
+  const shoppingLists = storage.list('shoppingLists', list =>
+    inHousehold(req.principal, list) && (!mealPlanId || list.mealPlanId === mealPlanId))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  res.json({
+    success: true,
+    shoppingLists
+  });
+});
+
+routes.get('/api/shopping-lists/:id', {
+  summary: 'Get a shopping list, items grouped by aisle'
+}, allow('read'), validate({ params: schemas.params('id') }), (req, res) => {
+  const shoppingList = accessibleShoppingList(req.principal, req.params.id);
+
+  if (!shoppingList) {
+    return res.status(404).json({
+      success: false,
+      error: 'Shopping list not found',
+      code: 'not_found'
+    });
+  }
+
+  res.json({
+    success: true,
+    shoppingList: shoppingListResponse(shoppingList)
+  });
+});
+
+routes.get('/api/shopping-lists/:id/export', {
+  summary: 'Export a shopping list as text (for sharing) or JSON'
+}, allow('read'), validate({ params: schemas.params('id'), query: schemas.exportQuery }), (req, res) => {
+  const { format = 'text' } = req.query;
+  const shoppingList = accessibleShoppingList(req.principal, req.params.id);
+
+  if (!shoppingList) {
+    return res.status(404).json({
+      success: false,
+      error: 'Shopping list not found',
+      code: 'not_found'
+    });
+  }
+
+  const filename = `${shoppingList.id}.${format === 'json' ? 'json' : 'txt'}`;
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  if (format === 'text') {
+    return res.type('text/plain').send(formatShoppingListText(shoppingList));
+  }
+  res.json({
+    name: shoppingList.name,
+    mealPlanId: shoppingList.mealPlanId,
+    units: shoppingList.units,
+    exportedAt: new Date(),
+    aisles: groupByAisle(shoppingList.items).map(({ aisle, items }) => ({
+      aisle,
+      items: items.map(({ name, quantity, unit, amountText, checked, note }) => ({ name, quantity, unit, amountText, checked, note }))
+    }))
+  });
+});
+
+// Add an item by hand: { text: "2 lemons" } or { name, quantity, unit }, optional aisle
+routes.post('/api/shopping-lists/:id/items', {
+  summary: 'Add an item by hand',
+  status: 201
+}, allow('use'), validate({ params: schemas.params('id'), body: schemas.newListItem }), (req, res) => {
+  const { text, name, quantity, unit, aisle } = req.body;
+  const shoppingList = accessibleShoppingList(req.principal, req.params.id);
+
+  if (!shoppingList) {
+    return res.status(404).json({
+      success: false,
+      error: 'Shopping list not found',
+      code: 'not_found'
+    });
+  }
+  if (!(text && text.trim()) && !(name && name.trim())) {
+    return sendValidationError(res, 'body.text', 'required', 'Missing text or name');
+  }
+  const problem = text ? null : invalidListItemUnit(unit, 'body.unit');
+  if (problem) {
+    return res.status(400).json(validationErrorBody([problem]));
   }
 
-  // Start step timer
-  cookingStatus.timer = setInterval(() => {
-    cookingStatus.timeRemaining--;
-    
-    // Send timer updates every 30 seconds
-    if (cookingStatus.timeRemaining % 30 === 0) {
-      broadcastUpdate('timer_update', {
-        timeRemaining: cookingStatus.timeRemaining,
-        currentStep: cookingStatus.currentStep
-      });
-    }
-    
-    // Step completed
-    if (cookingStatus.timeRemaining <= 0) {
-      clearInterval(cookingStatus.timer);
-      
-      broadcastUpdate('cooking_step_complete', {
-        step: cookingStatus.currentStep,
-        instruction: step.instruction
-      });
-      
-      // Move to next step
-      startStep(stepIndex + 1);
-    }
-  }, 1000);
-}
+  let item = parseListItem(text || name, { aisle });
+  if (!text && quantity !== undefined) {
+    item = updateListItem(item, { name: name.trim(), quantity, unit: unit ? normalizeUnit(unit) : null });
+  }
+  item = { id: nextListItemId(shoppingList), ...item };
 
-// Generate cooking steps from recipe instructions
-function generateCookingSteps(recipe) {
-  const instructions = recipe.instructions || '';
-  const estimatedTime = recipe.readyInMinutes || 30;
-  
-  // Simple step generation (in production, use more sophisticated parsing)
-  const steps = instructions.split(/[.!]/)
-    .filter(step => step.trim().length > 0)
-    .map((instruction, index) => ({
-      step: index + 1,
-      instruction: instruction.trim(),
-      duration: Math.max(1, Math.floor(estimatedTime / instructions.split(/[.!]/).length))
-    }));
-  
-  return steps.length > 0 ? steps : [
-    { step: 1, instruction: 'Prepare ingredients', duration: 5 },
-    { step: 2, instruction: 'Cook according to recipe', duration: estimatedTime - 5 }
-  ];
-}
+  const updated = storage.update('shoppingLists', shoppingList.id, {
+    items: [...shoppingList.items, item],
+    updatedAt: new Date()
+  });
 
-// =============================================================================
-// RECIPE & COOKING ENDPOINTS
-// =============================================================================
+  res.status(201).json({
+    success: true,
+    item,
+    shoppingList: shoppingListResponse(updated)
+  });
+});
 
-// Start cooking with recipe steps
-app.post('/kitchen/recipe', (req, res) => {
-  const { steps } = req.body;
+routes.put('/api/shopping-lists/:id/items/:itemId', {
+  summary: 'Edit an item: check it off, change its amount, name, aisle or note'
+}, allow('use'), validate({
+  params: schemas.params('id', 'itemId'),
+  body: schemas.editListItem
+}), (req, res) => {
+  const shoppingList = accessibleShoppingList(req.principal, req.params.id);
+  const item = shoppingList && shoppingList.items.find(entry => entry.id === req.params.itemId);
 
-  if (!steps || !Array.isArray(steps) || steps.length === 0) {
-    return res.status(400).json({ 
+  if (!item) {
+    return res.status(404).json({
       success: false,
-      error: 'Invalid or missing steps array' 
+      error: shoppingList ? 'Item not found' : 'Shopping list not found',
+      code: 'not_found'
     });
   }
 
-  // Reset cooking state
-  if (cookingStatus.timer) {
-    clearInterval(cookingStatus.timer);
+  const changes = { ...req.body };
+  const problem = invalidListItemUnit(changes.unit, 'body.unit');
+  if (problem) {
+    return res.status(400).json(validationErrorBody([problem]));
   }
-  
-  cookingStatus.steps = steps;
-  cookingStatus.status = 'idle';
-  cookingStatus.currentStep = 0;
-  cookingStatus.timeRemaining = 0;
+  if (changes.unit) changes.unit = normalizeUnit(changes.unit);
+  if (changes.name) changes.name = changes.name.trim();
 
-  // Start cooking process
-  startStep(0);
+  const edited = updateListItem(item, changes);
+  const updated = storage.update('shoppingLists', shoppingList.id, {
+    items: shoppingList.items.map(entry => (entry.id === item.id ? edited : entry)),
+    updatedAt: new Date()
+  });
 
   res.json({
     success: true,
-    message: '✅ Cooking started!',
-    totalSteps: steps.length,
-    currentStep: cookingStatus.currentStep,
-    currentInstruction: steps[0].instruction
+    item: edited,
+    shoppingList: shoppingListResponse(updated)
   });
 });
 
-// Get current cooking status
-app.get('/kitchen/status', (req, res) => {
-  const currentStep = cookingStatus.steps[cookingStatus.currentStep - 1] || null;
-  
-  res.json({
-    success: true,
-    status: cookingStatus.status,
-    currentStep: cookingStatus.currentStep,
-    totalSteps: cookingStatus.steps.length,
-    timeRemainingSeconds: cookingStatus.timeRemaining,
-    currentInstruction: currentStep ? currentStep.instruction : null
+routes.delete('/api/shopping-lists/:id/items/:itemId', {
+  summary: 'Remove an item'
+}, allow('use'), validate({ params: schemas.params('id', 'itemId') }), (req, res) => {
+  const shoppingList = accessibleShoppingList(req.principal, req.params.id);
+  const item = shoppingList && shoppingList.items.find(entry => entry.id === req.params.itemId);
+
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      error: shoppingList ? 'Item not found' : 'Shopping list not found',
+      code: 'not_found'
+    });
+  }
+
+  storage.update('shoppingLists', shoppingList.id, {
+    items: shoppingList.items.filter(entry => entry.id !== item.id),
+    updatedAt: new Date()
   });
-});
 
-// Save recipe to favorites
-app.post('/api/recipes/favorites', (req, res) => {
-  const { recipeId, recipeName, userId } = req.body;
-  
-  const favoriteRecipe = {
-    id: recipeId,
-    name: recipeName,
-    userId: userId,
-    savedAt: new Date(),
-    cookCount: 0
-  };
-  
   res.json({
     success: true,
-    message: 'Recipe saved to favorites',
-    recipe: favoriteRecipe
+    message: `Removed ${item.name}`
   });
 });
 
-// Get cooking history
-app.get('/api/cooking/history/:userId?', (req, res) => {
-  const { userId } = req.params;
-  
-  const completedSessions = cookingSessions
-    .filter(session => session.status === 'completed')
-    .map(session => ({
-      id: session.id,
-      recipeName: session.recipe?.title || 'Unknown Recipe',
-      startTime: session.startTime,
-      endTime: session.endTime,
-      totalTime: session.endTime ? 
-        Math.round((session.endTime - session.startTime) / 1000 / 60) : 0,
-      stepsCompleted: session.steps?.length || 0,
-      rating: null
-    }))
-    .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
-    .slice(0, 20);
-  
+routes.delete('/api/shopping-lists/:id', {
+  summary: 'Delete a shopping list'
+}, allow('use'), validate({ params: schemas.params('id') }), (req, res) => {
+  if (!accessibleShoppingList(req.principal, req.params.id) || !storage.remove('shoppingLists', req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Shopping list not found',
+      code: 'not_found'
+    });
+  }
+
   res.json({
     success: true,
-    history: completedSessions,
-    totalSessions: completedSessions.length
+    message: 'Shopping list deleted'
   });
 });
 
 // =============================================================================
-// SMART APPLIANCE CONTROL
+// PANTRY
 // =============================================================================
 
-// Discover available appliances
-app.get('/api/appliances/discover', (req, res) => {
-  const availableAppliances = Object.values(appliances).map(appliance => ({
-    id: appliance.id,
-    name: appliance.name,
-    type: appliance.type,
-    brand: appliance.brand,
-    status: appliance.status,
-    isConnected: appliance.isConnected,
-    features: appliance.features || []
-  }));
-  
+const PANTRY_ERROR_STATUS = {
+  not_found: 404,
+  invalid_params: 400
+};
+
+// Pantry errors become JSON responses; anything else goes to Express
+function sendPantryError(res, next, error) {
+  if (!(error instanceof PantryError)) return next(error);
+  res.status(PANTRY_ERROR_STATUS[error.code] || 400).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+}
+
+// A pantry item in the caller's household; anyone else's is not_found
+function requirePantryItem(principal, id) {
+  const item = pantry.getItem(id);
+  if (!inHousehold(principal, item)) {
+    throw new PantryError('not_found', 'Pantry item not found');
+  }
+  return item;
+}
+
+routes.section('pantry');
+
+// List your household's pantry items, optionally by ?location=, ?expiringWithinDays= or ?lowStock=true
+routes.get('/api/pantry', { summary: 'List pantry items' }, allow('read'), validate({ query: schemas.pantryQuery }), (req, res) => {
+  const { location, expiringWithinDays, lowStock = false } = req.query;
+
   res.json({
     success: true,
-    message: 'Appliances discovered',
-    appliances: availableAppliances
+    items: pantry.listItems({ householdId: req.principal.householdId, location, expiringWithinDays, lowStock })
   });
 });
 
-// Control oven - preheat
-app.post('/api/appliances/oven/preheat', (req, res) => {
-  const { temperature, mode = 'bake' } = req.body;
-  
-  if (!temperature || temperature < 50 || temperature > 300) {
-    return res.status(400).json({ 
-      success: false,
-      error: 'Invalid temperature (50-300°C)' 
+// Add an item: { name, quantity, unit, location, expiresAt, lowStockThreshold }.
+// Leave out quantity for things nobody counts (salt, spices).
+routes.post('/api/pantry', {
+  summary: 'Add a pantry item',
+  status: 201
+}, allow('use'), validate({ body: schemas.newPantryItem }), (req, res, next) => {
+  try {
+    res.status(201).json({
+      success: true,
+      item: pantry.addItem(req.body, { householdId: req.principal.householdId })
     });
+  } catch (error) {
+    sendPantryError(res, next, error);
   }
-  
-  const oven = appliances.oven;
-  oven.status = 'preheating';
-  oven.targetTemperature = temperature;
-  oven.mode = mode;
-  oven.lastUpdate = new Date();
-  
-  // Simulate preheating process
-  const preheatInterval = setInterval(() => {
-    if (oven.temperature < oven.targetTemperature) {
-      oven.temperature = Math.min(oven.temperature + 10, oven.targetTemperature);
-      
-      if (oven.temperature >= oven.targetTemperature) {
-        clearInterval(preheatInterval);
-        oven.status = 'ready';
-        
-        broadcastUpdate('oven_preheated', {
-          temperature: oven.temperature,
-          mode: oven.mode
-        });
-      }
-    }
-  }, 2000);
-  
-  const estimatedTime = Math.round((temperature - oven.temperature) / 10 * 2 / 60);
-  
+});
+
+routes.get('/api/pantry/cookable', {
+  summary: 'Recipes ranked by how many of their ingredients are on hand'
+}, allow('read'), validate({ query: schemas.cookableQuery }), async (req, res, next) => {
+  const { limit = 10 } = req.query;
+
+  let catalog;
+  try {
+    catalog = await recipes.listRecipes();
+  } catch (error) {
+    return sendRecipeError(res, next, error);
+  }
+
+  const ranked = pantry.rankRecipes(catalog, { householdId: req.principal.householdId });
   res.json({
     success: true,
-    message: `Oven preheating to ${temperature}°C in ${mode} mode`,
-    estimatedTime: estimatedTime
+    canCookNow: ranked.filter(recipe => recipe.canCook).length,
+    recipes: ranked.slice(0, limit)
   });
 });
 
-// Control pressure cooker
-app.post('/api/appliances/autocooker/pressure', (req, res) => {
-  const { pressure, duration } = req.body;
-  
-  if (!pressure || pressure < 5 || pressure > 15) {
-    return res.status(400).json({ 
-      success: false,
-      error: 'Invalid pressure (5-15 PSI)' 
+routes.get('/api/pantry/:id', {
+  summary: 'Get a pantry item'
+}, allow('read'), validate({ params: schemas.params('id') }), (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      item: requirePantryItem(req.principal, req.params.id)
     });
+  } catch (error) {
+    sendPantryError(res, next, error);
   }
-  
-  if (!duration || duration < 1) {
-    return res.status(400).json({ 
-      success: false,
-      error: 'Invalid duration (minimum 1 minute)' 
+});
+
+routes.put('/api/pantry/:id', {
+  summary: 'Edit a pantry item'
+}, allow('use'), validate({ params: schemas.params('id'), body: schemas.editPantryItem }), (req, res, next) => {
+  try {
+    requirePantryItem(req.principal, req.params.id);
+    res.json({
+      success: true,
+      item: pantry.updateItem(req.params.id, req.body)
     });
+  } catch (error) {
+    sendPantryError(res, next, error);
   }
-  
-  const autocooker = appliances.autocooker;
-  autocooker.status = 'pressurizing';
-  autocooker.pressure = 0;
-  autocooker.lastUpdate = new Date();
-  
-  // Simulate pressure building
-  const pressureInterval = setInterval(() => {
-    if (autocooker.pressure < pressure) {
-      autocooker.pressure = Math.min(autocooker.pressure + 0.5, pressure);
-      
-      if (autocooker.pressure >= pressure) {
-        clearInterval(pressureInterval);
-        autocooker.status = 'pressure_cooking';
-        
-        // Start cooking timer
-        setTimeout(() => {
-          autocooker.status = 'depressurizing';
-          
-          setTimeout(() => {
-            autocooker.status = 'ready';
-            autocooker.pressure = 0;
-            
-            broadcastUpdate('pressure_cooking_complete', {
-              message: 'Pressure cooking complete and depressurized'
-            });
-          }, 30000); // 30 seconds to depressurize
-          
-        }, duration * 60 * 1000);
-      }
-    }
-  }, 1000);
-  
-  res.json({
-    success: true,
-    message: `Pressure cooking at ${pressure} PSI for ${duration} minutes`,
-    totalTime: duration + 5
-  });
 });
 
-// =============================================================================
-// VOICE COMMANDS & AUTOMATION
-// =============================================================================
-
-// Handle voice commands
-app.post('/api/voice/command', (req, res) => {
-  const { command, parameters = {} } = req.body;
-  
-  switch (command.toLowerCase()) {
-    case 'start cooking':
-      if (parameters.recipeName) {
-        res.json({
-          success: true,
-          message: `Starting to cook ${parameters.recipeName}`,
-          action: 'cooking_started'
-        });
-      } else {
-        res.json({
-          success: false,
-          message: 'Please specify a recipe name'
-        });
-      }
-      break;
-      
-    case 'set timer':
-      if (parameters.minutes) {
-        res.json({
-          success: true,
-          message: `Timer set for ${parameters.minutes} minutes`,
-          action: 'timer_started'
-        });
-      } else {
-        res.json({
-          success: false,
-          message: 'Please specify timer duration'
-        });
-      }
-      break;
-      
-    case 'check status':
-      const activeSession = cookingSessions.find(s => s.status === 'cooking');
-      if (activeSession) {
-        const minutes = Math.floor(activeSession.timeRemaining / 60);
-        res.json({
-          success: true,
-          message: `${activeSession.recipe.title} has ${minutes} minutes remaining`,
-          session: activeSession
-        });
-      } else {
-        res.json({
-          success: true,
-          message: 'No active cooking sessions',
-          session: null
-        });
-      }
-      break;
-      
-    default:
-      res.json({
-        success: false,
-        message: 'Unknown command'
-      });
+routes.delete('/api/pantry/:id', {
+  summary: 'Remove a pantry item'
+}, allow('use'), validate({ params: schemas.params('id') }), (req, res, next) => {
+  try {
+    requirePantryItem(req.principal, req.params.id);
+    pantry.removeItem(req.params.id);
+    res.json({
+      success: true,
+      message: 'Pantry item removed'
+    });
+  } catch (error) {
+    sendPantryError(res, next, error);
   }
 });
 
-// =============================================================================
-// MEAL PLANNING & NUTRITION
-// =============================================================================
+routes.section('nutrition');
 
-// Create weekly meal plan
-app.post('/api/meal-plan/week', (req, res) => {
-  const { meals, startDate } = req.body;
-  
-  const mealPlan = {
-    id: `plan_${Date.now()}`,
-    startDate,
-    meals: meals.map((meal, index) => ({
-      day: index + 1,
-      breakfast: meal.breakfast,
-      lunch: meal.lunch,
-      dinner: meal.dinner,
-      cookingScheduled: false
-    })),
-    createdAt: new Date()
-  };
-  
-  res.json({
-    success: true,
-    message: 'Meal plan created successfully',
-    mealPlan
-  });
-});
+routes.post('/api/nutrition/analyze', {
+  summary: 'Analyze recipe nutrition'
+}, allow('read'), validate({ body: schemas.analyzeNutrition }), async (req, res, next) => {
+  const { recipeId } = req.body;
+  let { ingredients, servings } = req.body;
+
+  // No ingredient list: analyze a catalog recipe
+  if (!ingredients && recipeId) {
+    let recipe;
+    try {
+      recipe = await recipes.resolveRecipe(recipeId);
+    } catch (error) {
+      return sendRecipeError(res, next, error);
+    }
+    ingredients = recipe.ingredients;
+    servings = servings || recipe.servings;
+  }
+
+  if (!ingredients || ingredients.length === 0) {
+    return sendValidationError(res, 'body.ingredients', 'required', 'Missing ingredients array (or recipeId to look up)');
+  }
+
+  const analysis = analyzeIngredients(ingredients, { servings });
 
-// Schedule cooking from meal plan
-app.post('/api/meal-plan/schedule-cooking', (req, res) => {
-  const { mealPlanId, day, mealType, scheduledTime } = req.body;
-  
-  const scheduledCooking = {
-    id: `scheduled_${Date.now()}`,
-    mealPlanId,
-    day,
-    mealType,
-    scheduledTime: new Date(scheduledTime),
-    status: 'scheduled'
-  };
-  
   res.json({
     success: true,
-    message: `Cooking scheduled for ${mealType} on day ${day}`,
-    scheduled: scheduledCooking
+    nutrition: {
+      recipeId,
+      servings: analysis.servings,
+      ...analysis.perServing,
+      healthScore: analysis.healthScore,
+      dietaryRestrictions: analysis.dietaryRestrictions,
+      dietaryRestrictionsComplete: analysis.dietaryRestrictionsComplete,
+      total: analysis.total
+    },
+    ingredients: analysis.ingredients,
+    recommendations: analysis.recommendations
   });
 });
 
-// Analyze recipe nutrition
-app.post('/api/nutrition/analyze', (req, res) => {
-  const { recipeId, ingredients } = req.body;
-  
-  const nutrition = {
-    recipeId,
-    calories: Math.floor(Math.random() * 400) + 200,
-    protein: Math.floor(Math.random() * 30) + 10,
-    carbs: Math.floor(Math.random() * 40) + 20,
-    fat: Math.floor(Math.random() * 20) + 5,
-    fiber: Math.floor(Math.random() * 10) + 2,
-    sodium: Math.floor(Math.random() * 800) + 200,
-    healthScore: Math.floor(Math.random() * 40) + 60,
-    dietaryRestrictions: {
-      vegetarian: Math.random() > 0.5,
-      vegan: Math.random() > 0.7,
-      glutenFree: Math.random() > 0.6,
-      dairyFree: Math.random() > 0.6
-    }
-  };
-  
+routes.post('/api/ingredients/parse', {
+  summary: 'Preview how ingredient lines are read'
+}, allow('read'), validate({ body: schemas.parseIngredientLines }), (req, res) => {
+  const { ingredients } = req.body;
+
   res.json({
     success: true,
-    nutrition,
-    recommendations: [
-      'This recipe is high in protein',
-      'Consider adding more vegetables',
-      'Good source of fiber'
-    ]
+    ingredients: parseIngredients(ingredients)
   });
 });
 
@@ -580,8 +2734,9 @@ app.post('/api/nutrition/analyze', (req, res) => {
 // TESTING & SIMULATION ENDPOINTS
 // =============================================================================
 
-// Test Android integration
-app.post('/api/test/android', (req, res) => {
+routes.section('testing');
+
+routes.post('/api/test/android', { summary: 'Test Android integration' }, allow('read'), (req, res) => {
   console.log('🧪 Android integration test started');
   
   broadcastUpdate('android_test', {
@@ -598,8 +2753,7 @@ app.post('/api/test/android', (req, res) => {
   });
 });
 
-// Test WebSocket connection
-app.get('/api/test/websocket', (req, res) => {
+routes.get('/api/test/websocket', { summary: 'Test WebSocket connection' }, allow('read'), (req, res) => {
   broadcastUpdate('test_message', {
     message: 'WebSocket test successful',
     timestamp: new Date(),
@@ -613,17 +2767,16 @@ app.get('/api/test/websocket', (req, res) => {
   });
 });
 
-// Test all appliances
-app.get('/api/test/appliances', (req, res) => {
+routes.get('/api/test/appliances', { summary: "Test your household's appliances" }, allow('read'), (req, res) => {
   const testResults = {};
   
-  Object.keys(appliances).forEach(key => {
-    const appliance = appliances[key];
-    testResults[key] = {
+  appliances.listAppliances({ householdId: req.principal.householdId }).forEach(appliance => {
+    testResults[appliance.id] = {
       name: appliance.name,
       connected: appliance.isConnected,
       status: appliance.status,
       lastUpdate: appliance.lastUpdate,
+      faults: [...appliance.faults],
       testPassed: appliance.isConnected && appliance.status !== 'error'
     };
   });
@@ -638,11 +2791,134 @@ app.get('/api/test/appliances', (req, res) => {
   });
 });
 
-// Simulate cooking process
-app.post('/api/test/simulate-cooking', (req, res) => {
+routes.post('/api/test/appliances/:id/faults', {
+  summary: 'Inject a simulated fault (disconnect, sensor_error, overheat)'
+}, allow('manage'), validate({ params: schemas.params('id'), body: schemas.injectFault }), (req, res) => {
+  if (!householdAppliance(req.principal, req.params.id)) return sendApplianceNotFound(res);
+
+  try {
+    const appliance = appliances.injectFault(req.params.id, req.body.fault);
+    res.json({
+      success: true,
+      message: `Fault '${req.body.fault}' injected`,
+      appliance: describeAppliance(appliance, req.units)
+    });
+  } catch (error) {
+    sendApplianceError(res, error);
+  }
+});
+
+routes.delete('/api/test/appliances/:id/faults/:fault', {
+  summary: 'Clear a simulated fault'
+}, allow('manage'), validate({ params: schemas.params('id', 'fault') }), (req, res) => {
+  if (!householdAppliance(req.principal, req.params.id)) return sendApplianceNotFound(res);
+
+  try {
+    const appliance = appliances.clearFault(req.params.id, req.params.fault);
+    res.json({
+      success: true,
+      message: `Fault '${req.params.fault}' cleared`,
+      appliance: describeAppliance(appliance, req.units)
+    });
+  } catch (error) {
+    sendApplianceError(res, error);
+  }
+});
+
+routes.post('/api/test/appliances/:id/door', {
+  summary: 'Open or close a simulated appliance door'
+}, allow('manage'), validate({ params: schemas.params('id'), body: schemas.door }), (req, res) => {
+  const { open } = req.body;
+  if (!householdAppliance(req.principal, req.params.id)) return sendApplianceNotFound(res);
+
+  try {
+    const appliance = appliances.setDoor(req.params.id, open);
+    res.json({
+      success: true,
+      message: open ? 'Door opened' : 'Door closed',
+      appliance: describeAppliance(appliance, req.units)
+    });
+  } catch (error) {
+    sendApplianceError(res, error);
+  }
+});
+
+routes.get('/api/test/simulation', { summary: 'Get simulation settings' }, allow('read'), (req, res) => {
+  res.json({
+    success: true,
+    ambientTemperature: appliances.getAmbientTemperature()
+  });
+});
+
+routes.put('/api/test/simulation', {
+  summary: 'Change simulation settings'
+}, allow('manage'), validate({ body: schemas.simulation }), (req, res) => {
+  const { ambientTemperature } = req.body;
+
+  appliances.setAmbientTemperature(ambientTemperature);
+
+  res.json({
+    success: true,
+    ambientTemperature
+  });
+});
+
+// Describe the clock driving cooking, timers and simulations
+function describeClock() {
+  return {
+    mode: clock.mode,
+    timeScale: clock.getTimeScale(),
+    now: clock.date(),
+    pendingTimers: clock.pendingTimers()
+  };
+}
+
+routes.get('/api/test/clock', { summary: 'Get the clock state' }, allow('read'), (req, res) => {
+  res.json({
+    success: true,
+    clock: describeClock()
+  });
+});
+
+routes.put('/api/test/clock', {
+  summary: 'Change the time scale (e.g. 60 runs a minute per second)'
+}, allow('manage'), validate({ body: schemas.timeScale }), (req, res) => {
+  const { timeScale } = req.body;
+
+  clock.setTimeScale(timeScale);
+  console.log(`⏩ Clock time scale set to ${timeScale}×`);
+
+  res.json({
+    success: true,
+    clock: describeClock()
+  });
+});
+
+routes.post('/api/test/clock/advance', {
+  summary: 'Jump the clock forward, firing everything due on the way'
+}, allow('manage'), validate({ body: schemas.advanceClock }), (req, res) => {
+  const { seconds = 0, minutes = 0 } = req.body;
+  const milliseconds = (seconds + minutes * 60) * 1000;
+
+  if (!(milliseconds > 0)) {
+    return sendValidationError(res, 'body.minutes', 'required', 'Invalid seconds or minutes (must add up to a positive time)');
+  }
+
+  clock.advance(milliseconds);
+
+  res.json({
+    success: true,
+    advancedSeconds: milliseconds / 1000,
+    clock: describeClock()
+  });
+});
+
+routes.post('/api/test/simulate-cooking', {
+  summary: 'Simulate cooking process'
+}, allow('cook'), validate({ body: schemas.simulateCooking }), (req, res) => {
   const { recipeName, estimatedTime = 10 } = req.body;
   
-  const sessionId = `sim_${Date.now()}`;
+  const sessionId = newId('sim');
   const cookingSteps = [
     { step: 1, instruction: 'Preheating autocooker', duration: 2 },
     { step: 2, instruction: `Adding ingredients for ${recipeName}`, duration: 1 },
@@ -651,18 +2927,14 @@ app.post('/api/test/simulate-cooking', (req, res) => {
     { step: 5, instruction: 'Cooking complete', duration: 0 }
   ];
   
-  cookingSimulations[sessionId] = {
+  // Simulations run as ordinary cooking sessions
+  cookingSessions.createSession({
     id: sessionId,
     recipeName,
     steps: cookingSteps,
-    currentStep: 0,
-    status: 'starting',
-    startTime: new Date(),
-    timeRemaining: 0
-  };
-  
-  // Start simulation
-  startCookingSimulation(sessionId);
+    userId: req.principal.id,
+    householdId: req.principal.householdId
+  });
   
   res.json({
     success: true,
@@ -673,15 +2945,17 @@ app.post('/api/test/simulate-cooking', (req, res) => {
   });
 });
 
-// Get simulation status
-app.get('/api/test/cooking-status/:sessionId', (req, res) => {
+routes.get('/api/test/cooking-status/:sessionId', {
+  summary: 'Get simulation status'
+}, allow('read'), validate({ params: schemas.params('sessionId') }), (req, res) => {
   const { sessionId } = req.params;
-  const simulation = cookingSimulations[sessionId];
+  const simulation = householdSession(req.principal, sessionId);
   
   if (!simulation) {
     return res.status(404).json({
       success: false,
-      error: 'Simulation not found'
+      error: 'Simulation not found',
+      code: 'not_found'
     });
   }
   
@@ -694,7 +2968,7 @@ app.get('/api/test/cooking-status/:sessionId', (req, res) => {
       currentStep: simulation.currentStep,
       totalSteps: simulation.steps.length,
       timeRemaining: simulation.timeRemaining || 0,
-      currentInstruction: simulation.steps[simulation.currentStep]?.instruction || 'Complete'
+      currentInstruction: simulation.steps[simulation.currentStep - 1]?.instruction || 'Complete'
     }
   });
 });
@@ -703,77 +2977,6 @@ app.get('/api/test/cooking-status/:sessionId', (req, res) => {
 // UTILITY FUNCTIONS
 // =============================================================================
 
-// Start cooking simulation
-function startCookingSimulation(sessionId) {
-  const simulation = cookingSimulations[sessionId];
-  if (!simulation) return;
-  
-  let currentStepIndex = 0;
-  
-  function executeStep() {
-    if (currentStepIndex >= simulation.steps.length) {
-      simulation.status = 'completed';
-      simulation.currentStep = simulation.steps.length;
-      simulation.timeRemaining = 0;
-      
-      console.log(`✅ [SIMULATION] Cooking complete: ${simulation.recipeName}`);
-      
-      broadcastUpdate('cooking_complete', {
-        sessionId,
-        recipeName: simulation.recipeName,
-        message: `${simulation.recipeName} is ready!`
-      });
-      return;
-    }
-    
-    const step = simulation.steps[currentStepIndex];
-    simulation.currentStep = currentStepIndex + 1;
-    simulation.status = 'cooking';
-    simulation.timeRemaining = step.duration * 60;
-    
-    console.log(`🍳 [SIMULATION] Step ${simulation.currentStep}: ${step.instruction} (${step.duration}min)`);
-    
-    broadcastUpdate('cooking_step_start', {
-      sessionId,
-      stepNumber: simulation.currentStep,
-      instruction: step.instruction,
-      duration: step.duration
-    });
-    
-    const countdown = setInterval(() => {
-      simulation.timeRemaining--;
-      
-      if (simulation.timeRemaining <= 0) {
-        clearInterval(countdown);
-        
-        broadcastUpdate('cooking_step_complete', {
-          sessionId,
-          stepNumber: simulation.currentStep,
-          instruction: step.instruction
-        });
-        
-        currentStepIndex++;
-        executeStep();
-      }
-    }, 1000);
-  }
-  
-  executeStep();
-}
-
-// Convert temperature between Celsius and Fahrenheit
-function convertTemperature(temp, fromUnit, toUnit) {
-  if (fromUnit === toUnit) return temp;
-  
-  if (fromUnit === 'C' && toUnit === 'F') {
-    return (temp * 9/5) + 32;
-  } else if (fromUnit === 'F' && toUnit === 'C') {
-    return (temp - 32) * 5/9;
-  }
-  
-  return temp;
-}
-
 // Calculate cooking time based on ingredients and method
 function calculateCookingTime(ingredients, method) {
   let baseTime = 15;
@@ -808,46 +3011,73 @@ function calculateCookingTime(ingredients, method) {
 // HEALTH CHECK & ROOT ENDPOINTS
 // =============================================================================
 
-// API health check
-app.get('/api/health', (req, res) => {
+routes.section('system');
+
+routes.get('/api/health', { summary: 'API health check', public: true }, (req, res) => {
   res.json({
     success: true,
     message: 'Smart Kitchen API is healthy',
     timestamp: new Date(),
-    version: '2.0',
+    version: API_VERSION,
     uptime: process.uptime(),
-    appliances: Object.keys(appliances).length,
+    appliances: appliances.listAppliances().length,
     connectedClients: wss.clients.size
   });
 });
 
-// Root endpoint
-app.get('/', (req, res) => {
+// The settings the server runs with and where they came from; secrets are hidden
+routes.get('/api/admin/config', { summary: 'Effective configuration, with secrets hidden' }, allow('manage'), (req, res) => {
+  res.json({
+    success: true,
+    config: redactConfig(config),
+    sources: configSources
+  });
+});
+
+// API descriptions, generated from the registered routes and WebSocket command schemas
+function openApiDocument() {
+  return buildOpenApiDocument({
+    registry: routes,
+    title: 'Smart Kitchen API',
+    version: API_VERSION,
+    serverUrl: `http://localhost:${PORT}`
+  });
+}
+
+function asyncApiDocument() {
+  return buildAsyncApiDocument({
+    title: 'Smart Kitchen API',
+    version: API_VERSION,
+    serverUrl: `ws://localhost:${WEBSOCKET_PORT}`,
+    commandSchemas: schemas.commandSchemas,
+    commandPermissions: socketCommandPermissions,
+    protocolVersion: PROTOCOL_VERSION
+  });
+}
+
+routes.get('/api/openapi.json', { summary: 'OpenAPI 3 description of the REST API', public: true }, (req, res) => {
+  res.json(openApiDocument());
+});
+
+routes.get('/api/asyncapi.json', { summary: 'AsyncAPI description of the WebSocket commands and events', public: true }, (req, res) => {
+  res.json(asyncApiDocument());
+});
+
+routes.get('/api/docs', { summary: 'API documentation to read in a browser', public: true }, (req, res) => {
+  res.type('html').send(renderDocsPage({ openapi: openApiDocument(), asyncapi: asyncApiDocument() }));
+});
+
+routes.get('/', { summary: 'API overview: endpoints and WebSocket commands', public: true }, (req, res) => {
   res.json({
-    message: '🔌 Smart Kitchen API v2.0 is running',
-    documentation: `http://localhost:${PORT}/api/health`,
+    message: `🔌 Smart Kitchen API v${API_VERSION} is running`,
+    documentation: `http://localhost:${PORT}/api/docs`,
+    openapi: `http://localhost:${PORT}/api/openapi.json`,
+    asyncapi: `http://localhost:${PORT}/api/asyncapi.json`,
     websocket: `ws://localhost:${WEBSOCKET_PORT}`,
-    endpoints: {
-      cooking: [
-        'POST /kitchen/recipe',
-        'GET /kitchen/status',
-        'GET /api/cooking/history/:userId?'
-      ],
-      appliances: [
-        'GET /api/appliances/discover',
-        'POST /api/appliances/oven/preheat',
-        'POST /api/appliances/autocooker/pressure'
-      ],
-      voice: [
-        'POST /api/voice/command'
-      ],
-      testing: [
-        'POST /api/test/android',
-        'GET /api/test/websocket',
-        'GET /api/test/appliances',
-        'POST /api/test/simulate-cooking'
-      ]
-    }
+    authentication: 'POST /api/auth/register (with an inviteCode to join a household) or /api/auth/login, ' +
+      'then Authorization: Bearer <token> (or an API key)',
+    websocketCommands: Object.keys(socketCommands),
+    endpoints: routes.endpointsBySection()
   });
 });
 
@@ -860,60 +3090,34 @@ app.use('*', (req, res) => {
   res.status(404).json({
     success: false,
     error: 'Endpoint not found',
+    code: 'not_found',
     message: `The endpoint ${req.originalUrl} was not found`,
-    availableEndpoints: [
-      'GET /',
-      'GET /api/health',
-      'POST /kitchen/recipe',
-      'GET /kitchen/status',
-      'GET /api/appliances/discover',
-      'POST /api/voice/command'
-    ]
+    availableEndpoints: routes.suggestEndpoints(req.originalUrl)
   });
 });
 
 // Global error handler
 app.use((error, req, res, next) => {
+  // Bodies express.json() couldn't read
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      error: 'Request body is not valid JSON',
+      code: 'invalid_json'
+    });
+  }
+
   console.error('API Error:', error);
   
   res.status(500).json({
     success: false,
     error: 'Internal server error',
+    code: 'internal_error',
     message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong',
     timestamp: new Date()
   });
 });
 
-//Testing
-app.get('/api/health', (req, res) => {
-    res.json({
-        success: true,
-        message: "Smart Kitchen Server Running",
-        version: "1.0.0",
-        uptime: process.uptime()
-    });
-});
-
-app.post('/api/test/simulate-cooking', (req, res) => {
-    console.log('🍳 Simulating cooking:', req.body.recipeName);
-    res.json({
-        success: true,
-        message: `Started cooking ${req.body.recipeName}`,
-        sessionId: `session_${Date.now()}`
-    });
-});
-
-app.get('/api/appliances/discover', (req, res) => {
-    res.json({
-        success: true,
-        message: "Devices discovered",
-        appliances: [
-            { id: "virtual_cooker_01", name: "Virtual Instant Pot", type: "AUTOCOOKER", brand: "InstantPot", status: "ready", isConnected: true },
-            { id: "virtual_speaker_01", name: "Virtual Kitchen Speaker", type: "SPEAKER", brand: "Google", status: "online", isConnected: true }
-        ]
-    });
-});
-
 // =============================================================================
 // SERVER STARTUP
 // =============================================================================
@@ -933,14 +3137,23 @@ server.listen(PORT, () => {
 ║  WebSocket:   ws://localhost:${WEBSOCKET_PORT}      ║
 ║                                          ║
 ║  Health Check: /api/health               ║
-║  Documentation: /                        ║
+║  Documentation: /api/docs                ║
 ╚══════════════════════════════════════════╝
   `);
+
+  // Pick up cooking scheduled before the last restart
+  mealScheduler.start();
+  pantry.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down gracefully');
+  stopHeartbeat();
+  mealScheduler.stop();
+  pantry.stop();
+  appliances.stop();
+  clock.reset();
   server.close(() => {
     console.log('📴 HTTP server closed');
     wss.close(() => {
@@ -952,6 +3165,11 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('🛑 SIGINT received, shutting down gracefully');
+  stopHeartbeat();
+  mealScheduler.stop();
+  pantry.stop();
+  appliances.stop();
+  clock.reset();
   server.close(() => {
     console.log('📴 HTTP server closed');
     wss.close(() => {